@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['src/pwa/serviceWorker.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, __CACHE_VERSION__: 'readonly', __PRECACHE_FILES__: 'readonly' },
+    },
+  },
+  {
+    files: ['vite.config.js', 'server/**/*.js', 'eval/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,41 @@
+// Formats an evaluation run. Nothing in a report changes between runs of
+// the same prompt against the same answers (no timings, no dates), so two
+// reports can be compared with a plain diff.
+
+const fraction = (count, total) => `${count}/${total}`;
+
+const list = (ids) => (ids.length ? ids.join(', ') : 'ok');
+
+const row = (cells) => `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+
+export const formatMarkdown = ({ promptVersion, provider, cases, summary, results }) => [
+    '# Recipe prompt evaluation',
+    '',
+    `- Prompt version: ${promptVersion}`,
+    `- Provider: ${provider}`,
+    `- Cases: ${cases}`,
+    '',
+    row(['Metric', 'Result']),
+    row(['---', '---']),
+    row(['Valid recipe (schema)', fraction(summary.schemaValid, summary.cases)]),
+    row(['Meets constraints and preferences', fraction(summary.meetsConstraints, summary.cases)]),
+    row(['Free of declared allergens', fraction(summary.allergenFree, summary.cases)]),
+    row(['Passed on the first answer', fraction(summary.firstTry, summary.cases)]),
+    row(['Model calls', summary.modelCalls]),
+    '',
+    row(['Case', 'Schema', 'Calls', 'First answer', 'Diet', 'Preferences', 'Calories', 'Excluded', 'Allergens', 'Recipe']),
+    row(Array(10).fill('---')),
+    ...results.map(({ id, schema, attempts, firstTry, recipeName, checks }) => row([
+        id,
+        schema,
+        attempts,
+        firstTry ? 'pass' : 'fail',
+        ...(checks
+            ? [list(checks.diet), list(checks.preferences), list(checks.calories), list(checks.excluded), list(checks.allergens)]
+            : Array(5).fill('-')),
+        recipeName ?? '-',
+    ])),
+    '',
+].join('\n');
+
+export const formatJson = (report) => `${JSON.stringify(report, null, 2)}\n`;
@@ -0,0 +1,136 @@
+import 'dotenv/config';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { createProvider, providerConfigFromEnv } from '../src/providers/index.js';
+import { createMockProvider } from '../src/providers/mock.js';
+import { createRecordedProvider, withRecording } from '../src/providers/recorded.js';
+import { generateRecipe } from '../src/recipe/generate.js';
+import { CURRENT_PROMPT_VERSION, getPromptTemplate } from '../src/recipe/templates/index.js';
+import { validateAnswers } from '../server/validateAnswers.js';
+import { scoreCase, summarize } from './score.js';
+import { formatMarkdown, formatJson } from './report.js';
+
+const USAGE = `Runs the fixture answers through recipe generation and scores every recipe.
+
+Usage: npm run eval -- [options]
+
+  --prompt <version>     Prompt template version (default: ${CURRENT_PROMPT_VERSION})
+  --provider <name>      mock (default), recorded (replays --recording) or
+                         live (the provider configured in .env, saving what
+                         it answers to --recording)
+  --recording <file>     Recorded answers (default: eval/recordings/<prompt>.json)
+  --cases <file>         Answers to run (default: eval/fixtures/answers.json)
+  --format <format>      markdown (default) or json
+  --out <file>           Write the report here instead of to stdout`;
+
+const PROVIDERS = ['mock', 'recorded', 'live'];
+const FORMATS = { markdown: formatMarkdown, json: formatJson };
+
+const fromHere = (path) => fileURLToPath(new URL(path, import.meta.url));
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+// Each case is { id, answers }, with answers cleaned the way the server
+// cleans a request so the harness sends exactly what the app would
+const loadCases = async (file) => (await readJson(file)).map(({ id, answers: input }) => {
+    const { answers, fields } = validateAnswers(input);
+    if (Object.keys(fields).length > 0) {
+        throw new Error(`Case "${id}" has invalid answers: ${JSON.stringify(fields)}`);
+    }
+    return { id, answers };
+});
+
+const setUpProvider = async (name, recordingFile) => {
+    if (name === 'mock') return { provider: createMockProvider({ latencyMs: 0, chunkDelayMs: 0 }) };
+    if (name === 'recorded') {
+        const { model, answers } = await readJson(recordingFile);
+        return { provider: createRecordedProvider({ recordings: answers, model }) };
+    }
+    const recordings = {};
+    return { provider: withRecording(createProvider(providerConfigFromEnv(process.env)), recordings), recordings };
+};
+
+// Keeps every raw answer the provider gives, so the first one can be
+// scored apart from the repaired result
+const collectingResponses = (provider, responses) => ({
+    ...provider,
+    generate: async (request, options) => {
+        const result = await provider.generate(request, options);
+        responses.push(result.text);
+        return result;
+    },
+});
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            prompt: { type: 'string', default: CURRENT_PROMPT_VERSION },
+            provider: { type: 'string', default: 'mock' },
+            recording: { type: 'string' },
+            cases: { type: 'string', default: fromHere('./fixtures/answers.json') },
+            format: { type: 'string', default: 'markdown' },
+            out: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!PROVIDERS.includes(values.provider)) {
+        throw new Error(`Unknown provider "${values.provider}". Expected one of: ${PROVIDERS.join(', ')}.`);
+    }
+    const format = FORMATS[values.format];
+    if (!format) {
+        throw new Error(`Unknown format "${values.format}". Expected one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    getPromptTemplate(values.prompt);
+
+    const recordingFile = values.recording ?? fromHere(`./recordings/${values.prompt}.json`);
+    const cases = await loadCases(values.cases);
+    const { provider, recordings } = await setUpProvider(values.provider, recordingFile);
+
+    // One case at a time, as a real provider would rate-limit a burst
+    const results = [];
+    for (const testCase of cases) {
+        const responses = [];
+        let outcome;
+        try {
+            const recipe = await generateRecipe(collectingResponses(provider, responses), testCase.answers, {
+                promptVersion: values.prompt,
+            });
+            outcome = { recipe };
+        } catch (err) {
+            console.error(`${testCase.id}: ${err.message}`);
+            outcome = { error: err };
+        }
+        results.push(scoreCase(testCase, outcome, responses));
+    }
+
+    if (recordings) {
+        await mkdir(dirname(recordingFile), { recursive: true });
+        await writeFile(recordingFile, formatJson({ model: provider.model, answers: recordings }));
+        console.error(`Saved ${Object.keys(recordings).length} recorded answers to ${relative(process.cwd(), recordingFile)}`);
+    }
+
+    const report = format({
+        promptVersion: values.prompt,
+        provider: `${provider.name} (${provider.model})`,
+        cases: relative(process.cwd(), values.cases),
+        summary: summarize(results),
+        results,
+    });
+    if (values.out) {
+        await writeFile(values.out, report);
+    } else {
+        process.stdout.write(report);
+    }
+};
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,58 @@
+import { parseRecipeText } from '../src/recipe/generate.js';
+import { checkDiet } from '../src/safety/diets.js';
+import { auditAllergens } from '../src/safety/allergens.js';
+import { findHits } from '../src/safety/matching.js';
+import { checkPreferences } from '../src/recipe/preferences.js';
+import { calorieProblem } from '../src/nutrition/estimate.js';
+
+// What a recipe gets wrong against the answers it was made for, as sorted
+// ids so reports diff cleanly. Every list is empty for a compliant recipe.
+export const checkRecipe = (recipe, answers) => ({
+    diet: checkDiet(recipe, answers.constraints).map(violation => violation.constraint.id).sort(),
+    preferences: checkPreferences(recipe, answers).map(problem => problem.id).sort(),
+    calories: calorieProblem(recipe, answers.maxCalories) ? ['over'] : [],
+    excluded: [...new Set(findHits(recipe, answers.excludeIngredients ?? []).map(hit => hit.term))].sort(),
+    allergens: auditAllergens(recipe, answers.allergies).map(finding => finding.allergen.id).sort(),
+});
+
+const meetsConstraints = (checks) => ['diet', 'preferences', 'calories', 'excluded'].every(name => checks[name].length === 0);
+
+// Scores one case. `outcome` is what generateRecipe did, { recipe } or
+// { error }, and `responses` the model's raw answers in the order it gave
+// them; the first one shows how the prompt does without repairs.
+export const scoreCase = ({ id, answers }, outcome, responses) => {
+    let firstTry = false;
+    if (responses.length > 0) {
+        try {
+            const checks = checkRecipe(parseRecipeText(responses[0]), answers);
+            firstTry = meetsConstraints(checks) && checks.allergens.length === 0;
+        } catch {
+            // An answer that doesn't parse fails the first try
+        }
+    }
+
+    if (outcome.error) {
+        return { id, schema: outcome.error.code, attempts: responses.length, firstTry, recipeName: null, checks: null };
+    }
+    return {
+        id,
+        schema: 'valid',
+        attempts: responses.length,
+        firstTry,
+        recipeName: outcome.recipe.recipeName,
+        checks: checkRecipe(outcome.recipe, answers),
+    };
+};
+
+// Totals across every case
+export const summarize = (results) => {
+    const valid = results.filter(result => result.checks);
+    return {
+        cases: results.length,
+        schemaValid: valid.length,
+        meetsConstraints: valid.filter(result => meetsConstraints(result.checks)).length,
+        allergenFree: valid.filter(result => result.checks.allergens.length === 0).length,
+        firstTry: results.filter(result => result.firstTry).length,
+        modelCalls: results.reduce((total, result) => total + result.attempts, 0),
+    };
+};
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkRecipe, scoreCase, summarize } from './score.js';
+import { RecipeError, ERROR_CODES } from '../src/recipe/errors.js';
+
+const recipe = (ingredients, instructions) => ({
+    recipeName: 'Test Pulao',
+    servings: 2,
+    prepTimeMinutes: 25,
+    ingredients,
+    instructions,
+});
+
+const vegan = recipe(
+    [{ name: 'basmati rice', amount: 150, unit: 'g' }, { name: 'peas', amount: 100, unit: 'g' }, { name: 'oil', amount: 1, unit: 'tbsp' }],
+    ['Rinse the rice.', 'Cook the rice with the peas in the oil.']
+);
+const buttery = recipe(
+    [{ name: 'basmati rice', amount: 150, unit: 'g' }, { name: 'butter', amount: 1, unit: 'tbsp' }, { name: 'cashews', amount: 20, unit: 'g' }],
+    ['Melt the butter.', 'Stir in the rice and cashews.']
+);
+const answers = { ingredients: 'rice', constraints: ['vegan'], allergies: 'tree nuts', excludeIngredients: ['peas'] };
+
+test('checkRecipe lists what a recipe gets wrong as sorted ids', () => {
+    assert.deepEqual(checkRecipe(buttery, answers), {
+        diet: ['vegan'],
+        preferences: [],
+        calories: [],
+        excluded: [],
+        allergens: ['tree-nuts'],
+    });
+    assert.deepEqual(checkRecipe(vegan, answers).excluded, ['peas']);
+    assert.deepEqual(checkRecipe(vegan, { ...answers, excludeIngredients: [] }), {
+        diet: [], preferences: [], calories: [], excluded: [], allergens: [],
+    });
+});
+
+test('scoreCase scores the first answer apart from the repaired recipe', () => {
+    const testCase = { id: 'vegan', answers: { ...answers, excludeIngredients: [] } };
+    const repaired = scoreCase(testCase, { recipe: vegan }, [JSON.stringify(buttery), JSON.stringify(vegan)]);
+    assert.equal(repaired.schema, 'valid');
+    assert.equal(repaired.attempts, 2);
+    assert.equal(repaired.firstTry, false);
+    assert.equal(repaired.recipeName, 'Test Pulao');
+
+    const first = scoreCase(testCase, { recipe: vegan }, [JSON.stringify(vegan)]);
+    assert.equal(first.firstTry, true);
+
+    // An answer that doesn't parse fails the first try rather than throwing
+    assert.equal(scoreCase(testCase, { recipe: vegan }, ['not json', JSON.stringify(vegan)]).firstTry, false);
+});
+
+test('scoreCase records a failed generation by its error code', () => {
+    const error = new RecipeError(ERROR_CODES.SCHEMA_INVALID, 'Still invalid');
+    const result = scoreCase({ id: 'broken', answers }, { error }, ['{}', '{}', '{}']);
+    assert.deepEqual(result, {
+        id: 'broken', schema: ERROR_CODES.SCHEMA_INVALID, attempts: 3, firstTry: false, recipeName: null, checks: null,
+    });
+});
+
+test('summarize totals the results', () => {
+    const clean = { ...answers, excludeIngredients: [] };
+    const results = [
+        scoreCase({ id: 'a', answers: clean }, { recipe: vegan }, [JSON.stringify(vegan)]),
+        scoreCase({ id: 'b', answers: clean }, { recipe: buttery }, [JSON.stringify(buttery)]),
+        scoreCase({ id: 'c', answers: clean }, { error: new RecipeError(ERROR_CODES.SCHEMA_INVALID, 'x') }, ['{}']),
+    ];
+    assert.deepEqual(summarize(results), {
+        cases: 3,
+        schemaValid: 2,
+        meetsConstraints: 1,
+        allergenFree: 1,
+        firstTry: 1,
+        modelCalls: 3,
+    });
+});
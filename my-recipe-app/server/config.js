@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import { providerConfigFromEnv } from '../src/providers/index.js';
+
+const readInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Server settings come from the environment (or a .env file via dotenv).
+// The API key only ever lives here; the browser never sees it.
+export const config = {
+    port: readInt(process.env.PORT, 8787),
+    provider: providerConfigFromEnv(process.env),
+    rateLimit: {
+        windowMs: readInt(process.env.RATE_LIMIT_WINDOW_MS, 60_000),
+        max: readInt(process.env.RATE_LIMIT_MAX, 10),
+    },
+    // Only honour X-Forwarded-For when running behind a proxy we control
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    maxBodyBytes: 64 * 1024,
+    // Photos for ingredient detection, base64 encoded (MAX_PHOTO_BYTES plus a third)
+    maxPhotoBodyBytes: 6 * 1024 * 1024,
+};
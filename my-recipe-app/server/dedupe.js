@@ -0,0 +1,92 @@
+// Lets everyone waiting for the next event of a shared stream look again
+const wakeFollowers = (entry) => {
+    for (const resolve of entry.wake) resolve();
+    entry.wake.clear();
+};
+
+// Shares one in-flight task between identical concurrent requests: the
+// second "Generate" click with the same answers waits for the first model
+// call instead of paying for another. The shared task is only cancelled
+// once every request waiting on it has gone away, and is forgotten then, so
+// a request arriving just after starts afresh rather than joining it.
+// Each request names a `payer`; the task can ask for the payers of everyone
+// still waiting, to charge them all for any extra calls it makes.
+export const createDeduper = () => {
+    const inFlight = new Map();
+    const streams = new Map();
+
+    const release = (entries, key, entry) => {
+        if (entries.get(key) === entry) entries.delete(key);
+    };
+
+    // The entry for `key` in `entries` with this request waiting on it,
+    // calling `begin(entry, payers)` when there wasn't one running yet
+    const join = (entries, key, signal, payer, begin) => {
+        let entry = entries.get(key);
+        const isNew = !entry;
+        if (isNew) {
+            entry = { controller: new AbortController(), waiting: new Set(), wake: new Set() };
+            entries.set(key, entry);
+        }
+
+        const shared = entry;
+        const waiter = { payer };
+        shared.waiting.add(waiter);
+        signal?.addEventListener('abort', () => {
+            shared.waiting.delete(waiter);
+            if (shared.waiting.size === 0) {
+                release(entries, key, shared);
+                shared.controller.abort();
+            }
+            wakeFollowers(shared);
+        }, { once: true });
+
+        if (isNew) begin(shared, () => [...shared.waiting].map(({ payer: each }) => each));
+        return shared;
+    };
+
+    // Runs `task(signal, payers)` unless a task for `key` is already running,
+    // and resolves with that task's result either way
+    const run = (key, task, signal, payer) => join(inFlight, key, signal, payer, (entry, payers) => {
+        entry.promise = task(entry.controller.signal, payers).finally(() => release(inFlight, key, entry));
+    }).promise;
+
+    // Like run, for a stream of events: `start(signal, payers)` returns an
+    // async iterable, and everyone sharing it gets every event from the
+    // start, including those sent before they joined
+    const stream = (key, start, signal, payer) => {
+        const shared = join(streams, key, signal, payer, (entry, payers) => {
+            Object.assign(entry, { events: [], isDone: false, error: undefined });
+            const pump = async () => {
+                try {
+                    for await (const event of start(entry.controller.signal, payers)) {
+                        entry.events.push(event);
+                        wakeFollowers(entry);
+                    }
+                } catch (err) {
+                    entry.error = err;
+                } finally {
+                    entry.isDone = true;
+                    release(streams, key, entry);
+                    wakeFollowers(entry);
+                }
+            };
+            pump();
+        });
+
+        return (async function* follow() {
+            for (let index = 0; !signal?.aborted;) {
+                if (index < shared.events.length) {
+                    yield shared.events[index++];
+                } else if (shared.isDone) {
+                    if (shared.error) throw shared.error;
+                    return;
+                } else {
+                    await new Promise(resolve => shared.wake.add(resolve));
+                }
+            }
+        })();
+    };
+
+    return { run, stream };
+};
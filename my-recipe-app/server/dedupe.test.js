@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDeduper } from './dedupe.js';
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A task that resolves with `value` once `gate` opens, counting its starts
+const gatedTask = () => {
+    const state = { starts: 0, signals: [] };
+    let open;
+    state.gate = new Promise(resolve => { open = resolve; });
+    state.open = open;
+    state.task = async (signal, payers) => {
+        state.starts++;
+        state.signals.push(signal);
+        state.payers = payers;
+        await Promise.race([state.gate, new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('cancelled'))))]);
+        return `result ${state.starts}`;
+    };
+    return state;
+};
+
+const collect = async (events) => {
+    const seen = [];
+    for await (const event of events) seen.push(event);
+    return seen;
+};
+
+test('run shares one task between identical requests', async () => {
+    const deduper = createDeduper();
+    const state = gatedTask();
+    const first = deduper.run('key', state.task, undefined, 'alice');
+    const second = deduper.run('key', state.task, undefined, 'bob');
+    assert.deepEqual(state.payers(), ['alice', 'bob']);
+    state.open();
+    assert.deepEqual(await Promise.all([first, second]), ['result 1', 'result 1']);
+    assert.equal(state.starts, 1);
+});
+
+test('run keeps the task going until every request has gone', async () => {
+    const deduper = createDeduper();
+    const state = gatedTask();
+    const leaving = new AbortController();
+    deduper.run('key', state.task, leaving.signal, 'alice').catch(() => {});
+    const staying = deduper.run('key', state.task, undefined, 'bob');
+    leaving.abort();
+    assert.equal(state.signals[0].aborted, false);
+    assert.deepEqual(state.payers(), ['bob']);
+    state.open();
+    assert.equal(await staying, 'result 1');
+});
+
+test('run starts afresh after the last request aborts', async () => {
+    const deduper = createDeduper();
+    const state = gatedTask();
+    const controller = new AbortController();
+    const abandoned = deduper.run('key', state.task, controller.signal, 'alice');
+    controller.abort();
+    // Arrives before the aborted task has settled, and mustn't join it
+    const next = deduper.run('key', state.task, undefined, 'bob');
+    await assert.rejects(abandoned, /cancelled/);
+    assert.equal(state.starts, 2);
+    state.open();
+    assert.equal(await next, 'result 2');
+});
+
+test('run forgets a finished task', async () => {
+    const deduper = createDeduper();
+    const state = gatedTask();
+    state.open();
+    await deduper.run('key', state.task);
+    await deduper.run('key', state.task);
+    assert.equal(state.starts, 2);
+});
+
+test('stream replays earlier events to a request that joins late', async () => {
+    const deduper = createDeduper();
+    let starts = 0;
+    async function* start() {
+        starts++;
+        for (const text of ['a', 'b', 'c']) {
+            await tick();
+            yield { type: 'delta', text };
+        }
+    }
+    const first = collect(deduper.stream('key', start));
+    await tick(8);
+    const second = collect(deduper.stream('key', start));
+    assert.deepEqual(await second, await first);
+    assert.equal((await first).length, 3);
+    assert.equal(starts, 1);
+});
+
+test('stream passes a failure on to everyone following it', async () => {
+    const deduper = createDeduper();
+    async function* start() {
+        yield { type: 'delta', text: 'a' };
+        await tick();
+        throw new Error('provider failed');
+    }
+    const first = collect(deduper.stream('key', start));
+    const second = collect(deduper.stream('key', start));
+    await assert.rejects(first, /provider failed/);
+    await assert.rejects(second, /provider failed/);
+});
+
+test('stream cancels the shared stream once its last follower leaves', async () => {
+    const deduper = createDeduper();
+    let sharedSignal;
+    async function* start(signal) {
+        sharedSignal = signal;
+        for (;;) {
+            await tick();
+            signal.throwIfAborted();
+            yield { type: 'delta', text: 'x' };
+        }
+    }
+    const controller = new AbortController();
+    const following = collect(deduper.stream('key', start, controller.signal));
+    await tick(12);
+    controller.abort();
+    await following;
+    assert.equal(sharedSignal.aborted, true);
+});
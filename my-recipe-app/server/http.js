@@ -0,0 +1,83 @@
+import { RecipeError, ERROR_CODES } from '../src/recipe/errors.js';
+
+// HTTP status for each error code the API can return
+const STATUS_BY_CODE = {
+    [ERROR_CODES.INVALID_REQUEST]: 400,
+    [ERROR_CODES.INVALID_ANSWERS]: 422,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.PAYLOAD_TOO_LARGE]: 413,
+    [ERROR_CODES.RATE_LIMITED]: 429,
+    [ERROR_CODES.TRUNCATED]: 502,
+    [ERROR_CODES.BLOCKED]: 502,
+    [ERROR_CODES.MALFORMED_RESPONSE]: 502,
+    [ERROR_CODES.INVALID_RECIPE]: 502,
+    [ERROR_CODES.PROVIDER_ERROR]: 502,
+    // nginx's "client closed request"; nobody is left to read it
+    [ERROR_CODES.CANCELLED]: 499,
+};
+
+export const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const toRecipeError = (err) => {
+    if (err instanceof RecipeError) return err;
+    console.error("Unexpected server error:", err);
+    return new RecipeError(ERROR_CODES.INTERNAL_ERROR, "Something went wrong on our side.");
+};
+
+export const errorBody = (err) => {
+    const { code, message, details } = toRecipeError(err);
+    return { error: { code, message, details } };
+};
+
+export const sendError = (res, err, headers) => {
+    const body = errorBody(err);
+    sendJson(res, STATUS_BY_CODE[body.error.code] || 500, body, headers);
+};
+
+// Writes one event of a newline-delimited JSON stream
+export const sendEvent = (res, event) => {
+    res.write(`${JSON.stringify(event)}\n`);
+};
+
+export const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(new RecipeError(ERROR_CODES.PAYLOAD_TOO_LARGE, "Request body is too large."));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        } catch {
+            reject(new RecipeError(ERROR_CODES.INVALID_REQUEST, "Request body must be valid JSON."));
+            return;
+        }
+        // Every route reads fields off the body; null, a list or a bare
+        // value would fail there as a 500
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            reject(new RecipeError(ERROR_CODES.INVALID_REQUEST, "Request body must be a JSON object."));
+            return;
+        }
+        resolve(body);
+    });
+    req.on('error', reject);
+});
+
+export const clientKey = (req, trustProxy) => {
+    if (trustProxy) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+};
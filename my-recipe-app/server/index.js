@@ -0,0 +1,223 @@
+import { createServer } from 'node:http';
+
+import { config } from './config.js';
+import { createProvider } from '../src/providers/index.js';
+import { generateRecipe, streamRecipe } from '../src/recipe/generate.js';
+import { streamMealPlan, DEFAULT_PLAN_DAYS, MAX_PLAN_DAYS } from '../src/recipe/plan.js';
+import { streamVariations, DEFAULT_VARIATIONS, MAX_VARIATIONS } from '../src/recipe/variations.js';
+import { RecipeError, ERROR_CODES } from '../src/recipe/errors.js';
+import { detectIngredients } from '../src/recipe/photo.js';
+import { suggestSubstitutes } from '../src/recipe/substitution.js';
+import { validateAnswers, validateRefinement, validatePhoto, validateSubstitution } from './validateAnswers.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createDeduper } from './dedupe.js';
+import { answersKey } from '../src/recipe/answers.js';
+import { sendJson, sendError, sendEvent, readJsonBody, clientKey, errorBody } from './http.js';
+
+const provider = createProvider(config.provider);
+const limiter = createRateLimiter(config.rateLimit);
+setInterval(() => limiter.sweep(), config.rateLimit.windowMs).unref();
+const deduper = createDeduper();
+
+const MAX_PARTIAL_TEXT = 32 * 1024;
+
+// Counts `cost` model calls against the client's rate limit. A request
+// turned away costs nothing.
+const checkRateLimit = (req, cost = 1) => {
+    const limit = limiter.hit(clientKey(req, config.trustProxy), { cost });
+    if (!limit.allowed) {
+        throw new RecipeError(ERROR_CODES.RATE_LIMITED, "Too many recipe requests. Please wait a moment and try again.", {
+            retryAfterSeconds: limit.retryAfterSeconds
+        });
+    }
+};
+
+// The provider as a request sees it: calls beyond the `prepaid` ones, which
+// are repairs, are charged as they're made to every client in `payers()`.
+// That's the request's own client, or for a call shared by identical
+// requests (see dedupe.js) the client of each one still waiting.
+const meteredProvider = (payers, prepaid) => {
+    let calls = 0;
+    const count = () => {
+        calls++;
+        if (calls > prepaid) {
+            for (const client of payers()) limiter.charge(client);
+        }
+    };
+    return {
+        ...provider,
+        generate: (request, options) => {
+            count();
+            return provider.generate(request, options);
+        },
+        stream: (request, options) => {
+            count();
+            return provider.stream(request, options);
+        },
+    };
+};
+
+// Shared front half of every recipe route: parse and validate the body,
+// then rate limit. `costOf(body)` is the number of model calls the request
+// starts with; it throws INVALID_REQUEST for a number it can't have.
+// Resolves to the validated body, its cost, the client and the provider to use.
+const acceptRecipeRequest = async (req, costOf = () => 1) => {
+    const body = await readJsonBody(req, config.maxBodyBytes);
+    const { answers, fields } = validateAnswers(body.answers);
+    if (Object.keys(fields).length > 0) {
+        throw new RecipeError(ERROR_CODES.INVALID_ANSWERS, "Some answers are invalid.", { fields });
+    }
+
+    const { partialText = '' } = body;
+    if (typeof partialText !== 'string' || partialText.length > MAX_PARTIAL_TEXT) {
+        throw new RecipeError(ERROR_CODES.INVALID_REQUEST, "partialText must be a string of reasonable length.");
+    }
+
+    const cost = costOf(body);
+    checkRateLimit(req, cost);
+    const client = clientKey(req, config.trustProxy);
+    return { answers, partialText, body, cost, client, provider: meteredProvider(() => [client], cost) };
+};
+
+// A whole number from `min` up to `max` and to the rate limit, which a
+// request costing more could never pass
+const countFrom = (body, name, { fallback, min, max }) => {
+    const value = body[name] ?? fallback;
+    const limit = Math.min(max, config.rateLimit.max);
+    if (!Number.isInteger(value) || value < min || value > limit) {
+        throw new RecipeError(ERROR_CODES.INVALID_REQUEST, `${name} must be a whole number from ${min} to ${limit}.`);
+    }
+    return value;
+};
+
+// Identical answers arriving while one is still being generated share it
+const handleRecipes = async (req, res, signal) => {
+    const { answers, client } = await acceptRecipeRequest(req);
+    const recipe = await deduper.run(answersKey(answers), (shared, payers) => (
+        generateRecipe(meteredProvider(payers, 1), answers, { signal: shared })
+    ), signal, client);
+    sendJson(res, 200, { recipe });
+};
+
+// Streams newline-delimited JSON events (see streamRecipe). Errors that happen
+// after the stream has started arrive as a final { type: 'error' } event.
+const sendEventStream = async (res, events) => {
+    res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+    });
+
+    try {
+        for await (const event of events) {
+            if (res.destroyed) return;
+            sendEvent(res, event);
+        }
+    } catch (err) {
+        if (res.destroyed) return;
+        sendEvent(res, { type: 'error', ...errorBody(err) });
+    }
+    res.end();
+};
+
+// Shared like handleRecipes: a second request for the same answers (and the
+// same text to continue from) follows the first one's stream from the start
+const handleRecipeStream = async (req, res, signal) => {
+    const { answers, partialText, client } = await acceptRecipeRequest(req);
+    const key = JSON.stringify([answersKey(answers), partialText]);
+    await sendEventStream(res, deduper.stream(key, (shared, payers) => (
+        streamRecipe(meteredProvider(payers, 1), answers, { partialText, signal: shared })
+    ), signal, client));
+};
+
+// Revises an existing recipe: body is { answers, history, message, partialText? }
+const handleRecipeRefine = async (req, res, signal) => {
+    const { answers, partialText, body, provider } = await acceptRecipeRequest(req);
+    const { refinement, problem } = validateRefinement(body);
+    if (problem) {
+        throw new RecipeError(ERROR_CODES.INVALID_REQUEST, problem);
+    }
+    await sendEventStream(res, streamRecipe(provider, answers, { partialText, refinement, signal }));
+};
+
+// A meal plan: body is { answers, days? }. Each day is a model call, so
+// every day counts against the rate limit.
+const handleMealPlan = async (req, res, signal) => {
+    const { answers, cost: days, provider } = await acceptRecipeRequest(req, (body) => (
+        countFrom(body, 'days', { fallback: DEFAULT_PLAN_DAYS, min: 1, max: MAX_PLAN_DAYS })
+    ));
+    await sendEventStream(res, streamMealPlan(provider, answers, { days, signal }));
+};
+
+// Several candidates for the same answers: body is { answers, count? }.
+// Each candidate is its own model call and counts against the rate limit.
+const handleVariations = async (req, res, signal) => {
+    const { answers, cost: count, provider } = await acceptRecipeRequest(req, (body) => (
+        countFrom(body, 'count', { fallback: DEFAULT_VARIATIONS, min: 2, max: MAX_VARIATIONS })
+    ));
+    await sendEventStream(res, streamVariations(provider, answers, { count, signal }));
+};
+
+// Substitutes for one ingredient when the browser's table has none: body is
+// { answers, recipe, index }, answers { substitutes: [...] }
+const handleSubstitutes = async (req, res, signal) => {
+    const { answers, body, provider } = await acceptRecipeRequest(req);
+    const { recipe, index, problem } = validateSubstitution(body);
+    if (problem) {
+        throw new RecipeError(ERROR_CODES.INVALID_REQUEST, problem);
+    }
+    const substitutes = await suggestSubstitutes(provider, { recipe, index, answers }, { signal });
+    sendJson(res, 200, { substitutes });
+};
+
+// Ingredients spotted in a photo: body is { image: { mimeType, data } },
+// answers { ingredients: [name, ...] }
+const handlePhotoIngredients = async (req, res, signal) => {
+    checkRateLimit(req);
+    const body = await readJsonBody(req, config.maxPhotoBodyBytes);
+    const { image, problem } = validatePhoto(body);
+    if (problem) {
+        throw new RecipeError(ERROR_CODES.INVALID_REQUEST, problem);
+    }
+    const ingredients = await detectIngredients(provider, image, { signal });
+    sendJson(res, 200, { ingredients });
+};
+
+const routes = {
+    'POST /api/recipes': handleRecipes,
+    'POST /api/recipes/stream': handleRecipeStream,
+    'POST /api/recipes/refine': handleRecipeRefine,
+    'POST /api/recipes/variations': handleVariations,
+    'POST /api/recipes/substitute': handleSubstitutes,
+    'POST /api/plans/stream': handleMealPlan,
+    'POST /api/ingredients/photo': handlePhotoIngredients,
+    'GET /api/health': async (req, res) => sendJson(res, 200, { ok: true, provider: provider.name }),
+};
+
+const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${pathname}`];
+
+    // A client that hangs up before the answer is written cancels the model
+    // calls behind it
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        if (!route) {
+            throw new RecipeError(ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${pathname}.`);
+        }
+        await route(req, res, controller.signal);
+    } catch (err) {
+        if (res.destroyed) return;
+        const headers = err.code === ERROR_CODES.RATE_LIMITED
+            ? { 'Retry-After': String(err.details.retryAfterSeconds) }
+            : undefined;
+        sendError(res, err, headers);
+    }
+});
+
+server.listen(config.port, () => {
+    console.log(`Recipe API listening on http://localhost:${config.port} (provider: ${provider.name})`);
+});
@@ -0,0 +1,45 @@
+// Fixed-window rate limiter keyed by client. Kept in memory, which is fine
+// for the single-process server this is.
+export const createRateLimiter = ({ windowMs, max }) => {
+    const windows = new Map();
+
+    const windowFor = (key, now) => {
+        let entry = windows.get(key);
+        if (!entry || now >= entry.resetAt) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(key, entry);
+        }
+        return entry;
+    };
+
+    // `cost` lets one request count as several, e.g. a meal plan that makes
+    // a model call per day. A request that doesn't fit is turned away whole
+    // and costs nothing.
+    const hit = (key, { cost = 1, now = Date.now() } = {}) => {
+        const entry = windowFor(key, now);
+        const allowed = entry.count + cost <= max;
+        if (allowed) entry.count += cost;
+
+        return {
+            allowed,
+            remaining: Math.max(0, max - entry.count),
+            retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000),
+        };
+    };
+
+    // Counts calls already made, such as repairs in the middle of a request
+    // that can't be turned away any more. They may take the client over the
+    // limit, which its next request then has to wait out.
+    const charge = (key, { cost = 1, now = Date.now() } = {}) => {
+        windowFor(key, now).count += cost;
+    };
+
+    // Drop expired windows so the map doesn't grow forever
+    const sweep = (now = Date.now()) => {
+        for (const [key, entry] of windows) {
+            if (now >= entry.resetAt) windows.delete(key);
+        }
+    };
+
+    return { hit, charge, sweep };
+};
@@ -0,0 +1,169 @@
+import { CONSTRAINT_IDS, DIET_CONSTRAINTS } from '../src/safety/diets.js';
+import { normalizeAnswers, MAX_NAME_LIST } from '../src/recipe/answers.js';
+import { validateRecipe } from '../src/recipe/validate.js';
+import { MAX_REFINEMENT_TURNS } from '../src/recipe/prompt.js';
+import { MIN_CALORIE_LIMIT, MAX_CALORIE_LIMIT } from '../src/nutrition/estimate.js';
+import { PHOTO_MIME_TYPES, MAX_PHOTO_BYTES } from '../src/recipe/photo.js';
+import { LOCALE_IDS, DEFAULT_LOCALE } from '../src/i18n/locales.js';
+import {
+    CUISINE_IDS, SKILL_LEVEL_IDS, EQUIPMENT_IDS, MIN_TOTAL_MINUTES, MAX_TOTAL_MINUTES, MAX_SERVINGS,
+} from '../src/recipe/preferences.js';
+
+const TEXT_FIELDS = {
+    ingredients: 500,
+    allergies: 300,
+    specialRequest: 300,
+};
+
+const MAX_NAME_LENGTH = 60;
+
+// Checks the `answers` payload sent by the form. Returns the cleaned answers
+// plus a map of field name -> message for anything that was rejected.
+export const validateAnswers = (input) => {
+    const fields = {};
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { answers: null, fields: { answers: "Expected an object." } };
+    }
+    input = normalizeAnswers(input);
+
+    const answers = {};
+    for (const [name, maxLength] of Object.entries(TEXT_FIELDS)) {
+        const value = input[name] ?? '';
+        if (typeof value !== 'string') {
+            fields[name] = "Must be text.";
+        } else if (value.length > maxLength) {
+            fields[name] = `Must be at most ${maxLength} characters.`;
+        } else {
+            answers[name] = value.trim();
+        }
+    }
+
+    const constraints = input.constraints ?? [];
+    if (!Array.isArray(constraints) || constraints.some(id => !CONSTRAINT_IDS.includes(id))) {
+        fields.constraints = `Must be a list drawn from: ${CONSTRAINT_IDS.join(', ')}.`;
+    } else if (DIET_CONSTRAINTS.some(({ id, conflicts }) => constraints.includes(id) && conflicts.some(other => constraints.includes(other)))) {
+        fields.constraints = "Contains constraints that can't be combined.";
+    } else {
+        answers.constraints = [...new Set(constraints)];
+    }
+
+    // Ingredients to leave out, added by "regenerate without X", and pantry
+    // items to use up first, soonest expiry first
+    for (const name of ['excludeIngredients', 'useFirst']) {
+        const list = input[name] ?? [];
+        if (!Array.isArray(list) || list.length > MAX_NAME_LIST
+            || list.some(item => typeof item !== 'string' || !item.trim() || item.length > MAX_NAME_LENGTH)) {
+            fields[name] = `Must be a list of at most ${MAX_NAME_LIST} short ingredient names.`;
+        } else if (list.length > 0) {
+            answers[name] = list.map(item => item.trim());
+        }
+    }
+
+    const maxCalories = input.maxCalories ?? null;
+    if (maxCalories !== null) {
+        if (!Number.isInteger(maxCalories) || maxCalories < MIN_CALORIE_LIMIT || maxCalories > MAX_CALORIE_LIMIT) {
+            fields.maxCalories = `Must be a whole number between ${MIN_CALORIE_LIMIT} and ${MAX_CALORIE_LIMIT}.`;
+        } else {
+            answers.maxCalories = maxCalories;
+        }
+    }
+
+    // Cooking preferences: picked from fixed lists, or whole numbers
+    for (const [name, ids] of [['cuisine', CUISINE_IDS], ['skillLevel', SKILL_LEVEL_IDS]]) {
+        const value = input[name] ?? '';
+        if (value !== '' && !ids.includes(value)) {
+            fields[name] = `Must be one of: ${ids.join(', ')}.`;
+        } else if (value) {
+            answers[name] = value;
+        }
+    }
+
+    const equipment = input.equipment ?? [];
+    if (!Array.isArray(equipment) || equipment.some(id => !EQUIPMENT_IDS.includes(id))) {
+        fields.equipment = `Must be a list drawn from: ${EQUIPMENT_IDS.join(', ')}.`;
+    } else if (equipment.length > 0) {
+        answers.equipment = [...new Set(equipment)];
+    }
+
+    for (const [name, min, max] of [['maxTotalMinutes', MIN_TOTAL_MINUTES, MAX_TOTAL_MINUTES], ['servings', 1, MAX_SERVINGS]]) {
+        const value = input[name] ?? null;
+        if (value === null) continue;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            fields[name] = `Must be a whole number between ${min} and ${max}.`;
+        } else {
+            answers[name] = value;
+        }
+    }
+
+    // The language to write the recipe in; requests from before there was a
+    // choice get English
+    const language = input.language ?? DEFAULT_LOCALE;
+    if (!LOCALE_IDS.includes(language)) {
+        fields.language = `Must be one of: ${LOCALE_IDS.join(', ')}.`;
+    } else {
+        answers.language = language;
+    }
+
+    return { answers, fields };
+};
+
+const MAX_MESSAGE_LENGTH = 300;
+
+// Checks the conversation sent with a refinement request. Returns
+// { refinement } or { problem } describing what's wrong.
+export const validateRefinement = (body) => {
+    const { history, message } = body;
+    if (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH) {
+        return { problem: `message must be between 1 and ${MAX_MESSAGE_LENGTH} characters.` };
+    }
+    if (!Array.isArray(history) || history.length === 0 || history.length > MAX_REFINEMENT_TURNS) {
+        return { problem: `history must list between 1 and ${MAX_REFINEMENT_TURNS} versions of the recipe.` };
+    }
+
+    const turns = [];
+    for (const turn of history) {
+        const request = turn?.request ?? '';
+        if (typeof request !== 'string' || request.length > MAX_MESSAGE_LENGTH) {
+            return { problem: "Each history entry needs a short request." };
+        }
+        const { value, errors } = validateRecipe(turn?.recipe);
+        if (errors.length > 0) {
+            return { problem: "Each history entry needs a valid recipe." };
+        }
+        turns.push({ request, recipe: value });
+    }
+
+    return { refinement: { history: turns, message: message.trim() } };
+};
+
+// Checks the recipe and ingredient sent with a substitution request:
+// { recipe, index }. Returns { recipe, index } or { problem }.
+export const validateSubstitution = (body) => {
+    const { value, errors } = validateRecipe(body.recipe);
+    if (errors.length > 0) {
+        return { problem: "recipe must be a valid recipe." };
+    }
+    const { index } = body;
+    if (!Number.isInteger(index) || index < 0 || index >= value.ingredients.length) {
+        return { problem: "index must point at one of the recipe's ingredients." };
+    }
+    return { recipe: value, index };
+};
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Checks the photo sent for ingredient detection: { image: { mimeType, data } }
+// with data in base64. Returns { image } or { problem } describing what's wrong.
+export const validatePhoto = (body) => {
+    const { mimeType, data } = body.image ?? {};
+    if (!PHOTO_MIME_TYPES.includes(mimeType)) {
+        return { problem: `image.mimeType must be one of: ${PHOTO_MIME_TYPES.join(', ')}.` };
+    }
+    if (typeof data !== 'string' || !data || data.length % 4 !== 0 || !BASE64.test(data)) {
+        return { problem: "image.data must be the photo encoded in base64." };
+    }
+    if (data.length / 4 * 3 > MAX_PHOTO_BYTES) {
+        return { problem: `The photo must be at most ${MAX_PHOTO_BYTES / (1024 * 1024)} MB.` };
+    }
+    return { image: { mimeType, data } };
+};
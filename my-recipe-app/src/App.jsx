@@ -1,12 +1,19 @@
 // src/App.jsx
 import React from 'react';
 import RecipeGeneratorApp from './chefApp'; // Adjust path as needed
+import { I18nContext } from './i18n/context.js';
+import { useLocale } from './i18n/useLocale.js';
 
 function App() {
+  // The app's language, for every component below (see src/i18n/)
+  const i18n = useLocale();
+
   return (
-    <div className="App">
-      <RecipeGeneratorApp />
-    </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="App">
+        <RecipeGeneratorApp />
+      </div>
+    </I18nContext.Provider>
   );
 }
 
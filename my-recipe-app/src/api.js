@@ -0,0 +1,121 @@
+import { RecipeError, ERROR_CODES } from './recipe/errors.js';
+import { MAX_REFINEMENT_TURNS } from './recipe/prompt.js';
+
+// All model calls go through our own server (see server/), which holds the
+// API key. In dev Vite proxies /api to it; VITE_API_BASE_URL overrides that.
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
+
+const cancelled = () => new RecipeError(ERROR_CODES.CANCELLED, "The request was cancelled.");
+
+// Pass `signal` to be able to cancel; a cancelled request rejects with CANCELLED
+const post = async (path, body, { signal } = {}) => {
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch {
+        if (signal?.aborted) throw cancelled();
+        throw new RecipeError(ERROR_CODES.NETWORK_ERROR, "Could not reach the recipe server. Check your connection and try again.");
+    }
+
+    if (!response.ok) {
+        const error = (await response.json().catch(() => null))?.error;
+        throw new RecipeError(
+            error?.code || ERROR_CODES.INTERNAL_ERROR,
+            error?.message || `HTTP error! status: ${response.status}`,
+            error?.details
+        );
+    }
+    return response;
+};
+
+export const requestRecipe = async (answers, { signal } = {}) => {
+    const response = await post('/api/recipes', { answers }, { signal });
+    const { recipe } = await response.json();
+    return recipe;
+};
+
+// Reads the newline-delimited JSON events the server streams back, yielding
+// the events described in src/recipe/generate.js. A connection that drops
+// before the final event surfaces as a NETWORK_ERROR so the caller can offer
+// to continue; aborting `signal` surfaces as CANCELLED.
+async function* readEventStream(path, body, { signal } = {}) {
+    const response = await post(path, body, { signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+
+            for (const line of lines.filter(Boolean)) {
+                const event = JSON.parse(line);
+                if (event.type === 'error') {
+                    throw new RecipeError(event.error.code, event.error.message, event.error.details);
+                }
+                yield event;
+                if (event.type === 'done' || event.type === 'truncated') return;
+            }
+
+            if (done) break;
+        }
+    } catch (err) {
+        if (err instanceof RecipeError) throw err;
+        if (signal?.aborted) throw cancelled();
+        throw new RecipeError(ERROR_CODES.NETWORK_ERROR, "The connection dropped while the recipe was being written.");
+    }
+
+    throw new RecipeError(ERROR_CODES.NETWORK_ERROR, "The connection dropped while the recipe was being written.");
+}
+
+export const streamRecipe = (answers, { partialText, signal } = {}) =>
+    readEventStream('/api/recipes/stream', { answers, partialText }, { signal });
+
+// Asks for a revised version of a recipe. `history` lists the versions so far
+// as { request, recipe }, oldest first; only the most recent are sent.
+// `message` is the change to make.
+export const streamRefinement = (answers, { history, message, partialText, signal }) =>
+    readEventStream('/api/recipes/refine', {
+        answers,
+        history: history.slice(-MAX_REFINEMENT_TURNS),
+        message,
+        partialText,
+    }, { signal });
+
+// Streams a meal plan: a { type: 'day', index, recipe } event per day, then
+// { type: 'done', recipes }
+export const streamMealPlan = (answers, { days, signal }) =>
+    readEventStream('/api/plans/stream', { answers, days }, { signal });
+
+// Streams several candidate recipes as { type: 'variation', index, recipe }
+// (or `error` instead of `recipe` for one that failed), in the order they
+// finish, then { type: 'done', count }
+export const streamVariations = (answers, { count, signal }) =>
+    readEventStream('/api/recipes/variations', { answers, count }, { signal });
+
+// Substitutes for ingredient `index` of `recipe` from the model, for when
+// the local table has none (see src/substitution/)
+export const requestSubstitutes = async (answers, { recipe, index, signal }) => {
+    const response = await post('/api/recipes/substitute', { answers, recipe, index }, { signal });
+    const { substitutes } = await response.json();
+    return substitutes;
+};
+
+// The ingredients spotted in a photo ({ mimeType, data } with data in
+// base64), as a list of names
+export const detectIngredients = async (image, { signal } = {}) => {
+    const response = await post('/api/ingredients/photo', { image }, { signal });
+    const { ingredients } = await response.json();
+    return ingredients;
+};
@@ -0,0 +1,46 @@
+import { getAll, get, put, remove } from '../storage/db.js';
+import { answersKey } from '../recipe/answers.js';
+
+const STORE = 'cache';
+
+// Cached recipes are { key, answers, recipe, createdAt }, keyed on
+// answersKey. Entries from before answers were kept have none.
+export const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const MAX_CACHED_RECIPES = 50;
+
+const isFresh = (entry, now) => now - entry.createdAt < CACHE_TTL_MS;
+
+// The recipe generated earlier for equivalent answers, or null. The cache is
+// only a saving, so storage failures read as a miss.
+export const getCachedRecipe = async (answers, now = Date.now()) => {
+    try {
+        const entry = await get(STORE, answersKey(answers));
+        return entry && isFresh(entry, now) ? entry.recipe : null;
+    } catch {
+        return null;
+    }
+};
+
+// Stores (or replaces) the recipe for these answers, dropping expired
+// entries and the oldest ones beyond MAX_CACHED_RECIPES
+export const cacheRecipe = async (answers, recipe, now = Date.now()) => {
+    try {
+        await put(STORE, { key: answersKey(answers), answers, recipe, createdAt: now });
+        const entries = (await getAll(STORE)).sort((a, b) => b.createdAt - a.createdAt);
+        const stale = entries.filter((entry, index) => index >= MAX_CACHED_RECIPES || !isFresh(entry, now));
+        await Promise.all(stale.map(entry => remove(STORE, entry.key)));
+    } catch (err) {
+        console.warn("Couldn't cache the recipe:", err);
+    }
+};
+
+// Recently generated recipes that haven't expired, newest first. They stay
+// readable offline, like the library.
+export const listCachedRecipes = async (now = Date.now()) => {
+    try {
+        const entries = await getAll(STORE);
+        return entries.filter(entry => isFresh(entry, now)).sort((a, b) => b.createdAt - a.createdAt);
+    } catch {
+        return [];
+    }
+};
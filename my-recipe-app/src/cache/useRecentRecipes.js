@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+import { listCachedRecipes } from './recipeCache.js';
+
+// Recently generated recipes, newest first. Re-read every time `isShown`
+// turns on, since generating adds to them.
+export const useRecentRecipes = (isShown) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!isShown) return undefined;
+        let isCurrent = true;
+        listCachedRecipes().then(listed => {
+            if (isCurrent) setEntries(listed);
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [isShown]);
+
+    return entries;
+};
@@ -1,711 +1,623 @@
-import React, { useState, useCallback } from 'react';
-import { ChefHat, CookingPot, Timer, Utensils, AlertTriangle, Loader2 } from 'lucide-react';
-
-// Configuration for the Gemini API call
-const API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent";
-const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-
-const recipeSchema = {
-    type: "OBJECT",
-    properties: {
-        recipeName: {
-            type: "STRING",
-            description: "A creative and appetizing name for the dish."
-        },
-        description: {
-            type: "STRING",
-            description: "A brief, appealing description of the final dish."
-        },
-        ingredients: {
-            type: "ARRAY",
-            items: { type: "STRING" },
-            description: "A list of all ingredients with specific quantities."
-        },
-        instructions: {
-            type: "ARRAY",
-            items: { type: "STRING" },
-            description: "Step-by-step instructions for preparing the dish."
-        },
-        prepTimeMinutes: {
-            type: "INTEGER",
-            description: "The estimated total time (prep + cook) in minutes."
-        }
-    },
-    required: ["recipeName", "ingredients", "instructions", "prepTimeMinutes"]
-};
-
-// Utility function to handle API calls with exponential backoff
-const fetchWithRetry = async (url, options, maxRetries = 3) => {
-    let lastError;
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const response = await fetch(url, options);
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorMessage = `HTTP error! status: ${response.status}`;
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    if (errorJson.error && errorJson.error.message) {
-                        errorMessage = `API Error: ${errorJson.error.message} (${response.status})`;
-                    }
-                } catch (e) {
-                    // Fallback to text if not JSON
-                    if (errorText) errorMessage = `API Error: ${errorText} (${response.status})`;
-                }
-                throw new Error(errorMessage);
-            }
-            return response;
-        } catch (error) {
-            console.error(`Attempt ${i + 1} failed:`, error);
-            lastError = error;
-            if (i < maxRetries - 1) {
-                const delay = Math.pow(2, i) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
-    }
-    throw lastError;
-};
-
+import React, { useState } from 'react';
+import { CookingPot, AlertTriangle, Loader2, BookOpen, Bookmark, BookmarkCheck, Refrigerator, PackageMinus, CalendarDays, Upload, Shuffle, History, CircleStop, WifiOff, Languages, ShieldCheck } from 'lucide-react';
+import './chefApp.css';
+
+import RecipeCard from './components/recipeCard.jsx';
+import RecipeLibrary from './components/recipeLibrary.jsx';
+import AllergenWarning from './components/allergenWarning.jsx';
+import DietWarning from './components/dietWarning.jsx';
+import PreferenceWarning from './components/preferenceWarning.jsx';
+import RefinementPanel from './components/refinementPanel.jsx';
+import { useRecipeChecks } from './safety/useRecipeChecks.js';
+import { DIET_CONSTRAINTS } from './safety/diets.js';
+import { DEFAULT_ANSWERS, IMPORTED_ANSWERS, normalizeAnswers, MAX_NAME_LIST } from './recipe/answers.js';
+import { CUISINES, SKILL_LEVELS, EQUIPMENT, TOTAL_MINUTE_CHOICES, MAX_SERVINGS } from './recipe/preferences.js';
+import { useAnswerForm } from './recipe/useAnswerForm.js';
+import { useRecipeSession } from './recipe/useRecipeSession.js';
+import { useRecentRecipes } from './cache/useRecentRecipes.js';
+import OfflineQueue from './components/offlineQueue.jsx';
+import RecentRecipes from './components/recentRecipes.jsx';
+import { useRecipeLibrary } from './library/useRecipeLibrary.js';
+import PantryManager from './components/pantryManager.jsx';
+import PantryPicker from './components/pantryPicker.jsx';
+import PhotoIngredients from './components/photoIngredients.jsx';
+import DictationButton from './components/dictationButton.jsx';
+import PantryDeduction from './components/pantryDeduction.jsx';
+import { usePantry } from './pantry/usePantry.js';
+import { withPantryPriorities } from './pantry/usage.js';
+import MealPlanner from './components/mealPlanner.jsx';
+import { useMealPlan } from './plan/useMealPlan.js';
+import VariationPicker from './components/variationPicker.jsx';
+import { useVariations } from './compare/useVariations.js';
+import { MAX_VARIATIONS } from './recipe/variations.js';
+import { MIN_CALORIE_LIMIT, MAX_CALORIE_LIMIT } from './nutrition/estimate.js';
+import ShareButton from './components/shareButton.jsx';
+import SharedRecipe from './components/sharedRecipe.jsx';
+import { sharePayload } from './share/shareLink.js';
+import { useRoute } from './routing/useRoute.js';
+import { useI18n } from './i18n/context.js';
+import { LOCALES } from './i18n/locales.js';
+import { describeError } from './i18n/describeError.js';
 
 const App = () => {
-    const [answers, setAnswers] = useState({
-        ingredients: '',
-        diet: 'veg', // 'veg' or 'non-veg'
-        fatType: 'oil', // 'butter' or 'oil'
-        allergies: '',
-        specialRequest: ''
+    const { t, locale, setLocale } = useI18n();
+    const {
+        answers, setAnswers,
+        handleChange, handleDictation, handleCaloriesChange, handleLimitChange,
+        handleEquipmentToggle, handlePantryToggle, handlePhotoIngredients, handleConstraintToggle,
+    } = useAnswerForm();
+    const [view, setView] = useState('create'); // 'create', 'library', 'pantry' or 'planner'
+    // A /recipe/... share link takes over the page until the user moves on
+    const route = useRoute();
+    const sharedPayload = sharePayload(route);
+    const shownView = sharedPayload !== null ? 'shared' : view;
+    const library = useRecipeLibrary();
+    const pantry = usePantry();
+    const mealPlan = useMealPlan();
+    // How many candidates to generate; more than one shows them side by side
+    const [optionCount, setOptionCount] = useState(1);
+    const variations = useVariations();
+    // The recipe whose ingredients are being taken out of the pantry, if any
+    const [deductingFor, setDeductingFor] = useState(null);
+    // Recently generated recipes, listed under My Recipes
+    const recentRecipes = useRecentRecipes(shownView === 'library');
+    // Name of a recipe from the offline queue that finished while something
+    // else was on screen
+    const [readyFromQueue, setReadyFromQueue] = useState(null);
+
+    // A recipe asked for offline is ready: it's shown if the Create view is
+    // still waiting for it, otherwise we point at where it went
+    const session = useRecipeSession(answers, {
+        canShowQueued: shownView === 'create',
+        onQueuedElsewhere: (readyRecipe) => setReadyFromQueue(readyRecipe.recipeName),
     });
-    const [recipe, setRecipe] = useState(null);
-    const [isLoading, setIsLoading] = useState(false);
-    const [error, setError] = useState(null);
+    const {
+        queue, recipe, versions, versionIndex, recipeAnswers, savedId, importNotes, draft, isCutOff, isLoading, isFromCache,
+    } = session;
+    const {
+        blockAllergens, setBlockAllergens, allergenFindings, dietViolations, preferenceProblems, isBlocked, isDraftHeld,
+    } = useRecipeChecks(recipe, recipeAnswers, session.showBlocked);
+
+    // Stops whatever the Create form started, one recipe or a comparison
+    const cancelGeneration = () => {
+        session.cancel();
+        variations.cancel();
+    };
 
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setAnswers(prev => ({ ...prev, [name]: value }));
+    const generateRecipe = (requestAnswers = answers, options) => {
+        variations.clear();
+        session.generate(requestAnswers, options);
     };
 
-    const generateRecipe = useCallback(async () => {
-        setError(null);
-        setIsLoading(true);
-        setRecipe(null);
-
-        // 1. Construct the detailed user prompt
-        const userQuery = `Generate a single, unique food recipe based on the following strict criteria:
-- Main Ingredients: ${answers.ingredients || 'I have no specific ingredients, be creative.'}
-- Dietary Type: ${answers.diet === 'veg' ? 'Strictly Vegetarian' : 'Non-Vegetarian'}
-- Cooking Fat: Use ${answers.fatType} exclusively.
-- Allergies to Avoid: ${answers.allergies || 'None, ensure safety.'}
-- Special Request/Style: ${answers.specialRequest || 'Make it simple and delicious.'}
-The entire response MUST be a single JSON object conforming to the provided schema. DO NOT include any text outside the JSON structure.`;
-
-        // 2. Construct the API payload
-        const payload = {
-            contents: [
-                {
-                    parts: [
-                        {
-                            text: `You are an expert, world-class chef AI. 
-                            Your sole purpose is to create novel, detailed, and delicious recipes that strictly adhere to all user criteria and restrictions. 
-                            Output only a valid JSON object with the following schema:
-                            ${JSON.stringify(recipeSchema)}
-
-                            User request:
-                            ${userQuery}`
-                        }
-                    ]
-                }
-            ],
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 4096
-            }
-        };
-
-
-        try {
-            const response = await fetchWithRetry(`${API_URL}?key=${apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(payload)
-            });
-
-            const result = await response.json();
-            console.log(result);
-
-            const candidate = result.candidates?.[0];
-            if (!candidate?.content?.parts?.[0]?.text) {
-                const errorMessage = result.error?.message || "Received an empty or malformed response from the AI.";
-                throw new Error(errorMessage);
-            }
-
-            if (candidate.finishReason && candidate.finishReason !== "STOP") {
-                console.warn("AI Finish Reason:", candidate.finishReason);
-                // If it's pure truncation, we warn but try to parse what we have (though it usually fails for JSON)
-                if (candidate.finishReason === "MAX_TOKENS") {
-                    throw new Error("Recipe generation was cut off (token limit reached). Please try again.");
-                }
-                if (candidate.finishReason === "SAFETY") {
-                    throw new Error("Recipe generation was blocked for safety reasons.");
-                }
-            }
-
-            const contentText = candidate.content.parts[0].text;
-
-            // Robust cleanup: Find the first '{' and the last '}'
-            const startIndex = contentText.indexOf('{');
-            const endIndex = contentText.lastIndexOf('}');
-
-            if (startIndex === -1 || endIndex === -1) {
-                console.error("Full AI Response:", contentText);
-                throw new Error(`No JSON object found. AI Response: ${contentText.substring(0, 100)}...`);
-            }
-
-            const jsonString = contentText.substring(startIndex, endIndex + 1);
-            const parsedRecipe = JSON.parse(jsonString);
-
-            if (!parsedRecipe.recipeName || !Array.isArray(parsedRecipe.ingredients)) {
-                throw new Error("Generated JSON is missing core recipe fields.");
-            }
-
-            setRecipe(parsedRecipe);
-
-        } catch (err) {
-            console.error("Recipe generation failed:", err);
-            setError(`Failed to generate recipe: ${err.message}. Please refine your input and try again.`);
-        } finally {
-            setIsLoading(false);
+    // Another take on the same answers, skipping (and then replacing) the cached one
+    const generateNewVariation = () => generateRecipe(recipeAnswers, { fresh: true });
+
+    // New recipes are written in the language the app is shown in. Refining,
+    // continuing or regenerating one keeps the language it was made in.
+    const withLanguage = (requestAnswers) => ({ ...requestAnswers, language: locale });
+
+    const submitAnswers = () => {
+        const requestAnswers = withLanguage(withPantryPriorities(answers, pantry.items));
+        if (optionCount === 1) {
+            generateRecipe(requestAnswers, { formAnswers: answers });
+            return;
         }
-    }, [answers]);
+        session.clear();
+        variations.compare(requestAnswers, optionCount);
+    };
 
-    const renderRecipeCard = (recipe) => (
-        <div className="recipe-card animate-in">
-            <div className="recipe-header">
-                <ChefHat className="icon-header" size={32} />
-                <h2 className="recipe-name">{recipe.recipeName}</h2>
-            </div>
+    const shownError = (session.error && describeError(t, session.error)) || (variations.error && describeError(t, variations.error));
 
-            <p className="recipe-description">{recipe.description}</p>
+    // "Regenerate without X": same answers, plus an explicit list of what to
+    // leave out. After many rounds the oldest names make way for the newest,
+    // so the list stays within what the server accepts.
+    const regenerateWithout = (hits) => {
+        const excluded = new Set([...hits.map(hit => hit.term), ...(recipeAnswers.excludeIngredients || [])]);
+        generateRecipe({ ...recipeAnswers, excludeIngredients: [...excluded].slice(0, MAX_NAME_LIST) });
+    };
 
-            <div className="recipe-time">
-                <Timer size={16} style={{ marginRight: '8px' }} />
-                {recipe.prepTimeMinutes} Minutes Total
-            </div>
+    const saveCurrentRecipe = async () => {
+        const entry = await library.save(recipe, recipeAnswers);
+        if (entry) session.markSaved(entry.id);
+    };
 
-            <div className="recipe-details-grid">
-                {/* Ingredients */}
-                <div className="ingredients-box">
-                    <h3 className="details-title">
-                        <Utensils size={20} style={{ marginRight: '8px' }} /> Ingredients
-                    </h3>
-                    <ul className="details-list">
-                        {recipe.ingredients.map((item, index) => (
-                            <li key={index}>{item}</li>
-                        ))}
-                    </ul>
-                </div>
-
-                {/* Instructions */}
-                <div className="instructions-box">
-                    <h3 className="details-title">
-                        <CookingPot size={20} style={{ marginRight: '8px' }} /> Instructions
-                    </h3>
-                    <ol className="details-list ordered">
-                        {recipe.instructions.map((step, index) => (
-                            <li key={index}>{step}</li>
-                        ))}
-                    </ol>
-                </div>
-            </div>
-        </div>
-    );
+    const deductFromPantry = async (rows) => {
+        await pantry.deduct(rows);
+        setDeductingFor(null);
+    };
+
+    const openView = (next) => {
+        setView(next);
+        if (sharedPayload !== null) route.navigate('/');
+    };
+
+    // Shows a recipe made earlier (saved, shared, or from the meal plan) on the Create view
+    const showRecipe = (shownRecipe, shownAnswers, id = null, notes = []) => {
+        session.show(shownRecipe, shownAnswers, id, notes);
+        openView('create');
+    };
+
+    const openSavedRecipe = (entry) => showRecipe(entry.recipe, entry.answers, entry.id);
+
+    // Cache entries from before answers were kept get neutral ones, like imports
+    const openRecentRecipe = (entry) => showRecipe(entry.recipe, entry.answers ?? IMPORTED_ANSWERS);
+
+    // An imported recipe wasn't made from any answers; give it neutral ones so
+    // it can still be refined and regenerated
+    const openImportedRecipe = ({ recipe: imported, notes }) => showRecipe(imported, IMPORTED_ANSWERS, null, notes);
+
+    const planMeals = (days) => mealPlan.planWeek(withLanguage(withPantryPriorities(answers, pantry.items)), days);
+
+    const regenerateSavedRecipe = (entry) => {
+        const savedAnswers = { ...DEFAULT_ANSWERS, ...normalizeAnswers(entry.answers) };
+        setAnswers(savedAnswers);
+        setView('create');
+        // Kept in the language it was made in, which for entries saved
+        // before there was a choice is DEFAULT_ANSWERS' English
+        generateRecipe(savedAnswers);
+    };
 
     return (
         <div className="app-container">
-            <style>
-                {`
-                    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap');
-                    
-                    /* === DESIGN SYSTEM === */
-                    :root {
-                        --primary: #4f46e5;      /* Indigo 600 */
-                        --primary-hover: #4338ca; /* Indigo 700 */
-                        --secondary: #ec4899;    /* Pink 500 */
-                        --bg-color: #f8fafc;     /* Slate 50 */
-                        --card-bg: #ffffff;
-                        --text-main: #0f172a;    /* Slate 900 */
-                        --text-muted: #64748b;   /* Slate 500 */
-                        --border-color: #e2e8f0; /* Slate 200 */
-                        
-                        --shadow-sm: 0 1px 2px 0 rgb(0 0 0 / 0.05);
-                        --shadow-md: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);
-                        --shadow-lg: 0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1);
-                        --shadow-xl: 0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1);
-                        
-                        --radius-md: 12px;
-                        --radius-lg: 16px;
-                    }
-
-                    /* === BASE POINTERS === */
-                    .app-container {
-                        min-height: 100vh;
-                        background-color: var(--bg-color);
-                        padding: 20px 16px;
-                        font-family: 'Inter', sans-serif;
-                        color: var(--text-main);
-                        display: flex;
-                        justify-content: center;
-                    }
-
-                    .main-content {
-                        width: 100%;
-                        max-width: 1200px;
-                        margin: 0 auto;
-                        display: flex;
-                        flex-direction: column;
-                        gap: 24px;
-                    }
-
-                    /* === RESPONSIVE LAYOUT === */
-                    @media (min-width: 768px) {
-                        .app-container { padding: 40px 32px; }
-                        .main-content { gap: 40px; }
-                    }
-                    @media (min-width: 1024px) {
-                        .app-container { padding: 60px 40px; }
-                    }
-
-                    /* === HEADER === */
-                    .header {
-                        text-align: center;
-                        padding: 20px 0;
-                        animation: fadeInDown 0.6s ease-out;
-                    }
-                    .header h1 {
-                        font-size: 2.25rem;
-                        font-weight: 800;
-                        background: linear-gradient(135deg, var(--primary) 0%, var(--secondary) 100%);
-                        -webkit-background-clip: text;
-                        -webkit-text-fill-color: transparent;
-                        margin: 0 0 16px 0;
-                        letter-spacing: -0.025em;
-                        line-height: 1.1;
-                    }
-                    .header p {
-                        font-size: 1.1rem;
-                        color: var(--text-muted);
-                        margin: 0 auto;
-                        max-width: 600px;
-                        line-height: 1.5;
-                    }
-                    @media (min-width: 768px) {
-                        .header h1 { font-size: 3.5rem; }
-                        .header p { font-size: 1.25rem; }
-                    }
-
-                    /* === FORM CARD === */
-                    .form-card {
-                        background: var(--card-bg);
-                        border-radius: var(--radius-lg);
-                        box-shadow: var(--shadow-lg);
-                        padding: 24px;
-                        border: 1px solid var(--border-color);
-                        transition: transform 0.2s ease;
-                        max-width: 800px;
-                        margin: 0 auto;
-                        width: 100%;
-                        box-sizing: border-box;
-                    }
-                    @media (min-width: 1024px) {
-                        .form-card:hover { transform: translateY(-2px); }
-                        .form-card { padding: 40px; }
-                    }
-
-                    .form-group { margin-bottom: 24px; }
-                    
-                    .form-label {
-                        display: block;
-                        font-size: 0.95rem;
-                        font-weight: 600;
-                        color: var(--text-main);
-                        margin-bottom: 8px;
-                    }
-
-                    .text-input {
-                        width: 100%;
-                        padding: 14px 16px;
-                        border: 1px solid var(--border-color);
-                        border-radius: var(--radius-md);
-                        font-size: 1rem;
-                        transition: all 0.2s;
-                        background-color: #f8fafc;
-                        color: var(--text-main);
-                        box-sizing: border-box;
-                    }
-                    .text-input:focus {
-                        border-color: var(--primary);
-                        background-color: white;
-                        outline: none;
-                        box-shadow: 0 0 0 4px rgba(79, 70, 229, 0.1);
-                    }
-
-                    /* Radio Grid */
-                    .radio-group {
-                        display: grid;
-                        grid-template-columns: 1fr;
-                        gap: 12px;
-                    }
-                    @media (min-width: 500px) {
-                        .radio-group { grid-template-columns: repeat(2, 1fr); }
-                    }
-
-                    .radio-label {
-                        display: flex;
-                        align-items: center;
-                        cursor: pointer;
-                        padding: 12px 16px;
-                        border: 1px solid var(--border-color);
-                        border-radius: var(--radius-md);
-                        transition: all 0.2s;
-                        background-color: white;
-                    }
-                    .radio-label:hover {
-                        border-color: var(--primary);
-                        background-color: #eef2ff;
-                    }
-                    .radio-label:has(input:checked) {
-                        border-color: var(--primary);
-                        background-color: #eef2ff;
-                        box-shadow: 0 0 0 2px rgba(79, 70, 229, 0.1);
-                    }
-                    .radio-input {
-                        margin-right: 12px;
-                        accent-color: var(--primary);
-                        width: 18px;
-                        height: 18px;
-                    }
-                    .radio-label span { font-weight: 500; }
-
-                    /* Button */
-                    .btn-submit {
-                        width: 100%;
-                        display: flex;
-                        justify-content: center;
-                        align-items: center;
-                        padding: 16px;
-                        border: none;
-                        border-radius: var(--radius-md);
-                        font-size: 1.1rem;
-                        font-weight: 700;
-                        color: white;
-                        background: radial-gradient(circle at top left, var(--primary), var(--primary-hover));
-                        box-shadow: 0 4px 12px rgba(79, 70, 229, 0.3);
-                        cursor: pointer;
-                        transition: all 0.3s;
-                    }
-                    .btn-submit:hover:not(:disabled) {
-                        transform: translateY(-2px);
-                        box-shadow: 0 8px 16px rgba(79, 70, 229, 0.4);
-                    }
-                    .btn-submit:active:not(:disabled) { transform: translateY(0); }
-                    .btn-submit:disabled {
-                        opacity: 0.7;
-                        cursor: not-allowed;
-                        background: var(--text-muted);
-                    }
-
-                    /* === RECIPE CARD === */
-                    .recipe-card {
-                        background: white;
-                        border-radius: var(--radius-lg);
-                        box-shadow: var(--shadow-xl);
-                        border: 1px solid var(--border-color);
-                        overflow: hidden;
-                        animation: slideUp 0.6s cubic-bezier(0.16, 1, 0.3, 1);
-                        width: 100%;
-                    }
-                    
-                    .recipe-header {
-                        padding: 24px;
-                        background: linear-gradient(to right, #e0e7ff, #fae8ff);
-                        border-bottom: 1px solid #e0e7ff;
-                        display: flex;
-                        flex-direction: column;
-                        gap: 16px;
-                    }
-                    @media (min-width: 768px) {
-                        .recipe-header {
-                            padding: 32px;
-                            flex-direction: row;
-                            align-items: center;
-                        }
-                    }
-
-                    .recipe-name {
-                        font-size: 1.75rem;
-                        font-weight: 800;
-                        color: #1e1b4b;
-                        margin: 0;
-                        line-height: 1.1;
-                    }
-                    @media (min-width: 768px) { .recipe-name { font-size: 2.5rem; } }
-
-                    .recipe-content-body { padding: 24px; }
-                    @media (min-width: 1024px) { .recipe-content-body { padding: 40px; } }
-
-                    .recipe-description {
-                        font-size: 1.1rem;
-                        line-height: 1.6;
-                        color: var(--text-main);
-                        margin-bottom: 24px;
-                        font-style: italic;
-                    }
-
-                    /* Recipe Grid - Laptop Optimized */
-                    .recipe-details-grid {
-                        display: grid;
-                        gap: 24px;
-                        grid-template-columns: 1fr;
-                    }
-                    @media (min-width: 900px) {
-                        .recipe-details-grid {
-                            grid-template-columns: 1fr 1.5fr; /* Ingredients left, Instructions right */
-                            gap: 32px;
-                        }
-                    }
-
-                    .ingredients-box, .instructions-box {
-                        padding: 24px;
-                        border-radius: var(--radius-md);
-                        border: 1px solid transparent;
-                    }
-                    .ingredients-box {
-                        background-color: #f5f3ff;
-                        border-color: #e0e7ff;
-                    }
-                    .instructions-box {
-                        background-color: #fffbeb;
-                        border-color: #fef3c7;
-                    }
-
-                    .details-title {
-                        display: flex;
-                        align-items: center;
-                        font-size: 1.25rem;
-                        font-weight: 700;
-                        margin-bottom: 16px;
-                        padding-bottom: 12px;
-                        border-bottom: 2px solid rgba(0,0,0,0.05);
-                    }
-                    .ingredients-box .details-title { color: var(--primary); }
-                    .instructions-box .details-title { color: #b45309; }
-
-                    .details-list li {
-                        margin-bottom: 10px;
-                        line-height: 1.5;
-                        padding-left: 8px;
-                    }
-                    
-                    /* Utilities */
-                    .text-center { text-align: center; }
-                    .hidden { display: none; }
-
-                    /* Animations */
-                    @keyframes fadeInDown {
-                        from { opacity: 0; transform: translateY(-20px); }
-                        to { opacity: 1; transform: translateY(0); }
-                    }
-                    @keyframes slideUp {
-                        from { opacity: 0; transform: translateY(30px); }
-                        to { opacity: 1; transform: translateY(0); }
-                    }
-                    .loader-icon { animation: spin 1s linear infinite; }
-                    @keyframes spin { to { transform: rotate(360deg); } }
-
-                    .error-message {
-                        background-color: #fef2f2;
-                        border: 1px solid #fee2e2;
-                        color: #991b1b;
-                        padding: 16px;
-                        border-radius: var(--radius-md);
-                        display: flex;
-                        align-items: center;
-                        gap: 12px;
-                        margin-top: 24px;
-                        font-weight: 500;
-                    }
-                    
-                    .placeholder {
-                        margin-top: 40px;
-                        padding: 40px;
-                        text-align: center;
-                        border: 2px dashed var(--border-color);
-                        border-radius: var(--radius-lg);
-                        color: var(--text-muted);
-                        background: #f8fafc;
-                    }
-                `}
-            </style>
-
             <div className="main-content">
 
                 <header className="header">
-                    <h1>AI Personalized Recipe Chef</h1>
-                    <p>Answer a few questions and let Gemini whip up a custom dish for you.</p>
+                    <label className="language-switcher">
+                        <Languages size={16} />
+                        <span className="visually-hidden">{t('app.language')}</span>
+                        <select value={locale} onChange={(e) => setLocale(e.target.value)} className="library-sort">
+                            {LOCALES.map(option => (
+                                <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <h1>{t('app.title')}</h1>
+                    <p>{t('app.tagline')}</p>
+                    {!queue.isOnline && (
+                        <div className="offline-banner" role="status">
+                            <WifiOff size={18} style={{ flexShrink: 0 }} />
+                            <span>{t('app.offline')}</span>
+                        </div>
+                    )}
+                    <nav className="view-tabs">
+                        <button
+                            type="button"
+                            className={shownView === 'create' ? 'is-active' : undefined}
+                            onClick={() => openView('create')}
+                        >
+                            <CookingPot size={18} /> {t('nav.create')}
+                        </button>
+                        <button
+                            type="button"
+                            className={shownView === 'library' ? 'is-active' : undefined}
+                            onClick={() => openView('library')}
+                        >
+                            <BookOpen size={18} /> {t('nav.library', { count: library.entries.length })}
+                        </button>
+                        <button
+                            type="button"
+                            className={shownView === 'pantry' ? 'is-active' : undefined}
+                            onClick={() => openView('pantry')}
+                        >
+                            <Refrigerator size={18} /> {t('nav.pantry', { count: pantry.items.length })}
+                        </button>
+                        <button
+                            type="button"
+                            className={shownView === 'planner' ? 'is-active' : undefined}
+                            onClick={() => openView('planner')}
+                        >
+                            <CalendarDays size={18} /> {t('nav.planner')}
+                        </button>
+                    </nav>
                 </header>
 
-                {/* Question Form Card */}
-                <div className="form-card">
-                    <form onSubmit={(e) => { e.preventDefault(); generateRecipe(); }}>
-
-                        {/* Ingredients */}
-                        <div className="form-group">
-                            <label htmlFor="ingredients" className="form-label">
-                                1. What main ingredients do you have? (e.g., rice, broccoli)
-                            </label>
-                            <input
-                                type="text"
-                                id="ingredients"
-                                name="ingredients"
-                                value={answers.ingredients}
-                                onChange={handleChange}
-                                className="text-input"
-                                placeholder="List your ingredients here..."
-                            />
-                        </div>
+                {shownView === 'shared' && (
+                    <SharedRecipe
+                        payload={sharedPayload}
+                        onOpen={(shared) => showRecipe(shared, IMPORTED_ANSWERS)}
+                        onLeave={() => openView('create')}
+                    />
+                )}
 
-                        {/* Diet Type (Veg/Non-Veg) */}
-                        <div className="form-group">
-                            <label className="form-label">
-                                2. Dietary Preference (Veg or Non-Veg)?
-                            </label>
-                            <div className="radio-group">
-                                <label className="radio-label">
-                                    <input
-                                        type="radio"
-                                        name="diet"
-                                        value="veg"
-                                        checked={answers.diet === 'veg'}
-                                        onChange={handleChange}
-                                        className="radio-input"
-                                    />
-                                    <span>Vegetarian (🌱)</span>
+                {shownView === 'library' && (
+                    <RecipeLibrary
+                        entries={library.entries}
+                        error={library.error}
+                        onOpen={openSavedRecipe}
+                        onRegenerate={regenerateSavedRecipe}
+                        onUpdate={library.update}
+                        onRemove={library.remove}
+                        onImport={openImportedRecipe}
+                    />
+                )}
+                {shownView === 'library' && recentRecipes.length > 0 && (
+                    <RecentRecipes entries={recentRecipes} onOpen={openRecentRecipe} />
+                )}
+
+                {shownView === 'pantry' && (
+                    <PantryManager
+                        items={pantry.items}
+                        error={pantry.error}
+                        onAdd={pantry.add}
+                        onUpdate={pantry.update}
+                        onRemove={pantry.remove}
+                    />
+                )}
+
+                {shownView === 'planner' && (
+                    <MealPlanner
+                        plan={mealPlan.plan}
+                        isPlanning={mealPlan.isPlanning}
+                        error={mealPlan.error && describeError(t, mealPlan.error)}
+                        pantryItems={pantry.items}
+                        onPlan={planMeals}
+                        onStop={mealPlan.cancel}
+                        onOpen={showRecipe}
+                    />
+                )}
+
+                {shownView === 'create' && (<>
+
+                    {/* Question Form Card */}
+                    <div className="form-card">
+                        <form onSubmit={(e) => { e.preventDefault(); submitAnswers(); }}>
+
+                            {/* Ingredients */}
+                            <div className="form-group">
+                                <label htmlFor="ingredients" className="form-label">
+                                    {t('form.ingredients')}
                                 </label>
-                                <label className="radio-label">
+                                <div className="input-with-action">
                                     <input
-                                        type="radio"
-                                        name="diet"
-                                        value="non-veg"
-                                        checked={answers.diet === 'non-veg'}
+                                        type="text"
+                                        id="ingredients"
+                                        name="ingredients"
+                                        value={answers.ingredients}
                                         onChange={handleChange}
-                                        className="radio-input"
+                                        className="text-input"
+                                        placeholder={t('form.ingredients.placeholder')}
                                     />
-                                    <span>Non-Vegetarian (🥩)</span>
+                                    <DictationButton label={t('form.ingredients.spoken')} onText={(text) => handleDictation('ingredients', text)} />
+                                </div>
+                                <PhotoIngredients onAdd={handlePhotoIngredients} />
+                                {pantry.items.length > 0 && (
+                                    <PantryPicker items={pantry.items} ingredients={answers.ingredients} onToggle={handlePantryToggle} />
+                                )}
+                            </div>
+
+                            {/* Dietary constraints (multi-select) */}
+                            <div className="form-group">
+                                <label className="form-label">
+                                    {t('form.constraints')}
                                 </label>
+                                <div className="constraint-group">
+                                    {DIET_CONSTRAINTS.filter(constraint => !constraint.kind).map(constraint => (
+                                        <label key={constraint.id} className="radio-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={answers.constraints.includes(constraint.id)}
+                                                onChange={() => handleConstraintToggle(constraint.id)}
+                                                className="radio-input"
+                                            />
+                                            <span>{t(`diet.${constraint.id}`)} ({constraint.icon})</span>
+                                        </label>
+                                    ))}
+                                </div>
+                                <p className="form-hint">{t('form.constraints.fat')}</p>
+                                <div className="radio-group">
+                                    {DIET_CONSTRAINTS.filter(constraint => constraint.kind === 'fat').map(constraint => (
+                                        <label key={constraint.id} className="radio-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={answers.constraints.includes(constraint.id)}
+                                                onChange={() => handleConstraintToggle(constraint.id)}
+                                                className="radio-input"
+                                            />
+                                            <span>{t(`diet.${constraint.id}`)} ({constraint.icon})</span>
+                                        </label>
+                                    ))}
+                                </div>
                             </div>
-                        </div>
 
-                        {/* Fat Type (Butter/Oil) */}
-                        <div className="form-group">
-                            <label className="form-label">
-                                3. Preferred Cooking Fat?
-                            </label>
-                            <div className="radio-group">
-                                <label className="radio-label">
+                            {/* Allergies */}
+                            <div className="form-group">
+                                <label htmlFor="allergies" className="form-label">
+                                    {t('form.allergies')}
+                                </label>
+                                <div className="input-with-action">
                                     <input
-                                        type="radio"
-                                        name="fatType"
-                                        value="oil"
-                                        checked={answers.fatType === 'oil'}
+                                        type="text"
+                                        id="allergies"
+                                        name="allergies"
+                                        value={answers.allergies}
                                         onChange={handleChange}
-                                        className="radio-input"
+                                        className="text-input"
+                                        placeholder={t('form.allergies.placeholder')}
                                     />
-                                    <span>Oil</span>
+                                    <DictationButton label={t('form.allergies.spoken')} onText={(text) => handleDictation('allergies', text)} />
+                                </div>
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={blockAllergens}
+                                        onChange={(e) => setBlockAllergens(e.target.checked)}
+                                    />
+                                    <span>{t('form.allergies.block')}</span>
                                 </label>
-                                <label className="radio-label">
+                            </div>
+
+                            {/* Special Request */}
+                            <div className="form-group">
+                                <label htmlFor="specialRequest" className="form-label">
+                                    {t('form.specialRequest')}
+                                </label>
+                                <div className="input-with-action">
                                     <input
-                                        type="radio"
-                                        name="fatType"
-                                        value="butter"
-                                        checked={answers.fatType === 'butter'}
+                                        type="text"
+                                        id="specialRequest"
+                                        name="specialRequest"
+                                        value={answers.specialRequest}
                                         onChange={handleChange}
-                                        className="radio-input"
+                                        className="text-input"
+                                        placeholder={t('form.specialRequest.placeholder')}
                                     />
-                                    <span>Butter</span>
-                                </label>
+                                    <DictationButton label={t('form.specialRequest.spoken')} onText={(text) => handleDictation('specialRequest', text)} />
+                                </div>
                             </div>
-                        </div>
 
-                        {/* Allergies */}
-                        <div className="form-group">
-                            <label htmlFor="allergies" className="form-label">
-                                4. Any Allergies to Avoid? (e.g., Nuts, Gluten, Dairy)
-                            </label>
-                            <input
-                                type="text"
-                                id="allergies"
-                                name="allergies"
-                                value={answers.allergies}
-                                onChange={handleChange}
-                                className="text-input"
-                                placeholder="Leave blank if none"
-                            />
-                        </div>
+                            {/* Cooking preferences */}
+                            <div className="form-group">
+                                <label className="form-label">{t('form.preferences')}</label>
+                                <div className="preference-grid">
+                                    <label className="preference-field">
+                                        <span className="form-hint">{t('form.cuisine')}</span>
+                                        <select name="cuisine" value={answers.cuisine} onChange={handleChange} className="library-sort">
+                                            <option value="">{t('form.cuisine.any')}</option>
+                                            {CUISINES.map(cuisine => (
+                                                <option key={cuisine.id} value={cuisine.id}>{t(`cuisine.${cuisine.id}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="preference-field">
+                                        <span className="form-hint">{t('form.time')}</span>
+                                        <select name="maxTotalMinutes" value={answers.maxTotalMinutes ?? ''} onChange={handleLimitChange} className="library-sort">
+                                            <option value="">{t('form.time.any')}</option>
+                                            {TOTAL_MINUTE_CHOICES.map(minutes => (
+                                                <option key={minutes} value={minutes}>{t('form.time.choice', { minutes })}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="preference-field">
+                                        <span className="form-hint">{t('form.skill')}</span>
+                                        <select name="skillLevel" value={answers.skillLevel} onChange={handleChange} className="library-sort">
+                                            <option value="">{t('form.skill.any')}</option>
+                                            {SKILL_LEVELS.map(level => (
+                                                <option key={level.id} value={level.id}>{t(`skill.${level.id}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="preference-field">
+                                        <span className="form-hint">{t('form.servings')}</span>
+                                        <input
+                                            type="number"
+                                            name="servings"
+                                            value={answers.servings ?? ''}
+                                            onChange={handleLimitChange}
+                                            className="text-input"
+                                            placeholder={t('form.servings.any')}
+                                            min="1"
+                                            max={MAX_SERVINGS}
+                                        />
+                                    </label>
+                                </div>
+                                <p className="form-hint">{t('form.kitchen')}</p>
+                                <div className="constraint-group">
+                                    {EQUIPMENT.map(item => (
+                                        <label key={item.id} className="radio-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={answers.equipment.includes(item.id)}
+                                                onChange={() => handleEquipmentToggle(item.id)}
+                                                className="radio-input"
+                                            />
+                                            <span>{t(`equipment.${item.id}`)} ({item.icon})</span>
+                                        </label>
+                                    ))}
+                                </div>
+                                <p className="form-hint">{t('form.preferences.hint')}</p>
+                            </div>
 
-                        {/* Special Request */}
-                        <div className="form-group">
-                            <label htmlFor="specialRequest" className="form-label">
-                                5. Special Request? (e.g., 'Make it spicy', 'Ready in 30 minutes', 'High protein')
-                            </label>
-                            <input
-                                type="text"
-                                id="specialRequest"
-                                name="specialRequest"
-                                value={answers.specialRequest}
-                                onChange={handleChange}
-                                className="text-input"
-                                placeholder="Optional style or time constraints"
-                            />
-                        </div>
+                            {/* Calorie limit */}
+                            <div className="form-group">
+                                <label htmlFor="maxCalories" className="form-label">{t('form.calories')}</label>
+                                <input
+                                    type="number"
+                                    id="maxCalories"
+                                    value={answers.maxCalories ?? ''}
+                                    onChange={handleCaloriesChange}
+                                    className="text-input calorie-input"
+                                    placeholder={t('form.calories.placeholder', { example: 600 })}
+                                    min={MIN_CALORIE_LIMIT}
+                                    max={MAX_CALORIE_LIMIT}
+                                    step="50"
+                                />
+                                <p className="form-hint">{t('form.calories.hint')}</p>
+                            </div>
 
-                        {/* Submit Button */}
-                        <button
-                            type="submit"
-                            disabled={isLoading}
-                            className="btn-submit"
-                        >
-                            {isLoading ? (
-                                <>
-                                    <Loader2 size={20} className="loader-icon" />
-                                    Whipping up your recipe...
-                                </>
-                            ) : (
-                                'Generate Recipe'
+                            {/* How many candidates */}
+                            <div className="form-group option-count">
+                                <label htmlFor="optionCount" className="form-label">{t('form.options')}</label>
+                                <select
+                                    id="optionCount"
+                                    value={optionCount}
+                                    onChange={(e) => setOptionCount(Number(e.target.value))}
+                                    className="library-sort"
+                                >
+                                    {Array.from({ length: MAX_VARIATIONS }, (_, i) => i + 1).map(count => (
+                                        <option key={count} value={count}>{count === 1 ? t('form.options.one') : t('form.options.many', { count })}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {/* Submit Button */}
+                            <button
+                                type="submit"
+                                disabled={isLoading || variations.isComparing}
+                                className="btn-submit"
+                            >
+                                {isLoading || variations.isComparing ? (
+                                    <>
+                                        <Loader2 size={20} className="loader-icon" />
+                                        {t('form.generating')}
+                                    </>
+                                ) : (
+                                    optionCount === 1 ? t('form.generate') : t('form.generate.many', { count: optionCount })
+                                )}
+                            </button>
+                            {(isLoading || variations.isComparing) && (
+                                <button type="button" className="btn-secondary btn-stop" onClick={cancelGeneration}>
+                                    <CircleStop size={16} /> {t('form.stop')}
+                                </button>
                             )}
-                        </button>
-                    </form>
-                </div>
-
-                {/* Error Display */}
-                {error && (
-                    <div className="error-message">
-                        <AlertTriangle size={20} style={{ flexShrink: 0 }} />
-                        <p>{error}</p>
+                        </form>
                     </div>
-                )}
 
-                {/* Recipe Output */}
-                {recipe && renderRecipeCard(recipe)}
-
-                {/* Initial Placeholder or Loading state */}
-                {!recipe && !isLoading && !error && (
-                    <div className="placeholder">
-                        <CookingPot size={40} className="placeholder-icon" />
-                        <p>Fill out the form above and click "Generate Recipe" to see your custom dish!</p>
-                    </div>
-                )}
+                    {/* Error Display */}
+                    {shownError && (
+                        <div className="error-message">
+                            <AlertTriangle size={20} style={{ flexShrink: 0 }} />
+                            <p>{shownError}</p>
+                        </div>
+                    )}
+
+                    {/* Recipes asked for while offline */}
+                    {queue.queued.length > 0 && (
+                        <OfflineQueue entries={queue.queued} isOnline={queue.isOnline} onCancel={queue.cancel} />
+                    )}
+                    {queue.error && <p className="library-error">{t('queue.failed', { message: queue.error.message })}</p>}
+                    {readyFromQueue && (
+                        <div className="cache-notice">
+                            <History size={18} style={{ flexShrink: 0 }} />
+                            <span>{t('queue.ready', { name: readyFromQueue })}</span>
+                            <button
+                                type="button"
+                                className="btn-secondary"
+                                onClick={() => {
+                                    setReadyFromQueue(null);
+                                    openView('library');
+                                }}
+                            >
+                                {t('queue.openLibrary')}
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Candidates side by side; the picked one opens below */}
+                    {variations.comparison && (
+                        <VariationPicker
+                            items={variations.comparison.items}
+                            ingredients={variations.comparison.answers.ingredients}
+                            picked={recipe}
+                            onPick={(picked) => showRecipe(picked, variations.comparison.answers)}
+                        />
+                    )}
+
+                    {/* Cut-off stream: keep the partial recipe and offer to finish it */}
+                    {isCutOff && !isLoading && (
+                        <div className="cutoff-actions">
+                            <button type="button" className="btn-secondary" onClick={session.continueRecipe}>
+                                {t('recipe.continue')}
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={session.startOver}>
+                                {t('recipe.startOver')}
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Recipe Output */}
+                    {recipe && !draft && allergenFindings.length > 0 && (
+                        <AllergenWarning
+                            findings={allergenFindings}
+                            isBlocked={isBlocked}
+                            onRegenerateWithout={regenerateWithout}
+                            onShowAnyway={session.showAnyway}
+                        />
+                    )}
+                    {recipe && !draft && dietViolations.length > 0 && (
+                        <DietWarning violations={dietViolations} onRegenerateWithout={regenerateWithout} />
+                    )}
+                    {recipe && !draft && preferenceProblems.length > 0 && (
+                        <PreferenceWarning problems={preferenceProblems} onTryAgain={generateNewVariation} />
+                    )}
+                    {recipe && !draft && isFromCache && (
+                        <div className="cache-notice">
+                            <History size={18} style={{ flexShrink: 0 }} />
+                            <span>{t('recipe.fromCache')}</span>
+                        </div>
+                    )}
+                    {recipe && !draft && importNotes.length > 0 && (
+                        <div className="import-notes">
+                            <Upload size={18} style={{ flexShrink: 0 }} />
+                            <div>
+                                <strong>{t('recipe.imported')}</strong>
+                                {importNotes.map(note => <p key={note.id}>{t(`import.${note.id}`, note.values)}</p>)}
+                            </div>
+                        </div>
+                    )}
+                    {recipe && !draft && !isBlocked && (
+                        <RecipeCard
+                            key={`${recipe.recipeName}-${versionIndex}`}
+                            recipe={recipe}
+                            maxCalories={recipeAnswers?.maxCalories}
+                            answers={recipeAnswers}
+                            onSubstitute={session.substitute}
+                            actions={<>
+                                <button type="button" className="btn-secondary" onClick={saveCurrentRecipe} disabled={Boolean(savedId)}>
+                                    {savedId ? <><BookmarkCheck size={16} /> {t('recipe.saved')}</> : <><Bookmark size={16} /> {t('recipe.save')}</>}
+                                </button>
+                                <button type="button" className="btn-secondary" onClick={() => setDeductingFor(recipe)}>
+                                    <PackageMinus size={16} /> {t('recipe.cooked')}
+                                </button>
+                                <button type="button" className="btn-secondary" onClick={generateNewVariation} disabled={isLoading}>
+                                    <Shuffle size={16} /> {t('recipe.newVariation')}
+                                </button>
+                                <ShareButton recipe={recipe} />
+                            </>}
+                        />
+                    )}
+                    {recipe && !draft && deductingFor === recipe && (
+                        <PantryDeduction
+                            items={pantry.items}
+                            recipe={recipe}
+                            onApply={deductFromPantry}
+                            onCancel={() => setDeductingFor(null)}
+                        />
+                    )}
+                    {draft?.recipe && !isDraftHeld && <RecipeCard recipe={draft.recipe} isPartial />}
+                    {draft && isDraftHeld && (
+                        <div className="cache-notice">
+                            <ShieldCheck size={18} style={{ flexShrink: 0 }} />
+                            <span>{t('recipe.heldForAudit')}</span>
+                        </div>
+                    )}
+                    {recipe && !isBlocked && (
+                        <RefinementPanel
+                            versions={versions}
+                            index={versionIndex}
+                            onSelect={session.selectVersion}
+                            onRefine={session.refine}
+                            isLoading={isLoading}
+                        />
+                    )}
+
+                    {/* Initial Placeholder or Loading state */}
+                    {!recipe && !draft && !isLoading && !shownError && !variations.comparison && (
+                        <div className="placeholder">
+                            <CookingPot size={40} className="placeholder-icon" />
+                            <p>{t('form.empty')}</p>
+                        </div>
+                    )}
+                </>)}
             </div>
         </div>
     );
@@ -0,0 +1,27 @@
+import { normalizeIngredient } from '../recipe/ingredients.js';
+import { splitIngredients } from '../recipe/answers.js';
+import { findPantryItem } from '../pantry/usage.js';
+
+// How well a recipe fits what the user said they have:
+//   { used: [the user's ingredients it uses], unused: [the ones it doesn't],
+//     extra: number of its ingredients the user didn't list, ratio: 0..1 }
+// ratio is undefined when the user didn't list any ingredients. Names are
+// matched as the pantry matches them, so "rice vinegar" doesn't use the rice.
+export const ingredientMatch = (recipe, ingredientsText) => {
+    const wanted = splitIngredients(ingredientsText);
+    // Each ingredient by its own name and, in a recipe written in another
+    // language, its English one, either of which may be what the user typed
+    const names = (recipe.ingredients || [])
+        .map(item => normalizeIngredient(item))
+        .filter(item => item.name)
+        .map(item => [item.name, item.englishName].filter(Boolean));
+
+    const used = wanted.filter(item => names.some(ways => findPantryItem([{ name: item }], ...ways)));
+    const extra = names.filter(ways => !findPantryItem(wanted.map(item => ({ name: item })), ...ways)).length;
+    return {
+        used,
+        unused: wanted.filter(item => !used.includes(item)),
+        extra,
+        ratio: wanted.length > 0 ? used.length / wanted.length : undefined,
+    };
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ingredientMatch } from './match.js';
+
+const recipe = (...names) => ({ ingredients: names.map(name => ({ name })) });
+
+test('ingredientMatch counts the listed ingredients a recipe uses', () => {
+    const match = ingredientMatch(recipe('cooked rice', 'broccoli', 'soy sauce'), 'rice, broccoli, tofu');
+    assert.deepEqual(match.used, ['rice', 'broccoli']);
+    assert.deepEqual(match.unused, ['tofu']);
+    assert.equal(match.extra, 1);
+    assert.equal(match.ratio, 2 / 3);
+});
+
+test('ingredientMatch agrees with the pantry about look-alike names', () => {
+    const match = ingredientMatch(recipe('rice vinegar', 'peanut butter', 'noodles'), 'rice, butter');
+    assert.deepEqual(match.used, []);
+    assert.equal(match.extra, 3);
+    assert.equal(match.ratio, 0);
+});
+
+test('ingredientMatch finds an ingredient by its English name', () => {
+    const match = ingredientMatch({ ingredients: [{ name: 'चावल', englishName: 'rice' }] }, 'rice');
+    assert.deepEqual(match.used, ['rice']);
+});
+
+test('ingredientMatch has no ratio when nothing was listed', () => {
+    assert.equal(ingredientMatch(recipe('eggs'), '').ratio, undefined);
+});
@@ -0,0 +1,56 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+import { streamVariations } from '../api.js';
+import { ERROR_CODES } from '../recipe/errors.js';
+
+// Candidate recipes for one set of answers, compared side by side. `items`
+// holds one slot per candidate: null while it's being written, then
+// { recipe } or { error }. Comparing again, clearing or cancelling stops the
+// comparison before it, as does leaving the app.
+export const useVariations = () => {
+    const [comparison, setComparison] = useState(null); // { answers, items }
+    const [isComparing, setIsComparing] = useState(false);
+    const [error, setError] = useState(null);
+    const activeController = useRef(null);
+
+    const compare = useCallback(async (answers, count) => {
+        activeController.current?.abort();
+        const controller = new AbortController();
+        activeController.current = controller;
+
+        setError(null);
+        setIsComparing(true);
+        setComparison({ answers, items: new Array(count).fill(null) });
+        try {
+            for await (const event of streamVariations(answers, { count, signal: controller.signal })) {
+                if (event.type !== 'variation') continue;
+                const item = event.error ? { error: event.error } : { recipe: event.recipe };
+                setComparison(prev => ({
+                    ...prev,
+                    items: prev.items.map((slot, index) => (index === event.index ? item : slot)),
+                }));
+            }
+        } catch (err) {
+            if (err.code === ERROR_CODES.CANCELLED) return;
+            console.error("Generating variations failed:", err);
+            setError(err);
+        } finally {
+            if (activeController.current === controller) {
+                activeController.current = null;
+                setIsComparing(false);
+            }
+        }
+    }, []);
+
+    const cancel = useCallback(() => activeController.current?.abort(), []);
+
+    const clear = useCallback(() => {
+        activeController.current?.abort();
+        setComparison(null);
+        setError(null);
+    }, []);
+
+    useEffect(() => () => activeController.current?.abort(), []);
+
+    return { comparison, isComparing, error, compare, cancel, clear };
+};
@@ -0,0 +1,55 @@
+import React from 'react';
+import { ShieldAlert, RefreshCw } from 'lucide-react';
+import './safetyWarning.css';
+
+import { useI18n } from '../i18n/context.js';
+
+// Lists every declared allergen a recipe hit, with the offending lines. When
+// `isBlocked` the recipe itself is hidden until the user asks to see it.
+const AllergenWarning = ({ findings, isBlocked, onRegenerateWithout, onShowAnyway }) => {
+    const { t, locale } = useI18n();
+
+    return (
+        <div className="safety-warning" role="alert">
+            <div className="safety-warning-title">
+                <ShieldAlert size={22} />
+                <strong>
+                    {isBlocked
+                        ? t('allergens.hidden')
+                        : t('allergens.careful')}
+                </strong>
+            </div>
+
+            {findings.map(({ allergen, hits }) => {
+                // Allergens the user typed that aren't in the list are shown as typed
+                const name = allergen.id.startsWith('custom:') ? allergen.label : t(`allergen.${allergen.id}`);
+                return (
+                    <div key={allergen.id} className="safety-finding">
+                        <p className="safety-finding-name">{name}</p>
+                        <ul>
+                            {hits.map(hit => (
+                                <li key={`${hit.section}-${hit.index}`}>
+                                    <span className="safety-section">
+                                        {hit.section === 'ingredients' ? t('warning.ingredient') : t('warning.step', { step: hit.index + 1 })}:
+                                    </span>{' '}
+                                    {hit.line} <em>({hit.term})</em>
+                                </li>
+                            ))}
+                        </ul>
+                        <button type="button" className="btn-secondary" onClick={() => onRegenerateWithout(hits)}>
+                            <RefreshCw size={16} /> {t('allergens.regenerate', { allergen: name.toLocaleLowerCase(locale) })}
+                        </button>
+                    </div>
+                );
+            })}
+
+            {isBlocked && (
+                <button type="button" className="safety-show-anyway" onClick={onShowAnyway}>
+                    {t('allergens.showAnyway')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default AllergenWarning;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { X, ChevronLeft, ChevronRight, Timer, Pause, Play, BellRing, Volume2, VolumeX, Mic, MicOff } from 'lucide-react';
+import './cookMode.css';
+
+import { stepTimers, formatCountdown } from '../cook/durations.js';
+import { useCookTimers } from '../cook/useCookTimers.js';
+import { useWakeLock } from '../cook/useWakeLock.js';
+import { useI18n } from '../i18n/context.js';
+import { useSpeaker } from '../voice/useSpeaker.js';
+import { useVoiceCommands, canRecognizeSpeech } from '../voice/useRecognition.js';
+import { ingredientsSpeech, stepSpeech } from '../voice/readAloud.js';
+
+const SWIPE_DISTANCE = 60;
+
+// Full-screen, one step at a time. Arrow keys, space or a swipe move between
+// steps; Escape leaves. The screen is kept awake while it's open and every
+// wait mentioned in a step can be started as a timer, several at once.
+// Where the browser can, each screen can be read aloud as it comes up and
+// driven by voice ("next", "back", "repeat", "start timer", "stop"), for
+// when your hands are in the dough. In a right-to-left language the arrow
+// keys and swipes follow the reading direction.
+// `ingredients` and `instructions` arrive already scaled and converted.
+const CookMode = ({ recipe, ingredients, instructions, onClose }) => {
+    const i18n = useI18n();
+    const { t, dir, formatIngredient } = i18n;
+    const [stepIndex, setStepIndex] = useState(-1); // -1 is the ingredient checklist
+    const { timers, start, togglePause, dismiss, remainingSeconds } = useCookTimers();
+    const container = useRef(null);
+    const touchStart = useRef(null);
+    const [isReading, setIsReading] = useState(false);
+    const [isListening, setIsListening] = useState(false);
+    const [voiceError, setVoiceError] = useState(null);
+    const speaker = useSpeaker();
+    const { speak } = speaker;
+    useWakeLock(true);
+
+    const lastIndex = instructions.length - 1;
+    const goTo = (index) => setStepIndex(Math.min(lastIndex, Math.max(-1, index)));
+
+    const suggested = stepIndex >= 0 ? stepTimers({ ...recipe, instructions })[stepIndex] : [];
+
+    // What's on screen, as the lines to read out. Joined into one string so
+    // the effect below only re-reads when the words change.
+    const screenText = (stepIndex === -1
+        ? ingredientsSpeech(ingredients, i18n)
+        : stepSpeech(instructions[stepIndex], stepIndex, instructions.length, i18n)
+    ).join('\n');
+
+    useEffect(() => {
+        if (isReading) speak(screenText.split('\n'));
+    }, [isReading, screenText, speak]);
+
+    const startSuggestedTimer = () => {
+        const [timer] = suggested;
+        if (!timer) {
+            speak([t('cook.noTimer')]);
+            return;
+        }
+        start({ label: timer.label, step: stepIndex + 1, seconds: timer.seconds });
+        speak([t('cook.timerStarted', { time: formatCountdown(timer.seconds) })]);
+    };
+
+    useVoiceCommands(isListening, {
+        onCommand: (command) => {
+            if (command === 'next') goTo(stepIndex + 1);
+            else if (command === 'back') goTo(stepIndex - 1);
+            else if (command === 'repeat') speak(screenText.split('\n'));
+            else if (command === 'start-timer') startSuggestedTimer();
+            else if (command === 'stop') speaker.stop();
+        },
+        onError: (message) => {
+            setIsListening(false);
+            setVoiceError(message);
+        },
+    });
+
+    const toggleReading = () => {
+        if (isReading) speaker.stop();
+        setIsReading(!isReading);
+    };
+
+    const toggleListening = () => {
+        setVoiceError(null);
+        setIsListening(!isListening);
+    };
+
+    useEffect(() => {
+        const [forward, backward] = dir === 'rtl' ? ['ArrowLeft', 'ArrowRight'] : ['ArrowRight', 'ArrowLeft'];
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+            // Space presses a focused button and arrows move the caret in a
+            // field, so leave those keys to the control
+            else if (e.target.closest?.('button, input, textarea, select')) return;
+            else if (e.key === forward || e.key === ' ') setStepIndex(index => Math.min(lastIndex, index + 1));
+            else if (e.key === backward) setStepIndex(index => Math.max(-1, index - 1));
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [lastIndex, onClose, dir]);
+
+    // Real full screen where allowed; the overlay covers the page either way
+    useEffect(() => {
+        const element = container.current;
+        element.requestFullscreen?.().catch(() => {});
+        return () => {
+            if (document.fullscreenElement === element) document.exitFullscreen().catch(() => {});
+        };
+    }, []);
+
+    const handleTouchStart = (e) => {
+        touchStart.current = e.touches[0].clientX;
+    };
+    const handleTouchEnd = (e) => {
+        if (touchStart.current === null) return;
+        const distance = e.changedTouches[0].clientX - touchStart.current;
+        touchStart.current = null;
+        // Swiping against the reading direction moves on
+        const isForward = dir === 'rtl' ? distance > 0 : distance < 0;
+        if (Math.abs(distance) >= SWIPE_DISTANCE) goTo(stepIndex + (isForward ? 1 : -1));
+    };
+
+    // Portalled out of the recipe card so its animations can't trap the overlay
+    return createPortal(
+        <div
+            ref={container}
+            className="cook-mode"
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('cook.label', { name: recipe.recipeName })}
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+        >
+            <div className="cook-mode-header">
+                <strong>{recipe.recipeName}</strong>
+                <div className="cook-mode-tools">
+                    {speaker.isSupported && (
+                        <button
+                            type="button"
+                            className={`icon-button${isReading ? ' is-active' : ''}`}
+                            onClick={toggleReading}
+                            aria-pressed={isReading}
+                            aria-label={t('cook.readEach')}
+                            title={t('cook.readEach')}
+                        >
+                            {isReading ? <Volume2 size={24} /> : <VolumeX size={24} />}
+                        </button>
+                    )}
+                    {canRecognizeSpeech && (
+                        <button
+                            type="button"
+                            className={`icon-button${isListening ? ' is-active' : ''}`}
+                            onClick={toggleListening}
+                            aria-pressed={isListening}
+                            aria-label={t('cook.voice')}
+                            title={t('cook.voice')}
+                        >
+                            {isListening ? <Mic size={24} /> : <MicOff size={24} />}
+                        </button>
+                    )}
+                    <button type="button" className="icon-button" onClick={onClose} aria-label={t('cook.leave')}>
+                        <X size={24} />
+                    </button>
+                </div>
+            </div>
+
+            {(isListening || voiceError) && (
+                <p className="cook-mode-voice" role="status">
+                    {voiceError || t('cook.listening')}
+                </p>
+            )}
+
+            <div className="cook-mode-progress" aria-hidden="true">
+                <div style={{ width: `${((stepIndex + 1) / instructions.length) * 100}%` }} />
+            </div>
+
+            <div className="cook-mode-body" aria-live="polite">
+                {stepIndex === -1 ? (
+                    <>
+                        <p className="cook-mode-label">{t('cook.gather')}</p>
+                        <ul className="cook-mode-ingredients">
+                            {ingredients.map((ingredient, index) => (
+                                <li key={index}>{formatIngredient(ingredient)}</li>
+                            ))}
+                        </ul>
+                    </>
+                ) : (
+                    <>
+                        <p className="cook-mode-label">{t('cook.step', { step: stepIndex + 1, count: instructions.length })}</p>
+                        <p className="cook-mode-step">{instructions[stepIndex]}</p>
+                        {suggested.length > 0 && (
+                            <div className="cook-mode-suggested">
+                                {suggested.map((timer, index) => (
+                                    <button
+                                        key={index}
+                                        type="button"
+                                        className="btn-secondary"
+                                        onClick={() => start({ label: timer.label, step: stepIndex + 1, seconds: timer.seconds })}
+                                    >
+                                        <Timer size={18} /> {t('cook.startTimer', { time: formatCountdown(timer.seconds) })}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {timers.length > 0 && (
+                <ul className="cook-timers">
+                    {timers.map(timer => (
+                        <li key={timer.id} className={timer.isDone ? 'is-done' : undefined}>
+                            {timer.isDone ? <BellRing size={18} /> : <Timer size={18} />}
+                            <span className="cook-timer-label">{timer.label ? t('cook.timer', { step: timer.step, label: timer.label }) : t('cook.timerUnlabelled', { step: timer.step })}</span>
+                            <span className="cook-timer-time">{timer.isDone ? t('cook.timerDone') : formatCountdown(remainingSeconds(timer))}</span>
+                            {!timer.isDone && (
+                                <button
+                                    type="button"
+                                    className="icon-button"
+                                    onClick={() => togglePause(timer.id)}
+                                    aria-label={timer.isPaused ? t('cook.resumeTimer') : t('cook.pauseTimer')}
+                                >
+                                    {timer.isPaused ? <Play size={18} /> : <Pause size={18} />}
+                                </button>
+                            )}
+                            <button type="button" className="icon-button" onClick={() => dismiss(timer.id)} aria-label={t('cook.removeTimer')}>
+                                <X size={18} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="cook-mode-nav">
+                <button type="button" className="btn-secondary" onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === -1}>
+                    <ChevronLeft size={20} className="directional-icon" /> {t('cook.back')}
+                </button>
+                {stepIndex < lastIndex ? (
+                    <button type="button" className="btn-secondary" onClick={() => goTo(stepIndex + 1)}>
+                        {stepIndex === -1 ? t('cook.start') : t('cook.next')} <ChevronRight size={20} className="directional-icon" />
+                    </button>
+                ) : (
+                    <button type="button" className="btn-secondary" onClick={onClose}>
+                        {t('cook.finish')}
+                    </button>
+                )}
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default CookMode;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Mic, MicOff } from 'lucide-react';
+import './dictationButton.css';
+
+import { useDictation } from '../voice/useRecognition.js';
+import { useI18n } from '../i18n/context.js';
+
+// A microphone next to a form field: tap, speak, and what was heard is
+// passed to onText. Renders nothing where the browser can't do speech
+// recognition, so typing is all that's left.
+const DictationButton = ({ label, onText }) => {
+    const { t } = useI18n();
+    const { isSupported, isListening, error, start, stop } = useDictation(onText);
+    if (!isSupported) return null;
+
+    return (
+        <>
+            <button
+                type="button"
+                className={`icon-button dictation-button${isListening ? ' is-listening' : ''}`}
+                onClick={isListening ? stop : start}
+                aria-pressed={isListening}
+                aria-label={isListening ? t('voice.stop') : t('voice.say', { what: label })}
+                title={isListening ? t('voice.listening') : t('voice.say', { what: label })}
+            >
+                {isListening ? <MicOff size={18} /> : <Mic size={18} />}
+            </button>
+            {error && <p className="form-hint dictation-error" role="status">{error}</p>}
+        </>
+    );
+};
+
+export default DictationButton;
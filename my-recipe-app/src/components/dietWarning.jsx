@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+import './safetyWarning.css';
+
+import { useI18n } from '../i18n/context.js';
+
+// Lists the dietary constraints a recipe still breaks after generation
+const DietWarning = ({ violations, onRegenerateWithout }) => {
+    const { t, locale } = useI18n();
+    const lower = (text) => text.toLocaleLowerCase(locale);
+
+    return (
+        <div className="safety-warning is-diet" role="alert">
+            <div className="safety-warning-title">
+                <AlertTriangle size={22} />
+                <strong>{t('diet.warning')}</strong>
+            </div>
+
+            {violations.map(({ constraint, hits }) => {
+                const name = lower(t(`diet.${constraint.id}`));
+                return (
+                    <div key={constraint.id} className="safety-finding">
+                        <p className="safety-finding-name">{t('diet.broken', { constraint: name })}</p>
+                        <ul>
+                            {hits.map(hit => (
+                                <li key={`${hit.section}-${hit.index}-${hit.term}`}>
+                                    <span className="safety-section">
+                                        {hit.section === 'ingredients' ? t('warning.ingredient') : t('warning.step', { step: hit.index + 1 })}:
+                                    </span>{' '}
+                                    {hit.line} <em>({hit.term}, {t(`diet.group.${hit.groupId}`)})</em>
+                                </li>
+                            ))}
+                        </ul>
+                        <button type="button" className="btn-secondary" onClick={() => onRegenerateWithout(hits)}>
+                            <RefreshCw size={16} /> {t('diet.regenerate', { constraint: name })}
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default DietWarning;
@@ -0,0 +1,41 @@
+import React, { useState, useCallback } from 'react';
+import { Printer, FileText, Braces } from 'lucide-react';
+import './exportMenu.css';
+
+import { recipeToMarkdown } from '../export/markdown.js';
+import { recipeToJsonLd } from '../export/jsonLd.js';
+import { fileNameFor, downloadText } from '../export/download.js';
+import PrintSheet from './printSheet.jsx';
+import { useI18n } from '../i18n/context.js';
+
+// Print / PDF, Markdown and schema.org JSON-LD for the recipe as currently
+// shown, so a scaled or converted recipe exports the way it looks
+const ExportMenu = ({ recipe }) => {
+    const { t } = useI18n();
+    const [isPrinting, setIsPrinting] = useState(false);
+    const stopPrinting = useCallback(() => setIsPrinting(false), []);
+
+    const exportMarkdown = () => downloadText(fileNameFor(recipe, 'md'), recipeToMarkdown(recipe), 'text/markdown');
+    const exportJsonLd = () => downloadText(
+        fileNameFor(recipe, 'jsonld'),
+        JSON.stringify(recipeToJsonLd(recipe), null, 2),
+        'application/ld+json'
+    );
+
+    return (
+        <div className="export-menu" role="group" aria-label={t('export.label')}>
+            <button type="button" className="btn-secondary" onClick={() => setIsPrinting(true)}>
+                <Printer size={16} /> {t('export.print')}
+            </button>
+            <button type="button" className="btn-secondary" onClick={exportMarkdown}>
+                <FileText size={16} /> {t('export.markdown')}
+            </button>
+            <button type="button" className="btn-secondary" onClick={exportJsonLd} title={t('export.jsonLdHint')}>
+                <Braces size={16} /> {t('export.jsonLd')}
+            </button>
+            {isPrinting && <PrintSheet recipe={recipe} onDone={stopPrinting} />}
+        </div>
+    );
+};
+
+export default ExportMenu;
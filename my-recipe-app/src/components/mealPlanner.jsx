@@ -0,0 +1,136 @@
+import React, { useState, useMemo } from 'react';
+import { CalendarDays, Loader2, Timer, ShoppingCart, AlertTriangle, CircleStop } from 'lucide-react';
+import './mealPlanner.css';
+
+import { DEFAULT_PLAN_DAYS, MAX_PLAN_DAYS } from '../recipe/plan.js';
+import { buildShoppingList, subtractPantry, groupByAisle, formatLineAmounts } from '../plan/shoppingList.js';
+import { useI18n } from '../i18n/context.js';
+
+// A run of dinners made from the answers on the Create form, plus one
+// shopping list for all of them. Lines the pantry already covers are ticked;
+// the user can tick off anything else they have.
+const MealPlanner = ({ plan, isPlanning, error, pantryItems, onPlan, onStop, onOpen }) => {
+    const { t, formatQuantity } = useI18n();
+    const [days, setDays] = useState(plan?.days ?? DEFAULT_PLAN_DAYS);
+    const [usePantry, setUsePantry] = useState(true);
+    const [have, setHave] = useState(() => new Set());
+
+    const recipes = useMemo(() => (plan?.recipes ?? []).filter(Boolean), [plan]);
+    const lines = useMemo(() => {
+        const merged = buildShoppingList(recipes);
+        return usePantry ? subtractPantry(merged, pantryItems) : merged;
+    }, [recipes, usePantry, pantryItems]);
+
+    const toggleHave = (key) => setHave((prev) => {
+        const next = new Set(prev);
+        if (next.has(key)) next.delete(key);
+        else next.add(key);
+        return next;
+    });
+
+    const startPlanning = (e) => {
+        e.preventDefault();
+        setHave(new Set());
+        onPlan(days);
+    };
+
+    return (
+        <div className="library-card">
+            <form className="planner-toolbar" onSubmit={startPlanning}>
+                <label className="form-label" htmlFor="plan-days">{t('planner.days')}</label>
+                <input
+                    id="plan-days"
+                    type="number"
+                    min="1"
+                    max={MAX_PLAN_DAYS}
+                    value={days}
+                    onChange={(e) => setDays(Math.min(MAX_PLAN_DAYS, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+                    className="pantry-amount"
+                />
+                <button type="submit" className="btn-secondary" disabled={isPlanning}>
+                    {isPlanning ? <Loader2 size={16} className="loader-icon" /> : <CalendarDays size={16} />}
+                    {isPlanning ? t('planner.planning', { day: recipes.length + 1 }) : t('planner.plan')}
+                </button>
+                {isPlanning && (
+                    <button type="button" className="btn-secondary" onClick={onStop}>
+                        <CircleStop size={16} /> {t('form.stop')}
+                    </button>
+                )}
+                <p className="form-hint">{t('planner.hint')}</p>
+            </form>
+
+            {error && (
+                <div className="error-message">
+                    <AlertTriangle size={20} style={{ flexShrink: 0 }} />
+                    <p>{error}</p>
+                </div>
+            )}
+
+            {recipes.length === 0 && !isPlanning ? (
+                <div className="placeholder">
+                    <CalendarDays size={40} />
+                    <p>{t('planner.empty')}</p>
+                </div>
+            ) : (
+                <ol className="library-list planner-days">
+                    {recipes.map((recipe, index) => (
+                        <li key={index} className="library-entry">
+                            <div className="library-entry-main">
+                                <span className="form-hint">{t('planner.day', { day: index + 1 })}</span>
+                                <button type="button" className="library-entry-name" onClick={() => onOpen(recipe, plan.answers)}>
+                                    {recipe.recipeName}
+                                </button>
+                                <div className="library-entry-meta">
+                                    <span><Timer size={14} /> {t('common.minutes', { count: recipe.prepTimeMinutes })}</span>
+                                    <span>{t('common.ingredients', { count: recipe.ingredients.length })}</span>
+                                </div>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {lines.length > 0 && (
+                <div className="shopping-list">
+                    <h3 className="details-title">
+                        <ShoppingCart size={20} style={{ marginInlineEnd: '8px' }} /> {t('planner.shoppingList')}
+                    </h3>
+                    <label className="checkbox-label">
+                        <input type="checkbox" checked={usePantry} onChange={(e) => setUsePantry(e.target.checked)} />
+                        <span>{t('planner.skipPantry')}</span>
+                    </label>
+                    {groupByAisle(lines).map(({ aisle, lines: aisleLines }) => (
+                        <section key={aisle.id}>
+                            <h4>{t(`aisle.${aisle.id}`)}</h4>
+                            <ul>
+                                {aisleLines.map((line) => {
+                                    const isHad = line.isCovered || have.has(line.key);
+                                    return (
+                                        <li key={line.key} className={isHad ? 'is-had' : undefined}>
+                                            <label className="checkbox-label">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={isHad}
+                                                    disabled={line.isCovered}
+                                                    onChange={() => toggleHave(line.key)}
+                                                />
+                                                <span>
+                                                    {formatLineAmounts(line, formatQuantity)} {line.name}
+                                                    {line.optional && ` ${t('common.optional')}`}
+                                                    {line.have && <em> – {line.isCovered ? t('planner.inPantry') : t('planner.buyRest')}</em>}
+                                                    {line.recipes.length > 1 && <em> – {t('planner.recipes', { count: line.recipes.length })}</em>}
+                                                </span>
+                                            </label>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </section>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MealPlanner;
@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import { Flame, AlertTriangle } from 'lucide-react';
+import './nutritionPanel.css';
+
+import { estimateNutrition, MIN_CONFIDENCE_TO_ENFORCE } from '../nutrition/estimate.js';
+import { useI18n } from '../i18n/context.js';
+
+// Labelled by nutrition.<id>
+const MACROS = [
+    { id: 'protein', unit: 'g' },
+    { id: 'carbs', unit: 'g' },
+    { id: 'fat', unit: 'g' },
+    { id: 'fibre', unit: 'g' },
+    { id: 'sodium', unit: 'mg' },
+];
+
+// Labelled by nutrition.<level>
+const describeConfidence = (confidence) => {
+    if (confidence >= 0.8) return 'high';
+    if (confidence >= MIN_CONFIDENCE_TO_ENFORCE) return 'medium';
+    return 'low';
+};
+
+// Per-serving nutrition worked out in the browser from the bundled food
+// table, with how each ingredient was matched for anyone who wants to check.
+// Serving size follows the recipe as written, so scaling doesn't change it.
+const NutritionPanel = ({ recipe, maxCalories }) => {
+    const { t, formatNumber, formatIngredient } = useI18n();
+    const { perServing, confidence, items } = useMemo(() => estimateNutrition(recipe), [recipe]);
+    const level = describeConfidence(confidence);
+    const isOver = Boolean(maxCalories) && perServing.kcal > maxCalories;
+
+    return (
+        <section className="nutrition-panel" aria-label={t('nutrition.title')}>
+            <div className="nutrition-header">
+                <h3 className="details-title">
+                    <Flame size={20} style={{ marginInlineEnd: '8px' }} /> {t('nutrition.title')}
+                </h3>
+                <span
+                    className={`nutrition-confidence is-${level}`}
+                    title={t('nutrition.confidence', { percent: Math.round(confidence * 100) })}
+                >
+                    {t(`nutrition.${level}`)}
+                </span>
+            </div>
+
+            <div className="nutrition-grid">
+                <div className={`nutrition-kcal${isOver ? ' is-over' : ''}`}>
+                    <strong>{formatNumber(perServing.kcal)}</strong> {t('nutrition.kcal')}
+                    {isOver && (
+                        <span className="nutrition-limit">
+                            <AlertTriangle size={14} /> {t('nutrition.overLimit', { limit: maxCalories })}
+                        </span>
+                    )}
+                </div>
+                {MACROS.map(macro => (
+                    <div key={macro.id} className="nutrition-macro">
+                        <strong>{formatNumber(perServing[macro.id])}{macro.unit}</strong>
+                        <span>{t(`nutrition.${macro.id}`)}</span>
+                    </div>
+                ))}
+            </div>
+
+            <details className="nutrition-items">
+                <summary>{t('nutrition.workings')}</summary>
+                <ul>
+                    {items.map((item, index) => (
+                        <li key={index} className={item.food ? undefined : 'is-unmatched'}>
+                            <span>{formatIngredient(item.ingredient)}</span>
+                            <span className="form-hint">
+                                {item.food
+                                    ? t('nutrition.match', { food: item.food, grams: Math.round(item.grams) })
+                                    : t('nutrition.noMatch')}
+                                {item.note && ` – ${t(`nutrition.note.${item.note.id}`, item.note.values)}`}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+                <p className="form-hint">{t('nutrition.disclaimer')}</p>
+            </details>
+        </section>
+    );
+};
+
+export default NutritionPanel;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { CloudOff, Loader2, X } from 'lucide-react';
+import './offlineQueue.css';
+
+import { useI18n } from '../i18n/context.js';
+
+const TIME_FORMAT = { hour: 'numeric', minute: '2-digit' };
+
+// The recipes asked for while offline, waiting for the connection to come
+// back. Each can be dropped before it runs.
+const OfflineQueue = ({ entries, isOnline, onCancel }) => {
+    const { t, formatDate } = useI18n();
+
+    return (
+        <div className="offline-queue" role="status">
+            <div className="offline-queue-title">
+                {isOnline ? <Loader2 size={18} className="loader-icon" /> : <CloudOff size={18} />}
+                <strong>{isOnline ? t('queue.running') : t('queue.waiting')}</strong>
+            </div>
+            <p className="form-hint">
+                {t('queue.hint')}
+            </p>
+            <ul>
+                {entries.map(entry => (
+                    <li key={entry.key}>
+                        <span>
+                            {entry.answers.ingredients || t('queue.chefsChoice')}
+                            <span className="form-hint"> · {t('queue.askedAt', { time: formatDate(entry.queuedAt, TIME_FORMAT) })}</span>
+                        </span>
+                        <button type="button" className="icon-button" aria-label={t('queue.cancel')} onClick={() => onCancel(entry.key)}>
+                            <X size={16} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default OfflineQueue;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { PackageMinus } from 'lucide-react';
+import './pantryDeduction.css';
+
+import { planDeduction } from '../pantry/usage.js';
+import { useI18n } from '../i18n/context.js';
+
+const describeRemaining = ({ t, formatQuantity }, { item, remaining }) => {
+    if (remaining === undefined) return t('deduction.unknown');
+    if (remaining <= 0) return t('deduction.usedUp');
+    return t('deduction.left', { amount: formatQuantity(remaining, item.unit) });
+};
+
+// "I cooked this": lists the pantry items the recipe used and what would be
+// left of each, for the user to confirm before anything is changed. Items
+// whose remaining amount can't be worked out are left alone unless ticked.
+const PantryDeduction = ({ items, recipe, onApply, onCancel }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [rows] = useState(() => planDeduction(items, recipe));
+    const [selected, setSelected] = useState(
+        () => new Set(rows.filter(row => row.remaining !== undefined).map(row => row.item.id))
+    );
+
+    const toggle = (id) => setSelected((prev) => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    const apply = () => onApply(rows.filter(row => selected.has(row.item.id)));
+
+    return (
+        <div className="pantry-deduction">
+            <strong>{t('deduction.title')}</strong>
+            {rows.length === 0 ? (
+                <p className="form-hint">{t('deduction.none')}</p>
+            ) : (
+                <ul>
+                    {rows.map(row => (
+                        <li key={row.item.id}>
+                            <label className="checkbox-label">
+                                <input type="checkbox" checked={selected.has(row.item.id)} onChange={() => toggle(row.item.id)} />
+                                <span>
+                                    <strong>{row.item.name}</strong>: {t('deduction.used', { items: row.used.join(', ') })} {describeRemaining(i18n, row)}
+                                </span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="cutoff-actions">
+                <button type="button" className="btn-secondary" onClick={apply} disabled={selected.size === 0}>
+                    <PackageMinus size={16} /> {t('deduction.apply')}
+                </button>
+                <button type="button" className="btn-secondary" onClick={onCancel}>
+                    {t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PantryDeduction;
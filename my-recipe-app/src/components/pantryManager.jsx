@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Refrigerator } from 'lucide-react';
+import './pantryManager.css';
+
+import { sortByExpiry, expiryStatus, daysUntil } from '../pantry/usage.js';
+import { useI18n } from '../i18n/context.js';
+import { errorText } from '../i18n/messageError.js';
+
+const EMPTY_ITEM = { name: '', amount: '', unit: '', expiresOn: '' };
+
+const describeExpiry = (t, item) => {
+    const days = daysUntil(item.expiresOn);
+    if (days < 0) return t('pantry.expired', { count: -days });
+    if (days === 0) return t('pantry.expiresToday');
+    if (days === 1) return t('pantry.expiresTomorrow');
+    return t('pantry.expiresIn', { count: days });
+};
+
+export const ExpiryBadge = ({ item }) => {
+    const { t } = useI18n();
+    const status = expiryStatus(item);
+    if (!status) return null;
+    return <span className={`expiry-badge is-${status}`}>{describeExpiry(t, item)}</span>;
+};
+
+// Everything the user has on hand, soonest expiry first
+const PantryManager = ({ items, error, onAdd, onUpdate, onRemove }) => {
+    const { t, formatQuantity } = useI18n();
+    const [draft, setDraft] = useState(EMPTY_ITEM);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+    };
+
+    const addItem = async (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        const added = await onAdd({ ...draft, amount: draft.amount === '' ? undefined : Number(draft.amount) });
+        if (added) setDraft(EMPTY_ITEM);
+    };
+
+    return (
+        <div className="library-card">
+            <form className="pantry-form" onSubmit={addItem}>
+                <input
+                    type="text"
+                    name="name"
+                    value={draft.name}
+                    onChange={handleChange}
+                    className="text-input"
+                    placeholder={t('pantry.itemPlaceholder')}
+                    aria-label={t('pantry.item')}
+                    maxLength={60}
+                />
+                <input
+                    type="number"
+                    name="amount"
+                    value={draft.amount}
+                    onChange={handleChange}
+                    className="text-input"
+                    placeholder={t('pantry.amount')}
+                    aria-label={t('pantry.amount')}
+                    min="0"
+                    step="any"
+                />
+                <input
+                    type="text"
+                    name="unit"
+                    value={draft.unit}
+                    onChange={handleChange}
+                    className="text-input"
+                    placeholder={t('pantry.unitPlaceholder')}
+                    aria-label={t('pantry.unit')}
+                />
+                <input
+                    type="date"
+                    name="expiresOn"
+                    value={draft.expiresOn}
+                    onChange={handleChange}
+                    className="text-input"
+                    aria-label={t('pantry.expiry')}
+                    title={t('pantry.expiry')}
+                />
+                <button type="submit" className="btn-secondary" disabled={!draft.name.trim()}>
+                    <Plus size={16} /> {t('pantry.add')}
+                </button>
+            </form>
+
+            {error && <p className="library-error">{errorText(t, error)}</p>}
+
+            {items.length === 0 ? (
+                <div className="placeholder">
+                    <Refrigerator size={40} />
+                    <p>{t('pantry.empty')}</p>
+                </div>
+            ) : (
+                <ul className="library-list">
+                    {sortByExpiry(items).map(item => (
+                        <li key={item.id} className="library-entry">
+                            <div className="library-entry-main">
+                                <strong>{item.name}</strong>
+                                <div className="library-entry-meta">
+                                    {item.amount !== undefined && (
+                                        <span>{formatQuantity(item.amount, item.unit)}</span>
+                                    )}
+                                    <ExpiryBadge item={item} />
+                                </div>
+                            </div>
+                            <div className="library-entry-actions">
+                                <input
+                                    type="number"
+                                    value={item.amount ?? ''}
+                                    onChange={(e) => onUpdate(item.id, { amount: e.target.value === '' ? undefined : Number(e.target.value) })}
+                                    className="pantry-amount"
+                                    aria-label={t('pantry.amountOf', { name: item.name })}
+                                    min="0"
+                                    step="any"
+                                />
+                                <input
+                                    type="date"
+                                    value={item.expiresOn || ''}
+                                    onChange={(e) => onUpdate(item.id, { expiresOn: e.target.value })}
+                                    className="pantry-date"
+                                    aria-label={t('pantry.expiryOf', { name: item.name })}
+                                />
+                                <button
+                                    type="button"
+                                    className="icon-button"
+                                    aria-label={t('common.remove', { name: item.name })}
+                                    onClick={() => onRemove(item.id)}
+                                >
+                                    <Trash2 size={18} />
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PantryManager;
@@ -0,0 +1,32 @@
+import React from 'react';
+import './pantryPicker.css';
+
+import { sortByExpiry, hasIngredient, expiryStatus } from '../pantry/usage.js';
+import { useI18n } from '../i18n/context.js';
+
+// Pantry items as tickable chips under the ingredients question. Ticking one
+// adds its name to the comma-separated answer, unticking takes it out again.
+const PantryPicker = ({ items, ingredients, onToggle }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="pantry-picker">
+            <span className="form-hint">{t('pantry.picker')}</span>
+            {sortByExpiry(items).map(item => {
+                const status = expiryStatus(item);
+                return (
+                    <label key={item.id} className={`tag-chip is-filter${status ? ` is-${status}` : ''}`}>
+                        <input
+                            type="checkbox"
+                            checked={hasIngredient(ingredients, item.name)}
+                            onChange={() => onToggle(item.name)}
+                        />
+                        {item.name}
+                    </label>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PantryPicker;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, ImageUp, Loader2, Plus, X } from 'lucide-react';
+import './photoIngredients.css';
+
+import { detectIngredients } from '../api.js';
+import { preparePhoto } from '../photo/preparePhoto.js';
+import { ERROR_CODES } from '../recipe/errors.js';
+import { useI18n } from '../i18n/context.js';
+import { errorText } from '../i18n/messageError.js';
+
+// A photo of the fridge or cupboard under the ingredients question. What the
+// model spots comes back as chips the user can correct or remove before
+// adding them to the answer.
+const PhotoIngredients = ({ onAdd }) => {
+    const { t } = useI18n();
+    const [preview, setPreview] = useState(null);
+    const [names, setNames] = useState([]);
+    const [isDetecting, setIsDetecting] = useState(false);
+    const [error, setError] = useState(null);
+    const controllerRef = useRef(null);
+
+    useEffect(() => () => {
+        if (preview) URL.revokeObjectURL(preview);
+    }, [preview]);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const reset = () => {
+        controllerRef.current?.abort();
+        setPreview(null);
+        setNames([]);
+        setIsDetecting(false);
+        setError(null);
+    };
+
+    const readFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        reset();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setPreview(URL.createObjectURL(file));
+        setIsDetecting(true);
+        try {
+            const image = await preparePhoto(file);
+            const detected = await detectIngredients(image, { signal: controller.signal });
+            if (!controller.signal.aborted) setNames(detected);
+        } catch (err) {
+            if (err.code !== ERROR_CODES.CANCELLED && !controller.signal.aborted) setError(err);
+        } finally {
+            if (controllerRef.current === controller) setIsDetecting(false);
+        }
+    };
+
+    const rename = (index, value) => setNames(prev => prev.map((name, i) => (i === index ? value : name)));
+    const removeName = (index) => setNames(prev => prev.filter((_, i) => i !== index));
+
+    const addAll = () => {
+        onAdd(names.map(name => name.trim()).filter(Boolean));
+        reset();
+    };
+
+    return (
+        <div className="photo-ingredients">
+            <div className="photo-actions">
+                <label className="btn-secondary">
+                    <Camera size={16} /> {t('photo.take')}
+                    <input type="file" accept="image/*" capture="environment" onChange={readFile} hidden />
+                </label>
+                <label className="btn-secondary">
+                    <ImageUp size={16} /> {t('photo.upload')}
+                    <input type="file" accept="image/*" onChange={readFile} hidden />
+                </label>
+                <span className="form-hint">{t('photo.hint')}</span>
+            </div>
+
+            {preview && (
+                <div className="photo-result">
+                    <img src={preview} alt={t('photo.alt')} className="photo-preview" />
+                    <div className="photo-detected">
+                        {isDetecting && (
+                            <p className="form-hint">
+                                <Loader2 size={14} className="loader-icon" /> {t('photo.detecting')}
+                            </p>
+                        )}
+                        {error && <p className="library-error">{errorText(t, error)}</p>}
+                        {!isDetecting && !error && names.length === 0 && (
+                            <p className="form-hint">{t('photo.none')}</p>
+                        )}
+                        {names.length > 0 && (
+                            <>
+                                <span className="form-hint">{t('photo.spotted')}</span>
+                                <div className="tag-editor">
+                                    {names.map((name, index) => (
+                                        <span key={index} className="tag-chip photo-chip">
+                                            <input
+                                                value={name}
+                                                size={Math.max(4, name.length)}
+                                                onChange={(e) => rename(index, e.target.value)}
+                                                onKeyDown={(e) => { if (e.key === 'Enter') e.preventDefault(); }}
+                                                aria-label={t('photo.chip', { number: index + 1 })}
+                                            />
+                                            <button type="button" aria-label={t('common.remove', { name })} onClick={() => removeName(index)}>
+                                                <X size={12} />
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                                <button type="button" className="btn-secondary" onClick={addAll}>
+                                    <Plus size={16} /> {t('photo.add')}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    <button type="button" className="icon-button" aria-label={t('photo.discard')} onClick={reset}>
+                        <X size={18} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PhotoIngredients;
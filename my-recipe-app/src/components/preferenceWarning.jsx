@@ -0,0 +1,66 @@
+import React from 'react';
+import { Clock, RefreshCw } from 'lucide-react';
+import './safetyWarning.css';
+
+import { useI18n } from '../i18n/context.js';
+
+// The problem's heading and explanation in the user's language, from the
+// reason and values checkPreferences gives alongside its English wording
+const describeProblem = ({ t, locale }, { id, reason, values }) => {
+    const lower = (text) => text.toLocaleLowerCase(locale);
+    const labels = {
+        time: () => t('preferences.time', { minutes: values.limit }),
+        servings: () => t('preferences.servings', { count: values.wanted }),
+        skill: () => t(`skill.${values.level}`),
+    };
+    return {
+        label: labels[id] ? labels[id]() : t(`equipment.${id}`),
+        message: t(`preferences.${reason}`, {
+            ...values,
+            ...(values.level && { level: lower(t(`skill.${values.level}`)) }),
+            ...(values.equipment && { equipment: lower(t(`equipment.${values.equipment}`)) }),
+        }),
+    };
+};
+
+// Lists the cooking preferences (time, servings, skill, equipment) a recipe
+// still misses after generation
+const PreferenceWarning = ({ problems, onTryAgain }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+
+    return (
+        <div className="safety-warning is-diet" role="alert">
+            <div className="safety-warning-title">
+                <Clock size={22} />
+                <strong>{t('preferences.warning')}</strong>
+            </div>
+
+            {problems.map(problem => {
+                const { id, hits } = problem;
+                const { label, message } = describeProblem(i18n, problem);
+                return (
+                    <div key={id} className="safety-finding">
+                        <p className="safety-finding-name">{label}</p>
+                        <p className="preference-message">{message}</p>
+                        {hits.length > 0 && (
+                            <ul>
+                                {hits.map(hit => (
+                                    <li key={`${hit.index}-${hit.term}`}>
+                                        <span className="safety-section">{t('warning.step', { step: hit.index + 1 })}:</span>{' '}
+                                        {hit.line} <em>({hit.term})</em>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                );
+            })}
+            <button type="button" className="btn-secondary" onClick={onTryAgain}>
+                <RefreshCw size={16} /> {t('preferences.tryAgain')}
+            </button>
+        </div>
+    );
+};
+
+export default PreferenceWarning;
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import './printSheet.css';
+
+import { estimateNutrition } from '../nutrition/estimate.js';
+import { useI18n } from '../i18n/context.js';
+
+// A plain black-on-white copy of the recipe that is the only thing printed
+// while it's mounted. The print dialog opens straight away; "Save as PDF"
+// there gives the PDF. `recipe` arrives already scaled and converted.
+const PrintSheet = ({ recipe, onDone }) => {
+    const { t, formatIngredient } = useI18n();
+    const hasPrinted = useRef(false);
+
+    useEffect(() => {
+        window.addEventListener('afterprint', onDone);
+        // Once per mount, even when development mode runs effects twice
+        if (!hasPrinted.current) {
+            hasPrinted.current = true;
+            window.print();
+        }
+        return () => window.removeEventListener('afterprint', onDone);
+    }, [onDone]);
+
+    const { perServing } = estimateNutrition(recipe);
+
+    return createPortal(
+        <article className="print-sheet">
+            <h1>{recipe.recipeName}</h1>
+            {recipe.description && <p className="print-description">{recipe.description}</p>}
+            <p className="print-meta">
+                {t('print.meta', { servings: recipe.servings, minutes: recipe.prepTimeMinutes, kcal: perServing.kcal })}
+            </p>
+            <div className="print-columns">
+                <section>
+                    <h2>{t('card.ingredients')}</h2>
+                    <ul>
+                        {recipe.ingredients.map((ingredient, index) => <li key={index}>{formatIngredient(ingredient)}</li>)}
+                    </ul>
+                </section>
+                <section>
+                    <h2>{t('card.instructions')}</h2>
+                    <ol>
+                        {recipe.instructions.map((step, index) => <li key={index}>{step}</li>)}
+                    </ol>
+                </section>
+            </div>
+        </article>,
+        document.body
+    );
+};
+
+export default PrintSheet;
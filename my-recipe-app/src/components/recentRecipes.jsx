@@ -0,0 +1,40 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import './recentRecipes.css';
+
+import { CACHE_TTL_MS } from '../cache/recipeCache.js';
+import { useI18n } from '../i18n/context.js';
+
+const DATE_FORMAT = { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' };
+
+const KEPT_DAYS = Math.round(CACHE_TTL_MS / (24 * 60 * 60 * 1000));
+
+// Recipes generated recently on this device, saved or not, straight from
+// the recipe cache; like the library, they open without a connection
+const RecentRecipes = ({ entries, onOpen }) => {
+    const { t, formatDate } = useI18n();
+
+    return (
+        <section className="library-card recent-recipes">
+            <h3 className="details-title">
+                <History size={20} /> {t('recent.title')}
+            </h3>
+            <p className="form-hint">{t('recent.hint', { days: KEPT_DAYS })}</p>
+            <ul>
+                {entries.map(entry => (
+                    <li key={entry.key}>
+                        <div>
+                            <strong>{entry.recipe.recipeName}</strong>
+                            <span className="form-hint">{formatDate(entry.createdAt, DATE_FORMAT)}</span>
+                        </div>
+                        <button type="button" className="btn-secondary" onClick={() => onOpen(entry)}>
+                            {t('recent.open')}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+};
+
+export default RecentRecipes;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { ChefHat, CookingPot, Timer, Utensils, Users, Minus, Plus, Maximize2, Volume2, Square, ArrowLeftRight } from 'lucide-react';
+import './recipeCard.css';
+
+import { normalizeIngredient, scaleIngredient } from '../recipe/ingredients.js';
+import { convertIngredient, convertTemperatures } from '../recipe/units.js';
+import CookMode from './cookMode.jsx';
+import NutritionPanel from './nutritionPanel.jsx';
+import ExportMenu from './exportMenu.jsx';
+import { useSpeaker } from '../voice/useSpeaker.js';
+import { recipeSpeech, stepSpeech } from '../voice/readAloud.js';
+import SubstitutePicker from './substitutePicker.jsx';
+import { applySubstitution, describeSubstitution } from '../substitution/engine.js';
+import { useI18n } from '../i18n/context.js';
+
+const DEFAULT_SERVINGS = 2;
+
+// Labelled by units.<id>
+const UNIT_SYSTEMS = ['original', 'metric', 'imperial'];
+
+// Renders a finished recipe or, while streaming, the parts received so far.
+// `actions` is an optional row of buttons shown under the header;
+// `maxCalories` is the per-serving limit the recipe was asked to keep to.
+// With `onSubstitute`, each ingredient can be swapped for something that
+// keeps to `answers`; it's called with the rewritten recipe and a label
+// for the change.
+const RecipeCard = ({ recipe, isPartial = false, actions, maxCalories, answers, onSubstitute }) => {
+    const i18n = useI18n();
+    const { t, formatIngredient } = i18n;
+    const baseServings = recipe.servings || DEFAULT_SERVINGS;
+    const [servings, setServings] = useState(null);
+    const [unitSystem, setUnitSystem] = useState('original');
+    const [isCooking, setIsCooking] = useState(false);
+    const speaker = useSpeaker();
+    const [swappingIndex, setSwappingIndex] = useState(null);
+    const currentServings = servings ?? baseServings;
+    const factor = currentServings / baseServings;
+
+    const ingredients = (recipe.ingredients || [])
+        .map(normalizeIngredient)
+        .map(ingredient => convertIngredient(scaleIngredient(ingredient, factor), unitSystem));
+    const instructions = (recipe.instructions || []).map(step => convertTemperatures(step, unitSystem));
+
+    return (
+        <div className={`recipe-card animate-in${isPartial ? ' is-partial' : ''}`}>
+            <div className="recipe-header">
+                <ChefHat className="icon-header" size={32} />
+                <h2 className="recipe-name">{recipe.recipeName || t('card.naming')}</h2>
+            </div>
+
+            {actions && <div className="recipe-actions">{actions}</div>}
+
+            {recipe.description && <p className="recipe-description">{recipe.description}</p>}
+
+            <div className="recipe-meta">
+                {Number.isFinite(recipe.prepTimeMinutes) && (
+                    <div className="recipe-time">
+                        <Timer size={16} style={{ marginInlineEnd: '8px' }} />
+                        {t('card.totalTime', { minutes: recipe.prepTimeMinutes })}
+                    </div>
+                )}
+
+                {!isPartial && (
+                    <div className="servings-control">
+                        <Users size={16} style={{ marginInlineEnd: '8px' }} />
+                        <button
+                            type="button"
+                            className="servings-button"
+                            onClick={() => setServings(Math.max(1, currentServings - 1))}
+                            disabled={currentServings <= 1}
+                            aria-label={t('card.fewerServings')}
+                        >
+                            <Minus size={14} />
+                        </button>
+                        <span className="servings-count">{t('card.servings', { count: currentServings })}</span>
+                        <button
+                            type="button"
+                            className="servings-button"
+                            onClick={() => setServings(currentServings + 1)}
+                            aria-label={t('card.moreServings')}
+                        >
+                            <Plus size={14} />
+                        </button>
+                        {currentServings !== baseServings && (
+                            <button type="button" className="servings-reset" onClick={() => setServings(null)}>
+                                {t('card.resetServings')}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {!isPartial && (
+                    <button type="button" className="btn-secondary" onClick={() => setIsCooking(true)}>
+                        <Maximize2 size={16} /> {t('card.cookMode')}
+                    </button>
+                )}
+
+                {!isPartial && speaker.isSupported && (
+                    speaker.speaking === 'recipe' ? (
+                        <button type="button" className="btn-secondary" onClick={speaker.stop}>
+                            <Square size={16} /> {t('card.stopReading')}
+                        </button>
+                    ) : (
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => speaker.speak(recipeSpeech(recipe, currentServings, ingredients, instructions, i18n), 'recipe')}
+                        >
+                            <Volume2 size={16} /> {t('card.readAloud')}
+                        </button>
+                    )
+                )}
+
+                {!isPartial && (
+                    <ExportMenu recipe={{ ...recipe, servings: currentServings, ingredients, instructions }} />
+                )}
+
+                {!isPartial && (
+                    <div className="unit-toggle" role="group" aria-label={t('card.units')}>
+                        {UNIT_SYSTEMS.map(system => (
+                            <button
+                                key={system}
+                                type="button"
+                                className={unitSystem === system ? 'is-active' : undefined}
+                                aria-pressed={unitSystem === system}
+                                onClick={() => setUnitSystem(system)}
+                            >
+                                {t(`units.${system}`)}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="recipe-details-grid">
+                {/* Ingredients */}
+                <div className="ingredients-box">
+                    <h3 className="details-title">
+                        <Utensils size={20} style={{ marginInlineEnd: '8px' }} /> {t('card.ingredients')}
+                    </h3>
+                    <ul className="details-list">
+                        {ingredients.map((ingredient, index) => (
+                            <li key={index} className={ingredient.optional ? 'is-optional' : undefined}>
+                                {formatIngredient(ingredient)}
+                                {!isPartial && onSubstitute && (
+                                    <button
+                                        type="button"
+                                        className={`icon-button substitute-button${swappingIndex === index ? ' is-active' : ''}`}
+                                        onClick={() => setSwappingIndex(swappingIndex === index ? null : index)}
+                                        aria-expanded={swappingIndex === index}
+                                        aria-label={t('card.substituteItem', { name: ingredient.name })}
+                                        title={t('card.substitute')}
+                                    >
+                                        <ArrowLeftRight size={14} />
+                                    </button>
+                                )}
+                                {swappingIndex === index && (
+                                    <SubstitutePicker
+                                        recipe={recipe}
+                                        index={index}
+                                        answers={answers}
+                                        onApply={(substitute) => onSubstitute(
+                                            applySubstitution(recipe, index, substitute),
+                                            describeSubstitution(recipe.ingredients[index], substitute)
+                                        )}
+                                        onClose={() => setSwappingIndex(null)}
+                                    />
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                {/* Instructions */}
+                <div className="instructions-box">
+                    <h3 className="details-title">
+                        <CookingPot size={20} style={{ marginInlineEnd: '8px' }} /> {t('card.instructions')}
+                    </h3>
+                    <ol className="details-list ordered">
+                        {instructions.map((step, index) => (
+                            <li key={index}>
+                                {step}
+                                {!isPartial && speaker.isSupported && (
+                                    <button
+                                        type="button"
+                                        className={`icon-button step-speak${speaker.speaking === index ? ' is-active' : ''}`}
+                                        onClick={() => (speaker.speaking === index
+                                            ? speaker.stop()
+                                            : speaker.speak(stepSpeech(step, index, instructions.length, i18n), index))}
+                                        aria-label={speaker.speaking === index ? t('card.stopReading') : t('card.readStep', { step: index + 1 })}
+                                    >
+                                        {speaker.speaking === index ? <Square size={14} /> : <Volume2 size={14} />}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            </div>
+
+            {!isPartial && <NutritionPanel recipe={recipe} maxCalories={maxCalories} />}
+
+            {isCooking && (
+                <CookMode
+                    recipe={recipe}
+                    ingredients={ingredients}
+                    instructions={instructions}
+                    onClose={() => setIsCooking(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default RecipeCard;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import './recipeImport.css';
+
+import { importRecipe } from '../export/importRecipe.js';
+import { useI18n } from '../i18n/context.js';
+import { errorText } from '../i18n/messageError.js';
+
+// Pull a recipe in from a schema.org JSON-LD file (or a saved web page that
+// has one) or a Markdown file, either uploaded or pasted
+const RecipeImport = ({ onImport, onClose }) => {
+    const { t } = useI18n();
+    const [text, setText] = useState('');
+    const [error, setError] = useState(null);
+
+    const read = (source) => {
+        try {
+            onImport(importRecipe(source));
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    const readFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) read(await file.text());
+    };
+
+    return (
+        <form className="recipe-import" onSubmit={(e) => { e.preventDefault(); read(text); }}>
+            <div className="recipe-import-header">
+                <label className="btn-secondary">
+                    <Upload size={16} /> {t('import.chooseFile')}
+                    <input
+                        type="file"
+                        accept=".json,.jsonld,.md,.markdown,.txt,.html,.htm"
+                        onChange={readFile}
+                        hidden
+                    />
+                </label>
+                <span className="form-hint">{t('import.paste')}</span>
+                <button type="button" className="icon-button" aria-label={t('import.close')} onClick={onClose}>
+                    <X size={18} />
+                </button>
+            </div>
+            <textarea
+                value={text}
+                onChange={(e) => { setText(e.target.value); setError(null); }}
+                className="text-input"
+                rows={6}
+                placeholder={'# Recipe name\n\n## Ingredients\n- 2 cups rice\n\n## Instructions\n1. ...'}
+                aria-label={t('import.text')}
+            />
+            {error && <p className="library-error">{errorText(t, error)}</p>}
+            <button type="submit" className="btn-secondary" disabled={!text.trim()}>{t('import.submit')}</button>
+        </form>
+    );
+};
+
+export default RecipeImport;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Search, Star, Timer, Trash2, RefreshCw, BookOpen, X, Upload } from 'lucide-react';
+import './recipeLibrary.css';
+
+import { searchLibrary, allTags, SORT_OPTIONS } from '../library/search.js';
+import RecipeImport from './recipeImport.jsx';
+import { useI18n } from '../i18n/context.js';
+import { errorText } from '../i18n/messageError.js';
+
+const DATE_FORMAT = { day: 'numeric', month: 'short', year: 'numeric' };
+
+// Tag editor for one entry: existing tags as removable chips plus an input
+const TagEditor = ({ tags, onChange }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState('');
+
+    const addTag = (e) => {
+        e.preventDefault();
+        const tag = draft.trim().toLowerCase();
+        if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+        setDraft('');
+    };
+
+    return (
+        <form className="tag-editor" onSubmit={addTag}>
+            {tags.map(tag => (
+                <span key={tag} className="tag-chip">
+                    {tag}
+                    <button type="button" aria-label={t('library.removeTag', { tag })} onClick={() => onChange(tags.filter(other => other !== tag))}>
+                        <X size={12} />
+                    </button>
+                </span>
+            ))}
+            <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                className="tag-input"
+                placeholder={t('library.tagPlaceholder')}
+                aria-label={t('library.addTag')}
+            />
+        </form>
+    );
+};
+
+const RecipeLibrary = ({ entries, error, onOpen, onRegenerate, onUpdate, onRemove, onImport }) => {
+    const { t, formatDate } = useI18n();
+    const [query, setQuery] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+    const [tag, setTag] = useState(null);
+    const [favouritesOnly, setFavouritesOnly] = useState(false);
+    const [sort, setSort] = useState('newest');
+
+    const results = searchLibrary(entries, { query, tag, favouritesOnly, sort });
+    const tags = allTags(entries);
+
+    return (
+        <div className="library-card">
+            <div className="library-toolbar">
+                <div className="library-search">
+                    <Search size={18} />
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        className="text-input"
+                        placeholder={t('library.search')}
+                        aria-label={t('library.searchLabel')}
+                    />
+                </div>
+                <select value={sort} onChange={(e) => setSort(e.target.value)} className="library-sort" aria-label={t('library.sort')}>
+                    {Object.keys(SORT_OPTIONS).map(id => (
+                        <option key={id} value={id}>{t(`library.sort.${id}`)}</option>
+                    ))}
+                </select>
+                <button
+                    type="button"
+                    className={`library-filter${favouritesOnly ? ' is-active' : ''}`}
+                    aria-pressed={favouritesOnly}
+                    onClick={() => setFavouritesOnly(!favouritesOnly)}
+                >
+                    <Star size={16} /> {t('library.favourites')}
+                </button>
+                <button
+                    type="button"
+                    className={`library-filter${isImporting ? ' is-active' : ''}`}
+                    aria-expanded={isImporting}
+                    onClick={() => setIsImporting(!isImporting)}
+                >
+                    <Upload size={16} /> {t('library.import')}
+                </button>
+            </div>
+
+            {isImporting && <RecipeImport onImport={onImport} onClose={() => setIsImporting(false)} />}
+
+            {tags.length > 0 && (
+                <div className="library-tags">
+                    {tags.map(name => (
+                        <button
+                            key={name}
+                            type="button"
+                            className={`tag-chip is-filter${tag === name ? ' is-active' : ''}`}
+                            onClick={() => setTag(tag === name ? null : name)}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && <p className="library-error">{errorText(t, error)}</p>}
+
+            {results.length === 0 ? (
+                <div className="placeholder">
+                    <BookOpen size={40} />
+                    <p>{entries.length === 0 ? t('library.empty') : t('library.noMatch')}</p>
+                </div>
+            ) : (
+                <ul className="library-list">
+                    {results.map(entry => (
+                        <li key={entry.id} className="library-entry">
+                            <div className="library-entry-main">
+                                <button type="button" className="library-entry-name" onClick={() => onOpen(entry)}>
+                                    {entry.recipe.recipeName}
+                                </button>
+                                <div className="library-entry-meta">
+                                    <span>{formatDate(entry.createdAt, DATE_FORMAT)}</span>
+                                    {Number.isFinite(entry.recipe.prepTimeMinutes) && (
+                                        <span><Timer size={14} /> {t('common.minutes', { count: entry.recipe.prepTimeMinutes })}</span>
+                                    )}
+                                </div>
+                                <TagEditor tags={entry.tags} onChange={(tags) => onUpdate(entry.id, { tags })} />
+                            </div>
+                            <div className="library-entry-actions">
+                                <button
+                                    type="button"
+                                    className={`icon-button${entry.favourite ? ' is-favourite' : ''}`}
+                                    aria-label={entry.favourite ? t('library.unfavourite') : t('library.favourite')}
+                                    aria-pressed={entry.favourite}
+                                    onClick={() => onUpdate(entry.id, { favourite: !entry.favourite })}
+                                >
+                                    <Star size={18} />
+                                </button>
+                                <button
+                                    type="button"
+                                    className="icon-button"
+                                    aria-label={t('library.regenerate')}
+                                    title={t('library.regenerate')}
+                                    onClick={() => onRegenerate(entry)}
+                                >
+                                    <RefreshCw size={18} />
+                                </button>
+                                <button
+                                    type="button"
+                                    className="icon-button"
+                                    aria-label={t('library.delete')}
+                                    onClick={() => onRemove(entry.id)}
+                                >
+                                    <Trash2 size={18} />
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default RecipeLibrary;
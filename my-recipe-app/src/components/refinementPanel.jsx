@@ -0,0 +1,121 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Send, Loader2 } from 'lucide-react';
+import './refinementPanel.css';
+
+import { diffRecipes } from '../recipe/diff.js';
+import { useI18n } from '../i18n/context.js';
+
+const CHANGE_MARKS = { added: '+', removed: '−', changed: '~' };
+
+// What changed since the previous version
+const VersionDiff = ({ before, after }) => {
+    const { t } = useI18n();
+    const diff = useMemo(() => diffRecipes(before, after), [before, after]);
+    if (diff.isEmpty) return <p className="form-hint">{t('refine.noChanges')}</p>;
+
+    return (
+        <ul className="version-diff">
+            {diff.fields.map(field => (
+                <li key={field.id} className="is-changed">
+                    <span className="diff-mark">{CHANGE_MARKS.changed}</span>
+                    {t(`diff.${field.id}`)}: {field.before ?? '–'} → {field.after ?? '–'}
+                </li>
+            ))}
+            {diff.ingredients.map(change => (
+                <li key={`${change.type}-${change.before ?? change.after}`} className={`is-${change.type}`}>
+                    <span className="diff-mark">{CHANGE_MARKS[change.type]}</span>
+                    {change.type === 'changed' ? `${change.before} → ${change.after}` : change.before ?? change.after}
+                </li>
+            ))}
+            {diff.instructions.map((change, index) => (
+                <li key={`step-${index}`} className={`is-${change.type}`}>
+                    <span className="diff-mark">{CHANGE_MARKS[change.type]}</span>
+                    {t('refine.step', { text: change.value })}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Chat-style tweaks to the recipe on screen ("make it spicier", "no
+// mushrooms"), with a stepper through the versions so far. Refining an
+// earlier version drops the versions that came after it.
+const RefinementPanel = ({ versions, index, onSelect, onRefine, isLoading }) => {
+    const { t } = useI18n();
+    const [message, setMessage] = useState('');
+    const current = versions[index];
+    const previous = versions[index - 1];
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (!message.trim() || isLoading) return;
+        onRefine(message.trim());
+        setMessage('');
+    };
+
+    return (
+        <div className="refinement-panel">
+            <div className="refinement-header">
+                <strong>{t('refine.title')}</strong>
+                {versions.length > 1 && (
+                    <div className="version-stepper">
+                        <button
+                            type="button"
+                            className="icon-button"
+                            onClick={() => onSelect(index - 1)}
+                            disabled={index === 0 || isLoading}
+                            aria-label={t('refine.previous')}
+                        >
+                            <ChevronLeft size={18} className="directional-icon" />
+                        </button>
+                        <span>{t('refine.version', { number: index + 1, count: versions.length })}</span>
+                        <button
+                            type="button"
+                            className="icon-button"
+                            onClick={() => onSelect(index + 1)}
+                            disabled={index === versions.length - 1 || isLoading}
+                            aria-label={t('refine.next')}
+                        >
+                            <ChevronRight size={18} className="directional-icon" />
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {versions.length > 1 && (
+                <ol className="refinement-log">
+                    {versions.slice(1).map((version, i) => (
+                        <li key={i} className={i + 1 === index ? 'is-current' : undefined}>
+                            <button type="button" onClick={() => onSelect(i + 1)} disabled={isLoading}>
+                                v{i + 2}: {version.request}
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {previous && <VersionDiff before={previous.recipe} after={current.recipe} />}
+
+            <form className="refinement-form" onSubmit={submit}>
+                <input
+                    type="text"
+                    className="text-input"
+                    value={message}
+                    onChange={(e) => setMessage(e.target.value)}
+                    maxLength={300}
+                    placeholder={t('refine.placeholder')}
+                    disabled={isLoading}
+                />
+                <button type="submit" className="btn-secondary" disabled={isLoading || !message.trim()}>
+                    {isLoading ? <Loader2 size={16} className="loader-icon" /> : <Send size={16} />}
+                    {t('refine.submit')}
+                </button>
+            </form>
+            {index < versions.length - 1 && (
+                <p className="form-hint">{t('refine.replaces')}</p>
+            )}
+        </div>
+    );
+};
+
+export default RefinementPanel;
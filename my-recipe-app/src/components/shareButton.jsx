@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Share2, Check, Loader2 } from 'lucide-react';
+import './shareButton.css';
+
+import { createShareLink } from '../share/shareLink.js';
+import { useI18n } from '../i18n/context.js';
+
+// Puts the whole recipe into a link and hands it to the system share sheet,
+// or copies it where there isn't one
+const ShareButton = ({ recipe }) => {
+    const { t } = useI18n();
+    // { id: 'working' | 'copied' | 'shared' | 'failed', isTrimmed, isTooLong, error }
+    const [status, setStatus] = useState(null);
+
+    const share = async () => {
+        setStatus({ id: 'working' });
+        try {
+            const link = await createShareLink(recipe);
+            if (link.isTooLong) {
+                setStatus({ id: 'failed', isTooLong: true });
+                return;
+            }
+            if (navigator.share) {
+                await navigator.share({ title: recipe.recipeName, url: link.url });
+                setStatus({ id: 'shared', isTrimmed: link.isTrimmed });
+            } else {
+                await navigator.clipboard.writeText(link.url);
+                setStatus({ id: 'copied', isTrimmed: link.isTrimmed });
+            }
+        } catch (err) {
+            // Closing the share sheet isn't a failure
+            if (err.name === 'AbortError') setStatus(null);
+            else setStatus({ id: 'failed', error: err });
+        }
+    };
+
+    const message = status && [
+        status.isTooLong && t('share.tooLong'),
+        status.error && t('share.failed', { message: status.error.message }),
+        status.id === 'copied' && t('share.copied'),
+        status.isTrimmed && t('share.trimmed'),
+    ].filter(Boolean).join(' ');
+
+    return (
+        <>
+            <button type="button" className="btn-secondary" onClick={share} disabled={status?.id === 'working'}>
+                {status?.id === 'working' ? <Loader2 size={16} className="loader-icon" />
+                    : status?.id === 'copied' || status?.id === 'shared' ? <Check size={16} /> : <Share2 size={16} />}
+                {t('share.button')}
+            </button>
+            {message && <span className={`share-status is-${status.id}`} role="status">{message}</span>}
+        </>
+    );
+};
+
+export default ShareButton;
@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { Link2, Loader2, AlertTriangle, PencilLine } from 'lucide-react';
+
+import { decodeRecipe } from '../share/shareLink.js';
+import RecipeCard from './recipeCard.jsx';
+import { useI18n } from '../i18n/context.js';
+import { errorText } from '../i18n/messageError.js';
+
+// A recipe opened from a share link, read straight out of the URL. Nothing
+// is sent to the API; "Open in the app" copies it into the editable view.
+const SharedRecipe = ({ payload, onOpen, onLeave }) => {
+    const { t } = useI18n();
+    const [state, setState] = useState({ payload: null });
+
+    useEffect(() => {
+        let isCurrent = true;
+        decodeRecipe(payload).then(
+            (recipe) => isCurrent && setState({ payload, recipe }),
+            (err) => isCurrent && setState({ payload, error: err })
+        );
+        return () => { isCurrent = false; };
+    }, [payload]);
+
+    // Still decoding this payload (a new link may have replaced the last one)
+    if (state.payload !== payload) {
+        return (
+            <div className="placeholder">
+                <Loader2 size={40} className="loader-icon" />
+                <p>{t('shared.opening')}</p>
+            </div>
+        );
+    }
+
+    if (state.error) {
+        return (
+            <div className="error-message">
+                <AlertTriangle size={20} style={{ flexShrink: 0 }} />
+                <p>{errorText(t, state.error)}</p>
+                <button type="button" className="btn-secondary" onClick={onLeave}>{t('shared.makeOwn')}</button>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div className="shared-banner">
+                <Link2 size={18} style={{ flexShrink: 0 }} />
+                <span>{t('shared.banner')}</span>
+            </div>
+            <RecipeCard
+                recipe={state.recipe}
+                actions={
+                    <button type="button" className="btn-secondary" onClick={() => onOpen(state.recipe)}>
+                        <PencilLine size={16} /> {t('shared.open')}
+                    </button>
+                }
+            />
+        </>
+    );
+};
+
+export default SharedRecipe;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader2, Sparkles, X } from 'lucide-react';
+import './substitutePicker.css';
+
+import { findSubstitutes } from '../substitution/engine.js';
+import { requestSubstitutes } from '../api.js';
+import { normalizeIngredient } from '../recipe/ingredients.js';
+import { ERROR_CODES } from '../recipe/errors.js';
+import { useI18n } from '../i18n/context.js';
+import { describeError } from '../i18n/describeError.js';
+
+// Swaps for one ingredient line. The local table answers straight away;
+// the model is asked only when the table has nothing that keeps to the
+// recipe's diet and allergies, or when the user wants more ideas.
+const SubstitutePicker = ({ recipe, index, answers, onApply, onClose }) => {
+    const { t, formatIngredient } = useI18n();
+    const original = normalizeIngredient(recipe.ingredients[index]);
+    const local = useMemo(() => findSubstitutes(recipe.ingredients[index], answers), [recipe, index, answers]);
+    const [wantsModel, setWantsModel] = useState(local.length === 0);
+    const [fromModel, setFromModel] = useState(null); // { substitutes } or { error }
+
+    useEffect(() => {
+        if (!wantsModel) return undefined;
+        const controller = new AbortController();
+        requestSubstitutes(answers, { recipe, index, signal: controller.signal }).then(
+            substitutes => setFromModel({ substitutes }),
+            err => {
+                if (err.code !== ERROR_CODES.CANCELLED) setFromModel({ error: err });
+            }
+        );
+        return () => controller.abort();
+    }, [wantsModel, recipe, index, answers]);
+
+    const isAsking = wantsModel && !fromModel;
+    const substitutes = [...local, ...(fromModel?.substitutes ?? [])];
+
+    return (
+        <div className="substitute-picker">
+            <div className="substitute-header">
+                <strong>{t('substitute.title', { name: original.name })}</strong>
+                <button type="button" className="icon-button" aria-label={t('substitute.close')} onClick={onClose}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            {substitutes.length > 0 && (
+                <ul className="substitute-list">
+                    {substitutes.map((substitute, optionIndex) => (
+                        <li key={optionIndex}>
+                            <div>
+                                <strong>{substitute.name}</strong>
+                                {substitute.source === 'model' && <span className="substitute-source">{t('substitute.fromModel')}</span>}
+                                <span className="form-hint">{substitute.ingredients.map(formatIngredient).join(' + ')}</span>
+                                {substitute.note && <span className="form-hint">{substitute.note}</span>}
+                            </div>
+                            <button type="button" className="btn-secondary" onClick={() => onApply(substitute)}>
+                                {t('substitute.use')}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {isAsking && (
+                <p className="form-hint">
+                    <Loader2 size={14} className="loader-icon" /> {t('substitute.asking')}
+                </p>
+            )}
+            {fromModel?.error && <p className="library-error">{describeError(t, fromModel.error, 'substitute.failed')}</p>}
+            {!isAsking && !fromModel?.error && substitutes.length === 0 && (
+                <p className="form-hint">{t('substitute.none')}</p>
+            )}
+            {!wantsModel && (
+                <button type="button" className="btn-secondary" onClick={() => setWantsModel(true)}>
+                    <Sparkles size={16} /> {t('substitute.more')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default SubstitutePicker;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Timer, ListChecks, Loader2, AlertTriangle, Check } from 'lucide-react';
+import './variationPicker.css';
+
+import { ingredientMatch } from '../compare/match.js';
+import { useI18n } from '../i18n/context.js';
+
+// One compact candidate: enough to choose between them at a glance
+const VariationCard = ({ recipe, ingredients, isPicked, onPick }) => {
+    const { t } = useI18n();
+    const match = ingredientMatch(recipe, ingredients);
+    return (
+        <button
+            type="button"
+            className={`variation-card${isPicked ? ' is-picked' : ''}`}
+            onClick={onPick}
+            aria-pressed={isPicked}
+        >
+            <strong className="variation-name">{recipe.recipeName}</strong>
+            {recipe.description && <span className="variation-description">{recipe.description}</span>}
+            <span className="variation-stats">
+                <span><Timer size={14} /> {t('common.minutes', { count: recipe.prepTimeMinutes })}</span>
+                <span><ListChecks size={14} /> {t('common.ingredients', { count: recipe.ingredients.length })}</span>
+            </span>
+            {match.ratio !== undefined && (
+                <span className="variation-match" title={match.unused.length ? t('variation.unused', { items: match.unused.join(', ') }) : undefined}>
+                    <span className="variation-match-bar">
+                        <span style={{ width: `${match.ratio * 100}%` }} />
+                    </span>
+                    {t('variation.uses', { used: match.used.length, total: match.used.length + match.unused.length })}
+                    {match.extra > 0 && t('variation.needsMore', { count: match.extra })}
+                </span>
+            )}
+            <span className="variation-pick">
+                {isPicked ? <><Check size={14} /> {t('variation.showing')}</> : t('variation.pick')}
+            </span>
+        </button>
+    );
+};
+
+// Candidate recipes side by side; picking one opens it in the full card
+const VariationPicker = ({ items, ingredients, picked, onPick }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="variation-grid">
+            {items.map((item, index) => {
+                if (!item) {
+                    return (
+                        <div key={index} className="variation-card is-loading">
+                            <Loader2 size={20} className="loader-icon" /> {t('variation.writing', { number: index + 1 })}
+                        </div>
+                    );
+                }
+                if (item.error) {
+                    return (
+                        <div key={index} className="variation-card is-failed">
+                            <AlertTriangle size={18} /> {t('variation.failed', { number: index + 1, message: item.error.message })}
+                        </div>
+                    );
+                }
+                return (
+                    <VariationCard
+                        key={index}
+                        recipe={item.recipe}
+                        ingredients={ingredients}
+                        isPicked={picked === item.recipe}
+                        onPick={() => onPick(item.recipe)}
+                    />
+                );
+            })}
+        </div>
+    );
+};
+
+export default VariationPicker;
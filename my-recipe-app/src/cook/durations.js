@@ -0,0 +1,84 @@
+// Finds the waits described in an instruction ("simmer for 10 minutes") so
+// cook mode can offer a timer for them. Recipes may also list timers
+// explicitly (recipe.stepTimers); those win over anything parsed.
+
+const UNIT_SECONDS = {
+    second: 1, sec: 1, s: 1,
+    minute: 60, min: 60, m: 60,
+    hour: 3600, hr: 3600, h: 3600,
+};
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, ten: 10, fifteen: 15, twenty: 20, thirty: 30 };
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+
+const NUMBER = String.raw`(\d+(?:\.\d+)?[½¼¾]?|[½¼¾]|${Object.keys(WORD_NUMBERS).join('|')})`;
+const UNIT = String.raw`(seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h)`;
+// "10 minutes", "10-12 mins", "1 to 2 hours", "1½ hours", "an hour"
+const DURATION = new RegExp(String.raw`\b${NUMBER}(?:\s*(?:-|–|to)\s*${NUMBER})?\s*${UNIT}\b`, 'gi');
+// "1 hour 20 minutes" reads as one wait, not two
+const COMPOUND = /^\s*(?:and\s+)?$/i;
+
+const toNumber = (text) => {
+    const word = WORD_NUMBERS[text.toLowerCase()];
+    if (word !== undefined) return word;
+    const fraction = FRACTIONS[text.slice(-1)];
+    if (fraction !== undefined) return (Number(text.slice(0, -1)) || 0) + fraction;
+    return Number(text);
+};
+
+const unitSeconds = (unit) => {
+    const key = unit.toLowerCase().replace(/s$/, '');
+    return UNIT_SECONDS[key] ?? UNIT_SECONDS[unit.toLowerCase()];
+};
+
+// Every duration mentioned in `text`, as [{ seconds, label }]. Ranges use the
+// lower bound: it's better to check early than to overcook.
+export const parseDurations = (text = '') => {
+    const durations = [];
+    let previousEnd = -1;
+    for (const match of text.matchAll(DURATION)) {
+        const [label, amount, , unit] = match;
+        // A bare "s"/"m"/"h" needs a digit right before it ("30s", "5 m")
+        if (unit.length === 1 && !/\d\s?$/.test(label.slice(0, -1))) continue;
+
+        const seconds = Math.round(toNumber(amount) * unitSeconds(unit));
+        if (!seconds) continue;
+
+        const last = durations[durations.length - 1];
+        if (last && COMPOUND.test(text.slice(previousEnd, match.index))) {
+            last.seconds += seconds;
+            last.label = text.slice(last.start, match.index + label.length);
+        } else {
+            durations.push({ seconds, label, start: match.index });
+        }
+        previousEnd = match.index + label.length;
+    }
+    return durations.map(({ seconds, label }) => ({ seconds, label }));
+};
+
+// Timers for each instruction, as an array of [{ seconds, label }] lists
+// indexed like recipe.instructions. A timer the recipe gave without a label
+// has none; the UI names it after its step.
+export const stepTimers = (recipe) => {
+    const instructions = recipe.instructions || [];
+    const explicit = instructions.map(() => []);
+    for (const timer of recipe.stepTimers || []) {
+        const index = timer.step - 1;
+        if (index >= 0 && index < instructions.length && timer.minutes > 0) {
+            explicit[index].push({
+                seconds: Math.round(timer.minutes * 60),
+                label: timer.label,
+            });
+        }
+    }
+    return instructions.map((step, index) => (explicit[index].length > 0 ? explicit[index] : parseDurations(step)));
+};
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export const formatCountdown = (totalSeconds) => {
+    const seconds = Math.max(0, Math.ceil(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
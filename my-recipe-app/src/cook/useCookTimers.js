@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const TICK_MS = 250;
+
+// Three short beeps through Web Audio, so no sound file needs shipping. The
+// AudioContext is created on the first user gesture (starting a timer),
+// which is what lets it play later without another one.
+const createAlarm = () => {
+    let context = null;
+    return {
+        prime() {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!context && AudioContext) context = new AudioContext();
+            context?.resume?.();
+        },
+        ring() {
+            navigator.vibrate?.([300, 150, 300, 150, 300]);
+            if (!context) return;
+            for (let i = 0; i < 3; i++) {
+                const start = context.currentTime + i * 0.45;
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.frequency.value = 880;
+                gain.gain.setValueAtTime(0.0001, start);
+                gain.gain.exponentialRampToValueAtTime(0.4, start + 0.02);
+                gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+                oscillator.connect(gain).connect(context.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.3);
+            }
+        },
+        close() {
+            context?.close();
+            context = null;
+        },
+    };
+};
+
+let nextId = 1;
+
+// Any number of countdowns running side by side. Each timer is
+// { id, label, step, seconds, endsAt, remainingMs, isPaused, isDone };
+// endsAt is a wall-clock time so a throttled background tab stays accurate.
+export const useCookTimers = () => {
+    const [timers, setTimers] = useState([]);
+    const [now, setNow] = useState(() => Date.now());
+    const alarm = useRef(null);
+    if (!alarm.current) alarm.current = createAlarm();
+
+    const isTicking = timers.some(timer => !timer.isPaused && !timer.isDone);
+    useEffect(() => {
+        if (!isTicking) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), TICK_MS);
+        return () => clearInterval(interval);
+    }, [isTicking]);
+
+    // Ring once for every timer that has just run out
+    useEffect(() => {
+        const finished = timers.filter(timer => !timer.isPaused && !timer.isDone && timer.endsAt <= now);
+        if (finished.length === 0) return;
+        alarm.current.ring();
+        const ids = new Set(finished.map(timer => timer.id));
+        setTimers(prev => prev.map(timer => (ids.has(timer.id) ? { ...timer, isDone: true, remainingMs: 0 } : timer)));
+    }, [timers, now]);
+
+    useEffect(() => () => alarm.current.close(), []);
+
+    const start = useCallback(({ label, step, seconds }) => {
+        alarm.current.prime();
+        const startedAt = Date.now();
+        setNow(startedAt);
+        setTimers(prev => [...prev, {
+            id: nextId++,
+            label,
+            step,
+            seconds,
+            endsAt: startedAt + seconds * 1000,
+            remainingMs: seconds * 1000,
+            isPaused: false,
+            isDone: false,
+        }]);
+    }, []);
+
+    const togglePause = useCallback((id) => {
+        const at = Date.now();
+        setNow(at);
+        setTimers(prev => prev.map((timer) => {
+            if (timer.id !== id || timer.isDone) return timer;
+            return timer.isPaused
+                ? { ...timer, isPaused: false, endsAt: at + timer.remainingMs }
+                : { ...timer, isPaused: true, remainingMs: Math.max(0, timer.endsAt - at) };
+        }));
+    }, []);
+
+    const dismiss = useCallback((id) => {
+        setTimers(prev => prev.filter(timer => timer.id !== id));
+    }, []);
+
+    const remainingSeconds = (timer) => (
+        timer.isDone ? 0 : (timer.isPaused ? timer.remainingMs : timer.endsAt - now) / 1000
+    );
+
+    return { timers, start, togglePause, dismiss, remainingSeconds };
+};
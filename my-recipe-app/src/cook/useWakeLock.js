@@ -0,0 +1,32 @@
+import { useEffect } from 'react';
+
+// Keeps the screen on while `active`, where the Screen Wake Lock API exists.
+// The browser drops the lock whenever the tab is hidden, so it is taken again
+// when the page becomes visible.
+export const useWakeLock = (active) => {
+    useEffect(() => {
+        if (!active || !('wakeLock' in navigator)) return undefined;
+
+        let lock = null;
+        let released = false;
+        const acquire = async () => {
+            try {
+                lock = await navigator.wakeLock.request('screen');
+                if (released) lock.release();
+            } catch (err) {
+                console.warn("Could not keep the screen awake:", err);
+            }
+        };
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') acquire();
+        };
+
+        acquire();
+        document.addEventListener('visibilitychange', handleVisibility);
+        return () => {
+            released = true;
+            document.removeEventListener('visibilitychange', handleVisibility);
+            lock?.release().catch(() => {});
+        };
+    }, [active]);
+};
@@ -0,0 +1,18 @@
+// "Garlic Broccoli Fried Rice" -> "garlic-broccoli-fried-rice"
+export const slugFor = (recipe) => (recipe.recipeName || '').toLowerCase().normalize('NFKD')
+    .replace(/[^\w\s-]/g, '').trim().replace(/[\s_-]+/g, '-') || 'recipe';
+
+export const fileNameFor = (recipe, extension) => `${slugFor(recipe)}.${extension}`;
+
+// Saves `text` as a file through a temporary link
+export const downloadText = (fileName, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
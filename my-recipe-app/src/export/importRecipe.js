@@ -0,0 +1,60 @@
+import { parseJsonLdRecipe } from './jsonLd.js';
+import { parseMarkdownRecipe } from './markdown.js';
+import { validateRecipe, formatValidationErrors } from '../recipe/validate.js';
+import { parseDurations } from '../cook/durations.js';
+import { MessageError } from '../i18n/messageError.js';
+
+// What an imported recipe is assumed to serve when the source doesn't say
+export const IMPORTED_SERVINGS = 2;
+
+// Minutes of chopping and measuring on top of the waits named in the steps
+const PREP_ALLOWANCE_MINUTES = 10;
+
+// JSON-LD pasted on its own, or a whole saved web page with it inside
+const LD_JSON_SCRIPT = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+const readJsonLd = (text) => {
+    const trimmed = text.trim();
+    const blocks = /^[[{]/.test(trimmed) ? [trimmed] : [...trimmed.matchAll(LD_JSON_SCRIPT)].map(match => match[1]);
+    if (blocks.length === 0) return undefined;
+
+    let lastError;
+    for (const block of blocks) {
+        try {
+            return parseJsonLdRecipe(JSON.parse(block));
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError instanceof SyntaxError ? new MessageError('import.invalidJson', { detail: lastError.message }) : lastError;
+};
+
+// Turns pasted or uploaded text (schema.org JSON-LD, a web page containing
+// it, or Markdown) into a recipe. Returns { recipe, notes }, where `notes`
+// lists anything we had to assume as { id, values }, for the UI to word
+// (import.<id> in the messages). Throws a MessageError (also import.<id>)
+// when the text can't be read as a recipe.
+export const importRecipe = (text) => {
+    const parsed = readJsonLd(text) ?? parseMarkdownRecipe(text);
+    if (!parsed.recipeName && parsed.ingredients.length === 0 && parsed.instructions.length === 0) {
+        throw new MessageError('import.notFound');
+    }
+    const notes = [];
+
+    if (!parsed.servings) {
+        parsed.servings = IMPORTED_SERVINGS;
+        notes.push({ id: 'assumedServings', values: { servings: IMPORTED_SERVINGS } });
+    }
+    if (!parsed.prepTimeMinutes) {
+        const waiting = (parsed.instructions || []).flatMap(step => parseDurations(step))
+            .reduce((sum, { seconds }) => sum + seconds, 0);
+        parsed.prepTimeMinutes = Math.ceil(waiting / 60) + PREP_ALLOWANCE_MINUTES;
+        notes.push({ id: 'estimatedTime', values: { minutes: parsed.prepTimeMinutes } });
+    }
+
+    const { value, errors } = validateRecipe(parsed);
+    if (errors.length > 0) {
+        throw new MessageError('import.incomplete', { problems: formatValidationErrors(errors).join('; ') });
+    }
+    return { recipe: value, notes };
+};
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importRecipe, IMPORTED_SERVINGS } from './importRecipe.js';
+import { recipeToJsonLd, parseIsoDuration } from './jsonLd.js';
+import { recipeToMarkdown } from './markdown.js';
+import { normalizeIngredient, formatIngredient } from '../recipe/ingredients.js';
+import { MessageError } from '../i18n/messageError.js';
+
+const recipe = {
+    recipeName: 'Lemon Rice',
+    description: 'Tangy South Indian rice with peanuts & curry leaves.',
+    servings: 3,
+    prepTimeMinutes: 85,
+    ingredients: [
+        { name: 'cooked rice', amount: 2, unit: 'cup' },
+        { name: 'lemon juice', amount: 2, unit: 'tbsp' },
+        { name: 'peanuts', amount: 30, unit: 'g', preparation: 'roasted' },
+        { name: 'curry leaves', amount: 10 },
+        { name: 'salt', preparation: 'to taste' },
+    ],
+    instructions: [
+        'Heat the oil and fry the peanuts for 2 minutes.',
+        'Stir in the rice and lemon juice.',
+        'Season with salt and serve.',
+    ],
+};
+
+const lines = (ingredients) => ingredients.map(item => formatIngredient(normalizeIngredient(item)));
+
+// What should survive a trip out and back in
+const assertSameRecipe = (imported) => {
+    assert.equal(imported.recipeName, recipe.recipeName);
+    assert.equal(imported.description, recipe.description);
+    assert.equal(imported.servings, recipe.servings);
+    assert.equal(imported.prepTimeMinutes, recipe.prepTimeMinutes);
+    assert.deepEqual(lines(imported.ingredients), lines(recipe.ingredients));
+    assert.deepEqual(imported.instructions, recipe.instructions);
+};
+
+const messageId = (id) => (err) => err instanceof MessageError && err.id === id;
+
+test('a recipe exported as JSON-LD imports back unchanged', () => {
+    const jsonLd = recipeToJsonLd(recipe);
+    assert.equal(jsonLd.totalTime, 'PT1H25M');
+    const { recipe: imported, notes } = importRecipe(JSON.stringify(jsonLd));
+    assertSameRecipe(imported);
+    assert.deepEqual(notes, []);
+});
+
+test('a recipe exported as Markdown imports back unchanged', () => {
+    const { recipe: imported, notes } = importRecipe(recipeToMarkdown(recipe));
+    assertSameRecipe(imported);
+    assert.deepEqual(notes, []);
+});
+
+test('importRecipe finds the JSON-LD in a saved web page, inside an @graph', () => {
+    const graph = { '@context': 'https://schema.org', '@graph': [{ '@type': 'WebPage' }, recipeToJsonLd(recipe)] };
+    const page = `<html><head>
+        <script type="application/ld+json">{"@type": "Organization"</script>
+        <script type="application/ld+json">${JSON.stringify(graph)}</script>
+    </head><body></body></html>`;
+    assertSameRecipe(importRecipe(page).recipe);
+});
+
+test('importRecipe reads HowToSections, markup and prep plus cook time from other sites', () => {
+    const { recipe: imported } = importRecipe(JSON.stringify({
+        '@type': ['Recipe'],
+        name: 'Dal <b>Tadka</b>',
+        recipeYield: ['4', '4 servings'],
+        prepTime: 'PT10M',
+        cookTime: 'PT30M',
+        recipeIngredient: ['1 cup toor dal', '2&nbsp;tbsp ghee'],
+        recipeInstructions: [{
+            '@type': 'HowToSection',
+            itemListElement: [{ '@type': 'HowToStep', text: 'Boil the dal.' }, { '@type': 'HowToStep', text: 'Temper with ghee.' }],
+        }],
+    }));
+    assert.equal(imported.recipeName, 'Dal Tadka');
+    assert.equal(imported.servings, 4);
+    assert.equal(imported.prepTimeMinutes, 40);
+    assert.deepEqual(lines(imported.ingredients), ['1 cup toor dal', '2 tbsp ghee']);
+    assert.deepEqual(imported.instructions, ['Boil the dal.', 'Temper with ghee.']);
+});
+
+test('importRecipe fills in missing servings and time, and says so', () => {
+    const { recipe: imported, notes } = importRecipe([
+        '# Quick Pasta',
+        '## Ingredients',
+        '- 200 g spaghetti',
+        '## Method',
+        'Boil the spaghetti for 10 minutes.',
+        'Drain and serve.',
+    ].join('\n'));
+    assert.equal(imported.servings, IMPORTED_SERVINGS);
+    assert.equal(imported.prepTimeMinutes, 20);
+    assert.deepEqual(notes, [
+        { id: 'assumedServings', values: { servings: IMPORTED_SERVINGS } },
+        { id: 'estimatedTime', values: { minutes: 20 } },
+    ]);
+});
+
+test('importRecipe says why it can not read the text', () => {
+    assert.throws(() => importRecipe('{"name": "Broken"'), messageId('import.invalidJson'));
+    assert.throws(() => importRecipe('{"@type": "WebPage"}'), messageId('import.noJsonLdRecipe'));
+    assert.throws(() => importRecipe('Just some notes.'), messageId('import.notFound'));
+    assert.throws(() => importRecipe('# Only a name'), messageId('import.incomplete'));
+});
+
+test('parseIsoDuration reads days, hours, minutes and seconds', () => {
+    assert.equal(parseIsoDuration('PT1H20M'), 80);
+    assert.equal(parseIsoDuration('P1DT2H'), 1560);
+    assert.equal(parseIsoDuration('PT90S'), 2);
+    assert.equal(parseIsoDuration('PT'), undefined);
+    assert.equal(parseIsoDuration('20 minutes'), undefined);
+});
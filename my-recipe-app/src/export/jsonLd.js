@@ -0,0 +1,124 @@
+import { normalizeIngredient, formatIngredient, parseIngredient } from '../recipe/ingredients.js';
+import { estimateNutrition, MIN_CONFIDENCE_TO_ENFORCE } from '../nutrition/estimate.js';
+import { MessageError } from '../i18n/messageError.js';
+
+// "PT1H20M" <-> 80. Days count too, for the odd slow-cooked ham.
+const ISO_DURATION = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+export const parseIsoDuration = (text) => {
+    const match = ISO_DURATION.exec(String(text ?? '').trim());
+    if (!match || match[0].length <= 2) return undefined;
+    const [, days, hours, minutes, seconds] = match.map(part => Number.parseFloat(part) || 0);
+    return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+};
+
+const toIsoDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    return `PT${hours ? `${hours}H` : ''}${minutes % 60 || !hours ? `${minutes % 60}M` : ''}`;
+};
+
+// A schema.org Recipe. Nutrition is only included when our estimate is good
+// enough to hand to another app as if it were a label.
+export const recipeToJsonLd = (recipe) => {
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: recipe.recipeName,
+        description: recipe.description || undefined,
+        recipeYield: `${recipe.servings} servings`,
+        totalTime: Number.isFinite(recipe.prepTimeMinutes) ? toIsoDuration(recipe.prepTimeMinutes) : undefined,
+        recipeIngredient: (recipe.ingredients || []).map(item => formatIngredient(normalizeIngredient(item))),
+        recipeInstructions: (recipe.instructions || []).map((text, index) => ({
+            '@type': 'HowToStep',
+            position: index + 1,
+            text,
+        })),
+    };
+
+    const { perServing, confidence } = estimateNutrition(recipe);
+    if (confidence >= MIN_CONFIDENCE_TO_ENFORCE) {
+        jsonLd.nutrition = {
+            '@type': 'NutritionInformation',
+            servingSize: '1 serving',
+            calories: `${perServing.kcal} kcal`,
+            proteinContent: `${perServing.protein} g`,
+            carbohydrateContent: `${perServing.carbs} g`,
+            fatContent: `${perServing.fat} g`,
+            fiberContent: `${perServing.fibre} g`,
+            sodiumContent: `${perServing.sodium} mg`,
+        };
+    }
+    return jsonLd;
+};
+
+const isRecipeNode = (node) => {
+    const type = node?.['@type'];
+    return Array.isArray(type) ? type.includes('Recipe') : type === 'Recipe';
+};
+
+// Recipe sites wrap the recipe in arrays and @graph blocks; dig it out
+const findRecipeNode = (node) => {
+    if (!node || typeof node !== 'object') return undefined;
+    if (Array.isArray(node)) {
+        for (const child of node) {
+            const found = findRecipeNode(child);
+            if (found) return found;
+        }
+        return undefined;
+    }
+    if (isRecipeNode(node)) return node;
+    return findRecipeNode(node['@graph']) ?? findRecipeNode(node.mainEntity);
+};
+
+// Sites often put markup and entities inside the text fields
+const plainText = (value) => String(value ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// recipeInstructions may be one string, a list of strings, HowToSteps, or
+// HowToSections holding HowToSteps
+const flattenInstructions = (value) => {
+    if (!value) return [];
+    if (typeof value === 'string') {
+        return value.split(/\n+|(?<=\.)\s+(?=\d+[.)]\s)/).map(plainText).map(step => step.replace(/^\d+[.)]\s*/, '')).filter(Boolean);
+    }
+    if (Array.isArray(value)) return value.flatMap(flattenInstructions);
+    if (value.itemListElement) return flattenInstructions(value.itemListElement);
+    return [plainText(value.text ?? value.name)].filter(Boolean);
+};
+
+const parseYield = (value) => {
+    const first = Array.isArray(value) ? value.find(item => /\d/.test(String(item))) ?? value[0] : value;
+    const number = /\d+/.exec(String(first ?? ''));
+    return number ? Number(number[0]) : undefined;
+};
+
+// Reads schema.org Recipe JSON-LD (an object, a list, or an @graph) into a
+// recipe-shaped object for validateRecipe to check. Throws when there is no
+// Recipe in it.
+export const parseJsonLdRecipe = (data) => {
+    const node = findRecipeNode(data);
+    if (!node) throw new MessageError('import.noJsonLdRecipe');
+
+    const recipe = {
+        recipeName: plainText(node.name),
+        ingredients: [].concat(node.recipeIngredient ?? node.ingredients ?? []).map(line => parseIngredient(plainText(line))),
+        instructions: flattenInstructions(node.recipeInstructions),
+    };
+    const description = plainText(node.description);
+    if (description) recipe.description = description;
+
+    const servings = parseYield(node.recipeYield);
+    if (servings) recipe.servings = servings;
+
+    const totalTime = parseIsoDuration(node.totalTime)
+        ?? ((parseIsoDuration(node.prepTime) ?? 0) + (parseIsoDuration(node.cookTime) ?? 0) || undefined);
+    if (totalTime) recipe.prepTimeMinutes = totalTime;
+
+    return recipe;
+};
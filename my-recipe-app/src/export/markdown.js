@@ -0,0 +1,86 @@
+import { normalizeIngredient, formatIngredient, parseIngredient } from '../recipe/ingredients.js';
+
+// A recipe as Markdown, laid out the way people write them by hand so the
+// file reads well in a notes repo and comes back in through the importer:
+//
+//   # Name
+//   Description
+//   - **Serves:** 2
+//   - **Time:** 25 minutes
+//   ## Ingredients
+//   - 2 cups cooked rice
+//   ## Instructions
+//   1. Heat the oil...
+export const recipeToMarkdown = (recipe) => {
+    const lines = [`# ${recipe.recipeName}`, ''];
+    if (recipe.description) lines.push(recipe.description, '');
+    if (recipe.servings) lines.push(`- **Serves:** ${recipe.servings}`);
+    if (Number.isFinite(recipe.prepTimeMinutes)) lines.push(`- **Time:** ${recipe.prepTimeMinutes} minutes`);
+    lines.push(
+        '',
+        '## Ingredients',
+        '',
+        ...(recipe.ingredients || []).map(item => `- ${formatIngredient(normalizeIngredient(item))}`),
+        '',
+        '## Instructions',
+        '',
+        ...(recipe.instructions || []).map((step, index) => `${index + 1}. ${step}`),
+        ''
+    );
+    return lines.join('\n');
+};
+
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*$/;
+
+// Markdown emphasis and links don't belong in the recipe's plain text
+const plainText = (text) => text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .trim();
+
+const sectionOf = (heading) => {
+    if (/ingredient/i.test(heading)) return 'ingredients';
+    if (/instruction|method|step|direction|preparation/i.test(heading)) return 'instructions';
+    return 'other';
+};
+
+// Reads a Markdown recipe: the first heading is the name, the text before the
+// first section is the description (plus "Serves" and "Time" lines), and the
+// "Ingredients" and "Instructions" (or "Method", "Steps"...) sections hold the
+// lists. Instructions may also be plain paragraphs. Returns a recipe-shaped
+// object for validateRecipe to check.
+export const parseMarkdownRecipe = (text) => {
+    const recipe = { recipeName: '', ingredients: [], instructions: [] };
+    const description = [];
+    let section = 'intro';
+
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            if (!recipe.recipeName && heading[1].length === 1) recipe.recipeName = plainText(heading[2]);
+            else section = sectionOf(heading[2]);
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        const content = plainText(item ? item[1] : line);
+        if (section === 'intro') {
+            const serves = /^(?:serves|servings|yield)\s*:?\s*(\d+)/i.exec(content);
+            const time = /^(?:total\s+)?time\s*:?\s*(\d+)\s*(h|hours?|m|min|minutes?)?/i.exec(content);
+            if (serves) recipe.servings = Number(serves[1]);
+            else if (time) recipe.prepTimeMinutes = Number(time[1]) * (/^h/i.test(time[2] || '') ? 60 : 1);
+            else description.push(content);
+        } else if (section === 'ingredients' && item) {
+            recipe.ingredients.push(parseIngredient(content));
+        } else if (section === 'instructions') {
+            recipe.instructions.push(content);
+        }
+    }
+
+    if (description.length) recipe.description = description.join(' ');
+    return recipe;
+};
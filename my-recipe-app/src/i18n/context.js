@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+import { createI18n } from './translate.js';
+import { DEFAULT_LOCALE } from './locales.js';
+
+// The language the app is shown in (see useLocale.js), for any component
+// below the provider in App.jsx
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} });
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,28 @@
+import { ERROR_CODES } from '../recipe/errors.js';
+
+// Set when a recipe asked for offline couldn't be put in the queue; the
+// server never sends it
+export const NOT_QUEUED = 'NOT_QUEUED';
+
+// Turns a RecipeError from the server into something worth showing the user,
+// in their language. The server's own details (field messages, provider
+// errors) stay in English. Anything without a known code is worded with
+// `failedId`, so each feature can say what it was trying to do.
+export const describeError = (t, err, failedId = 'error.failed') => {
+    switch (err.code) {
+        case ERROR_CODES.RATE_LIMITED:
+            return t('error.rateLimited', { seconds: err.details?.retryAfterSeconds ?? 60 });
+        case ERROR_CODES.INVALID_ANSWERS:
+            return t('error.invalidAnswers', {
+                fields: Object.entries(err.details?.fields || {}).map(([field, message]) => `${field} – ${message}`).join('; '),
+            });
+        case ERROR_CODES.NETWORK_ERROR:
+            return t('error.network');
+        case ERROR_CODES.TRUNCATED:
+            return t('error.truncated');
+        case NOT_QUEUED:
+            return t('error.notQueued');
+        default:
+            return t(failedId, { message: err.message });
+    }
+};
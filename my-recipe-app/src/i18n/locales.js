@@ -0,0 +1,21 @@
+// The languages the app is offered in. `label` is the language's own name,
+// for the switcher; `englishName` is how the prompt asks the model for it.
+// `dir` is the writing direction, applied to the whole page, so a
+// right-to-left language only needs an entry here and its messages.
+export const LOCALES = [
+    { id: 'en', label: 'English', englishName: 'English', dir: 'ltr' },
+    { id: 'hi', label: 'हिन्दी', englishName: 'Hindi', dir: 'ltr' },
+    { id: 'mr', label: 'मराठी', englishName: 'Marathi', dir: 'ltr' },
+];
+
+export const LOCALE_IDS = LOCALES.map(locale => locale.id);
+
+export const DEFAULT_LOCALE = 'en';
+
+export const getLocale = (id) => LOCALES.find(locale => locale.id === id) ?? getLocale(DEFAULT_LOCALE);
+
+// The first of the browser's preferred languages the app has, matched on
+// the language alone ("hi-IN" is Hindi, "en-GB" English)
+export const detectLocale = (languages = []) => languages
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(id => LOCALE_IDS.includes(id)) ?? DEFAULT_LOCALE;
@@ -0,0 +1,19 @@
+import { createI18n } from './translate.js';
+
+const english = createI18n('en');
+
+// An error for the user whose wording lives in the messages: `id` is its
+// key and `values` fill the placeholders, so the UI can show it in the
+// reader's language. `message` is the English, for the console.
+export class MessageError extends Error {
+    constructor(id, values = {}) {
+        super(english.t(id, values));
+        this.name = 'MessageError';
+        this.id = id;
+        this.values = values;
+    }
+}
+
+// What to show for `error`: its message in the reader's language when it's
+// a MessageError, otherwise whatever the browser or server said
+export const errorText = (t, error) => (error instanceof MessageError ? t(error.id, error.values) : error.message);
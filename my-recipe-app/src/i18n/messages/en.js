@@ -0,0 +1,395 @@
+// English UI messages, the reference every other language is checked
+// against: a key missing from another language falls back to the text here.
+// {name} placeholders are filled by t(); a message written as
+// { one, other } is picked by its `count` (see translate.js).
+export default {
+    // App shell
+    'app.title': 'AI Personalized Recipe Chef',
+    'app.tagline': 'Answer a few questions and let the AI chef whip up a custom dish for you.',
+    'app.offline': "You're offline. Saved and recently generated recipes still open, and new recipes wait until you're back online.",
+    'app.language': 'Language',
+    'nav.create': 'Create',
+    'nav.library': 'My Recipes ({count})',
+    'nav.pantry': 'Pantry ({count})',
+    'nav.planner': 'Meal Plan',
+    'common.cancel': 'Cancel',
+    'common.remove': 'Remove {name}',
+    'common.minutes': '{count} min',
+    'common.ingredients': { one: '{count} ingredient', other: '{count} ingredients' },
+    'common.optional': '(optional)',
+
+    // The Create form
+    'form.ingredients': '1. What main ingredients do you have? (e.g., rice, broccoli)',
+    'form.ingredients.placeholder': 'List your ingredients here...',
+    'form.ingredients.spoken': 'your ingredients',
+    'form.constraints': '2. Dietary Constraints (pick any that apply)',
+    'form.constraints.fat': 'Cooking fat',
+    'form.allergies': '3. Any Allergies to Avoid? (e.g., Nuts, Gluten, Dairy)',
+    'form.allergies.placeholder': 'Leave blank if none',
+    'form.allergies.spoken': 'your allergies',
+    'form.allergies.block': 'Hide any recipe that still contains these allergens',
+    'form.specialRequest': "4. Special Request? (e.g., 'Make it spicy', 'High protein')",
+    'form.specialRequest.placeholder': 'Optional style or flavour',
+    'form.specialRequest.spoken': 'your special request',
+    'form.preferences': '5. Cooking preferences (optional)',
+    'form.cuisine': 'Cuisine',
+    'form.cuisine.any': 'Any cuisine',
+    'form.time': 'Ready in',
+    'form.time.any': 'Any time',
+    'form.time.choice': '{minutes} minutes or less',
+    'form.skill': 'Skill level',
+    'form.skill.any': 'Any level',
+    'form.servings': 'Servings',
+    'form.servings.any': 'Any',
+    'form.kitchen': 'Kitchen',
+    'form.preferences.hint': 'Time, servings, skill and equipment are checked once the recipe arrives.',
+    'form.calories': 'Max calories per serving (optional)',
+    'form.calories.placeholder': 'e.g. {example}',
+    'form.calories.hint': 'Checked against an offline estimate; recipes well over it are rewritten.',
+    'form.options': 'Options to compare',
+    'form.options.one': 'Just one recipe',
+    'form.options.many': '{count} recipes',
+    'form.generate': 'Generate Recipe',
+    'form.generate.many': 'Generate {count} Recipes',
+    'form.generating': 'Whipping up your recipe...',
+    'form.stop': 'Stop',
+    'form.empty': 'Fill out the form above and click "Generate Recipe" to see your custom dish!',
+
+    // Generation errors and notices
+    'error.rateLimited': "You're generating recipes too quickly. Please wait {seconds} seconds and try again.",
+    'error.invalidAnswers': 'Please check your answers: {fields}',
+    'error.network': 'Lost the connection to the recipe server. Check your connection and try again.',
+    'error.truncated': 'The recipe was cut off before it was finished. You can continue where it stopped.',
+    'error.failed': 'Failed to generate recipe: {message}. Please refine your input and try again.',
+    'error.notQueued': "You're offline and the recipe couldn't be queued. Please try again once you're back online.",
+    'recipe.continue': 'Continue writing this recipe',
+    'recipe.startOver': 'Start over',
+    'recipe.fromCache': "You asked for this recently, so here's the same recipe again. Use New variation for a different one.",
+    'recipe.heldForAudit': "Your recipe will show here once it's finished and has been checked for your allergies.",
+    'recipe.imported': 'Imported recipe',
+    'recipe.save': 'Save to My Recipes',
+    'recipe.saved': 'Saved',
+    'recipe.cooked': 'I cooked this',
+    'recipe.newVariation': 'New variation',
+
+    // Offline queue and recent recipes
+    'queue.running': 'Making the recipes you asked for offline...',
+    'queue.waiting': 'Waiting for a connection',
+    'queue.hint': "These are made as soon as you're back online, and kept if you close the app in the meantime.",
+    'queue.chefsChoice': "Chef's choice",
+    'queue.askedAt': 'asked at {time}',
+    'queue.cancel': "Don't make this recipe",
+    'queue.failed': "A recipe queued while offline couldn't be made: {message}",
+    'queue.ready': '"{name}", which you asked for while offline, is ready under My Recipes.',
+    'queue.openLibrary': 'Open My Recipes',
+    'recent.title': 'Recently generated',
+    'recent.hint': 'Kept on this device for {days} days, and available offline.',
+    'recent.open': 'Open',
+
+    // Recipe card
+    'card.naming': 'Naming your dish...',
+    'card.totalTime': '{minutes} Minutes Total',
+    'card.servings': { one: '{count} serving', other: '{count} servings' },
+    'card.fewerServings': 'Fewer servings',
+    'card.moreServings': 'More servings',
+    'card.resetServings': 'Reset',
+    'card.cookMode': 'Cook mode',
+    'card.readAloud': 'Read aloud',
+    'card.stopReading': 'Stop reading',
+    'card.readStep': 'Read step {step} aloud',
+    'card.units': 'Units',
+    'card.ingredients': 'Ingredients',
+    'card.instructions': 'Instructions',
+    'card.substitute': 'Substitute',
+    'card.substituteItem': 'Substitute {name}',
+    'units.original': 'As written',
+    'units.metric': 'Metric',
+    'units.imperial': 'Imperial',
+
+    // Reading aloud
+    'speech.intro': '{name}. Serves {servings}.',
+    'speech.gather': 'You will need:',
+    'speech.ingredient': '{ingredient}.',
+    'speech.step': 'Step {step} of {count}.',
+
+    // Cook mode
+    'cook.label': 'Cooking {name}',
+    'cook.readEach': 'Read each step aloud',
+    'cook.voice': 'Voice commands',
+    'cook.leave': 'Leave cook mode',
+    'cook.listening': 'Listening: say "next", "back", "repeat", "start timer" or "stop".',
+    'cook.gather': 'Before you start, gather:',
+    'cook.step': 'Step {step} of {count}',
+    'cook.startTimer': 'Start {time} timer',
+    'cook.timer': 'Step {step}: {label}',
+    'cook.timerUnlabelled': 'Step {step}',
+    'cook.timerDone': 'Done!',
+    'cook.pauseTimer': 'Pause timer',
+    'cook.resumeTimer': 'Resume timer',
+    'cook.removeTimer': 'Remove timer',
+    'cook.noTimer': "There's no timer in this step.",
+    'cook.timerStarted': 'Timer started for {time}.',
+    'cook.back': 'Back',
+    'cook.next': 'Next',
+    'cook.start': 'Start cooking',
+    'cook.finish': 'Finish',
+
+    // Speech recognition
+    'voice.say': 'Say {what}',
+    'voice.stop': 'Stop listening',
+    'voice.listening': 'Listening... tap to stop',
+    'voice.blocked': 'Microphone access is blocked for this site.',
+    'voice.noMicrophone': 'No microphone was found.',
+    'voice.offline': 'Speech recognition needs an internet connection.',
+    'voice.noSpeech': "Didn't catch that. Try again.",
+    'voice.unsupported': "Speech recognition isn't available in this language here.",
+    'voice.stopped': 'Speech recognition stopped ({code}).',
+
+    // Nutrition
+    'nutrition.title': 'Nutrition per serving',
+    'nutrition.high': 'Good estimate',
+    'nutrition.medium': 'Rough estimate',
+    'nutrition.low': 'Very rough estimate',
+    'nutrition.confidence': '{percent}% of the ingredients matched and weighed with confidence',
+    'nutrition.kcal': 'kcal',
+    'nutrition.overLimit': 'over your {limit} kcal limit',
+    'nutrition.protein': 'Protein',
+    'nutrition.carbs': 'Carbs',
+    'nutrition.fat': 'Fat',
+    'nutrition.fibre': 'Fibre',
+    'nutrition.sodium': 'Sodium',
+    'nutrition.workings': 'How this was worked out',
+    'nutrition.match': '{food}, {grams} g',
+    'nutrition.noMatch': 'no match',
+    'nutrition.disclaimer': 'Estimated from typical values; brands and cooking methods vary.',
+    'nutrition.note.noAmount': 'No amount given, not counted',
+    'nutrition.note.asWater': 'Weighed as if it were water',
+    'nutrition.note.assumedWeight': 'Assumed {grams} g per {unit}',
+    'nutrition.note.unweighable': "Couldn't weigh \"{unit}\", not counted",
+    'nutrition.note.notInTable': 'Not in the food table',
+    'nutrition.note.optional': 'Optional, not counted',
+
+    // Export, print and share
+    'export.label': 'Export',
+    'export.print': 'Print / PDF',
+    'export.markdown': 'Markdown',
+    'export.jsonLd': 'JSON-LD',
+    'export.jsonLdHint': 'schema.org Recipe, for recipe managers',
+    'print.meta': 'Serves {servings} · {minutes} minutes · about {kcal} kcal per serving',
+    'share.button': 'Share link',
+    'share.tooLong': 'This recipe is too long for a link. Export it as Markdown or JSON-LD and send the file instead.',
+    'share.trimmed': 'The description and timers were left out to keep it short.',
+    'share.copied': 'Link copied.',
+    'share.failed': "Couldn't share the link: {message}",
+    'shared.opening': 'Opening the shared recipe...',
+    'shared.makeOwn': 'Make your own recipe',
+    'shared.banner': "Someone shared this recipe with you. It's read-only here.",
+    'shared.open': 'Open in the app to save or change it',
+    'shared.damaged': 'This link is damaged or incomplete. Ask for it to be sent again.',
+    'shared.incomplete': "This link doesn't contain a complete recipe.",
+
+    // My Recipes
+    'library.search': 'Search names, ingredients and steps...',
+    'library.searchLabel': 'Search saved recipes',
+    'library.sort': 'Sort recipes',
+    'library.sort.newest': 'Newest first',
+    'library.sort.oldest': 'Oldest first',
+    'library.sort.quickest': 'Quickest first',
+    'library.sort.slowest': 'Longest first',
+    'library.favourites': 'Favourites',
+    'library.import': 'Import',
+    'library.empty': 'Saved recipes will show up here.',
+    'library.noMatch': 'No saved recipes match your search.',
+    'library.favourite': 'Add to favourites',
+    'library.unfavourite': 'Remove from favourites',
+    'library.regenerate': 'Regenerate with the same answers',
+    'library.delete': 'Delete from library',
+    'library.addTag': 'Add a tag',
+    'library.tagPlaceholder': '+ tag',
+    'library.removeTag': 'Remove tag {tag}',
+    'library.missing': 'That recipe is no longer in your library.',
+    'storage.unsupported': "This browser doesn't support offline storage.",
+    'storage.blocked': 'Close this app in your other tabs so it can update its storage, then try again.',
+    'import.chooseFile': 'Choose a file',
+    'import.paste': 'or paste JSON-LD or Markdown below',
+    'import.close': 'Close import',
+    'import.text': 'Recipe to import',
+    'import.submit': 'Import',
+    'import.assumedServings': "It didn't say how many it serves, so we assumed {servings}.",
+    'import.estimatedTime': "It didn't give a total time, so we estimated {minutes} minutes from the steps.",
+    'import.invalidJson': "That isn't valid JSON: {detail}",
+    'import.notFound': "Couldn't find a recipe in that. Use schema.org JSON-LD, or Markdown with a # title and Ingredients and Instructions sections.",
+    'import.noJsonLdRecipe': "That JSON-LD doesn't contain a schema.org Recipe.",
+    'import.incomplete': "That doesn't look like a complete recipe: {problems}",
+
+    // Pantry
+    'pantry.item': 'Item name',
+    'pantry.itemPlaceholder': 'Item, e.g. spinach',
+    'pantry.amount': 'Amount',
+    'pantry.unit': 'Unit',
+    'pantry.unitPlaceholder': 'Unit (g, cup...)',
+    'pantry.expiry': 'Expiry date (optional)',
+    'pantry.add': 'Add',
+    'pantry.empty': "Add what's in your kitchen and tick it into your next recipe.",
+    'pantry.amountOf': 'Amount of {name}',
+    'pantry.expiryOf': 'Expiry date for {name}',
+    'pantry.expired': { one: 'Expired {count} day ago', other: 'Expired {count} days ago' },
+    'pantry.expiresToday': 'Expires today',
+    'pantry.expiresTomorrow': 'Expires tomorrow',
+    'pantry.expiresIn': { one: 'Expires in {count} day', other: 'Expires in {count} days' },
+    'pantry.picker': 'From your pantry:',
+    'pantry.missing': 'That item is no longer in your pantry.',
+    'deduction.title': 'Update your pantry',
+    'deduction.none': "None of this recipe's ingredients are in your pantry.",
+    'deduction.used': 'used {items}.',
+    'deduction.unknown': "Can't tell how much is left – tick to remove it",
+    'deduction.usedUp': 'Used up – remove from the pantry',
+    'deduction.left': '{amount} left',
+    'deduction.apply': 'Subtract from pantry',
+
+    // Meal plan
+    'planner.days': 'Days to plan',
+    'planner.plan': 'Plan my meals',
+    'planner.planning': 'Planning day {day}...',
+    'planner.hint': 'Uses the ingredients, dietary constraints and allergies from the Create form.',
+    'planner.empty': 'Plan a week of dinners and get one shopping list for all of them.',
+    'planner.day': 'Day {day}',
+    'planner.shoppingList': 'Shopping list',
+    'planner.skipPantry': "Leave out what's already in my pantry",
+    'planner.inPantry': 'in your pantry',
+    'planner.buyRest': 'in your pantry, buy the rest',
+    'planner.recipes': '{count} recipes',
+    'aisle.produce': 'Fruit & vegetables',
+    'aisle.dairy': 'Dairy & eggs',
+    'aisle.meat': 'Meat & fish',
+    'aisle.bakery': 'Bakery',
+    'aisle.frozen': 'Frozen',
+    'aisle.spices': 'Herbs & spices',
+    'aisle.pantry': 'Grains, tins & sauces',
+    'aisle.other': 'Other',
+
+    // Comparing options
+    'variation.writing': 'Writing option {number}...',
+    'variation.failed': 'Option {number} failed: {message}',
+    'variation.unused': "Doesn't use: {items}",
+    'variation.uses': 'Uses {used} of your {total} ingredients',
+    'variation.needsMore': ', needs {count} more',
+    'variation.showing': 'Showing below',
+    'variation.pick': 'Pick this one',
+
+    // Photo of ingredients
+    'photo.take': 'Take a photo',
+    'photo.upload': 'Upload a photo',
+    'photo.hint': 'of your fridge or cupboard to fill this in.',
+    'photo.alt': 'Your ingredients',
+    'photo.detecting': 'Looking for ingredients...',
+    'photo.none': 'No ingredients spotted. A closer, brighter photo may help.',
+    'photo.spotted': 'Spotted in your photo; correct or remove any before adding:',
+    'photo.chip': 'Spotted ingredient {number}',
+    'photo.add': 'Add to my ingredients',
+    'photo.discard': 'Discard photo',
+    'photo.unreadable': "That photo couldn't be read.",
+    'photo.notImage': "That file isn't an image.",
+    'photo.unsupported': "That photo couldn't be opened. Try a JPEG or PNG.",
+    'photo.prepareFailed': "That photo couldn't be prepared for upload.",
+
+    // Substitutes
+    'substitute.title': 'Instead of {name}:',
+    'substitute.close': 'Close substitutes',
+    'substitute.fromModel': "Chef's idea",
+    'substitute.use': 'Use this',
+    'substitute.asking': 'Asking the chef for ideas...',
+    'substitute.none': "No substitutes that keep to this recipe's diet and allergies.",
+    'substitute.more': 'More ideas from the chef',
+    'substitute.failed': "Couldn't get ideas from the chef: {message}. Please try again.",
+
+    // Refinement
+    'refine.title': 'Tweak this recipe',
+    'refine.previous': 'Previous version',
+    'refine.next': 'Next version',
+    'refine.version': 'Version {number} of {count}',
+    'refine.placeholder': 'e.g. Make it spicier, swap the mushrooms for tofu',
+    'refine.submit': 'Refine',
+    'refine.replaces': 'Refining this version replaces the versions after it.',
+    'refine.noChanges': 'No changes from the previous version.',
+    'refine.step': 'Step: {text}',
+    'diff.recipeName': 'Name',
+    'diff.servings': 'Servings',
+    'diff.prepTimeMinutes': 'Total time (minutes)',
+
+    // Safety and preference warnings
+    'warning.ingredient': 'Ingredient',
+    'warning.step': 'Step {step}',
+    'allergens.hidden': 'This recipe was hidden because it contains allergens you asked to avoid.',
+    'allergens.careful': 'Careful: this recipe contains allergens you asked to avoid.',
+    'allergens.regenerate': 'Regenerate without {allergen}',
+    'allergens.showAnyway': 'Show the recipe anyway',
+    'diet.warning': "This recipe doesn't fully match your dietary constraints.",
+    'diet.broken': 'Not {constraint}',
+    'diet.regenerate': 'Regenerate as {constraint}',
+    'preferences.warning': "This recipe doesn't fully match your cooking preferences.",
+    'preferences.tryAgain': 'Try another recipe',
+    'preferences.time': 'Ready in {minutes} minutes',
+    'preferences.servings': { one: '{count} serving', other: '{count} servings' },
+    'preferences.tooLong': 'Takes about {minutes} minutes in total, over your {limit}-minute limit.',
+    'preferences.timersTooLong': 'Its step timers alone add up to {minutes} minutes, over your {limit}-minute limit.',
+    'preferences.wrongServings': 'Serves {servings} rather than {wanted}; the servings control can scale it.',
+    'preferences.tooManySteps': 'Has {steps} steps; a {level} recipe should have at most {max}.',
+    'preferences.tooHard': 'Uses techniques beyond a {level} cook.',
+    'preferences.equipment': "Needs equipment you said you don't have ({equipment}).",
+
+    // Labels for the fixed lists in src/recipe and src/safety, by id
+    'diet.vegetarian': 'Vegetarian',
+    'diet.eggetarian': 'Eggetarian',
+    'diet.vegan': 'Vegan',
+    'diet.jain': 'Jain',
+    'diet.keto': 'Keto',
+    'diet.halal': 'Halal',
+    'diet.gluten-free': 'Gluten-free',
+    'diet.oil-only': 'Cook with oil',
+    'diet.butter-only': 'Cook with butter',
+    'diet.group.meat': 'meat',
+    'diet.group.fish': 'fish',
+    'diet.group.shellfish': 'shellfish',
+    'diet.group.animalByproducts': 'animal-derived ingredient',
+    'diet.group.egg': 'egg',
+    'diet.group.dairy': 'dairy',
+    'diet.group.honey': 'honey',
+    'diet.group.rootVegetables': 'root vegetable',
+    'diet.group.fungi': 'mushroom',
+    'diet.group.highCarb': 'high-carb ingredient',
+    'diet.group.pork': 'pork',
+    'diet.group.alcohol': 'alcohol',
+    'diet.group.gluten': 'gluten',
+    'diet.group.solidFats': 'butter or ghee',
+    'diet.group.oils': 'oil',
+    'allergen.peanuts': 'Peanuts',
+    'allergen.tree-nuts': 'Tree nuts',
+    'allergen.gluten': 'Gluten',
+    'allergen.dairy': 'Dairy',
+    'allergen.egg': 'Egg',
+    'allergen.fish': 'Fish',
+    'allergen.shellfish': 'Shellfish',
+    'allergen.soy': 'Soy',
+    'allergen.sesame': 'Sesame',
+    'allergen.mustard': 'Mustard',
+    'cuisine.north-indian': 'North Indian',
+    'cuisine.south-indian': 'South Indian',
+    'cuisine.indo-chinese': 'Indo-Chinese',
+    'cuisine.chinese': 'Chinese',
+    'cuisine.thai': 'Thai',
+    'cuisine.japanese': 'Japanese',
+    'cuisine.italian': 'Italian',
+    'cuisine.mediterranean': 'Mediterranean',
+    'cuisine.middle-eastern': 'Middle Eastern',
+    'cuisine.mexican': 'Mexican',
+    'cuisine.american': 'American',
+    'cuisine.continental': 'Continental',
+    'skill.beginner': 'Beginner',
+    'skill.intermediate': 'Intermediate',
+    'skill.advanced': 'Advanced',
+    'equipment.no-oven': 'No oven',
+    'equipment.air-fryer-only': 'Air fryer only',
+    'equipment.one-pot': 'One pot',
+    'equipment.no-blender': 'No blender',
+};
@@ -0,0 +1,418 @@
+// Hindi UI messages. Keys and placeholders as in en.js.
+export default {
+    // App shell
+    'app.title': 'AI पर्सनलाइज़्ड रेसिपी शेफ़',
+    'app.tagline': 'कुछ सवालों के जवाब दें और AI शेफ़ आपके लिए ख़ास डिश तैयार करेगा।',
+    'app.offline': 'आप ऑफ़लाइन हैं। सेव की गई और हाल में बनी रेसिपी अब भी खुलती हैं, और नई रेसिपी इंटरनेट लौटने तक इंतज़ार करेंगी।',
+    'app.language': 'भाषा',
+    'nav.create': 'बनाएँ',
+    'nav.library': 'मेरी रेसिपी ({count})',
+    'nav.pantry': 'रसोई का सामान ({count})',
+    'nav.planner': 'भोजन योजना',
+    'common.cancel': 'रद्द करें',
+    'common.remove': '{name} हटाएँ',
+    'common.minutes': '{count} मिनट',
+    'common.ingredients': { one: '{count} सामग्री', other: '{count} सामग्रियाँ' },
+    'common.optional': '(वैकल्पिक)',
+
+    // The Create form
+    'form.ingredients': '1. आपके पास कौन-सी मुख्य सामग्री है? (जैसे चावल, ब्रोकली)',
+    'form.ingredients.placeholder': 'अपनी सामग्री यहाँ लिखें...',
+    'form.ingredients.spoken': 'अपनी सामग्री',
+    'form.constraints': '2. खान-पान के नियम (जो लागू हों, चुनें)',
+    'form.constraints.fat': 'पकाने की चिकनाई',
+    'form.allergies': '3. किसी चीज़ से एलर्जी है? (जैसे मेवे, ग्लूटेन, डेयरी)',
+    'form.allergies.placeholder': 'न हो तो ख़ाली छोड़ें',
+    'form.allergies.spoken': 'अपनी एलर्जी',
+    'form.allergies.block': 'जिस रेसिपी में फिर भी ये एलर्जन हों, उसे छिपा दें',
+    'form.specialRequest': "4. कोई ख़ास फ़रमाइश? (जैसे 'तीखा बनाएँ', 'ज़्यादा प्रोटीन')",
+    'form.specialRequest.placeholder': 'स्टाइल या स्वाद (वैकल्पिक)',
+    'form.specialRequest.spoken': 'अपनी फ़रमाइश',
+    'form.preferences': '5. पकाने की पसंद (वैकल्पिक)',
+    'form.cuisine': 'व्यंजन शैली',
+    'form.cuisine.any': 'कोई भी शैली',
+    'form.time': 'कितनी देर में तैयार',
+    'form.time.any': 'कितना भी समय',
+    'form.time.choice': '{minutes} मिनट या कम',
+    'form.skill': 'पाक कौशल',
+    'form.skill.any': 'कोई भी स्तर',
+    'form.servings': 'कितने लोगों के लिए',
+    'form.servings.any': 'कोई भी',
+    'form.kitchen': 'रसोई',
+    'form.preferences.hint': 'रेसिपी आने पर समय, लोगों की संख्या, कौशल और उपकरण की जाँच होती है।',
+    'form.calories': 'प्रति सर्विंग अधिकतम कैलोरी (वैकल्पिक)',
+    'form.calories.placeholder': 'जैसे {example}',
+    'form.calories.hint': 'ऑफ़लाइन अनुमान से जाँचा जाता है; इससे काफ़ी ज़्यादा वाली रेसिपी दोबारा लिखी जाती है।',
+    'form.options': 'तुलना के लिए विकल्प',
+    'form.options.one': 'सिर्फ़ एक रेसिपी',
+    'form.options.many': '{count} रेसिपी',
+    'form.generate': 'रेसिपी बनाएँ',
+    'form.generate.many': '{count} रेसिपी बनाएँ',
+    'form.generating': 'आपकी रेसिपी तैयार हो रही है...',
+    'form.stop': 'रोकें',
+    'form.empty': 'ऊपर का फ़ॉर्म भरें और अपनी ख़ास डिश देखने के लिए "रेसिपी बनाएँ" दबाएँ!',
+
+    // Generation errors and notices
+    'error.rateLimited': 'आप बहुत जल्दी-जल्दी रेसिपी बना रहे हैं। कृपया {seconds} सेकंड रुककर फिर कोशिश करें।',
+    'error.invalidAnswers': 'कृपया अपने जवाब जाँचें: {fields}',
+    'error.network': 'रेसिपी सर्वर से कनेक्शन टूट गया। अपना इंटरनेट जाँचकर फिर कोशिश करें।',
+    'error.truncated': 'रेसिपी पूरी होने से पहले ही कट गई। जहाँ रुकी थी, वहीं से आगे लिखवा सकते हैं।',
+    'error.failed': 'रेसिपी नहीं बन सकी: {message}। कृपया अपने जवाब बदलकर फिर कोशिश करें।',
+    'error.notQueued': 'आप ऑफ़लाइन हैं और रेसिपी कतार में नहीं रखी जा सकी। इंटरनेट लौटने पर फिर कोशिश करें।',
+    'recipe.continue': 'यह रेसिपी आगे लिखें',
+    'recipe.startOver': 'फिर से शुरू करें',
+    'recipe.fromCache': 'आपने यह हाल ही में माँगी थी, इसलिए वही रेसिपी फिर से दिखाई है। अलग रेसिपी के लिए "नया रूप" दबाएँ।',
+    'recipe.heldForAudit': 'रेसिपी पूरी होने और आपकी एलर्जी के लिए जाँच हो जाने के बाद यहाँ दिखेगी।',
+    'recipe.imported': 'आयात की गई रेसिपी',
+    'recipe.save': 'मेरी रेसिपी में सेव करें',
+    'recipe.saved': 'सेव हो गई',
+    'recipe.cooked': 'मैंने यह बना ली',
+    'recipe.newVariation': 'नया रूप',
+
+    // Offline queue and recent recipes
+    'queue.running': 'ऑफ़लाइन माँगी गई रेसिपी बनाई जा रही हैं...',
+    'queue.waiting': 'इंटरनेट का इंतज़ार है',
+    'queue.hint': 'इंटरनेट लौटते ही ये बन जाएँगी, और बीच में ऐप बंद करने पर भी बची रहेंगी।',
+    'queue.chefsChoice': 'शेफ़ की पसंद',
+    'queue.askedAt': '{time} पर माँगी',
+    'queue.cancel': 'यह रेसिपी न बनाएँ',
+    'queue.failed': 'ऑफ़लाइन कतार में रखी एक रेसिपी नहीं बन सकी: {message}',
+    'queue.ready': 'ऑफ़लाइन रहते हुए माँगी गई "{name}" तैयार है, "मेरी रेसिपी" में देखें।',
+    'queue.openLibrary': 'मेरी रेसिपी खोलें',
+    'recent.title': 'हाल में बनी',
+    'recent.hint': 'इस डिवाइस पर {days} दिन तक रहती हैं, और ऑफ़लाइन भी खुलती हैं।',
+    'recent.open': 'खोलें',
+
+    // Recipe card
+    'card.naming': 'डिश का नाम सोचा जा रहा है...',
+    'card.totalTime': 'कुल {minutes} मिनट',
+    'card.servings': { one: '{count} सर्विंग', other: '{count} सर्विंग' },
+    'card.fewerServings': 'कम सर्विंग',
+    'card.moreServings': 'ज़्यादा सर्विंग',
+    'card.resetServings': 'पहले जैसा',
+    'card.cookMode': 'कुक मोड',
+    'card.readAloud': 'पढ़कर सुनाएँ',
+    'card.stopReading': 'पढ़ना रोकें',
+    'card.readStep': 'चरण {step} पढ़कर सुनाएँ',
+    'card.units': 'इकाइयाँ',
+    'card.ingredients': 'सामग्री',
+    'card.instructions': 'विधि',
+    'card.substitute': 'बदलें',
+    'card.substituteItem': '{name} की जगह कुछ और',
+    'units.original': 'जैसा लिखा है',
+    'units.metric': 'मीट्रिक',
+    'units.imperial': 'इंपीरियल',
+
+    // Reading aloud
+    'speech.intro': '{name}। {servings} लोगों के लिए।',
+    'speech.gather': 'आपको चाहिए:',
+    'speech.ingredient': '{ingredient}।',
+    'speech.step': '{count} में से चरण {step}।',
+
+    // Cook mode
+    'cook.label': '{name} बन रही है',
+    'cook.readEach': 'हर चरण पढ़कर सुनाएँ',
+    'cook.voice': 'आवाज़ से चलाएँ',
+    'cook.leave': 'कुक मोड बंद करें',
+    'cook.listening': 'सुन रहा है: "आगे", "पीछे", "फिर से", "टाइमर" या "रुको" बोलें।',
+    'cook.gather': 'शुरू करने से पहले यह जुटा लें:',
+    'cook.step': '{count} में से चरण {step}',
+    'cook.startTimer': '{time} का टाइमर शुरू करें',
+    'cook.timer': 'चरण {step}: {label}',
+    'cook.timerUnlabelled': 'चरण {step}',
+    'cook.timerDone': 'हो गया!',
+    'cook.pauseTimer': 'टाइमर रोकें',
+    'cook.resumeTimer': 'टाइमर फिर चलाएँ',
+    'cook.removeTimer': 'टाइमर हटाएँ',
+    'cook.noTimer': 'इस चरण में कोई टाइमर नहीं है।',
+    'cook.timerStarted': '{time} का टाइमर शुरू हो गया।',
+    'cook.back': 'पीछे',
+    'cook.next': 'आगे',
+    'cook.start': 'पकाना शुरू करें',
+    'cook.finish': 'पूरा हुआ',
+
+    // Speech recognition
+    'voice.say': '{what} बोलें',
+    'voice.stop': 'सुनना बंद करें',
+    'voice.listening': 'सुन रहा है... रोकने के लिए टैप करें',
+    'voice.blocked': 'इस साइट के लिए माइक्रोफ़ोन की अनुमति बंद है।',
+    'voice.noMicrophone': 'कोई माइक्रोफ़ोन नहीं मिला।',
+    'voice.offline': 'आवाज़ पहचानने के लिए इंटरनेट चाहिए।',
+    'voice.noSpeech': 'समझ नहीं आया। फिर से बोलें।',
+    'voice.unsupported': 'यहाँ इस भाषा में आवाज़ पहचान उपलब्ध नहीं है।',
+    'voice.stopped': 'आवाज़ पहचान रुक गई ({code})।',
+
+    // Nutrition
+    'nutrition.title': 'प्रति सर्विंग पोषण',
+    'nutrition.high': 'अच्छा अनुमान',
+    'nutrition.medium': 'मोटा अनुमान',
+    'nutrition.low': 'बहुत मोटा अनुमान',
+    'nutrition.confidence': '{percent}% सामग्री का मिलान और वज़न भरोसे से हुआ',
+    'nutrition.kcal': 'किलो कैलोरी',
+    'nutrition.overLimit': 'आपकी {limit} किलो कैलोरी की सीमा से ज़्यादा',
+    'nutrition.protein': 'प्रोटीन',
+    'nutrition.carbs': 'कार्ब्स',
+    'nutrition.fat': 'वसा',
+    'nutrition.fibre': 'फ़ाइबर',
+    'nutrition.sodium': 'सोडियम',
+    'nutrition.workings': 'यह कैसे निकाला गया',
+    'nutrition.match': '{food}, {grams} ग्रा.',
+    'nutrition.noMatch': 'मिलान नहीं हुआ',
+    'nutrition.disclaimer': 'आम मानों से अनुमानित; ब्रांड और पकाने के तरीक़े से फ़र्क़ पड़ता है।',
+    'nutrition.note.noAmount': 'मात्रा नहीं दी, गिना नहीं गया',
+    'nutrition.note.asWater': 'पानी मानकर तौला गया',
+    'nutrition.note.assumedWeight': 'हर {unit} को {grams} ग्रा. माना गया',
+    'nutrition.note.unweighable': '"{unit}" को तौला नहीं जा सका, गिना नहीं गया',
+    'nutrition.note.notInTable': 'खाद्य तालिका में नहीं है',
+    'nutrition.note.optional': 'वैकल्पिक, गिना नहीं गया',
+
+    // Export, print and share
+    'export.label': 'निर्यात',
+    'export.print': 'प्रिंट / PDF',
+    'export.markdown': 'Markdown',
+    'export.jsonLd': 'JSON-LD',
+    'export.jsonLdHint': 'schema.org Recipe, रेसिपी मैनेजर ऐप के लिए',
+    'print.meta': '{servings} लोगों के लिए · {minutes} मिनट · प्रति सर्विंग लगभग {kcal} किलो कैलोरी',
+    'share.button': 'लिंक शेयर करें',
+    'share.tooLong': 'यह रेसिपी लिंक के लिए बहुत लंबी है। इसे Markdown या JSON-LD में निर्यात करके फ़ाइल भेजें।',
+    'share.trimmed': 'छोटा रखने के लिए विवरण और टाइमर छोड़ दिए गए।',
+    'share.copied': 'लिंक कॉपी हो गया।',
+    'share.failed': 'लिंक शेयर नहीं हो सका: {message}',
+    'shared.opening': 'शेयर की गई रेसिपी खुल रही है...',
+    'shared.makeOwn': 'अपनी रेसिपी बनाएँ',
+    'shared.banner': 'किसी ने यह रेसिपी आपके साथ शेयर की है। यहाँ इसे सिर्फ़ पढ़ा जा सकता है।',
+    'shared.open': 'सेव करने या बदलने के लिए ऐप में खोलें',
+    'shared.damaged': 'यह लिंक खराब या अधूरा है। इसे दोबारा भेजने के लिए कहें।',
+    'shared.incomplete': 'इस लिंक में पूरी रेसिपी नहीं है।',
+
+    // My Recipes
+    'library.search': 'नाम, सामग्री और विधि में खोजें...',
+    'library.searchLabel': 'सेव की गई रेसिपी खोजें',
+    'library.sort': 'रेसिपी का क्रम',
+    'library.sort.newest': 'नई पहले',
+    'library.sort.oldest': 'पुरानी पहले',
+    'library.sort.quickest': 'जल्दी बनने वाली पहले',
+    'library.sort.slowest': 'ज़्यादा समय वाली पहले',
+    'library.favourites': 'पसंदीदा',
+    'library.import': 'आयात',
+    'library.empty': 'सेव की गई रेसिपी यहाँ दिखेंगी।',
+    'library.noMatch': 'आपकी खोज से कोई सेव की गई रेसिपी नहीं मिली।',
+    'library.favourite': 'पसंदीदा में जोड़ें',
+    'library.unfavourite': 'पसंदीदा से हटाएँ',
+    'library.regenerate': 'इन्हीं जवाबों से फिर बनाएँ',
+    'library.delete': 'संग्रह से हटाएँ',
+    'library.addTag': 'टैग जोड़ें',
+    'library.tagPlaceholder': '+ टैग',
+    'library.removeTag': 'टैग {tag} हटाएँ',
+    'library.missing': 'यह रेसिपी अब आपकी लाइब्रेरी में नहीं है।',
+    'storage.unsupported': 'यह ब्राउज़र ऑफ़लाइन स्टोरेज को सपोर्ट नहीं करता।',
+    'storage.blocked': 'अपने दूसरे टैब में यह ऐप बंद करें ताकि यह अपना स्टोरेज अपडेट कर सके, फिर दोबारा कोशिश करें।',
+    'import.chooseFile': 'फ़ाइल चुनें',
+    'import.paste': 'या नीचे JSON-LD या Markdown चिपकाएँ',
+    'import.close': 'आयात बंद करें',
+    'import.text': 'आयात करने वाली रेसिपी',
+    'import.submit': 'आयात करें',
+    'import.assumedServings': 'इसमें नहीं लिखा था कि कितने लोगों के लिए है, इसलिए {servings} मान लिया।',
+    'import.estimatedTime': 'इसमें कुल समय नहीं दिया था, इसलिए विधि से {minutes} मिनट का अनुमान लगाया।',
+    'import.invalidJson': 'यह सही JSON नहीं है: {detail}',
+    'import.notFound': 'इसमें कोई रेसिपी नहीं मिली। schema.org JSON-LD इस्तेमाल करें, या ऐसा Markdown जिसमें # शीर्षक और Ingredients व Instructions खंड हों।',
+    'import.noJsonLdRecipe': 'इस JSON-LD में schema.org Recipe नहीं है।',
+    'import.incomplete': 'यह पूरी रेसिपी नहीं लगती: {problems}',
+
+    // Pantry
+    'pantry.item': 'चीज़ का नाम',
+    'pantry.itemPlaceholder': 'चीज़, जैसे पालक',
+    'pantry.amount': 'मात्रा',
+    'pantry.unit': 'इकाई',
+    'pantry.unitPlaceholder': 'इकाई (g, cup...)',
+    'pantry.expiry': 'एक्सपायरी की तारीख़ (वैकल्पिक)',
+    'pantry.add': 'जोड़ें',
+    'pantry.empty': 'आपकी रसोई में जो है, उसे जोड़ें और अगली रेसिपी में टिक करके शामिल करें।',
+    'pantry.amountOf': '{name} की मात्रा',
+    'pantry.expiryOf': '{name} की एक्सपायरी की तारीख़',
+    'pantry.expired': { one: '{count} दिन पहले एक्सपायर हो गया', other: '{count} दिन पहले एक्सपायर हो गया' },
+    'pantry.expiresToday': 'आज एक्सपायर होगा',
+    'pantry.expiresTomorrow': 'कल एक्सपायर होगा',
+    'pantry.expiresIn': { one: '{count} दिन में एक्सपायर होगा', other: '{count} दिन में एक्सपायर होगा' },
+    'pantry.picker': 'आपके सामान से:',
+    'pantry.missing': 'यह सामान अब आपकी पैंट्री में नहीं है।',
+    'deduction.title': 'अपना सामान अपडेट करें',
+    'deduction.none': 'इस रेसिपी की कोई भी सामग्री आपके सामान में नहीं है।',
+    'deduction.used': '{items} इस्तेमाल हुआ।',
+    'deduction.unknown': 'कितना बचा है, पता नहीं चल रहा – हटाने के लिए टिक करें',
+    'deduction.usedUp': 'ख़त्म हो गया – सामान से हटाएँ',
+    'deduction.left': '{amount} बचा',
+    'deduction.apply': 'सामान से घटाएँ',
+
+    // Meal plan
+    'planner.days': 'कितने दिन की योजना',
+    'planner.plan': 'मेरा भोजन तय करें',
+    'planner.planning': 'दिन {day} की योजना बन रही है...',
+    'planner.hint': '"बनाएँ" फ़ॉर्म की सामग्री, खान-पान के नियम और एलर्जी इस्तेमाल होती है।',
+    'planner.empty': 'एक हफ़्ते के रात के खाने की योजना बनाएँ और सबके लिए एक ही ख़रीदारी सूची पाएँ।',
+    'planner.day': 'दिन {day}',
+    'planner.shoppingList': 'ख़रीदारी सूची',
+    'planner.skipPantry': 'जो सामान में पहले से है, उसे छोड़ दें',
+    'planner.inPantry': 'आपके सामान में है',
+    'planner.buyRest': 'आपके सामान में है, बाक़ी ख़रीदें',
+    'planner.recipes': '{count} रेसिपी',
+    'aisle.produce': 'फल और सब्ज़ियाँ',
+    'aisle.dairy': 'डेयरी और अंडे',
+    'aisle.meat': 'मांस और मछली',
+    'aisle.bakery': 'बेकरी',
+    'aisle.frozen': 'फ़्रोज़न',
+    'aisle.spices': 'जड़ी-बूटियाँ और मसाले',
+    'aisle.pantry': 'अनाज, डिब्बाबंद और सॉस',
+    'aisle.other': 'अन्य',
+
+    // Comparing options
+    'variation.writing': 'विकल्प {number} लिखा जा रहा है...',
+    'variation.failed': 'विकल्प {number} नहीं बन सका: {message}',
+    'variation.unused': 'इस्तेमाल नहीं हुआ: {items}',
+    'variation.uses': 'आपकी {total} में से {used} सामग्री इस्तेमाल करती है',
+    'variation.needsMore': ', {count} और चाहिए',
+    'variation.showing': 'नीचे दिख रही है',
+    'variation.pick': 'यह चुनें',
+
+    // Photo of ingredients
+    'photo.take': 'फ़ोटो लें',
+    'photo.upload': 'फ़ोटो अपलोड करें',
+    'photo.hint': 'अपने फ़्रिज या अलमारी की, ताकि यह अपने-आप भर जाए।',
+    'photo.alt': 'आपकी सामग्री',
+    'photo.detecting': 'सामग्री ढूँढी जा रही है...',
+    'photo.none': 'कोई सामग्री नहीं दिखी। पास से और ज़्यादा रोशनी में ली गई फ़ोटो से मदद मिल सकती है।',
+    'photo.spotted': 'आपकी फ़ोटो में दिखी; जोड़ने से पहले ठीक करें या हटाएँ:',
+    'photo.chip': 'दिखी हुई सामग्री {number}',
+    'photo.add': 'मेरी सामग्री में जोड़ें',
+    'photo.discard': 'फ़ोटो हटाएँ',
+    'photo.unreadable': 'यह फ़ोटो पढ़ी नहीं जा सकी।',
+    'photo.notImage': 'यह फ़ाइल कोई तस्वीर नहीं है।',
+    'photo.unsupported': 'यह फ़ोटो खुल नहीं सकी। JPEG या PNG आज़माएँ।',
+    'photo.prepareFailed': 'यह फ़ोटो अपलोड के लिए तैयार नहीं हो सकी।',
+
+    // Substitutes
+    'substitute.title': '{name} की जगह:',
+    'substitute.close': 'विकल्प बंद करें',
+    'substitute.fromModel': 'शेफ़ का सुझाव',
+    'substitute.use': 'यह इस्तेमाल करें',
+    'substitute.asking': 'शेफ़ से सुझाव माँगे जा रहे हैं...',
+    'substitute.none': 'ऐसा कोई विकल्प नहीं जो इस रेसिपी के खान-पान और एलर्जी के नियम निभाए।',
+    'substitute.more': 'शेफ़ से और सुझाव',
+    'substitute.failed': 'शेफ़ से सुझाव नहीं मिल सके: {message}। कृपया फिर कोशिश करें।',
+
+    // Refinement
+    'refine.title': 'इस रेसिपी में बदलाव करें',
+    'refine.previous': 'पिछला संस्करण',
+    'refine.next': 'अगला संस्करण',
+    'refine.version': '{count} में से संस्करण {number}',
+    'refine.placeholder': 'जैसे इसे और तीखा करें, मशरूम की जगह टोफ़ू डालें',
+    'refine.submit': 'बदलें',
+    'refine.replaces': 'इस संस्करण को बदलने से इसके बाद के संस्करण हट जाएँगे।',
+    'refine.noChanges': 'पिछले संस्करण से कोई बदलाव नहीं।',
+    'refine.step': 'चरण: {text}',
+    'diff.recipeName': 'नाम',
+    'diff.servings': 'सर्विंग',
+    'diff.prepTimeMinutes': 'कुल समय (मिनट)',
+
+    // Safety and preference warnings
+    'warning.ingredient': 'सामग्री',
+    'warning.step': 'चरण {step}',
+    'allergens.hidden': 'यह रेसिपी छिपा दी गई है, क्योंकि इसमें वे एलर्जन हैं जिनसे आप बचना चाहते हैं।',
+    'allergens.careful': 'सावधान: इस रेसिपी में वे एलर्जन हैं जिनसे आप बचना चाहते हैं।',
+    'allergens.regenerate': '{allergen} के बिना फिर बनाएँ',
+    'allergens.showAnyway': 'फिर भी रेसिपी दिखाएँ',
+    'diet.warning': 'यह रेसिपी आपके खान-पान के नियमों से पूरी तरह मेल नहीं खाती।',
+    'diet.broken': '{constraint} नहीं',
+    'diet.regenerate': '{constraint} बनाकर फिर से',
+    'preferences.warning': 'यह रेसिपी आपकी पकाने की पसंद से पूरी तरह मेल नहीं खाती।',
+    'preferences.tryAgain': 'दूसरी रेसिपी आज़माएँ',
+    'preferences.time': '{minutes} मिनट में तैयार',
+    'preferences.servings': { one: '{count} सर्विंग', other: '{count} सर्विंग' },
+    'preferences.tooLong': 'कुल लगभग {minutes} मिनट लगते हैं, जो आपकी {limit} मिनट की सीमा से ज़्यादा है।',
+    'preferences.timersTooLong': 'सिर्फ़ इसके टाइमर ही {minutes} मिनट के हैं, जो आपकी {limit} मिनट की सीमा से ज़्यादा है।',
+    'preferences.wrongServings': 'यह {wanted} की जगह {servings} लोगों के लिए है; सर्विंग बटन से इसे घटा-बढ़ा सकते हैं।',
+    'preferences.tooManySteps': 'इसमें {steps} चरण हैं; {level} स्तर की रेसिपी में ज़्यादा से ज़्यादा {max} होने चाहिए।',
+    'preferences.tooHard': 'इसमें {level} स्तर से कठिन तरीक़े हैं।',
+    'preferences.equipment': 'इसके लिए वह उपकरण चाहिए जो आपने कहा कि आपके पास नहीं है ({equipment})।',
+
+    // Labels for the fixed lists in src/recipe and src/safety, by id
+    'diet.vegetarian': 'शाकाहारी',
+    'diet.eggetarian': 'अंडा-शाकाहारी',
+    'diet.vegan': 'वीगन',
+    'diet.jain': 'जैन',
+    'diet.keto': 'कीटो',
+    'diet.halal': 'हलाल',
+    'diet.gluten-free': 'ग्लूटेन-मुक्त',
+    'diet.oil-only': 'तेल में पकाएँ',
+    'diet.butter-only': 'मक्खन में पकाएँ',
+    'diet.group.meat': 'मांस',
+    'diet.group.fish': 'मछली',
+    'diet.group.shellfish': 'शेलफ़िश',
+    'diet.group.animalByproducts': 'पशु से बनी चीज़',
+    'diet.group.egg': 'अंडा',
+    'diet.group.dairy': 'डेयरी',
+    'diet.group.honey': 'शहद',
+    'diet.group.rootVegetables': 'ज़मीकंद',
+    'diet.group.fungi': 'मशरूम',
+    'diet.group.highCarb': 'ज़्यादा कार्ब वाली चीज़',
+    'diet.group.pork': 'सूअर का मांस',
+    'diet.group.alcohol': 'शराब',
+    'diet.group.gluten': 'ग्लूटेन',
+    'diet.group.solidFats': 'मक्खन या घी',
+    'diet.group.oils': 'तेल',
+    'allergen.peanuts': 'मूँगफली',
+    'allergen.tree-nuts': 'मेवे',
+    'allergen.gluten': 'ग्लूटेन',
+    'allergen.dairy': 'डेयरी',
+    'allergen.egg': 'अंडा',
+    'allergen.fish': 'मछली',
+    'allergen.shellfish': 'शेलफ़िश',
+    'allergen.soy': 'सोया',
+    'allergen.sesame': 'तिल',
+    'allergen.mustard': 'सरसों',
+    'cuisine.north-indian': 'उत्तर भारतीय',
+    'cuisine.south-indian': 'दक्षिण भारतीय',
+    'cuisine.indo-chinese': 'इंडो-चाइनीज़',
+    'cuisine.chinese': 'चाइनीज़',
+    'cuisine.thai': 'थाई',
+    'cuisine.japanese': 'जापानी',
+    'cuisine.italian': 'इटैलियन',
+    'cuisine.mediterranean': 'मेडिटेरेनियन',
+    'cuisine.middle-eastern': 'मिडिल ईस्टर्न',
+    'cuisine.mexican': 'मैक्सिकन',
+    'cuisine.american': 'अमेरिकन',
+    'cuisine.continental': 'कॉन्टिनेंटल',
+    'skill.beginner': 'नौसिखिया',
+    'skill.intermediate': 'मध्यम',
+    'skill.advanced': 'माहिर',
+    'equipment.no-oven': 'ओवन नहीं',
+    'equipment.air-fryer-only': 'सिर्फ़ एयर फ़्रायर',
+    'equipment.one-pot': 'एक ही बर्तन',
+    'equipment.no-blender': 'ब्लेंडर नहीं',
+
+    // Units in ingredient lines; units without one are written as in English
+    'unit.tsp': 'छोटा चम्मच',
+    'unit.tbsp': 'बड़ा चम्मच',
+    'unit.cup': 'कप',
+    'unit.fl oz': 'फ़्लूइड औंस',
+    'unit.pint': 'पाइंट',
+    'unit.quart': 'क्वार्ट',
+    'unit.gallon': 'गैलन',
+    'unit.ml': 'मि.ली.',
+    'unit.l': 'लीटर',
+    'unit.g': 'ग्रा.',
+    'unit.kg': 'कि.ग्रा.',
+    'unit.oz': 'औंस',
+    'unit.lb': 'पाउंड',
+    'unit.clove': 'कली',
+    'unit.pinch': 'चुटकी',
+    'unit.dash': 'ज़रा-सा',
+    'unit.handful': 'मुट्ठी',
+    'unit.slice': 'स्लाइस',
+    'unit.can': 'डिब्बा',
+    'unit.head': 'गाँठ',
+    'unit.bunch': 'गड्डी',
+    'unit.sprig': 'टहनी',
+    'unit.piece': 'टुकड़ा',
+    'unit.stick': 'स्टिक',
+};
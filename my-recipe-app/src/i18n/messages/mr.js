@@ -0,0 +1,418 @@
+// Marathi UI messages. Keys and placeholders as in en.js.
+export default {
+    // App shell
+    'app.title': 'AI पर्सनलाइज्ड रेसिपी शेफ',
+    'app.tagline': 'काही प्रश्नांची उत्तरे द्या आणि AI शेफ तुमच्यासाठी खास पदार्थ तयार करेल.',
+    'app.offline': 'तुम्ही ऑफलाइन आहात. सेव्ह केलेल्या आणि अलीकडे बनवलेल्या रेसिपी अजूनही उघडतात, आणि नवीन रेसिपी इंटरनेट परत येईपर्यंत थांबतील.',
+    'app.language': 'भाषा',
+    'nav.create': 'बनवा',
+    'nav.library': 'माझ्या रेसिपी ({count})',
+    'nav.pantry': 'स्वयंपाकघरातील साहित्य ({count})',
+    'nav.planner': 'जेवणाचे नियोजन',
+    'common.cancel': 'रद्द करा',
+    'common.remove': '{name} काढा',
+    'common.minutes': '{count} मिनिटे',
+    'common.ingredients': { one: '{count} साहित्य', other: '{count} साहित्य' },
+    'common.optional': '(ऐच्छिक)',
+
+    // The Create form
+    'form.ingredients': '1. तुमच्याकडे कोणते मुख्य साहित्य आहे? (उदा. तांदूळ, ब्रोकोली)',
+    'form.ingredients.placeholder': 'तुमचे साहित्य इथे लिहा...',
+    'form.ingredients.spoken': 'तुमचे साहित्य',
+    'form.constraints': '2. आहाराचे नियम (लागू असतील ते निवडा)',
+    'form.constraints.fat': 'स्वयंपाकाचे तेल/तूप',
+    'form.allergies': '3. कशाची ॲलर्जी आहे का? (उदा. सुकामेवा, ग्लूटेन, दुग्धजन्य पदार्थ)',
+    'form.allergies.placeholder': 'नसेल तर रिकामे सोडा',
+    'form.allergies.spoken': 'तुमच्या ॲलर्जी',
+    'form.allergies.block': 'ज्या रेसिपीत तरीही हे ॲलर्जन असतील, ती लपवा',
+    'form.specialRequest': "4. काही खास मागणी? (उदा. 'तिखट बनवा', 'जास्त प्रथिने')",
+    'form.specialRequest.placeholder': 'शैली किंवा चव (ऐच्छिक)',
+    'form.specialRequest.spoken': 'तुमची खास मागणी',
+    'form.preferences': '5. स्वयंपाकाच्या आवडी (ऐच्छिक)',
+    'form.cuisine': 'पाककृती शैली',
+    'form.cuisine.any': 'कोणतीही शैली',
+    'form.time': 'किती वेळात तयार',
+    'form.time.any': 'कितीही वेळ',
+    'form.time.choice': '{minutes} मिनिटे किंवा कमी',
+    'form.skill': 'स्वयंपाकाचे कौशल्य',
+    'form.skill.any': 'कोणताही स्तर',
+    'form.servings': 'किती जणांसाठी',
+    'form.servings.any': 'कितीही',
+    'form.kitchen': 'स्वयंपाकघर',
+    'form.preferences.hint': 'रेसिपी आल्यावर वेळ, माणसांची संख्या, कौशल्य आणि उपकरणे तपासली जातात.',
+    'form.calories': 'प्रति सर्व्हिंग कमाल कॅलरी (ऐच्छिक)',
+    'form.calories.placeholder': 'उदा. {example}',
+    'form.calories.hint': 'ऑफलाइन अंदाजाशी तुलना केली जाते; त्यापेक्षा बऱ्याच जास्त असलेल्या रेसिपी पुन्हा लिहिल्या जातात.',
+    'form.options': 'तुलनेसाठी पर्याय',
+    'form.options.one': 'फक्त एक रेसिपी',
+    'form.options.many': '{count} रेसिपी',
+    'form.generate': 'रेसिपी बनवा',
+    'form.generate.many': '{count} रेसिपी बनवा',
+    'form.generating': 'तुमची रेसिपी तयार होत आहे...',
+    'form.stop': 'थांबवा',
+    'form.empty': 'वरचा फॉर्म भरा आणि तुमचा खास पदार्थ पाहण्यासाठी "रेसिपी बनवा" दाबा!',
+
+    // Generation errors and notices
+    'error.rateLimited': 'तुम्ही खूप पटापट रेसिपी बनवत आहात. कृपया {seconds} सेकंद थांबून पुन्हा प्रयत्न करा.',
+    'error.invalidAnswers': 'कृपया तुमची उत्तरे तपासा: {fields}',
+    'error.network': 'रेसिपी सर्व्हरशी संपर्क तुटला. तुमचे इंटरनेट तपासून पुन्हा प्रयत्न करा.',
+    'error.truncated': 'रेसिपी पूर्ण होण्याआधीच तुटली. जिथे थांबली तिथून पुढे लिहून घेऊ शकता.',
+    'error.failed': 'रेसिपी बनवता आली नाही: {message}. कृपया तुमची उत्तरे बदलून पुन्हा प्रयत्न करा.',
+    'error.notQueued': 'तुम्ही ऑफलाइन आहात आणि रेसिपी रांगेत ठेवता आली नाही. इंटरनेट परत आल्यावर पुन्हा प्रयत्न करा.',
+    'recipe.continue': 'ही रेसिपी पुढे लिहा',
+    'recipe.startOver': 'पुन्हा सुरुवात करा',
+    'recipe.fromCache': 'तुम्ही ही नुकतीच मागितली होती, म्हणून तीच रेसिपी पुन्हा दाखवली आहे. वेगळ्या रेसिपीसाठी "नवीन प्रकार" दाबा.',
+    'recipe.heldForAudit': 'रेसिपी पूर्ण झाल्यावर आणि तुमच्या ॲलर्जीसाठी तपासल्यावर इथे दिसेल.',
+    'recipe.imported': 'आयात केलेली रेसिपी',
+    'recipe.save': 'माझ्या रेसिपीमध्ये सेव्ह करा',
+    'recipe.saved': 'सेव्ह झाली',
+    'recipe.cooked': 'मी ही बनवली',
+    'recipe.newVariation': 'नवीन प्रकार',
+
+    // Offline queue and recent recipes
+    'queue.running': 'ऑफलाइन असताना मागितलेल्या रेसिपी बनवल्या जात आहेत...',
+    'queue.waiting': 'इंटरनेटची वाट पाहत आहे',
+    'queue.hint': 'इंटरनेट परत येताच या बनतील, आणि मध्येच ॲप बंद केले तरी राहतील.',
+    'queue.chefsChoice': 'शेफची निवड',
+    'queue.askedAt': '{time} ला मागितली',
+    'queue.cancel': 'ही रेसिपी बनवू नका',
+    'queue.failed': 'ऑफलाइन रांगेत ठेवलेली एक रेसिपी बनवता आली नाही: {message}',
+    'queue.ready': 'ऑफलाइन असताना मागितलेली "{name}" तयार आहे, "माझ्या रेसिपी" मध्ये पाहा.',
+    'queue.openLibrary': 'माझ्या रेसिपी उघडा',
+    'recent.title': 'अलीकडे बनवलेल्या',
+    'recent.hint': 'या डिव्हाइसवर {days} दिवस राहतात, आणि ऑफलाइनही उघडतात.',
+    'recent.open': 'उघडा',
+
+    // Recipe card
+    'card.naming': 'पदार्थाचे नाव ठरवले जात आहे...',
+    'card.totalTime': 'एकूण {minutes} मिनिटे',
+    'card.servings': { one: '{count} सर्व्हिंग', other: '{count} सर्व्हिंग' },
+    'card.fewerServings': 'कमी सर्व्हिंग',
+    'card.moreServings': 'जास्त सर्व्हिंग',
+    'card.resetServings': 'पूर्वीसारखे',
+    'card.cookMode': 'कुक मोड',
+    'card.readAloud': 'वाचून दाखवा',
+    'card.stopReading': 'वाचन थांबवा',
+    'card.readStep': 'पायरी {step} वाचून दाखवा',
+    'card.units': 'एकके',
+    'card.ingredients': 'साहित्य',
+    'card.instructions': 'कृती',
+    'card.substitute': 'बदला',
+    'card.substituteItem': '{name} ऐवजी दुसरे काही',
+    'units.original': 'जसे लिहिले आहे',
+    'units.metric': 'मेट्रिक',
+    'units.imperial': 'इम्पीरियल',
+
+    // Reading aloud
+    'speech.intro': '{name}. {servings} जणांसाठी.',
+    'speech.gather': 'तुम्हाला लागेल:',
+    'speech.ingredient': '{ingredient}.',
+    'speech.step': '{count} पैकी पायरी {step}.',
+
+    // Cook mode
+    'cook.label': '{name} बनत आहे',
+    'cook.readEach': 'प्रत्येक पायरी वाचून दाखवा',
+    'cook.voice': 'आवाजाने चालवा',
+    'cook.leave': 'कुक मोड बंद करा',
+    'cook.listening': 'ऐकत आहे: "पुढे", "मागे", "पुन्हा", "टायमर" किंवा "थांब" म्हणा.',
+    'cook.gather': 'सुरू करण्यापूर्वी हे जमवा:',
+    'cook.step': '{count} पैकी पायरी {step}',
+    'cook.startTimer': '{time} चा टायमर सुरू करा',
+    'cook.timer': 'पायरी {step}: {label}',
+    'cook.timerUnlabelled': 'पायरी {step}',
+    'cook.timerDone': 'झाले!',
+    'cook.pauseTimer': 'टायमर थांबवा',
+    'cook.resumeTimer': 'टायमर पुन्हा सुरू करा',
+    'cook.removeTimer': 'टायमर काढा',
+    'cook.noTimer': 'या पायरीत टायमर नाही.',
+    'cook.timerStarted': '{time} चा टायमर सुरू झाला.',
+    'cook.back': 'मागे',
+    'cook.next': 'पुढे',
+    'cook.start': 'स्वयंपाक सुरू करा',
+    'cook.finish': 'पूर्ण झाले',
+
+    // Speech recognition
+    'voice.say': '{what} बोला',
+    'voice.stop': 'ऐकणे थांबवा',
+    'voice.listening': 'ऐकत आहे... थांबवण्यासाठी टॅप करा',
+    'voice.blocked': 'या साइटसाठी मायक्रोफोनची परवानगी बंद आहे.',
+    'voice.noMicrophone': 'मायक्रोफोन सापडला नाही.',
+    'voice.offline': 'आवाज ओळखण्यासाठी इंटरनेट लागते.',
+    'voice.noSpeech': 'काही ऐकू आले नाही. पुन्हा बोला.',
+    'voice.unsupported': 'इथे या भाषेत आवाज ओळख उपलब्ध नाही.',
+    'voice.stopped': 'आवाज ओळख थांबली ({code}).',
+
+    // Nutrition
+    'nutrition.title': 'प्रति सर्व्हिंग पोषण',
+    'nutrition.high': 'चांगला अंदाज',
+    'nutrition.medium': 'ढोबळ अंदाज',
+    'nutrition.low': 'खूप ढोबळ अंदाज',
+    'nutrition.confidence': '{percent}% साहित्य जुळले आणि त्याचे वजन खात्रीने काढता आले',
+    'nutrition.kcal': 'किलोकॅलरी',
+    'nutrition.overLimit': 'तुमच्या {limit} किलोकॅलरीच्या मर्यादेपेक्षा जास्त',
+    'nutrition.protein': 'प्रथिने',
+    'nutrition.carbs': 'कर्बोदके',
+    'nutrition.fat': 'स्निग्ध पदार्थ',
+    'nutrition.fibre': 'तंतुमय पदार्थ',
+    'nutrition.sodium': 'सोडियम',
+    'nutrition.workings': 'हे कसे काढले',
+    'nutrition.match': '{food}, {grams} ग्रॅ.',
+    'nutrition.noMatch': 'जुळले नाही',
+    'nutrition.disclaimer': 'सर्वसाधारण मूल्यांवरून काढलेला अंदाज; ब्रँड आणि स्वयंपाकाच्या पद्धतीनुसार फरक पडतो.',
+    'nutrition.note.noAmount': 'प्रमाण दिलेले नाही, मोजले नाही',
+    'nutrition.note.asWater': 'पाणी समजून वजन केले',
+    'nutrition.note.assumedWeight': 'प्रत्येक {unit} चे {grams} ग्रॅ. गृहीत धरले',
+    'nutrition.note.unweighable': '"{unit}" चे वजन करता आले नाही, मोजले नाही',
+    'nutrition.note.notInTable': 'अन्न तक्त्यात नाही',
+    'nutrition.note.optional': 'ऐच्छिक, मोजले नाही',
+
+    // Export, print and share
+    'export.label': 'निर्यात',
+    'export.print': 'प्रिंट / PDF',
+    'export.markdown': 'Markdown',
+    'export.jsonLd': 'JSON-LD',
+    'export.jsonLdHint': 'schema.org Recipe, रेसिपी मॅनेजर ॲपसाठी',
+    'print.meta': '{servings} जणांसाठी · {minutes} मिनिटे · प्रति सर्व्हिंग सुमारे {kcal} किलोकॅलरी',
+    'share.button': 'लिंक शेअर करा',
+    'share.tooLong': 'ही रेसिपी लिंकसाठी खूप मोठी आहे. ती Markdown किंवा JSON-LD मध्ये निर्यात करून फाइल पाठवा.',
+    'share.trimmed': 'लहान ठेवण्यासाठी वर्णन आणि टायमर वगळले.',
+    'share.copied': 'लिंक कॉपी झाली.',
+    'share.failed': 'लिंक शेअर करता आली नाही: {message}',
+    'shared.opening': 'शेअर केलेली रेसिपी उघडत आहे...',
+    'shared.makeOwn': 'तुमची स्वतःची रेसिपी बनवा',
+    'shared.banner': 'कोणीतरी ही रेसिपी तुमच्याशी शेअर केली आहे. इथे ती फक्त वाचता येते.',
+    'shared.open': 'सेव्ह करण्यासाठी किंवा बदलण्यासाठी ॲपमध्ये उघडा',
+    'shared.damaged': 'ही लिंक खराब किंवा अपूर्ण आहे. ती पुन्हा पाठवायला सांगा.',
+    'shared.incomplete': 'या लिंकमध्ये पूर्ण रेसिपी नाही.',
+
+    // My Recipes
+    'library.search': 'नाव, साहित्य आणि कृतीमध्ये शोधा...',
+    'library.searchLabel': 'सेव्ह केलेल्या रेसिपी शोधा',
+    'library.sort': 'रेसिपींचा क्रम',
+    'library.sort.newest': 'नवीन आधी',
+    'library.sort.oldest': 'जुन्या आधी',
+    'library.sort.quickest': 'लवकर होणाऱ्या आधी',
+    'library.sort.slowest': 'जास्त वेळ लागणाऱ्या आधी',
+    'library.favourites': 'आवडत्या',
+    'library.import': 'आयात',
+    'library.empty': 'सेव्ह केलेल्या रेसिपी इथे दिसतील.',
+    'library.noMatch': 'तुमच्या शोधाशी जुळणारी कोणतीही सेव्ह केलेली रेसिपी नाही.',
+    'library.favourite': 'आवडत्यांमध्ये जोडा',
+    'library.unfavourite': 'आवडत्यांमधून काढा',
+    'library.regenerate': 'याच उत्तरांनी पुन्हा बनवा',
+    'library.delete': 'संग्रहातून काढा',
+    'library.addTag': 'टॅग जोडा',
+    'library.tagPlaceholder': '+ टॅग',
+    'library.removeTag': 'टॅग {tag} काढा',
+    'library.missing': 'ही रेसिपी आता तुमच्या लायब्ररीत नाही.',
+    'storage.unsupported': 'हा ब्राउझर ऑफलाइन स्टोरेजला सपोर्ट करत नाही.',
+    'storage.blocked': 'तुमच्या इतर टॅबमधील हे ॲप बंद करा म्हणजे ते आपले स्टोरेज अपडेट करू शकेल, मग पुन्हा प्रयत्न करा.',
+    'import.chooseFile': 'फाइल निवडा',
+    'import.paste': 'किंवा खाली JSON-LD किंवा Markdown पेस्ट करा',
+    'import.close': 'आयात बंद करा',
+    'import.text': 'आयात करायची रेसिपी',
+    'import.submit': 'आयात करा',
+    'import.assumedServings': 'किती जणांसाठी आहे ते लिहिले नव्हते, म्हणून {servings} गृहीत धरले.',
+    'import.estimatedTime': 'एकूण वेळ दिलेला नव्हता, म्हणून कृतीवरून {minutes} मिनिटांचा अंदाज केला.',
+    'import.invalidJson': 'हे योग्य JSON नाही: {detail}',
+    'import.notFound': 'यात रेसिपी सापडली नाही. schema.org JSON-LD वापरा, किंवा # शीर्षक आणि Ingredients व Instructions विभाग असलेले Markdown.',
+    'import.noJsonLdRecipe': 'या JSON-LD मध्ये schema.org Recipe नाही.',
+    'import.incomplete': 'ही पूर्ण रेसिपी वाटत नाही: {problems}',
+
+    // Pantry
+    'pantry.item': 'वस्तूचे नाव',
+    'pantry.itemPlaceholder': 'वस्तू, उदा. पालक',
+    'pantry.amount': 'प्रमाण',
+    'pantry.unit': 'एकक',
+    'pantry.unitPlaceholder': 'एकक (g, cup...)',
+    'pantry.expiry': 'एक्सपायरीची तारीख (ऐच्छिक)',
+    'pantry.add': 'जोडा',
+    'pantry.empty': 'तुमच्या स्वयंपाकघरात जे आहे ते जोडा आणि पुढच्या रेसिपीत टिक करून वापरा.',
+    'pantry.amountOf': '{name} चे प्रमाण',
+    'pantry.expiryOf': '{name} ची एक्सपायरीची तारीख',
+    'pantry.expired': { one: '{count} दिवसापूर्वी एक्सपायर झाले', other: '{count} दिवसांपूर्वी एक्सपायर झाले' },
+    'pantry.expiresToday': 'आज एक्सपायर होईल',
+    'pantry.expiresTomorrow': 'उद्या एक्सपायर होईल',
+    'pantry.expiresIn': { one: '{count} दिवसात एक्सपायर होईल', other: '{count} दिवसांत एक्सपायर होईल' },
+    'pantry.picker': 'तुमच्या साहित्यातून:',
+    'pantry.missing': 'हे साहित्य आता तुमच्या पॅन्ट्रीत नाही.',
+    'deduction.title': 'तुमचे साहित्य अपडेट करा',
+    'deduction.none': 'या रेसिपीतील कोणतेही साहित्य तुमच्याकडे नोंदवलेले नाही.',
+    'deduction.used': '{items} वापरले.',
+    'deduction.unknown': 'किती उरले ते कळत नाही – काढण्यासाठी टिक करा',
+    'deduction.usedUp': 'संपले – साहित्यातून काढा',
+    'deduction.left': '{amount} उरले',
+    'deduction.apply': 'साहित्यातून वजा करा',
+
+    // Meal plan
+    'planner.days': 'किती दिवसांचे नियोजन',
+    'planner.plan': 'माझे जेवण ठरवा',
+    'planner.planning': 'दिवस {day} चे नियोजन होत आहे...',
+    'planner.hint': '"बनवा" फॉर्ममधील साहित्य, आहाराचे नियम आणि ॲलर्जी वापरल्या जातात.',
+    'planner.empty': 'आठवड्याभराच्या रात्रीच्या जेवणाचे नियोजन करा आणि सगळ्यांसाठी एकच खरेदी यादी मिळवा.',
+    'planner.day': 'दिवस {day}',
+    'planner.shoppingList': 'खरेदी यादी',
+    'planner.skipPantry': 'जे आधीच आहे ते वगळा',
+    'planner.inPantry': 'तुमच्याकडे आहे',
+    'planner.buyRest': 'तुमच्याकडे आहे, उरलेले खरेदी करा',
+    'planner.recipes': '{count} रेसिपी',
+    'aisle.produce': 'फळे आणि भाज्या',
+    'aisle.dairy': 'दुग्धजन्य पदार्थ आणि अंडी',
+    'aisle.meat': 'मांस आणि मासे',
+    'aisle.bakery': 'बेकरी',
+    'aisle.frozen': 'फ्रोझन',
+    'aisle.spices': 'वनस्पती आणि मसाले',
+    'aisle.pantry': 'धान्य, डबाबंद आणि सॉस',
+    'aisle.other': 'इतर',
+
+    // Comparing options
+    'variation.writing': 'पर्याय {number} लिहिला जात आहे...',
+    'variation.failed': 'पर्याय {number} बनवता आला नाही: {message}',
+    'variation.unused': 'न वापरलेले: {items}',
+    'variation.uses': 'तुमच्या {total} पैकी {used} साहित्य वापरते',
+    'variation.needsMore': ', आणखी {count} लागतील',
+    'variation.showing': 'खाली दिसत आहे',
+    'variation.pick': 'ही निवडा',
+
+    // Photo of ingredients
+    'photo.take': 'फोटो काढा',
+    'photo.upload': 'फोटो अपलोड करा',
+    'photo.hint': 'तुमच्या फ्रीजचा किंवा कपाटाचा, म्हणजे हे आपोआप भरेल.',
+    'photo.alt': 'तुमचे साहित्य',
+    'photo.detecting': 'साहित्य शोधले जात आहे...',
+    'photo.none': 'कोणतेही साहित्य दिसले नाही. जवळून आणि जास्त उजेडात काढलेला फोटो मदत करू शकतो.',
+    'photo.spotted': 'तुमच्या फोटोत दिसले; जोडण्यापूर्वी दुरुस्त करा किंवा काढा:',
+    'photo.chip': 'दिसलेले साहित्य {number}',
+    'photo.add': 'माझ्या साहित्यात जोडा',
+    'photo.discard': 'फोटो काढून टाका',
+    'photo.unreadable': 'हा फोटो वाचता आला नाही.',
+    'photo.notImage': 'ही फाइल चित्र नाही.',
+    'photo.unsupported': 'हा फोटो उघडता आला नाही. JPEG किंवा PNG वापरून पाहा.',
+    'photo.prepareFailed': 'हा फोटो अपलोडसाठी तयार करता आला नाही.',
+
+    // Substitutes
+    'substitute.title': '{name} ऐवजी:',
+    'substitute.close': 'पर्याय बंद करा',
+    'substitute.fromModel': 'शेफची सूचना',
+    'substitute.use': 'हे वापरा',
+    'substitute.asking': 'शेफकडून सूचना मागवल्या जात आहेत...',
+    'substitute.none': 'या रेसिपीचे आहाराचे आणि ॲलर्जीचे नियम पाळणारा कोणताही पर्याय नाही.',
+    'substitute.more': 'शेफकडून आणखी सूचना',
+    'substitute.failed': 'शेफकडून सूचना मिळाल्या नाहीत: {message}. कृपया पुन्हा प्रयत्न करा.',
+
+    // Refinement
+    'refine.title': 'या रेसिपीत बदल करा',
+    'refine.previous': 'मागील आवृत्ती',
+    'refine.next': 'पुढील आवृत्ती',
+    'refine.version': '{count} पैकी आवृत्ती {number}',
+    'refine.placeholder': 'उदा. आणखी तिखट करा, मशरूमऐवजी टोफू घाला',
+    'refine.submit': 'बदला',
+    'refine.replaces': 'ही आवृत्ती बदलल्यास तिच्या नंतरच्या आवृत्त्या काढल्या जातील.',
+    'refine.noChanges': 'मागील आवृत्तीपेक्षा काहीही बदल नाही.',
+    'refine.step': 'पायरी: {text}',
+    'diff.recipeName': 'नाव',
+    'diff.servings': 'सर्व्हिंग',
+    'diff.prepTimeMinutes': 'एकूण वेळ (मिनिटे)',
+
+    // Safety and preference warnings
+    'warning.ingredient': 'साहित्य',
+    'warning.step': 'पायरी {step}',
+    'allergens.hidden': 'ही रेसिपी लपवली आहे, कारण त्यात तुम्हाला टाळायचे असलेले ॲलर्जन आहेत.',
+    'allergens.careful': 'सावधान: या रेसिपीत तुम्हाला टाळायचे असलेले ॲलर्जन आहेत.',
+    'allergens.regenerate': '{allergen} शिवाय पुन्हा बनवा',
+    'allergens.showAnyway': 'तरीही रेसिपी दाखवा',
+    'diet.warning': 'ही रेसिपी तुमच्या आहाराच्या नियमांशी पूर्णपणे जुळत नाही.',
+    'diet.broken': '{constraint} नाही',
+    'diet.regenerate': '{constraint} करून पुन्हा बनवा',
+    'preferences.warning': 'ही रेसिपी तुमच्या स्वयंपाकाच्या आवडींशी पूर्णपणे जुळत नाही.',
+    'preferences.tryAgain': 'दुसरी रेसिपी करून पाहा',
+    'preferences.time': '{minutes} मिनिटांत तयार',
+    'preferences.servings': { one: '{count} सर्व्हिंग', other: '{count} सर्व्हिंग' },
+    'preferences.tooLong': 'एकूण सुमारे {minutes} मिनिटे लागतात, जे तुमच्या {limit} मिनिटांच्या मर्यादेपेक्षा जास्त आहे.',
+    'preferences.timersTooLong': 'फक्त याचे टायमरच {minutes} मिनिटांचे आहेत, जे तुमच्या {limit} मिनिटांच्या मर्यादेपेक्षा जास्त आहे.',
+    'preferences.wrongServings': 'ही {wanted} ऐवजी {servings} जणांसाठी आहे; सर्व्हिंग बटणांनी ती कमी-जास्त करू शकता.',
+    'preferences.tooManySteps': 'यात {steps} पायऱ्या आहेत; {level} स्तराच्या रेसिपीत जास्तीत जास्त {max} असाव्यात.',
+    'preferences.tooHard': 'यात {level} स्तरापेक्षा कठीण पद्धती आहेत.',
+    'preferences.equipment': 'यासाठी तुमच्याकडे नाही असे तुम्ही सांगितलेले उपकरण लागते ({equipment}).',
+
+    // Labels for the fixed lists in src/recipe and src/safety, by id
+    'diet.vegetarian': 'शाकाहारी',
+    'diet.eggetarian': 'अंडी खाणारे शाकाहारी',
+    'diet.vegan': 'व्हीगन',
+    'diet.jain': 'जैन',
+    'diet.keto': 'कीटो',
+    'diet.halal': 'हलाल',
+    'diet.gluten-free': 'ग्लूटेन-मुक्त',
+    'diet.oil-only': 'तेलात बनवा',
+    'diet.butter-only': 'लोण्यात बनवा',
+    'diet.group.meat': 'मांस',
+    'diet.group.fish': 'मासे',
+    'diet.group.shellfish': 'शेलफिश',
+    'diet.group.animalByproducts': 'प्राण्यांपासून बनलेले पदार्थ',
+    'diet.group.egg': 'अंडी',
+    'diet.group.dairy': 'दुग्धजन्य पदार्थ',
+    'diet.group.honey': 'मध',
+    'diet.group.rootVegetables': 'कंदमुळे',
+    'diet.group.fungi': 'मशरूम',
+    'diet.group.highCarb': 'जास्त कर्बोदके असलेले पदार्थ',
+    'diet.group.pork': 'डुकराचे मांस',
+    'diet.group.alcohol': 'मद्य',
+    'diet.group.gluten': 'ग्लूटेन',
+    'diet.group.solidFats': 'लोणी किंवा तूप',
+    'diet.group.oils': 'तेल',
+    'allergen.peanuts': 'शेंगदाणे',
+    'allergen.tree-nuts': 'सुकामेवा',
+    'allergen.gluten': 'ग्लूटेन',
+    'allergen.dairy': 'दुग्धजन्य पदार्थ',
+    'allergen.egg': 'अंडी',
+    'allergen.fish': 'मासे',
+    'allergen.shellfish': 'शेलफिश',
+    'allergen.soy': 'सोया',
+    'allergen.sesame': 'तीळ',
+    'allergen.mustard': 'मोहरी',
+    'cuisine.north-indian': 'उत्तर भारतीय',
+    'cuisine.south-indian': 'दक्षिण भारतीय',
+    'cuisine.indo-chinese': 'इंडो-चायनीज',
+    'cuisine.chinese': 'चायनीज',
+    'cuisine.thai': 'थाई',
+    'cuisine.japanese': 'जपानी',
+    'cuisine.italian': 'इटालियन',
+    'cuisine.mediterranean': 'मेडिटेरेनियन',
+    'cuisine.middle-eastern': 'मिडल ईस्टर्न',
+    'cuisine.mexican': 'मेक्सिकन',
+    'cuisine.american': 'अमेरिकन',
+    'cuisine.continental': 'कॉन्टिनेंटल',
+    'skill.beginner': 'नवशिका',
+    'skill.intermediate': 'मध्यम',
+    'skill.advanced': 'तज्ज्ञ',
+    'equipment.no-oven': 'ओव्हन नाही',
+    'equipment.air-fryer-only': 'फक्त एअर फ्रायर',
+    'equipment.one-pot': 'एकाच भांड्यात',
+    'equipment.no-blender': 'ब्लेंडर नाही',
+
+    // Units in ingredient lines; units without one are written as in English
+    'unit.tsp': 'लहान चमचा',
+    'unit.tbsp': 'मोठा चमचा',
+    'unit.cup': 'कप',
+    'unit.fl oz': 'फ्लुइड औंस',
+    'unit.pint': 'पाइंट',
+    'unit.quart': 'क्वार्ट',
+    'unit.gallon': 'गॅलन',
+    'unit.ml': 'मि.ली.',
+    'unit.l': 'लिटर',
+    'unit.g': 'ग्रॅ.',
+    'unit.kg': 'कि.ग्रॅ.',
+    'unit.oz': 'औंस',
+    'unit.lb': 'पौंड',
+    'unit.clove': 'पाकळी',
+    'unit.pinch': 'चिमूट',
+    'unit.dash': 'थोडेसे',
+    'unit.handful': 'मूठभर',
+    'unit.slice': 'काप',
+    'unit.can': 'डबा',
+    'unit.head': 'गड्डा',
+    'unit.bunch': 'जुडी',
+    'unit.sprig': 'काडी',
+    'unit.piece': 'तुकडा',
+    'unit.stick': 'कांडी',
+};
@@ -0,0 +1,65 @@
+import { formatAmount, formatUnit } from '../recipe/ingredients.js';
+import { getLocale } from './locales.js';
+import en from './messages/en.js';
+import hi from './messages/hi.js';
+import mr from './messages/mr.js';
+
+const MESSAGES = { en, hi, mr };
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Everything the UI needs to speak one language:
+//   t(key, values)        the message for `key` with its {placeholders} filled
+//   formatNumber(n)       n in the locale's digits and separators
+//   formatDate(ms, opts)  a timestamp, as Date#toLocaleString would
+//   formatQuantity(amount, unit) and formatIngredient(ingredient), the
+//                         locale's take on the helpers in recipe/ingredients.js
+// A message missing from the locale falls back to English, then to its key.
+// A message written as { one, other, ... } is picked by the plural rules of
+// the locale for `values.count`, and numbers filling placeholders are
+// formatted, so Marathi gets Devanagari digits.
+export const createI18n = (id) => {
+    const locale = getLocale(id);
+    const messages = MESSAGES[locale.id];
+    const numbers = new Intl.NumberFormat(locale.id, { maximumFractionDigits: 2 });
+    const plurals = new Intl.PluralRules(locale.id);
+
+    const formatNumber = (value) => numbers.format(value);
+
+    const t = (key, values = {}) => {
+        let message = messages[key] ?? en[key];
+        if (message === undefined) {
+            console.warn(`No message for "${key}"`);
+            return key;
+        }
+        if (typeof message === 'object') message = message[plurals.select(values.count ?? 0)] ?? message.other;
+        return message.replace(PLACEHOLDER, (placeholder, name) => {
+            if (!(name in values)) return placeholder;
+            return typeof values[name] === 'number' ? formatNumber(values[name]) : String(values[name]);
+        });
+    };
+
+    const formatDate = (timestamp, options) => new Date(timestamp).toLocaleString(locale.id, options);
+
+    // Kitchen fractions stay as they are ("1½"); only the digits change
+    const localAmount = (amount, unit) => formatAmount(amount, unit)
+        .replace(/\d+(?:\.\d+)?/g, digits => formatNumber(Number(digits)));
+
+    // Units the locale has a word for use it; the rest, and every unit in
+    // English, are written as formatUnit does
+    const localUnit = (unit, amount) => (unit && messages[`unit.${unit}`]) || formatUnit(unit, amount);
+
+    const formatQuantity = (amount, unit) => [localAmount(amount, unit), localUnit(unit, amount)].filter(Boolean).join(' ');
+
+    // "1½ cups rice, cooked (optional)", as formatIngredient writes it
+    const formatIngredient = (ingredient) => {
+        const amount = localAmount(ingredient.amount, ingredient.unit);
+        const unit = amount ? localUnit(ingredient.unit, ingredient.amount) : '';
+        let text = [amount, unit, ingredient.name].filter(Boolean).join(' ');
+        if (ingredient.preparation) text += `, ${ingredient.preparation}`;
+        if (ingredient.optional) text += ` ${t('common.optional')}`;
+        return text;
+    };
+
+    return { locale: locale.id, dir: locale.dir, t, formatNumber, formatDate, formatQuantity, formatIngredient };
+};
@@ -0,0 +1,47 @@
+import { useState, useEffect, useMemo } from 'react';
+
+import { createI18n } from './translate.js';
+import { LOCALE_IDS, detectLocale } from './locales.js';
+
+const STORAGE_KEY = 'chef-app.locale';
+
+// The language picked in the switcher, or else the browser's
+const loadLocale = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (LOCALE_IDS.includes(stored)) return stored;
+    } catch {
+        // Storage blocked; fall through to detection
+    }
+    return detectLocale(navigator.languages ?? [navigator.language]);
+};
+
+const storeLocale = (id) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch (err) {
+        console.warn("Could not store the language:", err);
+    }
+};
+
+// The app's language as an i18n object (see translate.js) plus
+// setLocale(id). The page's lang and dir follow it, so speech uses the
+// right voice and a right-to-left language lays out mirrored.
+export const useLocale = () => {
+    const [locale, setLocale] = useState(loadLocale);
+    const i18n = useMemo(() => createI18n(locale), [locale]);
+
+    useEffect(() => {
+        document.documentElement.lang = i18n.locale;
+        document.documentElement.dir = i18n.dir;
+        document.title = i18n.t('app.title');
+    }, [i18n]);
+
+    return useMemo(() => ({
+        ...i18n,
+        setLocale: (id) => {
+            setLocale(id);
+            storeLocale(id);
+        },
+    }), [i18n]);
+};
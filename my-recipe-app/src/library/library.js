@@ -0,0 +1,34 @@
+import { getAll, get, put, remove } from '../storage/db.js';
+import { MessageError } from '../i18n/messageError.js';
+
+const STORE = 'recipes';
+
+// A library entry keeps the recipe together with the answers that produced
+// it, so it can be regenerated later:
+//   { id, recipe, answers, tags: [], favourite, createdAt, updatedAt }
+export const saveRecipe = async ({ recipe, answers }) => {
+    const now = Date.now();
+    const entry = {
+        id: crypto.randomUUID(),
+        recipe,
+        answers,
+        tags: [],
+        favourite: false,
+        createdAt: now,
+        updatedAt: now,
+    };
+    await put(STORE, entry);
+    return entry;
+};
+
+export const listRecipes = () => getAll(STORE);
+
+export const updateRecipe = async (id, changes) => {
+    const entry = await get(STORE, id);
+    if (!entry) throw new MessageError('library.missing');
+    const updated = { ...entry, ...changes, updatedAt: Date.now() };
+    await put(STORE, updated);
+    return updated;
+};
+
+export const deleteRecipe = (id) => remove(STORE, id);
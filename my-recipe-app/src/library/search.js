@@ -0,0 +1,42 @@
+import { normalizeIngredient, formatIngredient } from '../recipe/ingredients.js';
+
+export const SORT_OPTIONS = {
+    newest: { label: 'Newest first', compare: (a, b) => b.createdAt - a.createdAt },
+    oldest: { label: 'Oldest first', compare: (a, b) => a.createdAt - b.createdAt },
+    quickest: { label: 'Quickest first', compare: (a, b) => (a.recipe.prepTimeMinutes ?? Infinity) - (b.recipe.prepTimeMinutes ?? Infinity) },
+    slowest: { label: 'Longest first', compare: (a, b) => (b.recipe.prepTimeMinutes ?? -Infinity) - (a.recipe.prepTimeMinutes ?? -Infinity) },
+};
+
+// Lower-cased words with Latin accents folded ("jalapeño" matches "jalapeno")
+const tokenize = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+// Everything a search can hit: name, description, ingredients, steps and tags
+const searchableWords = (entry) => {
+    const { recipe } = entry;
+    return new Set(tokenize([
+        recipe.recipeName,
+        recipe.description,
+        ...(recipe.ingredients || []).map(item => formatIngredient(normalizeIngredient(item))),
+        ...(recipe.instructions || []),
+        ...entry.tags,
+    ].filter(Boolean).join(' ')));
+};
+
+// Every query word has to match the start of some word in the entry, so
+// "tom" finds "tomato" and "garlic rice" needs both
+const matchesQuery = (entry, queryWords) => {
+    if (queryWords.length === 0) return true;
+    const words = [...searchableWords(entry)];
+    return queryWords.every(query => words.some(word => word.startsWith(query)));
+};
+
+export const searchLibrary = (entries, { query = '', tag = null, favouritesOnly = false, sort = 'newest' } = {}) => {
+    const queryWords = tokenize(query);
+    return entries
+        .filter(entry => !favouritesOnly || entry.favourite)
+        .filter(entry => !tag || entry.tags.includes(tag))
+        .filter(entry => matchesQuery(entry, queryWords))
+        .sort(SORT_OPTIONS[sort].compare);
+};
+
+export const allTags = (entries) => [...new Set(entries.flatMap(entry => entry.tags))].sort();
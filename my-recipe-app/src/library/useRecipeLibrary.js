@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+
+import { saveRecipe, listRecipes, updateRecipe, deleteRecipe } from './library.js';
+
+// Loads the saved-recipe library and keeps it in sync with IndexedDB
+export const useRecipeLibrary = () => {
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        listRecipes()
+            .then(setEntries)
+            .catch((err) => {
+                console.error("Could not load the recipe library:", err);
+                setError(err);
+            });
+    }, []);
+
+    const run = useCallback(async (action) => {
+        try {
+            setError(null);
+            return await action();
+        } catch (err) {
+            console.error("Recipe library update failed:", err);
+            setError(err);
+        }
+    }, []);
+
+    const save = useCallback((recipe, answers) => run(async () => {
+        const entry = await saveRecipe({ recipe, answers });
+        setEntries(prev => [...prev, entry]);
+        return entry;
+    }), [run]);
+
+    const update = useCallback((id, changes) => run(async () => {
+        const updated = await updateRecipe(id, changes);
+        setEntries(prev => prev.map(entry => (entry.id === id ? updated : entry)));
+        return updated;
+    }), [run]);
+
+    const remove = useCallback((id) => run(async () => {
+        await deleteRecipe(id);
+        setEntries(prev => prev.filter(entry => entry.id !== id));
+    }), [run]);
+
+    return { entries, error, save, update, remove };
+};
@@ -0,0 +1,144 @@
+import { FOODS, NUTRIENTS } from './foods.js';
+import { termPattern } from '../safety/matching.js';
+import { normalizeIngredient, lookupName } from '../recipe/ingredients.js';
+import { convertAmount, unitKind } from '../recipe/units.js';
+
+// Grams per counted unit when the food doesn't say. A "piece" or a bare
+// count ("2 onions") uses the food's `each` weight instead.
+const UNIT_GRAMS = {
+    pinch: 0.4,
+    dash: 0.6,
+    handful: 30,
+    slice: 30,
+    can: 400,
+    head: 400,
+    bunch: 100,
+    sprig: 1,
+    clove: 3,
+    stick: 113,
+};
+
+// How sure we are about an ingredient's weight, by how we got it
+const CONFIDENCE = {
+    weight: 1,
+    density: 0.9,
+    counted: 0.8,
+    genericUnit: 0.6,
+    volumeAsWater: 0.6,
+    noAmount: 0.5,
+    unknown: 0,
+};
+
+// The food a name refers to. English puts the thing itself last ("chicken
+// stock" is stock, "bread flour" is flour), so the term that ends latest
+// wins, then the longest ("peanut butter" over "butter").
+export const matchFood = (name = '') => {
+    let best;
+    for (const food of FOODS) {
+        for (const term of food.names) {
+            const pattern = termPattern(term, 'gi');
+            let found;
+            for (const match of name.matchAll(pattern)) found = match;
+            if (!found) continue;
+            const end = found.index + found[0].length;
+            if (!best || end > best.end || (end === best.end && term.length > best.term.length)) {
+                best = { food, term, end };
+            }
+        }
+    }
+    return best && { food: best.food, term: best.term };
+};
+
+// Weight of one structured ingredient in grams: { grams, confidence, note },
+// with note, when there is one, as { id, values } for the UI to word
+// (nutrition.note.<id> in the messages)
+const weighIngredient = (ingredient, food) => {
+    const { amount, unit } = ingredient;
+    const name = lookupName(ingredient);
+    if (typeof amount !== 'number') {
+        // "Salt to taste" adds something, but nothing we can count
+        if (food.kcal === 0 && food.sodium === 0) return { grams: 0, confidence: CONFIDENCE.weight };
+        return { grams: 0, confidence: CONFIDENCE.noAmount, note: { id: 'noAmount' } };
+    }
+
+    const kind = unitKind(unit);
+    if (kind === 'weight') return { grams: convertAmount(amount, unit, 'g', name), confidence: CONFIDENCE.weight };
+    if (kind === 'volume') {
+        const grams = convertAmount(amount, unit, 'g', name);
+        if (grams !== undefined) return { grams, confidence: CONFIDENCE.density };
+        return {
+            grams: convertAmount(amount, unit, 'ml', name),
+            confidence: CONFIDENCE.volumeAsWater,
+            note: { id: 'asWater' },
+        };
+    }
+
+    const perUnit = food.units?.[!unit || unit === 'piece' ? 'each' : unit];
+    if (perUnit) return { grams: amount * perUnit, confidence: CONFIDENCE.counted };
+    if (UNIT_GRAMS[unit]) {
+        return { grams: amount * UNIT_GRAMS[unit], confidence: CONFIDENCE.genericUnit, note: { id: 'assumedWeight', values: { grams: UNIT_GRAMS[unit], unit } } };
+    }
+    return { grams: 0, confidence: CONFIDENCE.unknown, note: { id: 'unweighable', values: { unit: unit || 'each' } } };
+};
+
+const round = (value, places = 0) => {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+};
+
+// Per-serving nutrition from the bundled food table:
+//   perServing: { kcal, protein, carbs, fat, fibre, sodium }  (g, sodium in mg)
+//   confidence: 0..1, the mean of the ingredients' confidences
+//   items:      [{ ingredient, food, grams, confidence, note }], food is the
+//               matched table name or undefined
+// Optional ingredients are listed but not counted.
+export const estimateNutrition = (recipe) => {
+    const totals = Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+    const items = [];
+
+    for (const ingredient of (recipe.ingredients || []).map(normalizeIngredient)) {
+        if (!ingredient.name) continue;
+        const match = matchFood(lookupName(ingredient));
+        if (!match) {
+            items.push({ ingredient, grams: 0, confidence: CONFIDENCE.unknown, note: { id: 'notInTable' } });
+            continue;
+        }
+
+        const { grams, confidence, note } = weighIngredient(ingredient, match.food);
+        if (ingredient.optional) {
+            items.push({ ingredient, food: match.term, grams, confidence: 1, note: { id: 'optional' } });
+            continue;
+        }
+        for (const key of NUTRIENTS) totals[key] += match.food[key] * grams / 100;
+        items.push({ ingredient, food: match.term, grams, confidence, note });
+    }
+
+    const servings = recipe.servings > 0 ? recipe.servings : 1;
+    const perServing = Object.fromEntries(NUTRIENTS.map(key => [
+        key,
+        key === 'kcal' || key === 'sodium' ? round(totals[key] / servings) : round(totals[key] / servings, 1),
+    ]));
+    const confidence = items.length
+        ? items.reduce((sum, item) => sum + item.confidence, 0) / items.length
+        : 0;
+
+    return { perServing, confidence: round(confidence, 2), items };
+};
+
+// The per-serving calorie limits the form accepts
+export const MIN_CALORIE_LIMIT = 100;
+export const MAX_CALORIE_LIMIT = 3000;
+
+// Below this the estimate is a guess and shouldn't fail a recipe
+export const MIN_CONFIDENCE_TO_ENFORCE = 0.6;
+
+// Estimates land within about 10% of a lab figure at best
+const CALORIE_TOLERANCE = 1.1;
+
+// A message when the recipe is clearly over `maxCalories` per serving, or null
+export const calorieProblem = (recipe, maxCalories) => {
+    if (!maxCalories) return null;
+    const { perServing, confidence } = estimateNutrition(recipe);
+    if (confidence < MIN_CONFIDENCE_TO_ENFORCE || perServing.kcal <= maxCalories * CALORIE_TOLERANCE) return null;
+    return `It comes to about ${perServing.kcal} kcal per serving; keep it under ${maxCalories} kcal by using less oil, butter, cheese or starch, or by adding vegetables.`;
+};
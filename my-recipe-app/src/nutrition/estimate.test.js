@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchFood, estimateNutrition, calorieProblem } from './estimate.js';
+
+const recipe = (ingredients, servings = 1) => ({ recipeName: 'Test', servings, ingredients, instructions: [] });
+
+test('matchFood prefers the term that ends latest, then the longest', () => {
+    assert.equal(matchFood('chicken stock').term, 'stock');
+    assert.equal(matchFood('bread flour').term, 'flour');
+    assert.equal(matchFood('crunchy peanut butter').term, 'peanut butter');
+    assert.equal(matchFood('2 large eggs').term, 'egg');
+    assert.equal(matchFood('dragonfruit'), undefined);
+});
+
+test('estimateNutrition adds up weighed and counted ingredients per serving', () => {
+    const { perServing, confidence, items } = estimateNutrition(recipe([
+        { name: 'basmati rice', amount: 100, unit: 'g' },
+        { name: 'eggs', amount: 2 },
+    ], 2));
+    // 100 g rice is 365 kcal and two 50 g eggs are 143, split two ways
+    assert.equal(perServing.kcal, 254);
+    assert.equal(perServing.fat, 5.1);
+    assert.deepEqual(items.map(item => [item.food, item.grams, item.confidence]), [['rice', 100, 1], ['egg', 100, 0.8]]);
+    assert.equal(confidence, 0.9);
+});
+
+test('estimateNutrition weighs volumes by density and leaves optional lines out of the totals', () => {
+    const withOil = estimateNutrition(recipe([{ name: 'olive oil', amount: 1, unit: 'tbsp' }]));
+    assert.ok(withOil.perServing.kcal > 100 && withOil.perServing.kcal < 130, `${withOil.perServing.kcal} kcal`);
+    assert.equal(withOil.items[0].confidence, 0.9);
+
+    const optional = estimateNutrition(recipe([{ name: 'olive oil', amount: 1, unit: 'tbsp', optional: true }]));
+    assert.equal(optional.perServing.kcal, 0);
+    assert.equal(optional.items[0].note.id, 'optional');
+});
+
+test('estimateNutrition notes what it had to guess', () => {
+    const { items, confidence } = estimateNutrition(recipe([
+        { name: 'dragonfruit', amount: 1 },
+        { name: 'rice', amount: 1, unit: 'handful' },
+        { name: 'black pepper' },
+    ]));
+    assert.deepEqual(items.map(item => item.note?.id), ['notInTable', 'assumedWeight', 'noAmount']);
+    assert.deepEqual(items[1].note.values, { grams: 30, unit: 'handful' });
+    assert.ok(confidence < 0.6);
+});
+
+test('calorieProblem flags a recipe clearly over the limit, and only when the estimate is sure', () => {
+    const rich = recipe([{ name: 'butter', amount: 100, unit: 'g' }, { name: 'flour', amount: 100, unit: 'g' }], 2);
+    assert.match(calorieProblem(rich, 400), /about 541 kcal per serving; keep it under 400 kcal/);
+    assert.equal(calorieProblem(rich, 500), null);
+    assert.equal(calorieProblem(rich, undefined), null);
+
+    const guessed = recipe([{ name: 'butter', amount: 100, unit: 'g' }, { name: 'dragonfruit', amount: 1 }, { name: 'mystery sauce', amount: 1 }]);
+    assert.equal(calorieProblem(guessed, 200), null);
+});
@@ -0,0 +1,111 @@
+// Offline food-composition table, values per 100 g of the food as it's
+// usually bought (raw, dry pasta and rice, and so on). Figures are rounded
+// from USDA FoodData Central and the Indian Food Composition Tables.
+//   names: what ingredient lines call it, most specific first
+//   kcal, protein, carbs, fat, fibre (g), sodium (mg)
+//   units: grams per counted unit; `each` is one whole item ("2 onions")
+export const FOODS = [
+    // Grains, flours and pulses
+    { names: ['cooked rice', 'leftover rice', 'steamed rice'], kcal: 130, protein: 2.7, carbs: 28, fat: 0.3, fibre: 0.4, sodium: 1 },
+    { names: ['brown rice'], kcal: 370, protein: 7.9, carbs: 77, fat: 2.9, fibre: 3.5, sodium: 7 },
+    { names: ['rice', 'basmati', 'jasmine rice', 'arborio'], kcal: 365, protein: 7.1, carbs: 80, fat: 0.7, fibre: 1.3, sodium: 5 },
+    { names: ['egg noodles', 'noodles', 'ramen'], kcal: 384, protein: 14, carbs: 71, fat: 4.4, fibre: 3.3, sodium: 21 },
+    { names: ['pasta', 'spaghetti', 'penne', 'linguine', 'fusilli', 'macaroni', 'tagliatelle'], kcal: 371, protein: 13, carbs: 75, fat: 1.5, fibre: 3.2, sodium: 6 },
+    { names: ['breadcrumbs', 'panko'], kcal: 395, protein: 13, carbs: 72, fat: 5.3, fibre: 4.5, sodium: 732 },
+    { names: ['bread', 'toast', 'sourdough'], kcal: 265, protein: 9, carbs: 49, fat: 3.2, fibre: 2.7, sodium: 490, units: { slice: 30, each: 400 } },
+    { names: ['tortilla', 'wrap', 'roti', 'chapati'], kcal: 300, protein: 8.5, carbs: 50, fat: 7, fibre: 4, sodium: 450, units: { each: 45 } },
+    { names: ['chickpea flour', 'gram flour', 'besan'], kcal: 387, protein: 22, carbs: 58, fat: 6.7, fibre: 10.8, sodium: 64 },
+    { names: ['flour', 'maida', 'atta'], kcal: 364, protein: 10, carbs: 76, fat: 1, fibre: 2.7, sodium: 2 },
+    { names: ['oats', 'porridge oats'], kcal: 389, protein: 17, carbs: 66, fat: 7, fibre: 10.6, sodium: 2 },
+    { names: ['semolina', 'rava', 'suji'], kcal: 360, protein: 12.7, carbs: 73, fat: 1, fibre: 3.9, sodium: 1 },
+    { names: ['quinoa'], kcal: 368, protein: 14, carbs: 64, fat: 6, fibre: 7, sodium: 5 },
+    { names: ['lentils', 'dal', 'toor dal', 'moong dal', 'masoor dal'], kcal: 352, protein: 25, carbs: 63, fat: 1.1, fibre: 10.7, sodium: 6 },
+    { names: ['chickpeas', 'chana', 'garbanzo'], kcal: 164, protein: 8.9, carbs: 27, fat: 2.6, fibre: 7.6, sodium: 7, units: { can: 240 } },
+    { names: ['kidney beans', 'rajma', 'black beans', 'beans'], kcal: 127, protein: 8.7, carbs: 22.8, fat: 0.5, fibre: 6.4, sodium: 2, units: { can: 240 } },
+
+    // Vegetables, fruit and herbs
+    { names: ['sweet potato'], kcal: 86, protein: 1.6, carbs: 20, fat: 0.1, fibre: 3, sodium: 55, units: { each: 130 } },
+    { names: ['potato', 'baby potatoes'], kcal: 77, protein: 2, carbs: 17, fat: 0.1, fibre: 2.2, sodium: 6, units: { each: 170 } },
+    { names: ['spring onion', 'scallion', 'green onion'], kcal: 32, protein: 1.8, carbs: 7.3, fat: 0.2, fibre: 2.6, sodium: 16, units: { each: 15, bunch: 100 } },
+    { names: ['onion', 'shallot'], kcal: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fibre: 1.7, sodium: 4, units: { each: 110 } },
+    { names: ['garlic'], kcal: 149, protein: 6.4, carbs: 33, fat: 0.5, fibre: 2.1, sodium: 17, units: { clove: 3, head: 40, each: 3 } },
+    { names: ['ginger'], kcal: 80, protein: 1.8, carbs: 18, fat: 0.8, fibre: 2, sodium: 13, units: { piece: 15, each: 15 } },
+    { names: ['tomato paste', 'tomato puree'], kcal: 82, protein: 4.3, carbs: 19, fat: 0.5, fibre: 4.1, sodium: 59 },
+    { names: ['chopped tomatoes', 'canned tomatoes', 'tinned tomatoes'], kcal: 21, protein: 0.9, carbs: 4, fat: 0.1, fibre: 1.9, sodium: 143, units: { can: 400 } },
+    { names: ['tomato', 'cherry tomatoes'], kcal: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fibre: 1.2, sodium: 5, units: { each: 120 } },
+    { names: ['broccoli'], kcal: 34, protein: 2.8, carbs: 6.6, fat: 0.4, fibre: 2.6, sodium: 33, units: { head: 350, each: 350 } },
+    { names: ['cauliflower'], kcal: 25, protein: 1.9, carbs: 5, fat: 0.3, fibre: 2, sodium: 30, units: { head: 600, each: 600 } },
+    { names: ['cabbage'], kcal: 25, protein: 1.3, carbs: 5.8, fat: 0.1, fibre: 2.5, sodium: 18, units: { head: 900, each: 900 } },
+    { names: ['spinach', 'palak', 'kale'], kcal: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fibre: 2.2, sodium: 79, units: { handful: 30, bunch: 250 } },
+    { names: ['mushroom'], kcal: 22, protein: 3.1, carbs: 3.3, fat: 0.3, fibre: 1, sodium: 5, units: { each: 18 } },
+    { names: ['carrot'], kcal: 41, protein: 0.9, carbs: 9.6, fat: 0.2, fibre: 2.8, sodium: 69, units: { each: 60 } },
+    { names: ['bell pepper', 'capsicum', 'red pepper', 'green pepper'], kcal: 31, protein: 1, carbs: 6, fat: 0.3, fibre: 2.1, sodium: 4, units: { each: 120 } },
+    { names: ['green chilli', 'green chili', 'chilli', 'chili', 'jalapeno'], kcal: 40, protein: 2, carbs: 9.5, fat: 0.2, fibre: 1.5, sodium: 7, units: { each: 5 } },
+    { names: ['peas', 'green peas'], kcal: 81, protein: 5.4, carbs: 14.5, fat: 0.4, fibre: 5.1, sodium: 5 },
+    { names: ['green beans'], kcal: 31, protein: 1.8, carbs: 7, fat: 0.2, fibre: 2.7, sodium: 6 },
+    { names: ['cucumber'], kcal: 15, protein: 0.7, carbs: 3.6, fat: 0.1, fibre: 0.5, sodium: 2, units: { each: 300 } },
+    { names: ['zucchini', 'courgette'], kcal: 17, protein: 1.2, carbs: 3.1, fat: 0.3, fibre: 1, sodium: 8, units: { each: 200 } },
+    { names: ['eggplant', 'aubergine', 'brinjal'], kcal: 25, protein: 1, carbs: 5.9, fat: 0.2, fibre: 3, sodium: 2, units: { each: 450 } },
+    { names: ['sweetcorn', 'corn'], kcal: 86, protein: 3.3, carbs: 19, fat: 1.4, fibre: 2, sodium: 15, units: { each: 100, can: 200 } },
+    { names: ['lemon juice', 'lime juice'], kcal: 22, protein: 0.4, carbs: 6.9, fat: 0.2, fibre: 0.3, sodium: 1 },
+    { names: ['lemon'], kcal: 29, protein: 1.1, carbs: 9.3, fat: 0.3, fibre: 2.8, sodium: 2, units: { each: 85 } },
+    { names: ['lime'], kcal: 30, protein: 0.7, carbs: 10.5, fat: 0.2, fibre: 2.8, sodium: 2, units: { each: 65 } },
+    { names: ['avocado'], kcal: 160, protein: 2, carbs: 8.5, fat: 14.7, fibre: 6.7, sodium: 7, units: { each: 150 } },
+    { names: ['apple'], kcal: 52, protein: 0.3, carbs: 13.8, fat: 0.2, fibre: 2.4, sodium: 1, units: { each: 180 } },
+    { names: ['banana'], kcal: 89, protein: 1.1, carbs: 22.8, fat: 0.3, fibre: 2.6, sodium: 1, units: { each: 120 } },
+    { names: ['coriander', 'cilantro', 'parsley', 'basil', 'mint', 'dill', 'herbs'], kcal: 30, protein: 2.5, carbs: 4.5, fat: 0.6, fibre: 3, sodium: 50, units: { handful: 10, bunch: 30, sprig: 1 } },
+
+    // Meat, fish, eggs and dairy
+    { names: ['chicken breast'], kcal: 120, protein: 22.5, carbs: 0, fat: 2.6, fibre: 0, sodium: 45, units: { each: 175 } },
+    { names: ['chicken thigh'], kcal: 211, protein: 17, carbs: 0, fat: 15.3, fibre: 0, sodium: 80, units: { each: 130 } },
+    { names: ['chicken'], kcal: 170, protein: 21, carbs: 0, fat: 9, fibre: 0, sodium: 70, units: { each: 1400 } },
+    { names: ['minced beef', 'beef mince', 'ground beef'], kcal: 254, protein: 17, carbs: 0, fat: 20, fibre: 0, sodium: 66 },
+    { names: ['beef', 'steak'], kcal: 250, protein: 26, carbs: 0, fat: 15, fibre: 0, sodium: 60, units: { each: 225 } },
+    { names: ['bacon'], kcal: 417, protein: 13, carbs: 1.4, fat: 39, fibre: 0, sodium: 833, units: { slice: 20, each: 20 } },
+    { names: ['sausage'], kcal: 301, protein: 12, carbs: 2, fat: 27, fibre: 0, sodium: 749, units: { each: 75 } },
+    { names: ['pork'], kcal: 242, protein: 27, carbs: 0, fat: 14, fibre: 0, sodium: 62 },
+    { names: ['lamb', 'mutton'], kcal: 282, protein: 25, carbs: 0, fat: 19.6, fibre: 0, sodium: 72 },
+    { names: ['salmon'], kcal: 208, protein: 20, carbs: 0, fat: 13, fibre: 0, sodium: 59, units: { each: 150 } },
+    { names: ['tuna'], kcal: 116, protein: 26, carbs: 0, fat: 0.8, fibre: 0, sodium: 247, units: { can: 120 } },
+    { names: ['prawns', 'shrimp'], kcal: 85, protein: 20, carbs: 0, fat: 0.5, fibre: 0, sodium: 119 },
+    { names: ['fish', 'cod', 'tilapia', 'basa'], kcal: 82, protein: 18, carbs: 0, fat: 0.7, fibre: 0, sodium: 54, units: { each: 150 } },
+    { names: ['egg'], kcal: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fibre: 0, sodium: 142, units: { each: 50 } },
+    { names: ['coconut milk'], kcal: 230, protein: 2.3, carbs: 5.5, fat: 24, fibre: 2.2, sodium: 15, units: { can: 400 } },
+    { names: ['peanut butter'], kcal: 588, protein: 25, carbs: 20, fat: 50, fibre: 6, sodium: 17 },
+    { names: ['butter'], kcal: 717, protein: 0.9, carbs: 0.1, fat: 81, fibre: 0, sodium: 11, units: { stick: 113 } },
+    { names: ['ghee'], kcal: 900, protein: 0, carbs: 0, fat: 100, fibre: 0, sodium: 0 },
+    { names: ['cream'], kcal: 340, protein: 2.1, carbs: 2.8, fat: 36, fibre: 0, sodium: 27 },
+    { names: ['yogurt', 'yoghurt', 'curd', 'dahi'], kcal: 61, protein: 3.5, carbs: 4.7, fat: 3.3, fibre: 0, sodium: 46 },
+    { names: ['milk'], kcal: 61, protein: 3.2, carbs: 4.8, fat: 3.3, fibre: 0, sodium: 43 },
+    { names: ['parmesan', 'pecorino'], kcal: 431, protein: 38, carbs: 4.1, fat: 29, fibre: 0, sodium: 1529 },
+    { names: ['mozzarella'], kcal: 280, protein: 28, carbs: 3, fat: 17, fibre: 0, sodium: 627, units: { each: 125 } },
+    { names: ['paneer', 'cottage cheese'], kcal: 265, protein: 18, carbs: 3.6, fat: 20.8, fibre: 0, sodium: 18 },
+    { names: ['cheese', 'cheddar'], kcal: 403, protein: 25, carbs: 1.3, fat: 33, fibre: 0, sodium: 621, units: { slice: 20 } },
+    { names: ['tofu'], kcal: 76, protein: 8, carbs: 1.9, fat: 4.8, fibre: 0.3, sodium: 7, units: { each: 400 } },
+
+    // Nuts and seeds
+    { names: ['peanuts', 'groundnuts'], kcal: 567, protein: 26, carbs: 16, fat: 49, fibre: 8.5, sodium: 18 },
+    { names: ['almonds'], kcal: 579, protein: 21, carbs: 22, fat: 50, fibre: 12.5, sodium: 1 },
+    { names: ['cashews', 'cashew nuts'], kcal: 553, protein: 18, carbs: 30, fat: 44, fibre: 3.3, sodium: 12 },
+    { names: ['walnuts'], kcal: 654, protein: 15, carbs: 14, fat: 65, fibre: 6.7, sodium: 2 },
+    { names: ['sesame seeds', 'sesame'], kcal: 573, protein: 18, carbs: 23, fat: 50, fibre: 12, sodium: 11 },
+
+    // Oils, sauces and seasonings
+    { names: ['oil', 'olive oil', 'vegetable oil', 'sunflower oil', 'mustard oil', 'sesame oil'], kcal: 884, protein: 0, carbs: 0, fat: 100, fibre: 0, sodium: 0 },
+    { names: ['soy sauce', 'tamari'], kcal: 53, protein: 8.1, carbs: 4.9, fat: 0.6, fibre: 0.8, sodium: 5493 },
+    { names: ['stock', 'broth'], kcal: 7, protein: 0.6, carbs: 0.5, fat: 0.2, fibre: 0, sodium: 340, units: { each: 10 } },
+    { names: ['vinegar'], kcal: 18, protein: 0, carbs: 0.1, fat: 0, fibre: 0, sodium: 2 },
+    { names: ['brown sugar', 'jaggery'], kcal: 380, protein: 0.1, carbs: 98, fat: 0, fibre: 0, sodium: 28 },
+    { names: ['sugar'], kcal: 387, protein: 0, carbs: 100, fat: 0, fibre: 0, sodium: 1 },
+    { names: ['honey', 'maple syrup'], kcal: 304, protein: 0.3, carbs: 82, fat: 0, fibre: 0.2, sodium: 4 },
+    { names: ['salt'], kcal: 0, protein: 0, carbs: 0, fat: 0, fibre: 0, sodium: 38758 },
+    { names: ['black pepper', 'pepper'], kcal: 251, protein: 10, carbs: 64, fat: 3.3, fibre: 25, sodium: 20 },
+    {
+        names: ['turmeric', 'cumin', 'garam masala', 'masala', 'chilli powder', 'chili powder', 'paprika', 'oregano',
+            'cinnamon', 'coriander powder', 'chilli flakes', 'mustard seeds', 'thyme', 'rosemary', 'spice'],
+        kcal: 330, protein: 12, carbs: 60, fat: 10, fibre: 30, sodium: 50,
+    },
+    { names: ['water', 'ice'], kcal: 0, protein: 0, carbs: 0, fat: 0, fibre: 0, sodium: 0 },
+];
+
+export const NUTRIENTS = ['kcal', 'protein', 'carbs', 'fat', 'fibre', 'sodium'];
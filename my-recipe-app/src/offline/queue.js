@@ -0,0 +1,17 @@
+import { getAll, put, remove } from '../storage/db.js';
+import { answersKey } from '../recipe/answers.js';
+
+const STORE = 'queue';
+
+// Generations asked for while offline, as { key, answers, queuedAt }. They
+// are keyed on answersKey, so asking twice for the same thing queues it once.
+export const queueGeneration = async (answers, now = Date.now()) => {
+    const entry = { key: answersKey(answers), answers, queuedAt: now };
+    await put(STORE, entry);
+    return entry;
+};
+
+// Everything waiting, oldest first
+export const listQueued = async () => (await getAll(STORE)).sort((a, b) => a.queuedAt - b.queuedAt);
+
+export const removeQueued = (key) => remove(STORE, key);
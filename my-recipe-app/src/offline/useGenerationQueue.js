@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+import { queueGeneration, listQueued, removeQueued } from './queue.js';
+import { useOnlineStatus } from './useOnlineStatus.js';
+import { requestRecipe } from '../api.js';
+import { cacheRecipe } from '../cache/recipeCache.js';
+import { ERROR_CODES } from '../recipe/errors.js';
+
+const withoutKey = (key) => (entries) => entries.filter(entry => entry.key !== key);
+
+// Holds the generations asked for while offline and runs them, oldest
+// first, once the connection is back (or the app next opens online). Each
+// finished recipe is cached like any other and handed to onReady(recipe,
+// answers). The queue lives in IndexedDB, so closing the tab keeps it.
+// `error` is the last queued generation that failed for good, for the
+// caller to word.
+export const useGenerationQueue = (onReady) => {
+    const isOnline = useOnlineStatus();
+    const [queued, setQueued] = useState([]);
+    const [error, setError] = useState(null);
+    const onReadyRef = useRef(onReady);
+    const isRunning = useRef(false);
+    const retryTimer = useRef(null);
+
+    useEffect(() => {
+        onReadyRef.current = onReady;
+    });
+
+    const runQueue = useCallback(async () => {
+        if (isRunning.current) return;
+        isRunning.current = true;
+        clearTimeout(retryTimer.current);
+        try {
+            for (const entry of await listQueued()) {
+                if (!navigator.onLine) break;
+                try {
+                    const recipe = await requestRecipe(entry.answers);
+                    await cacheRecipe(entry.answers, recipe);
+                    await removeQueued(entry.key);
+                    setQueued(withoutKey(entry.key));
+                    onReadyRef.current(recipe, entry.answers);
+                } catch (err) {
+                    // Still unreachable: wait for the next "online"
+                    if (err.code === ERROR_CODES.NETWORK_ERROR) break;
+                    if (err.code === ERROR_CODES.RATE_LIMITED) {
+                        retryTimer.current = setTimeout(runQueue, (err.details?.retryAfterSeconds ?? 60) * 1000);
+                        break;
+                    }
+                    // Anything else won't get better by waiting
+                    console.error("Queued recipe failed:", err);
+                    setError(err);
+                    await removeQueued(entry.key);
+                    setQueued(withoutKey(entry.key));
+                }
+            }
+        } catch (err) {
+            console.error("Could not run the offline queue:", err);
+        } finally {
+            isRunning.current = false;
+        }
+    }, []);
+
+    useEffect(() => {
+        listQueued()
+            .then(setQueued)
+            .catch((err) => console.error("Could not load the offline queue:", err));
+        return () => clearTimeout(retryTimer.current);
+    }, []);
+
+    useEffect(() => {
+        if (isOnline) runQueue();
+    }, [isOnline, runQueue]);
+
+    // Rejects if the queue can't be stored, so the caller can say so
+    const enqueue = useCallback(async (answers) => {
+        setError(null);
+        const entry = await queueGeneration(answers);
+        setQueued(prev => [...withoutKey(entry.key)(prev), entry]);
+        return entry;
+    }, []);
+
+    const cancel = useCallback(async (key) => {
+        await removeQueued(key);
+        setQueued(withoutKey(key));
+    }, []);
+
+    return { isOnline, queued, error, enqueue, cancel };
+};
@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = (onChange) => {
+    window.addEventListener('online', onChange);
+    window.addEventListener('offline', onChange);
+    return () => {
+        window.removeEventListener('online', onChange);
+        window.removeEventListener('offline', onChange);
+    };
+};
+
+// Whether the browser thinks it has a network connection. "Online" can
+// still mean a captive portal, so requests must handle failure anyway.
+export const useOnlineStatus = () => useSyncExternalStore(subscribe, () => navigator.onLine, () => true);
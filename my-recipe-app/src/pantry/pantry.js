@@ -0,0 +1,39 @@
+import { getAll, get, put, remove } from '../storage/db.js';
+import { normalizeUnit } from '../recipe/ingredients.js';
+import { MessageError } from '../i18n/messageError.js';
+
+const STORE = 'pantry';
+
+// A pantry item is what the user has on hand:
+//   { id, name, amount?, unit?, expiresOn?, createdAt, updatedAt }
+// amount is optional ("some salt"), expiresOn is a 'YYYY-MM-DD' date.
+const cleanItem = ({ name, amount, unit, expiresOn }) => ({
+    name: name.trim(),
+    amount: typeof amount === 'number' && Number.isFinite(amount) && amount >= 0 ? amount : undefined,
+    unit: normalizeUnit(unit) || undefined,
+    expiresOn: expiresOn || undefined,
+});
+
+export const addPantryItem = async (item) => {
+    const now = Date.now();
+    const entry = {
+        id: crypto.randomUUID(),
+        ...cleanItem(item),
+        createdAt: now,
+        updatedAt: now,
+    };
+    await put(STORE, entry);
+    return entry;
+};
+
+export const listPantry = () => getAll(STORE);
+
+export const updatePantryItem = async (id, changes) => {
+    const entry = await get(STORE, id);
+    if (!entry) throw new MessageError('pantry.missing');
+    const updated = { ...entry, ...cleanItem({ ...entry, ...changes }), updatedAt: Date.now() };
+    await put(STORE, updated);
+    return updated;
+};
+
+export const deletePantryItem = (id) => remove(STORE, id);
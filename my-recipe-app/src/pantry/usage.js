@@ -0,0 +1,119 @@
+import { findTerm } from '../safety/matching.js';
+import { normalizeIngredient, formatIngredient } from '../recipe/ingredients.js';
+import { convertAmount } from '../recipe/units.js';
+import { splitIngredients } from '../recipe/answers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOON_DAYS = 3;
+
+// Whole days from `today` to a 'YYYY-MM-DD' expiry date (negative once past)
+export const daysUntil = (expiresOn, today = new Date()) => {
+    const [year, month, day] = expiresOn.split('-').map(Number);
+    const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    return Math.round((Date.UTC(year, month - 1, day) - start) / DAY_MS);
+};
+
+// 'expired', 'soon' (within three days), 'ok', or undefined without a date
+export const expiryStatus = (item, today) => {
+    if (!item.expiresOn) return undefined;
+    const days = daysUntil(item.expiresOn, today);
+    if (days < 0) return 'expired';
+    return days <= SOON_DAYS ? 'soon' : 'ok';
+};
+
+// Soonest expiry first; undated items last, alphabetically
+export const sortByExpiry = (items) => [...items].sort((a, b) => {
+    if (a.expiresOn && b.expiresOn && a.expiresOn !== b.expiresOn) return a.expiresOn < b.expiresOn ? -1 : 1;
+    if (Boolean(a.expiresOn) !== Boolean(b.expiresOn)) return a.expiresOn ? -1 : 1;
+    return a.name.localeCompare(b.name);
+});
+
+// Pantry items are ticked in and out of the ingredients answer by name
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const hasIngredient = (text, name) => splitIngredients(text).some(part => sameName(part, name));
+
+export const toggleIngredient = (text, name) => {
+    const parts = splitIngredients(text);
+    return (hasIngredient(text, name)
+        ? parts.filter(part => !sameName(part, name))
+        : [...parts, name]
+    ).join(', ');
+};
+
+// Appends the names not already in the answer, e.g. those spotted in a photo
+export const addIngredients = (text, names) => names.reduce(
+    (current, name) => (hasIngredient(current, name) ? current : [...splitIngredients(current), name].join(', ')),
+    text
+);
+
+// Adds `useFirst`: the pantry items in the ingredients answer that have an
+// expiry date, soonest first, so the prompt can ask for those to be used up.
+export const withPantryPriorities = (answers, items) => ({
+    ...answers,
+    useFirst: sortByExpiry(items)
+        .filter(item => item.expiresOn && hasIngredient(answers.ingredients, item.name))
+        .map(item => item.name),
+});
+
+// Names that contain another ingredient's name but are something else, by
+// the name they contain (singular): "rice vinegar" doesn't use up the rice
+const NOT_THE_SAME = {
+    rice: ['rice vinegar', 'rice wine', 'rice flour', 'rice noodles', 'rice paper'],
+    butter: ['peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'apple butter', 'cocoa butter', 'butter beans'],
+    milk: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk'],
+    cream: ['cream cheese', 'coconut cream', 'ice cream', 'cream of tartar'],
+    coconut: ['coconut milk', 'coconut cream', 'coconut oil'],
+    almond: ['almond milk', 'almond butter', 'almond flour', 'almond extract'],
+    peanut: ['peanut butter', 'peanut oil'],
+    egg: ['egg noodles'],
+    potato: ['sweet potato'],
+    onion: ['spring onion', 'green onion', 'onion powder'],
+    garlic: ['garlic powder'],
+    ginger: ['ginger powder', 'dry ginger', 'dried ginger'],
+    tomato: ['tomato paste', 'tomato puree', 'tomato sauce', 'tomato ketchup'],
+    chilli: ['chilli powder', 'chilli flakes', 'chilli sauce'],
+    chili: ['chili powder', 'chili flakes', 'chili sauce'],
+    chicken: ['chicken stock', 'chicken broth'],
+    beef: ['beef stock', 'beef broth'],
+    corn: ['corn flour', 'corn starch', 'baby corn'],
+};
+
+const notTheSame = (name) => {
+    const key = name.toLowerCase();
+    return NOT_THE_SAME[key] ?? NOT_THE_SAME[key.replace(/e?s$/, '')] ?? [];
+};
+
+// Whether `name` is `other`, perhaps prepared: "cooked rice" is rice, "rice
+// vinegar" isn't
+const refersTo = (name, other) => Boolean(findTerm(name, [other], notTheSame(other)));
+
+// The pantry item an ingredient name refers to: "cooked rice" uses "rice".
+// Further names are tried in turn, so an ingredient of a recipe in Hindi is
+// found by its English name too.
+export const findPantryItem = (items, ...names) => names.filter(Boolean)
+    .map(name => items.find(item => refersTo(name, item.name) || refersTo(item.name, name)))
+    .find(Boolean);
+
+// What cooking `recipe` would take out of the pantry, one row per pantry item
+// it uses:
+//   { item, used: ['2 cups rice', ...], remaining }
+// remaining is the amount left in the item's own unit (0 or less means it's
+// used up), or undefined when the amounts can't be compared, e.g. the pantry
+// doesn't say how much there is or the units don't convert.
+export const planDeduction = (items, recipe) => {
+    const rows = new Map();
+    for (const ingredient of (recipe.ingredients || []).map(normalizeIngredient)) {
+        const item = findPantryItem(items, ingredient.name, ingredient.englishName);
+        if (!item) continue;
+
+        const row = rows.get(item.id) ?? { item, used: [], remaining: item.amount };
+        row.used.push(formatIngredient(ingredient));
+        const used = typeof ingredient.amount === 'number'
+            ? convertAmount(ingredient.amount, ingredient.unit, item.unit, item.name)
+            : undefined;
+        row.remaining = row.remaining !== undefined && used !== undefined ? row.remaining - used : undefined;
+        rows.set(item.id, row);
+    }
+    return [...rows.values()];
+};
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findPantryItem } from './usage.js';
+
+const pantry = (...names) => names.map((name, id) => ({ id, name }));
+
+test('findPantryItem finds an item by a prepared form of its name', () => {
+    const items = pantry('rice', 'tomatoes', 'butter');
+    assert.equal(findPantryItem(items, 'cooked rice')?.name, 'rice');
+    assert.equal(findPantryItem(items, 'canned tomatoes')?.name, 'tomatoes');
+    assert.equal(findPantryItem(items, 'unsalted butter')?.name, 'butter');
+});
+
+test('findPantryItem skips ingredients that only contain the item name', () => {
+    const items = pantry('rice', 'butter', 'tomatoes', 'eggs');
+    assert.equal(findPantryItem(items, 'rice vinegar'), undefined);
+    assert.equal(findPantryItem(items, 'peanut butter'), undefined);
+    assert.equal(findPantryItem(items, 'tomato paste'), undefined);
+    assert.equal(findPantryItem(items, 'egg noodles'), undefined);
+});
+
+test('findPantryItem matches compound items in both directions only when they are the same thing', () => {
+    const items = pantry('rice vinegar', 'peanut butter');
+    assert.equal(findPantryItem(items, 'rice vinegar')?.name, 'rice vinegar');
+    assert.equal(findPantryItem(items, 'smooth peanut butter')?.name, 'peanut butter');
+    assert.equal(findPantryItem(items, 'rice'), undefined);
+    assert.equal(findPantryItem(items, 'butter'), undefined);
+});
+
+test('findPantryItem falls back to the English name', () => {
+    assert.equal(findPantryItem(pantry('rice'), 'चावल', 'basmati rice')?.name, 'rice');
+});
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+
+import { addPantryItem, listPantry, updatePantryItem, deletePantryItem } from './pantry.js';
+
+// Loads the pantry and keeps it in sync with IndexedDB
+export const usePantry = () => {
+    const [items, setItems] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        listPantry()
+            .then(setItems)
+            .catch((err) => {
+                console.error("Could not load the pantry:", err);
+                setError(err);
+            });
+    }, []);
+
+    const run = useCallback(async (action) => {
+        try {
+            setError(null);
+            return await action();
+        } catch (err) {
+            console.error("Pantry update failed:", err);
+            setError(err);
+        }
+    }, []);
+
+    const add = useCallback((item) => run(async () => {
+        const entry = await addPantryItem(item);
+        setItems(prev => [...prev, entry]);
+        return entry;
+    }), [run]);
+
+    const update = useCallback((id, changes) => run(async () => {
+        const updated = await updatePantryItem(id, changes);
+        setItems(prev => prev.map(item => (item.id === id ? updated : item)));
+        return updated;
+    }), [run]);
+
+    const remove = useCallback((id) => run(async () => {
+        await deletePantryItem(id);
+        setItems(prev => prev.filter(item => item.id !== id));
+    }), [run]);
+
+    // Used-up items leave the pantry, the rest keep what's left
+    const deduct = useCallback(async (rows) => {
+        for (const { item, remaining } of rows) {
+            if (remaining > 0) await update(item.id, { amount: remaining });
+            else await remove(item.id);
+        }
+    }, [update, remove]);
+
+    return { items, error, add, update, remove, deduct };
+};
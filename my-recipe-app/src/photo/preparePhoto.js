@@ -0,0 +1,50 @@
+import { PHOTO_MIME_TYPES, MAX_PHOTO_BYTES } from '../recipe/photo.js';
+import { MessageError } from '../i18n/messageError.js';
+
+// Phone photos are far bigger than a model needs to spot a carrot; shrink
+// them so the upload is quick on a mobile connection
+const MAX_EDGE_PX = 1024;
+const JPEG_QUALITY = 0.85;
+// Small images go as they are, which also keeps the fixture photos intact
+const SEND_AS_IS_BYTES = 512 * 1024;
+
+const readBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(new MessageError('photo.unreadable'));
+    reader.readAsDataURL(blob);
+});
+
+const canSendAsIs = (file, maxBytes) => PHOTO_MIME_TYPES.includes(file.type) && file.size <= maxBytes;
+
+// Turns a picked or captured image file into { mimeType, data } for
+// detectIngredients, scaled down to a JPEG when it's large. Throws a
+// MessageError when the file can't be used.
+export const preparePhoto = async (file) => {
+    if (!file.type.startsWith('image/')) {
+        throw new MessageError('photo.notImage');
+    }
+    if (canSendAsIs(file, SEND_AS_IS_BYTES)) {
+        return { mimeType: file.type, data: await readBase64(file) };
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch {
+        // No createImageBitmap, or a format the browser can't decode (HEIC)
+        if (canSendAsIs(file, MAX_PHOTO_BYTES)) return { mimeType: file.type, data: await readBase64(file) };
+        throw new MessageError('photo.unsupported');
+    }
+
+    const scale = Math.min(1, MAX_EDGE_PX / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+    if (!blob) throw new MessageError('photo.prepareFailed');
+    return { mimeType: 'image/jpeg', data: await readBase64(blob) };
+};
@@ -0,0 +1,136 @@
+import { findTerm } from '../safety/matching.js';
+import { normalizeIngredient, formatAmount, formatUnit, lookupName } from '../recipe/ingredients.js';
+import { convertAmount } from '../recipe/units.js';
+import { findPantryItem } from '../pantry/usage.js';
+
+// Store sections in walking order. An ingredient goes in the first aisle
+// whose terms it mentions, so the more specific aisles come first: "frozen
+// peas" is frozen, "coconut milk" is a tin and "garlic powder" a spice.
+export const AISLES = [
+    { id: 'frozen', label: 'Frozen', terms: ['frozen'] },
+    {
+        id: 'spices', label: 'Herbs & spices', terms: [
+            'salt', 'black pepper', 'peppercorn', 'pepper flakes', 'chilli flakes', 'chili flakes', 'turmeric', 'cumin',
+            'garam masala', 'masala', 'chilli powder', 'chili powder', 'paprika', 'oregano', 'cinnamon',
+            'coriander powder', 'garlic powder', 'onion powder', 'ginger powder', 'bay leaf', 'cardamom',
+            'mustard seed', 'asafoetida', 'hing', 'nutmeg', 'thyme', 'rosemary', 'seasoning', 'spice',
+        ]
+    },
+    {
+        id: 'pantry', label: 'Grains, tins & sauces', terms: [
+            'coconut milk', 'peanut butter', 'soy sauce', 'sauce', 'vinegar', 'ketchup', 'mustard', 'honey', 'sugar',
+            'stock', 'broth', 'tomato paste', 'tomato puree', 'tinned', 'canned', 'jam', 'syrup', 'oil',
+            'rice', 'pasta', 'spaghetti', 'penne', 'noodle', 'flour', 'oats', 'quinoa', 'couscous', 'lentil', 'dal',
+            'chickpea', 'kidney bean', 'semolina', 'poha', 'besan', 'breadcrumbs', 'almond', 'cashew', 'peanut', 'walnut',
+        ]
+    },
+    {
+        id: 'dairy', label: 'Dairy & eggs', terms: [
+            'milk', 'butter', 'ghee', 'cream', 'cheese', 'parmesan', 'mozzarella', 'paneer', 'yogurt', 'yoghurt', 'curd', 'egg',
+        ]
+    },
+    {
+        id: 'meat', label: 'Meat & fish', terms: [
+            'chicken', 'beef', 'pork', 'lamb', 'mutton', 'bacon', 'ham', 'sausage', 'fish', 'salmon', 'tuna', 'cod',
+            'prawn', 'shrimp', 'turkey', 'mince',
+        ]
+    },
+    { id: 'bakery', label: 'Bakery', terms: ['bread', 'bun', 'tortilla', 'naan', 'pita', 'roti', 'wrap', 'bagel'] },
+    {
+        id: 'produce', label: 'Fruit & vegetables', terms: [
+            'onion', 'garlic', 'ginger', 'tomato', 'potato', 'broccoli', 'spinach', 'lemon', 'lime', 'chilli', 'chili',
+            'pepper', 'capsicum', 'carrot', 'mushroom', 'coriander', 'cilantro', 'parsley', 'basil', 'mint', 'dill',
+            'spring onion', 'scallion', 'cabbage', 'cauliflower', 'peas', 'green bean', 'lettuce', 'cucumber', 'avocado',
+            'apple', 'banana', 'zucchini', 'courgette', 'aubergine', 'eggplant', 'brinjal', 'celery', 'leek', 'shallot',
+            'kale', 'corn', 'squash', 'pumpkin', 'okra', 'beetroot', 'radish', 'sweet potato',
+        ]
+    },
+    { id: 'other', label: 'Other', terms: [] },
+];
+
+export const aisleFor = (name) => (
+    AISLES.find(aisle => findTerm(name, aisle.terms)) ?? AISLES[AISLES.length - 1]
+);
+
+// "Tomatoes" and "tomato" are the same line on the list
+const itemKey = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim()
+    .replace(/(o|ch|sh|x)es$/, '$1')
+    .replace(/([^su])s$/, '$1');
+
+// Adds an amount to a line, folding it into an existing amount when the
+// units convert (2 tbsp + 1 cup of oil) and listing it separately when they
+// don't (2 cloves + 1 tsp of garlic)
+const addAmount = (amounts, ingredient) => {
+    const { amount, unit } = ingredient;
+    for (const entry of amounts) {
+        const converted = convertAmount(amount, unit, entry.unit, lookupName(ingredient));
+        if (converted !== undefined) {
+            entry.amount += converted;
+            return;
+        }
+    }
+    amounts.push({ amount, unit });
+};
+
+// Merges the ingredients of several recipes into one list:
+//   [{ key, name, aisle, amounts: [{ amount, unit }], recipes: [names], optional }]
+// Lines with no amounts are "to taste" or "as needed".
+export const buildShoppingList = (recipes) => {
+    const lines = new Map();
+    for (const recipe of recipes) {
+        for (const ingredient of (recipe.ingredients || []).map(normalizeIngredient)) {
+            if (!ingredient.name) continue;
+            const key = itemKey(ingredient.name);
+            let line = lines.get(key);
+            if (!line) {
+                line = {
+                    key,
+                    name: ingredient.name,
+                    englishName: ingredient.englishName,
+                    aisle: aisleFor(lookupName(ingredient)).id,
+                    amounts: [],
+                    recipes: [],
+                    optional: true,
+                };
+                lines.set(key, line);
+            }
+            if (typeof ingredient.amount === 'number') addAmount(line.amounts, ingredient);
+            if (!line.recipes.includes(recipe.recipeName)) line.recipes.push(recipe.recipeName);
+            line.optional = line.optional && Boolean(ingredient.optional);
+        }
+    }
+    return [...lines.values()];
+};
+
+// Takes what the pantry already holds off the list. A pantry item without an
+// amount covers the whole line; one with an amount is subtracted where the
+// units convert. Covered lines stay on the list, marked `isCovered`, so the
+// user can still see them.
+export const subtractPantry = (lines, items) => lines.map((line) => {
+    const item = findPantryItem(items, line.name, line.englishName);
+    if (!item) return line;
+    if (item.amount === undefined || line.amounts.length === 0) return { ...line, isCovered: true, have: item };
+
+    let available = item.amount;
+    const amounts = line.amounts.map((entry) => {
+        const inItemUnit = convertAmount(entry.amount, entry.unit, item.unit, lookupName(line));
+        if (!(inItemUnit > 0) || available <= 0) return entry;
+        const used = Math.min(available, inItemUnit);
+        available -= used;
+        return { ...entry, amount: entry.amount * (1 - used / inItemUnit) };
+    }).filter(entry => entry.amount > 1e-6);
+
+    return { ...line, amounts, isCovered: amounts.length === 0, have: item };
+});
+
+const formatQuantity = (amount, unit) => `${formatAmount(amount, unit)} ${formatUnit(unit, amount)}`.trim();
+
+// "1 cup + 200 g"; `format` writes each amount, in English by default
+export const formatLineAmounts = (line, format = formatQuantity) => line.amounts
+    .map(({ amount, unit }) => format(amount, unit))
+    .join(' + ');
+
+// Lines grouped by aisle, in aisle order, skipping empty aisles
+export const groupByAisle = (lines) => AISLES
+    .map(aisle => ({ aisle, lines: lines.filter(line => line.aisle === aisle.id) }))
+    .filter(group => group.lines.length > 0);
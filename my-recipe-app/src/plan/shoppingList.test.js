@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aisleFor, buildShoppingList, subtractPantry, formatLineAmounts, groupByAisle } from './shoppingList.js';
+
+const recipe = (recipeName, ingredients) => ({ recipeName, ingredients, instructions: [] });
+
+const dal = recipe('Dal', [
+    { name: 'tomatoes', amount: 2 },
+    { name: 'oil', amount: 2, unit: 'tbsp' },
+    { name: 'garlic', amount: 3, unit: 'clove' },
+    { name: 'salt' },
+]);
+const curry = recipe('Curry', [
+    { name: 'Tomato', amount: 1 },
+    { name: 'oil', amount: 1, unit: 'cup' },
+    { name: 'garlic', amount: 1, unit: 'tsp' },
+    { name: 'coriander', amount: 1, unit: 'bunch', optional: true },
+]);
+
+const lineFor = (lines, key) => lines.find(line => line.key === key);
+
+const close = (actual, expected, tolerance = 0.01) => assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+);
+
+test('buildShoppingList merges plurals and capitals into one line', () => {
+    const tomatoes = lineFor(buildShoppingList([dal, curry]), 'tomato');
+    assert.equal(tomatoes.name, 'tomatoes');
+    assert.deepEqual(tomatoes.amounts, [{ amount: 3, unit: undefined }]);
+    assert.deepEqual(tomatoes.recipes, ['Dal', 'Curry']);
+});
+
+test('buildShoppingList folds amounts whose units convert and lists the rest apart', () => {
+    const lines = buildShoppingList([dal, curry]);
+    const [oil] = lineFor(lines, 'oil').amounts;
+    assert.equal(oil.unit, 'tbsp');
+    close(oil.amount, 18);
+    assert.deepEqual(lineFor(lines, 'garlic').amounts, [{ amount: 3, unit: 'clove' }, { amount: 1, unit: 'tsp' }]);
+    assert.equal(formatLineAmounts(lineFor(lines, 'garlic')), '3 cloves + 1 tsp');
+});
+
+test('buildShoppingList keeps "to taste" lines and marks a line optional only when every recipe does', () => {
+    const lines = buildShoppingList([dal, curry, recipe('Raita', [{ name: 'coriander', amount: 1, unit: 'bunch' }])]);
+    assert.deepEqual(lineFor(lines, 'salt').amounts, []);
+    assert.equal(lineFor(buildShoppingList([curry]), 'coriander').optional, true);
+    assert.equal(lineFor(lines, 'coriander').optional, false);
+    assert.equal(lineFor(lines, 'oil').optional, false);
+});
+
+test('aisleFor puts specific aisles first', () => {
+    assert.equal(aisleFor('frozen peas').id, 'frozen');
+    assert.equal(aisleFor('coconut milk').id, 'pantry');
+    assert.equal(aisleFor('garlic powder').id, 'spices');
+    assert.equal(aisleFor('garlic').id, 'produce');
+    assert.equal(aisleFor('saffron').id, 'other');
+});
+
+test('subtractPantry covers a line with an item that has no amount', () => {
+    const lines = buildShoppingList([dal]);
+    const [salt, garlic] = subtractPantry([lineFor(lines, 'salt'), lineFor(lines, 'garlic')], [{ name: 'Salt' }, { name: 'garlic' }]);
+    assert.equal(salt.isCovered, true);
+    assert.equal(garlic.isCovered, true);
+    assert.deepEqual(garlic.amounts, [{ amount: 3, unit: 'clove' }]);
+});
+
+test('subtractPantry takes off what the pantry holds where the units convert', () => {
+    const lines = buildShoppingList([dal, curry]);
+    const [oil] = subtractPantry([lineFor(lines, 'oil')], [{ name: 'oil', amount: 6, unit: 'tbsp' }]);
+    assert.equal(oil.amounts.length, 1);
+    close(oil.amounts[0].amount, 12);
+    assert.equal(oil.isCovered, false);
+
+    const [all] = subtractPantry([lineFor(lines, 'oil')], [{ name: 'oil', amount: 500, unit: 'ml' }]);
+    assert.equal(all.isCovered, true);
+
+    // Only the amounts in a unit the item converts to are taken off
+    const [garlic] = subtractPantry([lineFor(lines, 'garlic')], [{ name: 'garlic', amount: 1, unit: 'clove' }]);
+    assert.deepEqual(garlic.amounts, [{ amount: 2, unit: 'clove' }, { amount: 1, unit: 'tsp' }]);
+});
+
+test('groupByAisle follows the aisle order and skips empty aisles', () => {
+    const groups = groupByAisle(buildShoppingList([dal, curry]));
+    assert.deepEqual(groups.map(group => group.aisle.id), ['spices', 'pantry', 'produce']);
+});
@@ -0,0 +1,71 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+import { streamMealPlan } from '../api.js';
+import { ERROR_CODES } from '../recipe/errors.js';
+
+const STORAGE_KEY = 'chef-app.meal-plan';
+
+const loadPlan = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? null;
+    } catch {
+        return null;
+    }
+};
+
+const storePlan = (plan) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+    } catch (err) {
+        console.warn("Could not store the meal plan:", err);
+    }
+};
+
+// The current meal plan, { answers, days, recipes }, kept in localStorage so
+// it's still there next time. Days arrive one at a time while planning; if
+// planning fails or is cancelled part-way the days already made are kept.
+// Planning again or leaving the app stops the plan being made.
+export const useMealPlan = () => {
+    const [plan, setPlan] = useState(loadPlan);
+    const [isPlanning, setIsPlanning] = useState(false);
+    const [error, setError] = useState(null);
+    const activeController = useRef(null);
+
+    const planWeek = useCallback(async (answers, days) => {
+        const save = (next) => {
+            setPlan(next);
+            storePlan(next);
+        };
+        activeController.current?.abort();
+        const controller = new AbortController();
+        activeController.current = controller;
+
+        setError(null);
+        setIsPlanning(true);
+        const recipes = [];
+        save({ answers, days, recipes: [] });
+        try {
+            for await (const event of streamMealPlan(answers, { days, signal: controller.signal })) {
+                if (event.type === 'day') {
+                    recipes[event.index] = event.recipe;
+                    save({ answers, days, recipes: [...recipes] });
+                }
+            }
+        } catch (err) {
+            if (err.code === ERROR_CODES.CANCELLED) return;
+            console.error("Meal planning failed:", err);
+            setError(err);
+        } finally {
+            if (activeController.current === controller) {
+                activeController.current = null;
+                setIsPlanning(false);
+            }
+        }
+    }, []);
+
+    const cancel = useCallback(() => activeController.current?.abort(), []);
+
+    useEffect(() => () => activeController.current?.abort(), []);
+
+    return { plan, isPlanning, error, planWeek, cancel };
+};
@@ -0,0 +1,115 @@
+// Canned recipes served by the mock provider. `tags` are phrases looked for
+// in the prompt (see describeConstraints in src/safety/diets.js for the diet
+// wording) to pick a fixture that loosely matches the request.
+export const recipeFixtures = [
+    {
+        tags: ['strictly vegetarian', 'use oil as the only', 'rice', 'broccoli', 'garlic', 'soy'],
+        recipe: {
+            recipeName: "Garlic Broccoli Fried Rice",
+            description: "Crispy day-old rice tossed with charred broccoli, garlic and a splash of soy.",
+            servings: 2,
+            ingredients: [
+                { name: "cooked rice", amount: 2, unit: "cup", preparation: "preferably a day old" },
+                { name: "broccoli", amount: 1, unit: "head", preparation: "cut into small florets" },
+                { name: "garlic", amount: 3, unit: "clove", preparation: "minced" },
+                { name: "vegetable oil", amount: 2, unit: "tbsp" },
+                { name: "soy sauce", amount: 2, unit: "tbsp" },
+                { name: "spring onions", amount: 2, preparation: "sliced", optional: true }
+            ],
+            instructions: [
+                "Heat the oil in a wok over high heat until shimmering.",
+                "Add the broccoli and stir-fry for 4 minutes until charred at the edges.",
+                "Add the garlic and cook for 30 seconds until fragrant.",
+                "Add the rice, breaking up any clumps, and fry for 5 minutes.",
+                "Stir in the soy sauce, scatter over the spring onions and serve hot."
+            ],
+            prepTimeMinutes: 20
+        }
+    },
+    {
+        tags: ['strictly vegetarian', 'use butter as the only', 'pasta', 'mushroom', 'spinach', 'cheese'],
+        recipe: {
+            recipeName: "Brown Butter Mushroom Pasta",
+            description: "Silky pasta coated in nutty brown butter with golden mushrooms and wilted spinach.",
+            servings: 2,
+            ingredients: [
+                { name: "spaghetti", amount: 200, unit: "g" },
+                { name: "mushrooms", amount: 250, unit: "g", preparation: "sliced" },
+                { name: "butter", amount: 3, unit: "tbsp" },
+                { name: "baby spinach", amount: 2, unit: "handful" },
+                { name: "parmesan", amount: 30, unit: "g", preparation: "grated" },
+                { name: "salt and black pepper", preparation: "to taste" }
+            ],
+            instructions: [
+                "Cook the spaghetti in well-salted boiling water for 9 minutes, then drain, keeping a cup of the water.",
+                "Melt the butter in a large pan over medium heat and cook for 3 minutes until it smells nutty.",
+                "Add the mushrooms and fry for 6 minutes until golden.",
+                "Toss in the pasta, spinach and a splash of pasta water until glossy.",
+                "Finish with parmesan, salt and pepper."
+            ],
+            prepTimeMinutes: 25
+        }
+    },
+    {
+        tags: ['non-vegetarian dishes are fine', 'use oil as the only', 'chicken', 'potato', 'lemon', 'garlic'],
+        recipe: {
+            recipeName: "Lemon Garlic Chicken Traybake",
+            description: "Juicy chicken thighs roasted over crisp potatoes with lemon and garlic.",
+            servings: 4,
+            ingredients: [
+                { name: "chicken thighs", amount: 4, preparation: "skin on" },
+                { name: "baby potatoes", amount: 500, unit: "g", preparation: "halved" },
+                { name: "lemon", amount: 1, preparation: "quartered" },
+                { name: "garlic", amount: 6, unit: "clove", preparation: "unpeeled" },
+                { name: "olive oil", amount: 3, unit: "tbsp" },
+                { name: "dried oregano", amount: 1, unit: "tsp" },
+                { name: "salt and black pepper", preparation: "to taste" }
+            ],
+            instructions: [
+                "Preheat the oven to 200°C.",
+                "Toss the potatoes, lemon and garlic with 2 tbsp of the oil on a baking tray.",
+                "Rub the chicken with the remaining oil, oregano, salt and pepper and nestle it on top.",
+                "Roast for 40 minutes until the chicken is golden and cooked through.",
+                "Squeeze the roasted lemon over everything before serving."
+            ],
+            stepTimers: [
+                { step: 4, minutes: 40, label: "Roast the traybake" }
+            ],
+            prepTimeMinutes: 50
+        }
+    },
+    {
+        tags: ['eggetarian', 'non-vegetarian dishes are fine', 'use butter as the only', 'egg', 'tomato', 'onion', 'bread'],
+        recipe: {
+            recipeName: "Buttery Masala Scrambled Eggs",
+            description: "Soft, spiced scrambled eggs with tomato and onion, made for mopping up with toast.",
+            servings: 2,
+            // Plain-string ingredients, as older models and saved answers send them
+            ingredients: [
+                "4 eggs",
+                "1 tbsp butter",
+                "1 small onion, finely chopped",
+                "1 tomato, finely chopped",
+                "1 green chilli, finely chopped",
+                "1/4 tsp turmeric",
+                "2 slices bread, toasted"
+            ],
+            instructions: [
+                "Melt the butter in a pan over medium heat.",
+                "Cook the onion and chilli for 3 minutes until soft.",
+                "Add the tomato and turmeric and cook for 2 minutes.",
+                "Pour in the beaten eggs and stir gently for 2 minutes until just set.",
+                "Serve immediately with the toast."
+            ],
+            prepTimeMinutes: 15
+        }
+    }
+];
+
+// What the mock "sees" in a photo that doesn't say what's in it; the fixture
+// photos in server/fixtures/photos name their contents instead (see mock.js)
+export const photoFixtures = [
+    ['broccoli', 'garlic', 'eggs', 'soy sauce'],
+    ['chicken thighs', 'lemons', 'potatoes', 'rosemary'],
+    ['chickpeas', 'spinach', 'onions', 'canned tomatoes'],
+];
@@ -0,0 +1,87 @@
+import { fetchWithRetry, readServerSentEvents } from './http.js';
+
+const DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+const DEFAULT_MODEL = "gemini-3-flash-preview";
+
+// Gemini reports why it stopped with its own vocabulary; map it onto ours
+const FINISH_REASONS = {
+    STOP: 'STOP',
+    MAX_TOKENS: 'MAX_TOKENS',
+    SAFETY: 'SAFETY',
+    RECITATION: 'SAFETY',
+    BLOCKLIST: 'SAFETY',
+    PROHIBITED_CONTENT: 'SAFETY',
+};
+
+const toContents = (messages) => messages.map(message => ({
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts: [
+        ...(message.images || []).map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+        { text: message.text }
+    ]
+}));
+
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL } = {}) => {
+    if (!apiKey) {
+        throw new Error("The Gemini provider needs an API key.");
+    }
+
+    const buildPayload = ({ system, messages, temperature = 0.7, maxOutputTokens = 4096 }) => {
+        const payload = {
+            contents: toContents(messages),
+            generationConfig: {
+                temperature,
+                maxOutputTokens
+            }
+        };
+        if (system) {
+            payload.systemInstruction = { parts: [{ text: system }] };
+        }
+        return payload;
+    };
+
+    const post = (method, request, { query = '', signal } = {}) => fetchWithRetry(`${baseUrl}/models/${model}:${method}?${query}key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(buildPayload(request)),
+        signal
+    });
+
+    const toFinishReason = (reason) => FINISH_REASONS[reason] || (reason ? 'OTHER' : 'STOP');
+
+    const generate = async (request, { signal } = {}) => {
+        const response = await post('generateContent', request, { signal });
+        const result = await response.json();
+        const candidate = result.candidates?.[0];
+        const text = candidate?.content?.parts?.map(part => part.text || '').join('') || '';
+
+        if (!text && candidate?.finishReason !== 'MAX_TOKENS') {
+            const errorMessage = result.error?.message || "Received an empty or malformed response from the AI.";
+            throw new Error(errorMessage);
+        }
+
+        return { text, finishReason: toFinishReason(candidate.finishReason) };
+    };
+
+    async function* stream(request, { signal } = {}) {
+        const response = await post('streamGenerateContent', request, { query: 'alt=sse&', signal });
+        let finishReason;
+
+        for await (const data of readServerSentEvents(response)) {
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(chunk.error.message);
+            }
+            const candidate = chunk.candidates?.[0];
+            const text = candidate?.content?.parts?.map(part => part.text || '').join('');
+            if (text) yield { type: 'delta', text };
+            if (candidate?.finishReason) finishReason = candidate.finishReason;
+        }
+
+        yield { type: 'finish', finishReason: toFinishReason(finishReason) };
+    }
+
+    return { name: 'gemini', model, generate, stream };
+};
@@ -0,0 +1,104 @@
+// Statuses worth another try: timeouts, rate limits and server hiccups.
+// Anything else (a bad request, a wrong key) fails the same way every time.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Longest Retry-After we'll sit through; beyond that the caller should
+// hear about the limit rather than hang
+export const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Retry-After is either seconds or an HTTP date
+const retryAfterMs = (header, now = Date.now()) => {
+    if (!header) return undefined;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+const abortError = (signal) => signal.reason ?? new DOMException('The request was cancelled.', 'AbortError');
+
+// setTimeout that gives up early when `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortError(signal));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const readErrorMessage = async (response) => {
+    const errorText = await response.text();
+    try {
+        const errorJson = JSON.parse(errorText);
+        if (errorJson.error && errorJson.error.message) {
+            return `API Error: ${errorJson.error.message} (${response.status})`;
+        }
+    } catch {
+        // Fallback to text if not JSON
+        if (errorText) return `API Error: ${errorText} (${response.status})`;
+    }
+    return `HTTP error! status: ${response.status}`;
+};
+
+// fetch with exponential backoff. Only network failures and
+// RETRYABLE_STATUSES are retried; a Retry-After header sets the wait instead
+// of the backoff. Pass `signal` in `options` to cancel, including mid-wait.
+// Failed responses throw an Error carrying the HTTP `status`.
+export const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
+    const { signal } = options;
+    for (let attempt = 0; ; attempt++) {
+        let error;
+        let delay = Math.pow(2, attempt) * 1000;
+        try {
+            const response = await fetch(url, options);
+            if (response.ok) return response;
+
+            error = new Error(await readErrorMessage(response));
+            error.status = response.status;
+            if (!RETRYABLE_STATUSES.has(response.status)) throw error;
+            delay = retryAfterMs(response.headers.get('retry-after')) ?? delay;
+        } catch (err) {
+            // Cancelled, or a status that retrying won't fix
+            if (signal?.aborted || err === error) throw err;
+            error = err;
+        }
+
+        console.error(`Attempt ${attempt + 1} failed:`, error.message);
+        if (attempt >= maxRetries - 1 || delay > MAX_RETRY_DELAY_MS) throw error;
+        await wait(delay, signal);
+    }
+};
+
+// Yields the `data:` payload of each server-sent event in a streaming response
+export async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : events.pop();
+
+        for (const event of events) {
+            const data = event
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield data;
+        }
+
+        if (done) return;
+    }
+}
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { fetchWithRetry } from './http.js';
+
+// A local server answering each request with the next of `replies`
+// ({ status, headers, body }), the last one repeating
+let server;
+let baseUrl;
+let replies = [];
+let requests = 0;
+
+before(async () => {
+    server = createServer((req, res) => {
+        const reply = replies[Math.min(requests, replies.length - 1)];
+        requests++;
+        res.writeHead(reply.status, reply.headers);
+        res.end(reply.body ?? '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const answering = (...list) => {
+    replies = list;
+    requests = 0;
+};
+
+test('fetchWithRetry retries a 503 after its Retry-After', async () => {
+    answering({ status: 503, headers: { 'Retry-After': '0' } }, { status: 200, body: 'ok' });
+    const response = await fetchWithRetry(baseUrl);
+    assert.equal(await response.text(), 'ok');
+    assert.equal(requests, 2);
+});
+
+test('fetchWithRetry reads a Retry-After date', async () => {
+    answering({ status: 429, headers: { 'Retry-After': new Date(Date.now() - 1000).toUTCString() } }, { status: 200 });
+    assert.equal((await fetchWithRetry(baseUrl)).status, 200);
+    assert.equal(requests, 2);
+});
+
+test('fetchWithRetry does not retry a 400', async () => {
+    answering({ status: 400, body: '{"error":{"message":"Bad field"}}' }, { status: 200 });
+    await assert.rejects(fetchWithRetry(baseUrl), { status: 400, message: 'API Error: Bad field (400)' });
+    assert.equal(requests, 1);
+});
+
+test('fetchWithRetry gives up at once when Retry-After is too long to wait', async () => {
+    answering({ status: 429, headers: { 'Retry-After': '3600' } }, { status: 200 });
+    await assert.rejects(fetchWithRetry(baseUrl), { status: 429 });
+    assert.equal(requests, 1);
+});
+
+test('fetchWithRetry stops after its last attempt', async () => {
+    answering({ status: 503, headers: { 'Retry-After': '0' } });
+    await assert.rejects(fetchWithRetry(baseUrl, {}, 3), { status: 503 });
+    assert.equal(requests, 3);
+});
+
+test('fetchWithRetry stops waiting when cancelled', async () => {
+    answering({ status: 503, headers: { 'Retry-After': '20' } }, { status: 200 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const started = Date.now();
+    await assert.rejects(fetchWithRetry(baseUrl, { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(requests, 1);
+});
@@ -0,0 +1,46 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+// Every provider exposes the same shape:
+//   { name, model, generate(request, { signal }), stream(request, { signal }) }
+// where request is { system, messages, temperature, maxOutputTokens } and
+// `messages` is a list of { role: 'user' | 'assistant', text, images? }.
+// `images` ([{ mimeType, data }], data in base64) are sent as inline image
+// parts ahead of the text, for models that can see. Aborting `signal`
+// cancels the call, retries included.
+// generate resolves to { text, finishReason } with finishReason one of
+// 'STOP', 'MAX_TOKENS', 'SAFETY' or 'OTHER'. stream is an async generator
+// yielding { type: 'delta', text } chunks and a final
+// { type: 'finish', finishReason }.
+const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider,
+};
+
+export const providerNames = Object.keys(factories);
+
+export const createProvider = ({ provider, ...options }) => {
+    const factory = factories[provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${providerNames.join(', ')}.`);
+    }
+    return factory(options);
+};
+
+// Reads provider settings from an env object such as process.env.
+// Without an explicit LLM_PROVIDER we use Gemini when a key is present and
+// fall back to the offline mock otherwise.
+export const providerConfigFromEnv = (env) => {
+    const read = (name) => env[name] || undefined;
+    const geminiKey = read('GEMINI_API_KEY');
+    const provider = read('LLM_PROVIDER') || (geminiKey ? 'gemini' : 'mock');
+
+    return {
+        provider,
+        model: read('LLM_MODEL'),
+        baseUrl: read('LLM_BASE_URL'),
+        apiKey: provider === 'gemini' ? geminiKey : read('LLM_API_KEY'),
+    };
+};
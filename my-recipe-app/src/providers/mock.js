@@ -0,0 +1,165 @@
+import { recipeFixtures, photoFixtures } from './fixtures.js';
+import { parseIngredient } from '../recipe/ingredients.js';
+
+// FNV-1a, so the same prompt always picks the same fixture
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const pickFixture = (text) => {
+    const prompt = text.toLowerCase();
+    // Leave out dishes the prompt names (e.g. already planned this week)
+    // while there are others to choose from
+    const unnamed = recipeFixtures.filter(fixture => !prompt.includes(fixture.recipe.recipeName.toLowerCase()));
+    let best = [];
+    let bestScore = -1;
+    for (const fixture of unnamed.length > 0 ? unnamed : recipeFixtures) {
+        // Multi-word tags describe the diet and count double
+        const score = fixture.tags
+            .filter(tag => prompt.includes(tag))
+            .reduce((total, tag) => total + (tag.includes(' ') ? 2 : 1), 0);
+        if (score > bestScore) {
+            best = [fixture];
+            bestScore = score;
+        } else if (score === bestScore) {
+            best.push(fixture);
+        }
+    }
+    return best[hashString(text) % best.length];
+};
+
+const PNG_SIGNATURE = '\x89PNG\r\n\x1a\n';
+const PHOTO_LABEL = 'Ingredients\0';
+
+const readUint32 = (bytes, offset) => (
+    (bytes.charCodeAt(offset) << 24 | bytes.charCodeAt(offset + 1) << 16
+        | bytes.charCodeAt(offset + 2) << 8 | bytes.charCodeAt(offset + 3)) >>> 0
+);
+
+// The fixture photos are PNGs with a tEXt chunk, keyword "Ingredients",
+// listing what they show. Returns that text, or undefined for other images.
+const readPhotoLabel = (data) => {
+    let bytes;
+    try {
+        bytes = atob(data);
+    } catch {
+        return undefined;
+    }
+    if (!bytes.startsWith(PNG_SIGNATURE)) return undefined;
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+        const length = readUint32(bytes, offset);
+        const type = bytes.slice(offset + 4, offset + 8);
+        const body = bytes.slice(offset + 8, offset + 8 + length);
+        if (type === 'tEXt' && body.startsWith(PHOTO_LABEL)) return body.slice(PHOTO_LABEL.length);
+        offset += length + 12;
+    }
+    return undefined;
+};
+
+// Ingredient detection: a labelled fixture photo gets its own list, any
+// other photo a canned list picked by its bytes
+const describePhoto = ({ data }) => {
+    const label = readPhotoLabel(data);
+    const ingredients = label !== undefined
+        ? label.split(',').map(name => name.trim()).filter(Boolean)
+        : photoFixtures[hashString(data) % photoFixtures.length];
+    return JSON.stringify({ ingredients }, null, 2);
+};
+
+// Substitutes can't really be judged offline; one stand-in comes back in
+// the same amount, enough to exercise the flow
+const suggestStandIn = (original) => {
+    const { amount, unit } = parseIngredient(original);
+    const name = 'a similar ingredient';
+    return JSON.stringify({
+        substitutes: [{
+            name,
+            ingredients: [{ name, ...(amount !== undefined && { amount }), ...(unit && { unit }) }],
+            note: `Offline mock: stands in for whatever the model would suggest instead of ${original}.`
+        }]
+    }, null, 2);
+};
+
+// Waits like a real network call would, including giving up on abort
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// A refinement request can't really be acted on offline, so the latest
+// version comes back with the request noted in its description; enough to
+// exercise versions and diffs.
+const reviseRecipe = (messages, request) => {
+    const previous = messages.findLast(message => message.role === 'assistant');
+    try {
+        const recipe = JSON.parse(previous.text);
+        const note = `Revised: ${request}`;
+        return JSON.stringify({ ...recipe, description: `${recipe.description || ''} ${note}`.trim() }, null, 2);
+    } catch {
+        return null;
+    }
+};
+
+// Deterministic offline provider: answers every request with a fixture recipe,
+// with a fixture ingredient list when the request carries a photo, and with
+// a stand-in when asked for substitutes.
+// When the conversation already holds part of an answer (a "continue"
+// request), only the rest of the fixture is returned.
+export const createMockProvider = ({ latencyMs = 400, chunkSize = 24, chunkDelayMs = 30 } = {}) => {
+    const respond = (messages) => {
+        const photo = messages.find(message => message.images?.length)?.images[0];
+        if (photo) return describePhoto(photo);
+
+        const substitution = messages[0]?.text.match(/^Suggest substitutes for "(.*)" in this recipe/);
+        if (substitution) return suggestStandIn(substitution[1]);
+
+        const last = messages[messages.length - 1];
+        const revision = last?.role === 'user' && last.text.match(/^Revise the recipe: (.*)/);
+        if (revision) {
+            const revised = reviseRecipe(messages, revision[1]);
+            if (revised) return revised;
+        }
+
+        const prompt = messages.find(message => message.role === 'user')?.text || '';
+        const text = JSON.stringify(pickFixture(prompt).recipe, null, 2);
+        const alreadySent = messages.filter(message => message.role === 'assistant').map(message => message.text).join('');
+        // A strict prefix means we're continuing; anything else (e.g. a repair
+        // request quoting a full answer) gets the whole fixture again
+        return alreadySent && alreadySent.length < text.length && text.startsWith(alreadySent)
+            ? text.slice(alreadySent.length)
+            : text;
+    };
+
+    const generate = async ({ messages }, { signal } = {}) => {
+        const text = respond(messages);
+        if (latencyMs > 0) await sleep(latencyMs, signal);
+        return { text, finishReason: 'STOP' };
+    };
+
+    async function* stream({ messages }, { signal } = {}) {
+        const text = respond(messages);
+        if (latencyMs > 0) await sleep(latencyMs, signal);
+
+        for (let i = 0; i < text.length; i += chunkSize) {
+            signal?.throwIfAborted();
+            yield { type: 'delta', text: text.slice(i, i + chunkSize) };
+            if (chunkDelayMs > 0) await sleep(chunkDelayMs, signal);
+        }
+        yield { type: 'finish', finishReason: 'STOP' };
+    }
+
+    return { name: 'mock', model: 'fixtures', generate, stream };
+};
@@ -0,0 +1,86 @@
+import { fetchWithRetry, readServerSentEvents } from './http.js';
+
+// Works against anything that speaks the OpenAI chat completions API:
+// Ollama (http://localhost:11434/v1), llama.cpp's server, LM Studio, vLLM...
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+
+const FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY',
+};
+
+// Messages with images use the content-parts form, images as data URLs
+const toContent = ({ text, images }) => (images?.length
+    ? [
+        ...images.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } })),
+        { type: 'text', text }
+    ]
+    : text);
+
+export const createOpenAICompatibleProvider = ({ apiKey, model, baseUrl = DEFAULT_BASE_URL } = {}) => {
+    if (!model) {
+        throw new Error("The OpenAI-compatible provider needs a model name.");
+    }
+
+    const post = ({ system, messages, temperature = 0.7, maxOutputTokens = 4096 }, { stream = false, signal } = {}) => {
+        const chat = messages.map(message => ({ role: message.role, content: toContent(message) }));
+        if (system) {
+            chat.unshift({ role: 'system', content: system });
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        return fetchWithRetry(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages: chat,
+                temperature,
+                max_tokens: maxOutputTokens,
+                stream
+            }),
+            signal
+        });
+    };
+
+    const toFinishReason = (reason) => FINISH_REASONS[reason] || (reason ? 'OTHER' : 'STOP');
+
+    const generate = async (request, { signal } = {}) => {
+        const response = await post(request, { signal });
+        const result = await response.json();
+        const choice = result.choices?.[0];
+        const text = choice?.message?.content || '';
+
+        if (!text && choice?.finish_reason !== 'length') {
+            const errorMessage = result.error?.message || "Received an empty or malformed response from the AI.";
+            throw new Error(errorMessage);
+        }
+
+        return { text, finishReason: toFinishReason(choice.finish_reason) };
+    };
+
+    async function* stream(request, { signal } = {}) {
+        const response = await post(request, { stream: true, signal });
+        let finishReason;
+
+        for await (const data of readServerSentEvents(response)) {
+            if (data === '[DONE]') break;
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(chunk.error.message);
+            }
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) yield { type: 'delta', text: choice.delta.content };
+            if (choice?.finish_reason) finishReason = choice.finish_reason;
+        }
+
+        yield { type: 'finish', finishReason: toFinishReason(finishReason) };
+    }
+
+    return { name: 'openai', model, generate, stream };
+};
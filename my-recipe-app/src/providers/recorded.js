@@ -0,0 +1,47 @@
+// Replays answers recorded from a real provider, so prompt evaluations can
+// be re-run offline and give the same result every time. Recordings are a
+// map of request key -> { text, finishReason }; withRecording below
+// collects them.
+
+// SHA-256 of everything that shapes the answer, so a changed prompt
+// template misses the recording instead of replaying a stale answer
+export const requestKey = async ({ system, messages, temperature, maxOutputTokens }) => {
+    const bytes = new TextEncoder().encode(JSON.stringify({ system, messages, temperature, maxOutputTokens }));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const createRecordedProvider = ({ recordings, model = 'recorded' }) => {
+    const lookup = async (request) => {
+        const recorded = recordings[await requestKey(request)];
+        if (!recorded) {
+            throw new Error('No recorded answer for this request; record it again against a real provider.');
+        }
+        return recorded;
+    };
+
+    const generate = async (request, { signal } = {}) => {
+        signal?.throwIfAborted();
+        const { text, finishReason } = await lookup(request);
+        return { text, finishReason };
+    };
+
+    async function* stream(request, { signal } = {}) {
+        const { text, finishReason } = await generate(request, { signal });
+        yield { type: 'delta', text };
+        yield { type: 'finish', finishReason };
+    }
+
+    return { name: 'recorded', model, generate, stream };
+};
+
+// Wraps a provider so every answer it gives through generate is also
+// stored in `recordings`, ready to be saved and replayed
+export const withRecording = (provider, recordings) => ({
+    ...provider,
+    generate: async (request, options) => {
+        const result = await provider.generate(request, options);
+        recordings[await requestKey(request)] = { text: result.text, finishReason: result.finishReason };
+        return result;
+    },
+});
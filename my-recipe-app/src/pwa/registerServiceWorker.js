@@ -0,0 +1,11 @@
+// Registers the service worker that keeps the app usable offline. Only
+// production builds have one (see vite.config.js); in development Vite
+// serves modules fresh and a cache would get in the way.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+            console.warn("Couldn't register the service worker; the app won't work offline:", err);
+        });
+    });
+};
@@ -0,0 +1,48 @@
+// The app's service worker. It isn't bundled: the build fills in the two
+// placeholders below and writes it out as sw.js (see vite.config.js).
+// The shell (HTML, scripts, styles, fonts, icons) is precached on install,
+// so the app opens without a network; recipes themselves live in
+// IndexedDB and API calls always go to the network.
+
+const CACHE_PREFIX = 'chef-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${__CACHE_VERSION__}`;
+// Paths relative to the service worker's scope
+const PRECACHE_FILES = __PRECACHE_FILES__;
+
+const inScope = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES.map(inScope))));
+});
+
+// A new version takes over once every tab of the old one has closed; its
+// caches are the only ones kept
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.href.startsWith(inScope('api/'))) {
+        return;
+    }
+
+    // Pages (including /recipe/... share links) come from the network while
+    // there is one, so a new deploy shows up; offline, the cached shell
+    // takes over and the app routes on the client
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match(inScope('index.html'))));
+        return;
+    }
+
+    // Everything else in the shell has a hashed name, so the cached copy is
+    // always right
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,70 @@
+// The form answers sent with every generation request, and their defaults
+export const DEFAULT_ANSWERS = {
+    ingredients: '',
+    constraints: ['vegetarian', 'oil-only'],
+    allergies: '',
+    specialRequest: '',
+    // Per-serving calorie limit, or null for none
+    maxCalories: null,
+    // Cooking preferences (see preferences.js); empty or null means any
+    cuisine: '',
+    maxTotalMinutes: null,
+    skillLevel: '',
+    equipment: [],
+    servings: null,
+    // The app's language (see src/i18n/locales.js), which the recipe is written in
+    language: 'en'
+};
+
+// Most names the ingredient lists (excludeIngredients, useFirst) may hold;
+// the server turns longer ones away
+export const MAX_NAME_LIST = 20;
+
+// Stand-in answers for a recipe imported from a file: no ingredients asked
+// for and no constraints to check it against
+export const IMPORTED_ANSWERS = { ...DEFAULT_ANSWERS, constraints: [] };
+
+// Answers saved before dietary constraints existed used two radios:
+// diet ('veg' / 'non-veg') and fatType ('oil' / 'butter'). Map those onto
+// constraints so old library entries can still be regenerated.
+export const normalizeAnswers = (answers) => {
+    if (!answers || Array.isArray(answers.constraints) || !('diet' in answers || 'fatType' in answers)) {
+        return answers;
+    }
+    const { diet, fatType, ...rest } = answers;
+    const constraints = [];
+    if (diet === 'veg') constraints.push('vegetarian');
+    if (fatType === 'oil') constraints.push('oil-only');
+    if (fatType === 'butter') constraints.push('butter-only');
+    return { ...rest, constraints };
+};
+
+// The ingredients answer is a comma-separated list typed by hand
+export const splitIngredients = (text = '') => text.split(',').map(part => part.trim()).filter(Boolean);
+
+const normalizeText = (text = '') => String(text).toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!]+$/, '');
+const normalizeList = (list = []) => [...new Set(list.map(normalizeText).filter(Boolean))].sort();
+
+// Fields where order and spelling don't change the recipe asked for
+const KEY_NORMALIZERS = {
+    ingredients: (text) => normalizeList(splitIngredients(text)),
+    allergies: (text) => normalizeList(splitIngredients(text)),
+    specialRequest: normalizeText,
+    constraints: (list) => [...list].sort(),
+    excludeIngredients: normalizeList,
+    equipment: (list) => [...list].sort(),
+    // Expiry order matters to the prompt, so keep it
+    useFirst: (list) => list.map(normalizeText),
+};
+
+// A stable key for a set of answers: two requests with the same key ask the
+// model for the same thing ("Rice, broccoli" and "broccoli,rice" match).
+// Fields without a normalizer are compared as they are.
+export const answersKey = (answers) => {
+    const normalized = { ...DEFAULT_ANSWERS, ...normalizeAnswers(answers) };
+    return JSON.stringify(Object.keys(normalized).sort().map(name => {
+        const value = normalized[name];
+        const normalize = KEY_NORMALIZERS[name];
+        return [name, normalize && value != null ? normalize(value) : value ?? null];
+    }));
+};
@@ -0,0 +1,76 @@
+import { normalizeIngredient, formatIngredient } from './ingredients.js';
+
+// Longest-common-subsequence diff of two lists, in order:
+// [{ type: 'same' | 'added' | 'removed', value }]
+export const diffLists = (before = [], after = []) => {
+    // lengths[i][j] = LCS length of before[i..] and after[j..]
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            changes.push({ type: 'same', value: before[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            changes.push({ type: 'removed', value: before[i++] });
+        } else {
+            changes.push({ type: 'added', value: after[j++] });
+        }
+    }
+    while (i < before.length) changes.push({ type: 'removed', value: before[i++] });
+    while (j < after.length) changes.push({ type: 'added', value: after[j++] });
+    return changes;
+};
+
+const FIELDS = [
+    { id: 'recipeName', label: 'Name' },
+    { id: 'servings', label: 'Servings' },
+    { id: 'prepTimeMinutes', label: 'Total time (minutes)' },
+];
+
+const ingredientKey = (ingredient) => (ingredient.name || '').trim().toLowerCase();
+
+// What changed between two versions of a recipe:
+//   fields:       [{ id, label, before, after }] for name, servings and time
+//   ingredients:  [{ type: 'added' | 'removed' | 'changed', before?, after? }]
+//                 (formatted lines; same name with a new amount is 'changed')
+//   instructions: [{ type: 'added' | 'removed', value }]
+export const diffRecipes = (before, after) => {
+    const fields = FIELDS
+        .filter(({ id }) => before[id] !== after[id])
+        .map(({ id, label }) => ({ id, label, before: before[id], after: after[id] }));
+
+    const oldIngredients = new Map(before.ingredients.map(normalizeIngredient).map(item => [ingredientKey(item), item]));
+    const newIngredients = new Map(after.ingredients.map(normalizeIngredient).map(item => [ingredientKey(item), item]));
+    const ingredients = [];
+    for (const [key, item] of oldIngredients) {
+        const next = newIngredients.get(key);
+        if (!next) {
+            ingredients.push({ type: 'removed', before: formatIngredient(item) });
+        } else if (formatIngredient(item) !== formatIngredient(next)) {
+            ingredients.push({ type: 'changed', before: formatIngredient(item), after: formatIngredient(next) });
+        }
+    }
+    for (const [key, item] of newIngredients) {
+        if (!oldIngredients.has(key)) ingredients.push({ type: 'added', after: formatIngredient(item) });
+    }
+
+    const instructions = diffLists(before.instructions, after.instructions).filter(change => change.type !== 'same');
+
+    return {
+        fields,
+        ingredients,
+        instructions,
+        isEmpty: fields.length === 0 && ingredients.length === 0 && instructions.length === 0,
+    };
+};
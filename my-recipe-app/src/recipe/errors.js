@@ -0,0 +1,27 @@
+// Error type shared by the server and the browser. `code` is stable and is
+// what the UI switches on; `details` carries optional structured context
+// (e.g. per-field validation messages).
+export class RecipeError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'RecipeError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    NOT_FOUND: 'NOT_FOUND',
+    INVALID_ANSWERS: 'INVALID_ANSWERS',
+    RATE_LIMITED: 'RATE_LIMITED',
+    TRUNCATED: 'TRUNCATED',
+    BLOCKED: 'BLOCKED',
+    MALFORMED_RESPONSE: 'MALFORMED_RESPONSE',
+    INVALID_RECIPE: 'INVALID_RECIPE',
+    PROVIDER_ERROR: 'PROVIDER_ERROR',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    CANCELLED: 'CANCELLED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
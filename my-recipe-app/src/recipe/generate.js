@@ -0,0 +1,164 @@
+import { buildRecipeRequest, buildRepairRequest } from './prompt.js';
+import { validateRecipe, formatValidationErrors } from './validate.js';
+import { RecipeError, ERROR_CODES } from './errors.js';
+import { checkDiet, describeViolations } from '../safety/diets.js';
+import { calorieProblem } from '../nutrition/estimate.js';
+import { checkPreferences, describePreferenceProblems } from './preferences.js';
+
+// How many times we send a malformed answer back to the model before giving up
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Pulls the JSON object out of the model's raw text
+export const extractJson = (contentText) => {
+    // Robust cleanup: Find the first '{' and the last '}'
+    const startIndex = contentText.indexOf('{');
+    const endIndex = contentText.lastIndexOf('}');
+
+    if (startIndex === -1 || endIndex === -1) {
+        console.error("Full AI Response:", contentText);
+        throw new RecipeError(ERROR_CODES.MALFORMED_RESPONSE, `No JSON object found. AI Response: ${contentText.substring(0, 100)}...`);
+    }
+
+    try {
+        return JSON.parse(contentText.substring(startIndex, endIndex + 1));
+    } catch (err) {
+        throw new RecipeError(ERROR_CODES.MALFORMED_RESPONSE, `The AI returned invalid JSON: ${err.message}`);
+    }
+};
+
+// Parses and validates the model's raw text into a recipe
+export const parseRecipeText = (contentText) => {
+    const { value, errors } = validateRecipe(extractJson(contentText));
+    if (errors.length > 0) {
+        throw new RecipeError(
+            ERROR_CODES.INVALID_RECIPE,
+            `The generated recipe is incomplete: ${formatValidationErrors(errors).join('; ')}`,
+            { errors }
+        );
+    }
+    return value;
+};
+
+const checkFinishReason = (finishReason) => {
+    if (finishReason !== "STOP") {
+        console.warn("AI Finish Reason:", finishReason);
+        if (finishReason === "MAX_TOKENS") {
+            throw new RecipeError(ERROR_CODES.TRUNCATED, "Recipe generation was cut off (token limit reached). Please try again.");
+        }
+        if (finishReason === "SAFETY") {
+            throw new RecipeError(ERROR_CODES.BLOCKED, "Recipe generation was blocked for safety reasons.");
+        }
+    }
+};
+
+// The problems to feed back to the model, or null if the error isn't one a
+// second attempt could fix
+const repairableProblems = (err) => {
+    if (err.code === ERROR_CODES.INVALID_RECIPE) return formatValidationErrors(err.details.errors);
+    if (err.code === ERROR_CODES.MALFORMED_RESPONSE) return [err.message];
+    return null;
+};
+
+// A failed provider call, or CANCELLED when the caller aborted it
+const providerError = (err, signal) => (signal?.aborted
+    ? new RecipeError(ERROR_CODES.CANCELLED, "The request was cancelled.")
+    : new RecipeError(ERROR_CODES.PROVIDER_ERROR, err.message));
+
+// Problems with a valid recipe that are still worth a second attempt: the
+// diet rules, the calorie limit and the cooking preferences. Only reported
+// while attempts remain; after that the recipe is returned and the client
+// shows the violations.
+const constraintProblems = (recipe, answers) => {
+    const problems = [
+        ...describeViolations(checkDiet(recipe, answers.constraints)),
+        ...describePreferenceProblems(checkPreferences(recipe, answers)),
+    ];
+    const calories = calorieProblem(recipe, answers.maxCalories);
+    return calories ? [...problems, calories] : problems;
+};
+
+// Runs one recipe generation against a provider, re-asking the model up to
+// MAX_REPAIR_ATTEMPTS times when its answer doesn't validate or breaks the
+// selected dietary constraints or preferences. Aborting `signal` stops it
+// with CANCELLED. `promptVersion` picks the prompt template (the current
+// one by default).
+export const generateRecipe = async (provider, answers, { signal, promptVersion } = {}) => {
+    let request = buildRecipeRequest(answers, { promptVersion });
+
+    for (let attempt = 0; ; attempt++) {
+        let result;
+        try {
+            result = await provider.generate(request, { signal });
+        } catch (err) {
+            throw providerError(err, signal);
+        }
+
+        checkFinishReason(result.finishReason);
+        let problems;
+        try {
+            const recipe = parseRecipeText(result.text);
+            problems = constraintProblems(recipe, answers);
+            if (problems.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS) return recipe;
+        } catch (err) {
+            problems = repairableProblems(err);
+            if (!problems || attempt >= MAX_REPAIR_ATTEMPTS) throw err;
+        }
+        console.warn(`Recipe rejected (attempt ${attempt + 1}), asking for a fix:`, problems);
+        request = buildRepairRequest(answers, result.text, problems, { promptVersion });
+    }
+};
+
+// Streaming variant of generateRecipe. Yields
+//   { type: 'delta', text }              as the model writes,
+//   { type: 'retry', attempt, problems } when an answer failed validation or
+//                                        broke a dietary constraint and the
+//                                        model is asked again (the text so
+//                                        far should be discarded),
+//   { type: 'truncated', text }          if it stopped at the token limit, or
+//   { type: 'done', recipe }             once the full recipe has been validated.
+// Pass the text of a truncated run as `partialText` to have the model finish
+// it; deltas then only cover the new part, `text` always covers everything.
+// Pass `refinement` to revise an existing recipe (see buildRecipeRequest),
+// `signal` to be able to cancel, and `promptVersion` as for generateRecipe.
+export async function* streamRecipe(provider, answers, { partialText = '', refinement, signal, promptVersion } = {}) {
+    let request = buildRecipeRequest(answers, { partialText, refinement, promptVersion });
+    let text = partialText;
+
+    for (let attempt = 0; ; attempt++) {
+        let finishReason;
+        try {
+            for await (const event of provider.stream(request, { signal })) {
+                if (event.type === 'delta') {
+                    text += event.text;
+                    yield event;
+                } else if (event.type === 'finish') {
+                    finishReason = event.finishReason;
+                }
+            }
+        } catch (err) {
+            throw providerError(err, signal);
+        }
+
+        if (finishReason === "MAX_TOKENS") {
+            yield { type: 'truncated', text };
+            return;
+        }
+
+        checkFinishReason(finishReason);
+        let problems;
+        try {
+            const recipe = parseRecipeText(text);
+            problems = constraintProblems(recipe, answers);
+            if (problems.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS) {
+                yield { type: 'done', recipe };
+                return;
+            }
+        } catch (err) {
+            problems = repairableProblems(err);
+            if (!problems || attempt >= MAX_REPAIR_ATTEMPTS) throw err;
+        }
+        yield { type: 'retry', attempt: attempt + 1, problems };
+        request = buildRepairRequest(answers, text, problems, { refinement, promptVersion });
+        text = '';
+    }
+}
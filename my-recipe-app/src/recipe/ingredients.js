@@ -0,0 +1,180 @@
+// Structured ingredients: { name, amount, unit, preparation, optional }.
+// `amount` and `unit` are optional ("salt to taste", "4 eggs").
+
+// Canonical unit -> the spellings we accept for it
+const UNIT_ALIASES = {
+    tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 't'],
+    tbsp: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons', 'T'],
+    cup: ['cup', 'cups', 'c'],
+    'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+    pint: ['pint', 'pints', 'pt'],
+    quart: ['quart', 'quarts', 'qt'],
+    gallon: ['gallon', 'gallons', 'gal'],
+    ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters', 'mL'],
+    l: ['l', 'litre', 'litres', 'liter', 'liters', 'L'],
+    g: ['g', 'gram', 'grams', 'gm', 'gms'],
+    kg: ['kg', 'kilogram', 'kilograms', 'kgs'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    clove: ['clove', 'cloves'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    handful: ['handful', 'handfuls'],
+    slice: ['slice', 'slices'],
+    can: ['can', 'cans', 'tin', 'tins'],
+    head: ['head', 'heads'],
+    bunch: ['bunch', 'bunches'],
+    sprig: ['sprig', 'sprigs'],
+    piece: ['piece', 'pieces', 'pc', 'pcs'],
+    stick: ['stick', 'sticks'],
+};
+
+const UNIT_LOOKUP = new Map();
+for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+    for (const alias of aliases) {
+        // Single-letter aliases are case sensitive (T = tbsp, t = tsp)
+        UNIT_LOOKUP.set(alias.length === 1 ? alias : alias.toLowerCase(), unit);
+    }
+}
+
+// Units written as words, which take an "s" in the plural
+const WORD_UNITS = new Set(['cup', 'pint', 'quart', 'gallon', 'clove', 'pinch', 'dash', 'handful', 'slice', 'can', 'head', 'bunch', 'sprig', 'piece', 'stick']);
+const PLURAL_ES = new Set(['pinch', 'dash', 'bunch']);
+
+export const normalizeUnit = (unit) => {
+    if (!unit) return '';
+    const trimmed = unit.trim().replace(/\.$/, '');
+    return UNIT_LOOKUP.get(trimmed) || UNIT_LOOKUP.get(trimmed.toLowerCase()) || trimmed.toLowerCase();
+};
+
+const VULGAR_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+
+const parseNumber = (text) => {
+    text = text.trim();
+    // "1½" or "½"
+    const vulgar = /^(\d+)?\s*([¼½¾⅓⅔⅛⅜⅝⅞])$/.exec(text);
+    if (vulgar) return Number(vulgar[1] || 0) + VULGAR_FRACTIONS[vulgar[2]];
+    // "1 1/2"
+    const mixed = /^(\d+)\s+(\d+)\/(\d+)$/.exec(text);
+    if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+    // "1/2"
+    const fraction = /^(\d+)\/(\d+)$/.exec(text);
+    if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+    const number = Number(text);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+const QUANTITY = String.raw`(?:\d+\s+\d+\/\d+|\d+\/\d+|\d*\s*[¼½¾⅓⅔⅛⅜⅝⅞]|\d+(?:\.\d+)?)`;
+// quantity, optional range ("2-3"), then the rest of the line
+const LEADING_QUANTITY = new RegExp(String.raw`^(${QUANTITY})(?:\s*(?:-|–|to)\s*${QUANTITY})?\s*(.*)$`);
+const WORD_QUANTITIES = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, half: 0.5 };
+
+// Parses a free-form line such as "2 cups cooked rice, preferably a day old"
+// into a structured ingredient. Used for legacy answers that still send
+// ingredients as plain strings.
+export const parseIngredient = (text) => {
+    let rest = String(text).trim().replace(/^[-*•]\s*/, '');
+    const ingredient = { name: rest };
+
+    const optionalPattern = /\s*\(?\boptional\b\)?\s*/i;
+    if (optionalPattern.test(rest)) {
+        ingredient.optional = true;
+        rest = rest.replace(optionalPattern, ' ').trim().replace(/,\s*$/, '');
+    }
+
+    const numeric = LEADING_QUANTITY.exec(rest);
+    const word = /^(a|an|one|two|three|four|five|six|half)\s+(.*)$/i.exec(rest);
+    if (numeric) {
+        ingredient.amount = parseNumber(numeric[1]);
+        rest = numeric[2];
+    } else if (word) {
+        ingredient.amount = WORD_QUANTITIES[word[1].toLowerCase()];
+        rest = word[2];
+    }
+
+    if (ingredient.amount !== undefined) {
+        // Longest alias first so "fl oz" wins over "oz"
+        const unitMatch = /^(fl\.?\s*oz|[a-zA-Z]+\.?)\s+(?:of\s+)?(.*)$/.exec(rest);
+        const unit = unitMatch && normalizeUnit(unitMatch[1]);
+        if (unit && UNIT_ALIASES[unit]) {
+            ingredient.unit = unit;
+            rest = unitMatch[2];
+        }
+    }
+
+    // "garlic, minced" / "salt to taste"
+    const comma = rest.indexOf(',');
+    const toTaste = /\s+(to taste|as needed|for garnish)$/i.exec(rest);
+    if (comma !== -1) {
+        ingredient.preparation = rest.slice(comma + 1).trim();
+        rest = rest.slice(0, comma);
+    } else if (toTaste) {
+        ingredient.preparation = toTaste[1];
+        rest = rest.slice(0, toTaste.index);
+    }
+
+    ingredient.name = rest.trim() || ingredient.name;
+    return ingredient;
+};
+
+// Accepts either shape and always returns a structured ingredient
+export const normalizeIngredient = (item) => {
+    if (typeof item === 'string') return parseIngredient(item);
+    if (!item || typeof item !== 'object') return { name: '' };
+    return { ...item, unit: normalizeUnit(item.unit) || undefined };
+};
+
+export const scaleIngredient = (ingredient, factor) => (
+    typeof ingredient.amount === 'number'
+        ? { ...ingredient, amount: ingredient.amount * factor }
+        : ingredient
+);
+
+const FRACTION_GLYPHS = [
+    [0, ''], [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+    [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞'], [1, ''],
+];
+
+// Metric and large amounts read best as plain numbers, spoon and cup measures
+// as kitchen fractions.
+const DECIMAL_UNITS = new Set(['g', 'kg', 'ml', 'l', 'oz', 'lb', 'fl oz']);
+
+export const formatAmount = (amount, unit) => {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return '';
+
+    if (DECIMAL_UNITS.has(unit)) {
+        if (amount >= 100) return String(Math.round(amount / 5) * 5);
+        if (amount >= 10) return String(Math.round(amount));
+        return String(Math.round(amount * 10) / 10);
+    }
+    if (amount >= 10) return String(Math.round(amount));
+
+    let whole = Math.floor(amount);
+    let [value, glyph] = FRACTION_GLYPHS.reduce((best, candidate) => (
+        Math.abs(amount - whole - candidate[0]) < Math.abs(amount - whole - best[0]) ? candidate : best
+    ));
+    if (value === 1) whole += 1;
+    if (whole === 0 && !glyph) return FRACTION_GLYPHS[1][1]; // never round a real amount down to nothing
+    return `${whole || ''}${glyph}`;
+};
+
+export const formatUnit = (unit, amount) => {
+    if (!unit) return '';
+    if (WORD_UNITS.has(unit) && amount > 1) return `${unit}${PLURAL_ES.has(unit) ? 'es' : 's'}`;
+    return unit;
+};
+
+// The name to look an ingredient up by in the app's English tables (foods,
+// densities, aisles). A recipe written in another language gives each
+// ingredient's English name alongside its own.
+export const lookupName = (ingredient) => ingredient.englishName || ingredient.name;
+
+// "1½ cups rice, cooked (optional)"
+export const formatIngredient = (ingredient) => {
+    const amount = formatAmount(ingredient.amount, ingredient.unit);
+    const unit = amount ? formatUnit(ingredient.unit, ingredient.amount) : '';
+    let text = [amount, unit, ingredient.name].filter(Boolean).join(' ');
+    if (ingredient.preparation) text += `, ${ingredient.preparation}`;
+    if (ingredient.optional) text += ' (optional)';
+    return text;
+};
@@ -0,0 +1,118 @@
+// Best-effort parser for a JSON document that is still arriving. Whatever has
+// been fully or partly received is returned: open strings are kept as they
+// are so far, open arrays and objects are closed, and a trailing key or
+// number that may still grow is dropped. Text before the first '{' (e.g. a
+// ```json fence) is ignored.
+export const parsePartialJson = (text) => {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    let i = start;
+
+    const skipWhitespace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    // Each parse* returns { value, complete } or undefined when nothing usable
+    // was read before the input ran out.
+    const parseString = () => {
+        let value = '';
+        i++; // opening quote
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '"') {
+                i++;
+                return { value, complete: true };
+            }
+            if (char === '\\') {
+                const next = text[i + 1];
+                if (next === undefined) break;
+                if (next === 'u') {
+                    const hex = text.slice(i + 2, i + 6);
+                    if (hex.length < 4) break;
+                    value += String.fromCharCode(parseInt(hex, 16));
+                    i += 6;
+                } else {
+                    value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+                    i += 2;
+                }
+                continue;
+            }
+            value += char;
+            i++;
+        }
+        return { value, complete: false };
+    };
+
+    const parseLiteral = () => {
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i));
+        if (!match) return undefined;
+        i += match[0].length;
+        // A number touching the end of the input may still be growing
+        if (i >= text.length) return undefined;
+        return { value: JSON.parse(match[0]), complete: true };
+    };
+
+    const parseArray = () => {
+        const value = [];
+        i++; // [
+        while (true) {
+            skipWhitespace();
+            if (i >= text.length) return { value, complete: false };
+            if (text[i] === ']') {
+                i++;
+                return { value, complete: true };
+            }
+            if (text[i] === ',') {
+                i++;
+                continue;
+            }
+            const item = parseValue();
+            if (item === undefined) return { value, complete: false };
+            value.push(item.value);
+            if (!item.complete) return { value, complete: false };
+        }
+    };
+
+    const parseObject = () => {
+        const value = {};
+        i++; // {
+        while (true) {
+            skipWhitespace();
+            if (i >= text.length) return { value, complete: false };
+            if (text[i] === '}') {
+                i++;
+                return { value, complete: true };
+            }
+            if (text[i] === ',') {
+                i++;
+                continue;
+            }
+            if (text[i] !== '"') return { value, complete: false };
+
+            const key = parseString();
+            if (!key.complete) return { value, complete: false };
+            skipWhitespace();
+            if (text[i] !== ':') return { value, complete: false };
+            i++;
+
+            const item = parseValue();
+            if (item === undefined) return { value, complete: false };
+            value[key.value] = item.value;
+            if (!item.complete) return { value, complete: false };
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        switch (text[i]) {
+            case undefined: return undefined;
+            case '{': return parseObject();
+            case '[': return parseArray();
+            case '"': return parseString();
+            default: return parseLiteral();
+        }
+    };
+
+    return parseValue()?.value ?? null;
+};
@@ -0,0 +1,80 @@
+import { extractJson } from './generate.js';
+import { validateAgainstSchema, formatValidationErrors } from './validate.js';
+import { RecipeError, ERROR_CODES } from './errors.js';
+
+// Image types every provider we support can read
+export const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Largest photo accepted, decoded; the browser shrinks bigger ones first
+export const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+// More than this and the model is listing the shelf labels
+export const MAX_DETECTED_INGREDIENTS = 25;
+
+const MAX_NAME_LENGTH = 60;
+
+export const detectionSchema = {
+    type: "OBJECT",
+    properties: {
+        ingredients: { type: "ARRAY", items: { type: "STRING" } }
+    },
+    required: ["ingredients"]
+};
+
+const SYSTEM_PROMPT = `You identify food ingredients in photos of fridges, cupboards and kitchen counters.
+Output only a valid JSON object with the following schema:
+${JSON.stringify(detectionSchema)}`;
+
+const DETECTION_PROMPT = `List the food ingredients you can see in this photo that could be cooked with.
+Use short, plain, singular-or-plural names as a shopper would write them ("eggs", "red pepper", "cheddar"), without brands, amounts or packaging.
+Leave out anything you can't identify with reasonable confidence, and anything that isn't food.
+If there is no food in the photo, return an empty list.`;
+
+// The provider request for one photo: { mimeType, data } with data in base64
+export const buildDetectionRequest = (image) => ({
+    system: SYSTEM_PROMPT,
+    messages: [{ role: 'user', text: DETECTION_PROMPT, images: [image] }],
+    temperature: 0.2,
+    maxOutputTokens: 1024
+});
+
+// A blank name says nothing; drop it rather than fail the whole list on it
+const dropBlankNames = (value) => (Array.isArray(value?.ingredients)
+    ? { ...value, ingredients: value.ingredients.filter(name => typeof name !== 'string' || name.trim()) }
+    : value);
+
+// Trimmed, lowercased names with duplicates and anything implausible dropped
+const cleanNames = (names) => {
+    const seen = new Set();
+    const cleaned = [];
+    for (const name of names) {
+        const text = name.replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!text || text.length > MAX_NAME_LENGTH || seen.has(text)) continue;
+        seen.add(text);
+        cleaned.push(text);
+    }
+    return cleaned.slice(0, MAX_DETECTED_INGREDIENTS);
+};
+
+// Asks a model that can see for the ingredients in a photo. Resolves to a
+// list of ingredient names, possibly empty. Aborting `signal` stops it with
+// CANCELLED.
+export const detectIngredients = async (provider, image, { signal } = {}) => {
+    let result;
+    try {
+        result = await provider.generate(buildDetectionRequest(image), { signal });
+    } catch (err) {
+        if (signal?.aborted) throw new RecipeError(ERROR_CODES.CANCELLED, "The request was cancelled.");
+        throw new RecipeError(ERROR_CODES.PROVIDER_ERROR, err.message);
+    }
+
+    if (result.finishReason === 'SAFETY') {
+        throw new RecipeError(ERROR_CODES.BLOCKED, "The photo couldn't be read for safety reasons.");
+    }
+    const { value, errors } = validateAgainstSchema(dropBlankNames(extractJson(result.text)), detectionSchema);
+    if (errors.length > 0) {
+        throw new RecipeError(
+            ERROR_CODES.MALFORMED_RESPONSE,
+            `The ingredient list from the photo is incomplete: ${formatValidationErrors(errors).join('; ')}`
+        );
+    }
+    return cleanNames(value.ingredients);
+};
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { detectIngredients } from './photo.js';
+import { createMockProvider } from '../providers/mock.js';
+import { ERROR_CODES } from './errors.js';
+
+const mock = createMockProvider({ latencyMs: 0 });
+
+// The fixture photos label their contents; the mock provider reads it back
+const fixturePhoto = (name) => ({
+    mimeType: 'image/png',
+    data: readFileSync(new URL(`../../server/fixtures/photos/${name}.png`, import.meta.url)).toString('base64'),
+});
+
+// A provider that answers every request with `text`
+const answering = (text) => ({ generate: async () => ({ text, finishReason: 'STOP' }) });
+
+test('detectIngredients lists what a fixture photo shows', async () => {
+    assert.deepEqual(
+        await detectIngredients(mock, fixturePhoto('fridge-vegetables')),
+        ['tomatoes', 'spinach', 'eggs', 'cheddar', 'mushrooms']
+    );
+    assert.deepEqual(
+        await detectIngredients(mock, fixturePhoto('pantry-shelf')),
+        ['rice', 'chickpeas', 'canned tomatoes', 'pasta', 'onions']
+    );
+});
+
+test('detectIngredients returns an empty list for a photo with no food', async () => {
+    assert.deepEqual(await detectIngredients(mock, fixturePhoto('no-food')), []);
+});
+
+test('detectIngredients drops blank names instead of failing', async () => {
+    const provider = answering('{"ingredients": ["Eggs", "", "  ", "red  pepper", "eggs"]}');
+    assert.deepEqual(await detectIngredients(provider, fixturePhoto('no-food')), ['eggs', 'red pepper']);
+});
+
+test('detectIngredients still rejects an answer without a list', async () => {
+    await assert.rejects(
+        detectIngredients(answering('{"items": ["eggs"]}'), fixturePhoto('no-food')),
+        { code: ERROR_CODES.MALFORMED_RESPONSE }
+    );
+});
@@ -0,0 +1,48 @@
+import { generateRecipe } from './generate.js';
+import { normalizeIngredient } from './ingredients.js';
+
+export const DEFAULT_PLAN_DAYS = 7;
+// Every day is a model call, so a plan has to fit in one rate-limit window
+// (RATE_LIMIT_MAX, 10 by default; the server checks its own setting)
+export const MAX_PLAN_DAYS = 10;
+
+// How many shared ingredients to suggest reusing; more just crowds the prompt
+const MAX_REUSED = 12;
+
+// Bought once and used everywhere; not worth steering later days towards
+const STAPLES = new Set(['salt', 'pepper', 'black pepper', 'salt and black pepper', 'salt and pepper', 'water', 'oil', 'vegetable oil', 'olive oil']);
+
+// The ingredients bought for the days planned so far, most used first
+const boughtIngredients = (recipes) => {
+    const counts = new Map();
+    for (const recipe of recipes) {
+        for (const { name } of recipe.ingredients.map(normalizeIngredient)) {
+            const key = name.toLowerCase();
+            if (key && !STAPLES.has(key)) counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_REUSED)
+        .map(([name]) => name);
+};
+
+// Plans `days` dinners under the same answers, one model call per day. Each
+// day is told which dishes are already planned (to avoid repeats) and what's
+// already on the shopping list (to reuse it). Yields
+//   { type: 'day', index, recipe }  as each day is ready, then
+//   { type: 'done', recipes }
+// Aborting `signal` stops the plan at the day being written.
+export async function* streamMealPlan(provider, answers, { days = DEFAULT_PLAN_DAYS, signal } = {}) {
+    const recipes = [];
+    for (let index = 0; index < days; index++) {
+        const recipe = await generateRecipe(provider, {
+            ...answers,
+            avoidDishes: recipes.map(planned => planned.recipeName),
+            reuseIngredients: boughtIngredients(recipes),
+        }, { signal });
+        recipes.push(recipe);
+        yield { type: 'day', index, recipe };
+    }
+    yield { type: 'done', recipes };
+}
@@ -0,0 +1,214 @@
+import { findHits } from '../safety/matching.js';
+
+// Cooking preferences the form asks for besides diet and allergies: cuisine,
+// time, skill, equipment and servings. All optional; an empty cuisine or
+// skill level and a null limit mean "any".
+
+export const CUISINES = [
+    { id: 'north-indian', label: 'North Indian' },
+    { id: 'south-indian', label: 'South Indian' },
+    { id: 'indo-chinese', label: 'Indo-Chinese' },
+    { id: 'chinese', label: 'Chinese' },
+    { id: 'thai', label: 'Thai' },
+    { id: 'japanese', label: 'Japanese' },
+    { id: 'italian', label: 'Italian' },
+    { id: 'mediterranean', label: 'Mediterranean' },
+    { id: 'middle-eastern', label: 'Middle Eastern' },
+    { id: 'mexican', label: 'Mexican' },
+    { id: 'american', label: 'American' },
+    { id: 'continental', label: 'Continental' },
+];
+
+export const CUISINE_IDS = CUISINES.map(cuisine => cuisine.id);
+
+export const MIN_TOTAL_MINUTES = 5;
+export const MAX_TOTAL_MINUTES = 480;
+// What the form's time picker offers; the server accepts any whole number
+// in range
+export const TOTAL_MINUTE_CHOICES = [15, 20, 30, 45, 60, 90, 120];
+
+export const MAX_SERVINGS = 20;
+
+// A beginner recipe with more steps than this is sent back
+const MAX_BEGINNER_STEPS = 10;
+
+export const SKILL_LEVELS = [
+    {
+        id: 'beginner',
+        label: 'Beginner',
+        prompt: `A beginner cook: everyday techniques only, at most ${MAX_BEGINNER_STEPS} short steps, and say what to look for at each stage`,
+        // Techniques a beginner shouldn't be asked to pull off
+        terms: ['flambé', 'flambe', 'julienne', 'brunoise', 'chiffonade', 'sous vide', 'deglaze', 'emulsify', 'confit', 'blind bake', 'temper the chocolate', 'caramelise the sugar', 'caramelize the sugar'],
+        maxSteps: MAX_BEGINNER_STEPS,
+    },
+    {
+        id: 'intermediate',
+        label: 'Intermediate',
+        prompt: 'A confident home cook: standard techniques are fine, but nothing that needs restaurant skills',
+    },
+    {
+        id: 'advanced',
+        label: 'Advanced',
+        prompt: 'An experienced cook: ambitious techniques and longer methods are welcome',
+    },
+];
+
+export const SKILL_LEVEL_IDS = SKILL_LEVELS.map(level => level.id);
+
+// Kitchen limits. `prompt` is how each is put to the model; `terms` are what
+// the steps mustn't mention and `except` the phrases that only look like them.
+export const EQUIPMENT = [
+    {
+        id: 'no-oven',
+        label: 'No oven',
+        icon: '🚫',
+        prompt: 'There is no oven: cook on the stovetop or without heat; no baking, roasting or grilling in an oven',
+        terms: ['oven', 'bake', 'roast', 'broil'],
+        except: ['dutch oven', 'microwave oven', 'dry roast', 'dry-roast', 'pan roast', 'pan-roast'],
+    },
+    {
+        id: 'air-fryer-only',
+        label: 'Air fryer only',
+        icon: '💨',
+        prompt: 'The only cooking appliance is an air fryer: every cooked element goes in the air fryer; no stovetop, oven or microwave',
+        terms: ['oven', 'bake', 'stove', 'stovetop', 'hob', 'burner', 'pan', 'pot', 'saucepan', 'skillet', 'wok', 'kadai', 'tawa', 'simmer', 'boil', 'deep fry', 'deep-fry', 'pan fry', 'pan-fry', 'stir fry', 'stir-fry', 'microwave'],
+        except: ['air fryer basket', 'air fryer pan', 'air-fryer pan', 'air fryer tray', 'air fryer oven'],
+    },
+    {
+        id: 'one-pot',
+        label: 'One pot',
+        icon: '🍲',
+        prompt: 'Everything cooks in a single pot or pan: no second pan, and no separate pot for rice, pasta or a sauce',
+        terms: ['another pan', 'another pot', 'another saucepan', 'another skillet', 'separate pan', 'separate pot', 'separate saucepan', 'separate skillet', 'second pan', 'second pot', 'clean pan', 'small pan', 'small saucepan'],
+        except: [],
+    },
+    {
+        id: 'no-blender',
+        label: 'No blender',
+        icon: '✋',
+        prompt: 'There is no blender, mixer or food processor: chop, mash or grind by hand',
+        terms: ['blender', 'blend', 'food processor', 'processor', 'mixer grinder', 'mixer', 'grinder', 'puree in'],
+        except: ['spice blend', 'masala blend'],
+    },
+];
+
+export const EQUIPMENT_IDS = EQUIPMENT.map(item => item.id);
+
+const byId = (list, id) => list.find(item => item.id === id);
+
+// Adds or removes a kitchen limit
+export const toggleEquipment = (selected, id) => (
+    selected.includes(id) ? selected.filter(other => other !== id) : [...selected, id]
+);
+
+// Prompt criteria lines for the preferences that are set
+export const describePreferences = (answers) => {
+    const lines = [];
+    const cuisine = byId(CUISINES, answers.cuisine);
+    if (cuisine) lines.push(`- Cuisine: ${cuisine.label}`);
+    if (answers.maxTotalMinutes) {
+        lines.push(`- Total Time: ready in at most ${answers.maxTotalMinutes} minutes, prep and cooking included; prepTimeMinutes must be the honest total`);
+    }
+    const skill = byId(SKILL_LEVELS, answers.skillLevel);
+    if (skill) lines.push(`- Skill Level: ${skill.prompt}`);
+    const equipment = (answers.equipment ?? []).map(id => byId(EQUIPMENT, id)).filter(Boolean);
+    if (equipment.length) lines.push(`- Equipment: ${equipment.map(item => item.prompt).join('. ')}`);
+    if (answers.servings) lines.push(`- Servings: exactly ${answers.servings}, with amounts to match`);
+    return lines;
+};
+
+// Only the steps say how a dish is cooked; "baking powder" in the
+// ingredients is no reason to think it needs an oven
+const stepHits = (recipe, terms, except) => findHits({ instructions: recipe.instructions }, terms, except);
+
+const timerMinutes = (recipe) => (recipe.stepTimers || []).reduce((total, timer) => total + timer.minutes, 0);
+
+// Checks a recipe against the preferences it was asked for. Returns one
+// problem per preference it misses:
+//   [{ id, reason, values, label, message, fix?, hits: [{ section, index, line, term }] }]
+// `message` is for the cook and `fix`, when set, is what the model is told
+// instead; hits, when there are any, point at the steps. `reason` and
+// `values` let the UI say the same in the user's language: values holds
+// the numbers, and skill and equipment ids, the English wording is built from.
+export const checkPreferences = (recipe, answers) => {
+    const problems = [];
+
+    const { maxTotalMinutes } = answers;
+    if (maxTotalMinutes) {
+        const timed = timerMinutes(recipe);
+        if (recipe.prepTimeMinutes > maxTotalMinutes) {
+            problems.push({
+                id: 'time',
+                reason: 'tooLong',
+                values: { minutes: recipe.prepTimeMinutes, limit: maxTotalMinutes },
+                label: `Ready in ${maxTotalMinutes} minutes`,
+                message: `Takes about ${recipe.prepTimeMinutes} minutes in total, over your ${maxTotalMinutes}-minute limit.`,
+                fix: `It takes ${recipe.prepTimeMinutes} minutes in total; shorten the method to fit within ${maxTotalMinutes} minutes and set prepTimeMinutes to the real total.`,
+                hits: [],
+            });
+        } else if (timed > maxTotalMinutes) {
+            problems.push({
+                id: 'time',
+                reason: 'timersTooLong',
+                values: { minutes: Math.round(timed), limit: maxTotalMinutes },
+                label: `Ready in ${maxTotalMinutes} minutes`,
+                message: `Its step timers alone add up to ${Math.round(timed)} minutes, over your ${maxTotalMinutes}-minute limit.`,
+                fix: `Its step timers add up to ${Math.round(timed)} minutes; shorten the waits to fit within ${maxTotalMinutes} minutes and set prepTimeMinutes to the real total.`,
+                hits: [],
+            });
+        }
+    }
+
+    if (answers.servings && recipe.servings !== answers.servings) {
+        problems.push({
+            id: 'servings',
+            reason: 'wrongServings',
+            values: { servings: recipe.servings, wanted: answers.servings },
+            label: `${answers.servings} servings`,
+            message: `Serves ${recipe.servings} rather than ${answers.servings}; the servings control can scale it.`,
+            fix: `It serves ${recipe.servings}; rewrite it to serve exactly ${answers.servings}, scaling every amount to match.`,
+            hits: [],
+        });
+    }
+
+    const skill = byId(SKILL_LEVELS, answers.skillLevel);
+    if (skill?.terms) {
+        const hits = stepHits(recipe, skill.terms, []);
+        const isLong = recipe.instructions.length > skill.maxSteps;
+        if (hits.length > 0 || isLong) {
+            problems.push({
+                id: 'skill',
+                reason: isLong ? 'tooManySteps' : 'tooHard',
+                values: { steps: recipe.instructions.length, max: skill.maxSteps, level: skill.id },
+                label: skill.label,
+                message: isLong
+                    ? `Has ${recipe.instructions.length} steps; a ${skill.label.toLowerCase()} recipe should have at most ${skill.maxSteps}.`
+                    : `Uses techniques beyond a ${skill.label.toLowerCase()} cook.`,
+                hits,
+            });
+        }
+    }
+
+    for (const item of (answers.equipment ?? []).map(id => byId(EQUIPMENT, id)).filter(Boolean)) {
+        const hits = stepHits(recipe, item.terms, item.except);
+        if (hits.length > 0) {
+            problems.push({
+                id: item.id,
+                reason: 'equipment',
+                values: { equipment: item.id },
+                label: item.label,
+                message: `Needs equipment you said you don't have (${item.label.toLowerCase()}).`,
+                hits,
+            });
+        }
+    }
+
+    return problems;
+};
+
+// Plain-language problems for the model to fix
+export const describePreferenceProblems = (problems) => problems.flatMap(({ label, message, fix, hits }) => (
+    hits.length > 0
+        ? hits.map(hit => `"${hit.line}" mentions ${hit.term}, which breaks the "${label}" requirement`)
+        : [fix ?? message]
+));
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkPreferences, describePreferences, describePreferenceProblems, toggleEquipment } from './preferences.js';
+
+const recipe = (instructions, extra = {}) => ({
+    recipeName: 'Test',
+    servings: 2,
+    prepTimeMinutes: 30,
+    ingredients: [{ name: 'baking powder', amount: 1, unit: 'tsp' }],
+    instructions,
+    ...extra,
+});
+
+const reasons = (problems) => problems.map(problem => [problem.id, problem.reason]);
+
+test('checkPreferences passes a recipe that keeps to every preference', () => {
+    const answers = { maxTotalMinutes: 30, servings: 2, skillLevel: 'beginner', equipment: ['no-oven', 'no-blender'] };
+    assert.deepEqual(checkPreferences(recipe(['Dry roast the spices.', 'Stir in the spice blend.']), answers), []);
+});
+
+test('checkPreferences catches a total time or step timers over the limit', () => {
+    const slow = checkPreferences(recipe(['Simmer.'], { prepTimeMinutes: 50 }), { maxTotalMinutes: 30 });
+    assert.deepEqual(reasons(slow), [['time', 'tooLong']]);
+    assert.deepEqual(slow[0].values, { minutes: 50, limit: 30 });
+
+    const waits = checkPreferences(
+        recipe(['Marinate.', 'Simmer.'], { stepTimers: [{ step: 1, minutes: 20 }, { step: 2, minutes: 15.4 }] }),
+        { maxTotalMinutes: 30 }
+    );
+    assert.deepEqual(reasons(waits), [['time', 'timersTooLong']]);
+    assert.deepEqual(waits[0].values, { minutes: 35, limit: 30 });
+});
+
+test('checkPreferences catches the wrong number of servings', () => {
+    const [problem] = checkPreferences(recipe(['Serve.']), { servings: 4 });
+    assert.deepEqual([problem.id, problem.values], ['servings', { servings: 2, wanted: 4 }]);
+    assert.match(problem.fix, /serve exactly 4/);
+});
+
+test('checkPreferences holds a beginner recipe to everyday techniques and few steps', () => {
+    const [hard] = checkPreferences(recipe(['Julienne the carrots.', 'Deglaze the pan.']), { skillLevel: 'beginner' });
+    assert.equal(hard.reason, 'tooHard');
+    assert.deepEqual(hard.hits.map(hit => hit.term), ['julienne', 'deglaze']);
+
+    const [long] = checkPreferences(recipe(Array.from({ length: 11 }, (_, index) => `Step ${index + 1}.`)), { skillLevel: 'beginner' });
+    assert.deepEqual([long.reason, long.values], ['tooManySteps', { steps: 11, max: 10, level: 'beginner' }]);
+
+    assert.deepEqual(checkPreferences(recipe(['Julienne the carrots.']), { skillLevel: 'advanced' }), []);
+});
+
+test('checkPreferences reads equipment from the steps only, skipping look-alikes', () => {
+    const problems = checkPreferences(
+        recipe(['Bake for 20 minutes.', 'Brown the onions in a Dutch oven.', 'Blend until smooth.']),
+        { equipment: ['no-oven', 'no-blender', 'one-pot'] }
+    );
+    assert.deepEqual(reasons(problems), [['no-oven', 'equipment'], ['no-blender', 'equipment']]);
+    assert.deepEqual(problems[0].hits.map(hit => [hit.index, hit.term]), [[0, 'bake']]);
+
+    const airFryer = checkPreferences(recipe(['Line the air fryer basket.', 'Boil the potatoes in a pot.']), { equipment: ['air-fryer-only'] });
+    assert.deepEqual(airFryer[0].hits.map(hit => hit.term), ['pot']);
+});
+
+test('describePreferenceProblems points the model at the offending steps, or gives the fix', () => {
+    const problems = checkPreferences(recipe(['Bake for 20 minutes.'], { servings: 3 }), { servings: 2, equipment: ['no-oven'] });
+    assert.deepEqual(describePreferenceProblems(problems), [
+        'It serves 3; rewrite it to serve exactly 2, scaling every amount to match.',
+        '"Bake for 20 minutes." mentions bake, which breaks the "No oven" requirement',
+    ]);
+});
+
+test('describePreferences writes a prompt line for each preference that is set', () => {
+    assert.deepEqual(describePreferences({}), []);
+    const lines = describePreferences({ cuisine: 'thai', skillLevel: 'advanced', equipment: ['no-oven', 'unknown'], servings: 4 });
+    assert.deepEqual(lines.map(line => line.split(':')[0]), ['- Cuisine', '- Skill Level', '- Equipment', '- Servings']);
+    assert.equal(lines[0], '- Cuisine: Thai');
+});
+
+test('toggleEquipment adds and removes a limit', () => {
+    assert.deepEqual(toggleEquipment(['no-oven'], 'one-pot'), ['no-oven', 'one-pot']);
+    assert.deepEqual(toggleEquipment(['no-oven', 'one-pot'], 'no-oven'), ['one-pot']);
+});
@@ -0,0 +1,82 @@
+import { describeAllergies } from '../safety/allergens.js';
+import { describeConstraints } from '../safety/diets.js';
+import { describePreferences } from './preferences.js';
+import { getPromptTemplate, renderTemplate } from './templates/index.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+
+// The schema of the current template, which every answer is validated
+// against. Earlier versions' schemas only ever lack properties, which
+// validation leaves out anyway.
+export const recipeSchema = getPromptTemplate().schema;
+
+// How many earlier versions a refinement request carries; older ones are
+// dropped to keep the prompt (and the request body) small.
+export const MAX_REFINEMENT_TURNS = 6;
+
+// The variables a prompt template can use, bound from the answers. Empty
+// ones drop their line from the prompt (see renderTemplate).
+export const answerVariables = (answers) => ({
+    ingredients: answers.ingredients,
+    constraints: describeConstraints(answers.constraints),
+    allergies: describeAllergies(answers.allergies),
+    preferences: describePreferences(answers).join('\n'),
+    maxCalories: answers.maxCalories,
+    useFirst: answers.useFirst,
+    variationStyle: answers.variationStyle,
+    avoidDishes: answers.avoidDishes,
+    reuseIngredients: answers.reuseIngredients,
+    excludeIngredients: answers.excludeIngredients,
+    specialRequest: answers.specialRequest,
+    // Templates that ask for a language say nothing for English
+    language: answers.language && answers.language !== DEFAULT_LOCALE ? getLocale(answers.language).englishName : '',
+});
+
+// Turns the form answers into a provider request. `partialText` is the part
+// of an earlier answer that was cut off, which the model is asked to finish.
+// `refinement` ({ history, message }) continues a conversation about a
+// recipe: `history` lists the versions so far as { request, recipe }, oldest
+// first, and `message` is the tweak the user is asking for now.
+// `promptVersion` picks the template (see templates/index.js); the current
+// one by default.
+export const buildRecipeRequest = (answers, { partialText, refinement, promptVersion } = {}) => {
+    const template = getPromptTemplate(promptVersion);
+    const refineInstruction = (message) => renderTemplate(template.refine, { message });
+
+    const messages = [{ role: 'user', text: renderTemplate(template.user, answerVariables(answers)) }];
+    if (refinement) {
+        refinement.history.forEach((turn, index) => {
+            if (index > 0) messages.push({ role: 'user', text: refineInstruction(turn.request) });
+            messages.push({ role: 'assistant', text: JSON.stringify(turn.recipe) });
+        });
+        messages.push({ role: 'user', text: refineInstruction(refinement.message) });
+    }
+    if (partialText) {
+        messages.push(
+            { role: 'assistant', text: partialText },
+            { role: 'user', text: renderTemplate(template.continue, {}) }
+        );
+    }
+
+    return {
+        system: renderTemplate(template.system, { schema: JSON.stringify(template.schema) }),
+        messages,
+        temperature: template.temperature,
+        maxOutputTokens: template.maxOutputTokens
+    };
+};
+
+// Follow-up request when the model's answer failed validation: show it its
+// own answer and the problems, and ask for a corrected object.
+export const buildRepairRequest = (answers, previousText, problems, { refinement, promptVersion } = {}) => {
+    const request = buildRecipeRequest(answers, { refinement, promptVersion });
+    request.messages.push(
+        { role: 'assistant', text: previousText },
+        {
+            role: 'user',
+            text: renderTemplate(getPromptTemplate(promptVersion).repair, {
+                problems: problems.map(problem => `- ${problem}`).join('\n'),
+            })
+        }
+    );
+    return request;
+};
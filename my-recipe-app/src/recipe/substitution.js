@@ -0,0 +1,107 @@
+import { recipeSchema } from './prompt.js';
+import { extractJson } from './generate.js';
+import { validateAgainstSchema, formatValidationErrors } from './validate.js';
+import { RecipeError, ERROR_CODES } from './errors.js';
+import { normalizeIngredient, formatIngredient } from './ingredients.js';
+import { describeConstraints } from '../safety/diets.js';
+import { describeAllergies } from '../safety/allergens.js';
+import { isAllowed } from '../substitution/engine.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+
+export const MAX_MODEL_SUBSTITUTES = 3;
+
+export const substitutesSchema = {
+    type: "OBJECT",
+    properties: {
+        substitutes: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    name: { type: "STRING", description: "What the steps should call it, e.g. 'flax egg'." },
+                    ingredients: {
+                        type: "ARRAY",
+                        items: recipeSchema.properties.ingredients.items,
+                        minItems: 1,
+                        description: "The lines that replace the original, with amounts for the whole recipe."
+                    },
+                    prep: { type: "STRING", description: "One extra step to prepare it, if it needs one." },
+                    note: { type: "STRING", description: "A short note on when it works and what changes." }
+                },
+                required: ["name", "ingredients"]
+            }
+        }
+    },
+    required: ["substitutes"]
+};
+
+const SYSTEM_PROMPT = `You are an expert chef who knows which ingredients can stand in for others.
+Output only a valid JSON object with the following schema:
+${JSON.stringify(substitutesSchema)}`;
+
+// Substitutes for a recipe written in another language come back in it, with
+// each ingredient's English name alongside as in the recipe
+const languageLine = ({ language }) => (
+    language && language !== DEFAULT_LOCALE
+        ? `\nWrite the names, ingredient lines, prep and note in ${getLocale(language).englishName}, giving each ingredient's name in English as englishName.`
+        : ''
+);
+
+// The provider request for substitutes for ingredient `index` of `recipe`,
+// keeping to the answers it was made for
+export const buildSubstitutionRequest = (recipe, index, answers) => {
+    const original = formatIngredient(normalizeIngredient(recipe.ingredients[index]));
+    const criteria = [
+        `- Dietary Constraints: ${describeConstraints(answers.constraints)}.`,
+        `- Allergies to Avoid: ${describeAllergies(answers.allergies) || 'None.'}`,
+    ];
+    if (answers.excludeIngredients?.length) {
+        criteria.push(`- Must NOT contain: ${answers.excludeIngredients.join(', ')}`);
+    }
+
+    return {
+        system: SYSTEM_PROMPT,
+        messages: [{
+            role: 'user',
+            text: `Suggest substitutes for "${original}" in this recipe, for a cook who doesn't have it.
+Recipe: ${recipe.recipeName}
+Ingredients:
+${recipe.ingredients.map(item => `- ${formatIngredient(normalizeIngredient(item))}`).join('\n')}
+Instructions:
+${recipe.instructions.map((step, stepIndex) => `${stepIndex + 1}. ${step}`).join('\n')}
+Every substitute must keep to these criteria:
+${criteria.join('\n')}
+Give up to ${MAX_MODEL_SUBSTITUTES} substitutes, best first, using everyday ingredients and amounts that suit the recipe as written.${languageLine(answers)}`
+        }],
+        temperature: 0.4,
+        maxOutputTokens: 1024
+    };
+};
+
+// Asks the model for substitutes when the local table has none. Resolves to
+// substitutes in the engine's shape (see src/substitution/engine.js), with
+// any that break the constraints or allergies dropped; possibly none.
+export const suggestSubstitutes = async (provider, { recipe, index, answers }, { signal } = {}) => {
+    let result;
+    try {
+        result = await provider.generate(buildSubstitutionRequest(recipe, index, answers), { signal });
+    } catch (err) {
+        if (signal?.aborted) throw new RecipeError(ERROR_CODES.CANCELLED, "The request was cancelled.");
+        throw new RecipeError(ERROR_CODES.PROVIDER_ERROR, err.message);
+    }
+
+    if (result.finishReason === 'SAFETY') {
+        throw new RecipeError(ERROR_CODES.BLOCKED, "The substitutes were blocked for safety reasons.");
+    }
+    const { value, errors } = validateAgainstSchema(extractJson(result.text), substitutesSchema);
+    if (errors.length > 0) {
+        throw new RecipeError(
+            ERROR_CODES.MALFORMED_RESPONSE,
+            `The suggested substitutes are incomplete: ${formatValidationErrors(errors).join('; ')}`
+        );
+    }
+    return value.substitutes
+        .map(substitute => ({ ...substitute, source: 'model' }))
+        .filter(substitute => isAllowed(substitute, answers))
+        .slice(0, MAX_MODEL_SUBSTITUTES);
+};
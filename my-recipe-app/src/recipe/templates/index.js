@@ -0,0 +1,58 @@
+import v1 from './v1.js';
+import v2 from './v2.js';
+
+// Recipe prompt templates by version. A version is never edited once it has
+// shipped; a wording change is a new file here, so eval reports
+// (eval/run.js) can be compared between the two. Each template has
+//   { temperature, maxOutputTokens, schema, system, user, continue, refine, repair }
+// with the last five written in the placeholder syntax below. The schema is
+// part of the version too, so a new field is a new version.
+export const PROMPT_TEMPLATES = { v1, v2 };
+
+export const PROMPT_VERSIONS = Object.keys(PROMPT_TEMPLATES);
+
+// The version the app sends
+export const CURRENT_PROMPT_VERSION = 'v2';
+
+export const getPromptTemplate = (version = CURRENT_PROMPT_VERSION) => {
+    const template = PROMPT_TEMPLATES[version];
+    if (!template) {
+        throw new Error(`Unknown prompt version "${version}". Expected one of: ${PROMPT_VERSIONS.join(', ')}.`);
+    }
+    return template;
+};
+
+const PLACEHOLDER = /\{\{(\w+)(?:\|([^}]*))?\}\}/g;
+
+const isEmpty = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const show = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Fills a template's {{name}} placeholders from `variables`. Lists are
+// joined with commas, and {{name|fallback}} stands in the fallback when the
+// value is empty. A line whose placeholders are all empty, with no
+// fallback, is left out, so optional criteria only appear when they're
+// set. A placeholder with no variable of that name is a mistake in the
+// template and throws.
+export const renderTemplate = (text, variables) => text
+    .split('\n')
+    .flatMap(line => {
+        let placeholders = 0;
+        let filled = 0;
+        const rendered = line.replace(PLACEHOLDER, (_, name, fallback) => {
+            if (!(name in variables)) throw new Error(`Prompt template uses an unknown variable: ${name}`);
+            placeholders++;
+            const value = variables[name];
+            if (!isEmpty(value)) {
+                filled++;
+                return show(value);
+            }
+            if (fallback !== undefined) {
+                filled++;
+                return fallback;
+            }
+            return '';
+        });
+        return placeholders > 0 && filled === 0 ? [] : [rendered];
+    })
+    .join('\n');
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROMPT_TEMPLATES, PROMPT_VERSIONS, CURRENT_PROMPT_VERSION, getPromptTemplate, renderTemplate } from './index.js';
+import { answerVariables, buildRecipeRequest, buildRepairRequest } from '../prompt.js';
+
+test('renderTemplate fills placeholders and joins lists with commas', () => {
+    assert.equal(
+        renderTemplate('Cook {{dish}} with {{ingredients}}.', { dish: 'dal', ingredients: ['lentils', 'cumin'] }),
+        'Cook dal with lentils, cumin.'
+    );
+    assert.equal(renderTemplate('At most {{maxCalories}} kcal', { maxCalories: 500 }), 'At most 500 kcal');
+});
+
+test('renderTemplate drops a line whose placeholders are all empty, unless it has a fallback', () => {
+    const text = 'Start\n- Avoid: {{avoid}}\n- Style: {{style|Simple.}}\nEnd';
+    assert.equal(renderTemplate(text, { avoid: [], style: '' }), 'Start\n- Style: Simple.\nEnd');
+    assert.equal(renderTemplate(text, { avoid: ['okra'], style: 'Smoky' }), 'Start\n- Avoid: okra\n- Style: Smoky\nEnd');
+    // One filled placeholder keeps the line, with the empty one left blank
+    assert.equal(renderTemplate('{{a}} and {{b}}', { a: 'salt', b: null }), 'salt and ');
+});
+
+test('renderTemplate throws on a variable the caller does not bind', () => {
+    assert.throws(() => renderTemplate('Hello {{nobody}}', {}), /unknown variable: nobody/);
+});
+
+test('getPromptTemplate defaults to the current version and rejects unknown ones', () => {
+    assert.ok(PROMPT_VERSIONS.includes(CURRENT_PROMPT_VERSION));
+    assert.equal(getPromptTemplate(), PROMPT_TEMPLATES[CURRENT_PROMPT_VERSION]);
+    assert.throws(() => getPromptTemplate('v0'), /Unknown prompt version "v0"/);
+});
+
+test('every template renders the full set of answer variables', () => {
+    const answers = {
+        ingredients: 'rice, peas',
+        constraints: ['vegan'],
+        allergies: 'peanuts',
+        maxCalories: 600,
+        useFirst: ['spinach'],
+        avoidDishes: ['Pulao'],
+        excludeIngredients: ['mushroom'],
+        specialRequest: 'Quick',
+        language: 'hi',
+    };
+    for (const version of PROMPT_VERSIONS) {
+        const request = buildRecipeRequest(answers, {
+            promptVersion: version,
+            partialText: '{"recipeName":',
+            refinement: { history: [{ request: '', recipe: { recipeName: 'Pulao' } }], message: 'Less spicy' },
+        });
+        assert.ok(request.system.includes(JSON.stringify(PROMPT_TEMPLATES[version].schema)), version);
+        assert.match(request.messages[0].text, /rice, peas/, version);
+        assert.match(request.messages[0].text, /mushroom/, version);
+        assert.ok(request.messages.some(message => message.text.includes('Less spicy')), version);
+
+        const repair = buildRepairRequest(answers, '{}', ['"servings" is missing'], { promptVersion: version });
+        assert.match(repair.messages.at(-1).text, /- "servings" is missing/, version);
+    }
+});
+
+test('v2 asks for the recipe language, except in English', () => {
+    const request = (language) => buildRecipeRequest({ ingredients: 'rice', language }, { promptVersion: 'v2' }).messages[0].text;
+    assert.match(request('hi'), /in Hindi\./);
+    assert.doesNotMatch(request('en'), /Language:/);
+    assert.equal(answerVariables({ language: 'en' }).language, '');
+
+    // v1 has no language line at all, and its user prompt matches v2's in English
+    assert.doesNotMatch(buildRecipeRequest({ ingredients: 'rice', language: 'hi' }, { promptVersion: 'v1' }).messages[0].text, /Language:/);
+    assert.equal(buildRecipeRequest({ ingredients: 'rice' }, { promptVersion: 'v1' }).messages[0].text, request('en'));
+});
@@ -0,0 +1,102 @@
+// Recipe prompts, version 2: version 1 plus a line asking for the recipe in
+// the language the app is shown in, and an englishName for each ingredient
+// in the schema. The line is left out for English, so an English request's
+// user message matches version 1's; the system prompt still differs, since
+// it carries the schema.
+export default {
+    temperature: 0.7,
+    maxOutputTokens: 4096,
+
+    // The JSON the model is asked for, filled in as {{schema}}
+    schema: {
+        type: "OBJECT",
+        properties: {
+            recipeName: {
+                type: "STRING",
+                description: "A creative and appetizing name for the dish."
+            },
+            description: {
+                type: "STRING",
+                description: "A brief, appealing description of the final dish."
+            },
+            servings: {
+                type: "INTEGER",
+                minimum: 1,
+                description: "How many people the recipe serves as written."
+            },
+            ingredients: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        name: { type: "STRING", description: "The ingredient itself, e.g. 'basmati rice'." },
+                        englishName: { type: "STRING", description: "The name in English, when the recipe is written in another language." },
+                        amount: { type: "NUMBER", description: "Quantity as a number (0.5, not '1/2'). Omit for 'to taste'." },
+                        unit: { type: "STRING", description: "Unit such as g, ml, cup, tbsp, tsp, clove. Omit for countable items like '2 eggs'." },
+                        preparation: { type: "STRING", description: "Optional note such as 'finely chopped' or 'to taste'." },
+                        optional: { type: "BOOLEAN", description: "True if the dish works without it." }
+                    },
+                    required: ["name"]
+                },
+                minItems: 1,
+                description: "A list of all ingredients with specific quantities."
+            },
+            instructions: {
+                type: "ARRAY",
+                items: { type: "STRING" },
+                minItems: 1,
+                description: "Step-by-step instructions for preparing the dish."
+            },
+            stepTimers: {
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        step: { type: "INTEGER", minimum: 1, description: "Number of the instruction this timer belongs to, starting at 1." },
+                        minutes: { type: "NUMBER", minimum: 0, description: "How long to wait, in minutes (0.5 for 30 seconds)." },
+                        label: { type: "STRING", description: "What the timer is for, e.g. 'Simmer the sauce'." }
+                    },
+                    required: ["step", "minutes"]
+                },
+                description: "Timers for steps that involve waiting, such as simmering, baking or resting. Leave out steps with no wait."
+            },
+            prepTimeMinutes: {
+                type: "INTEGER",
+                minimum: 1,
+                description: "The estimated total time (prep + cook) in minutes."
+            }
+        },
+        required: ["recipeName", "servings", "ingredients", "instructions", "prepTimeMinutes"]
+    },
+
+    system: `You are an expert, world-class chef AI.
+Your sole purpose is to create novel, detailed, and delicious recipes that strictly adhere to all user criteria and restrictions.
+Output only a valid JSON object with the following schema:
+{{schema}}`,
+
+    user: `Generate a single, unique food recipe based on the following strict criteria:
+- Main Ingredients: {{ingredients|I have no specific ingredients, be creative.}}
+- Dietary Constraints: {{constraints}}.
+- Allergies to Avoid: {{allergies|None, ensure safety.}}
+{{preferences}}
+- Calories: at most {{maxCalories}} kcal per serving
+- Use items expiring soonest first, in this order: {{useFirst}}
+- Style of this version: {{variationStyle}}
+- Must be a different dish from these, already planned this week: {{avoidDishes}}
+- Where it suits the dish, reuse ingredients already bought this week: {{reuseIngredients}}
+- Must NOT contain, not even as a garnish or in a sauce: {{excludeIngredients}}
+- Special Request/Style: {{specialRequest|Make it simple and delicious.}}
+- Language: write the recipe name, description, ingredient names and preparation notes, instructions and timer labels in {{language}}. Keep the JSON keys and the units (g, ml, cup, tbsp, tsp) as they are, and give each ingredient's name in English as englishName.
+The entire response MUST be a single JSON object conforming to the provided schema. DO NOT include any text outside the JSON structure.`,
+
+    continue: `Your previous response was cut off. Continue the JSON object exactly where it stopped.
+Do not repeat anything you already wrote and do not add any text outside the JSON.`,
+
+    refine: `Revise the recipe: {{message}}
+Keep everything else the same unless the change requires it, and keep respecting all of the original criteria.
+Return the complete updated JSON object only.`,
+
+    repair: `That response can't be used as it is. Problems found:
+{{problems}}
+Return the complete, corrected JSON object only.`,
+};
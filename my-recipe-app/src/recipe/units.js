@@ -0,0 +1,191 @@
+import { lookupName } from './ingredients.js';
+import { termPattern, findTerm } from '../safety/matching.js';
+
+// Metric/imperial conversion for structured ingredients and the oven
+// temperatures mentioned in instructions. Conversions always start from the
+// recipe's original amounts, so switching back and forth never drifts.
+
+const VOLUME_ML = {
+    tsp: 4.92892,
+    tbsp: 14.7868,
+    'fl oz': 29.5735,
+    cup: 236.588,
+    pint: 473.176,
+    quart: 946.353,
+    gallon: 3785.41,
+    ml: 1,
+    l: 1000,
+};
+
+const WEIGHT_G = {
+    g: 1,
+    kg: 1000,
+    oz: 28.3495,
+    lb: 453.592,
+};
+
+// Grams per millilitre. Matched against whole words of the ingredient name,
+// most specific (longest) keyword first, so "brown sugar" beats "sugar" and
+// "boiled potatoes" isn't oil.
+const DENSITIES = {
+    'all-purpose flour': 0.53,
+    'plain flour': 0.53,
+    'whole wheat flour': 0.51,
+    'bread flour': 0.54,
+    'almond flour': 0.41,
+    'rice flour': 0.67,
+    'chickpea flour': 0.39,
+    besan: 0.39,
+    cornstarch: 0.54,
+    cornflour: 0.54,
+    flour: 0.53,
+    'brown sugar': 0.93,
+    'powdered sugar': 0.51,
+    'icing sugar': 0.51,
+    sugar: 0.85,
+    honey: 1.42,
+    'maple syrup': 1.32,
+    syrup: 1.33,
+    butter: 0.96,
+    ghee: 0.91,
+    oil: 0.92,
+    milk: 1.03,
+    cream: 1.0,
+    yogurt: 1.03,
+    curd: 1.03,
+    water: 1.0,
+    stock: 1.0,
+    broth: 1.0,
+    'cooked rice': 0.66,
+    rice: 0.85,
+    oats: 0.38,
+    'cocoa powder': 0.42,
+    salt: 1.2,
+    'grated cheese': 0.42,
+    parmesan: 0.42,
+    cheese: 0.45,
+    lentils: 0.8,
+    dal: 0.8,
+    peas: 0.6,
+    nuts: 0.55,
+    almonds: 0.6,
+    cashews: 0.55,
+    breadcrumbs: 0.45,
+};
+
+const DENSITY_KEYWORDS = Object.keys(DENSITIES)
+    .sort((a, b) => b.length - a.length)
+    .map(key => [key, termPattern(key)]);
+
+export const densityOf = (name = '') => {
+    const match = DENSITY_KEYWORDS.find(([, pattern]) => pattern.test(name));
+    return match ? DENSITIES[match[0]] : undefined;
+};
+
+const LIQUIDS = ['oil', 'milk', 'cream', 'water', 'stock', 'broth', 'syrup', 'honey', 'yogurt', 'curd'];
+
+// Ingredients that metric cooks weigh rather than measure by volume
+const isDry = (name = '') => densityOf(name) !== undefined && !findTerm(name, LIQUIDS);
+
+export const unitKind = (unit) => {
+    if (unit in VOLUME_ML) return 'volume';
+    if (unit in WEIGHT_G) return 'weight';
+    return undefined;
+};
+
+// Picks a readable unit for an amount in base units (ml or g)
+const pickVolumeUnit = (ml, system) => {
+    if (system === 'metric') return ml >= 1000 ? 'l' : 'ml';
+    if (ml < VOLUME_ML.tbsp) return 'tsp';
+    if (ml < VOLUME_ML.cup / 4) return 'tbsp';
+    return 'cup';
+};
+
+const pickWeightUnit = (grams, system) => {
+    if (system === 'metric') return grams >= 1000 ? 'kg' : 'g';
+    return grams >= WEIGHT_G.lb ? 'lb' : 'oz';
+};
+
+// Spoon measures are the same everywhere; leave them alone in both systems
+const UNIVERSAL_UNITS = new Set(['tsp', 'tbsp']);
+
+// Converts one structured ingredient to 'metric' or 'imperial'. Anything
+// without a convertible amount and unit is returned unchanged, as is every
+// ingredient when system is 'original'.
+export const convertIngredient = (ingredient, system) => {
+    const { amount, unit } = ingredient;
+    const name = lookupName(ingredient);
+    const kind = unitKind(unit);
+    if (system === 'original' || typeof amount !== 'number' || !kind || UNIVERSAL_UNITS.has(unit)) {
+        return ingredient;
+    }
+
+    const density = densityOf(name);
+
+    if (kind === 'volume') {
+        const ml = amount * VOLUME_ML[unit];
+        if (system === 'metric' && density && isDry(name)) {
+            const grams = ml * density;
+            const target = pickWeightUnit(grams, system);
+            return { ...ingredient, amount: grams / WEIGHT_G[target], unit: target };
+        }
+        const target = pickVolumeUnit(ml, system);
+        return { ...ingredient, amount: ml / VOLUME_ML[target], unit: target };
+    }
+
+    const grams = amount * WEIGHT_G[unit];
+    if (system === 'imperial' && density) {
+        // American recipes measure flour, sugar, butter etc. by volume
+        const ml = grams / density;
+        const target = pickVolumeUnit(ml, system);
+        return { ...ingredient, amount: ml / VOLUME_ML[target], unit: target };
+    }
+    const target = pickWeightUnit(grams, system);
+    return { ...ingredient, amount: grams / WEIGHT_G[target], unit: target };
+};
+
+// Re-expresses `amount` of `fromUnit` in `toUnit`, crossing between volume
+// and weight through the ingredient's density when it has one. Returns
+// undefined when the two can't be compared (e.g. cloves and grams).
+export const convertAmount = (amount, fromUnit, toUnit, name) => {
+    if (fromUnit === toUnit) return amount;
+    const from = unitKind(fromUnit);
+    const to = unitKind(toUnit);
+    if (!from || !to) return undefined;
+
+    const base = amount * (from === 'volume' ? VOLUME_ML[fromUnit] : WEIGHT_G[fromUnit]);
+    if (from === to) return base / (to === 'volume' ? VOLUME_ML[toUnit] : WEIGHT_G[toUnit]);
+
+    const density = densityOf(name);
+    if (!density) return undefined;
+    return from === 'volume'
+        ? (base * density) / WEIGHT_G[toUnit]
+        : (base / density) / VOLUME_ML[toUnit];
+};
+
+const fahrenheitToCelsius = (f) => (f - 32) * 5 / 9;
+const celsiusToFahrenheit = (c) => c * 9 / 5 + 32;
+
+// Oven dials go in steps; round to the marks people actually set
+const roundCelsius = (c) => (c >= 100 ? Math.round(c / 10) * 10 : Math.round(c));
+const roundFahrenheit = (f) => (f >= 200 ? Math.round(f / 25) * 25 : Math.round(f));
+
+// "200°C", "200 °C", "200 C", "200 degrees C", "400 degrees Fahrenheit".
+// The letters have to be capitals: "12 c of stock" is cups.
+const TEMPERATURE = /(\d{2,3})\s*(?:°|º|[Dd]egrees?\s*)?\s*(C|F|[Cc]elsius|[Ff]ahrenheit|[Cc]entigrade)\b/g;
+
+// Rewrites the temperatures in a line of instructions for the given system
+export const convertTemperatures = (text, system) => {
+    if (system === 'original' || typeof text !== 'string') return text;
+
+    return text.replace(TEMPERATURE, (match, value, scale) => {
+        const isFahrenheit = scale[0].toUpperCase() === 'F';
+        if (system === 'metric' && isFahrenheit) {
+            return `${roundCelsius(fahrenheitToCelsius(Number(value)))}°C`;
+        }
+        if (system === 'imperial' && !isFahrenheit) {
+            return `${roundFahrenheit(celsiusToFahrenheit(Number(value)))}°F`;
+        }
+        return match;
+    });
+};
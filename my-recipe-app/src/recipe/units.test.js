@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertIngredient, convertAmount, convertTemperatures, densityOf } from './units.js';
+
+const close = (actual, expected, tolerance = 0.01) => assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+);
+
+test('convertIngredient weighs dry volumes in metric and measures liquids', () => {
+    const flour = convertIngredient({ name: 'flour', amount: 1, unit: 'cup' }, 'metric');
+    assert.equal(flour.unit, 'g');
+    close(flour.amount, 125.39);
+
+    const milk = convertIngredient({ name: 'milk', amount: 2, unit: 'cup' }, 'metric');
+    assert.equal(milk.unit, 'ml');
+    close(milk.amount, 473.18);
+});
+
+test('convertIngredient gives imperial cooks volumes and ounces', () => {
+    const sugar = convertIngredient({ name: 'sugar', amount: 200, unit: 'g' }, 'imperial');
+    assert.equal(sugar.unit, 'cup');
+    close(sugar.amount, 0.99);
+
+    const chicken = convertIngredient({ name: 'chicken thighs', amount: 500, unit: 'g' }, 'imperial');
+    assert.equal(chicken.unit, 'lb');
+    close(chicken.amount, 1.1);
+});
+
+test('convertIngredient leaves spoons, counts and the original system alone', () => {
+    const salt = { name: 'salt', amount: 1, unit: 'tsp' };
+    assert.equal(convertIngredient(salt, 'metric'), salt);
+
+    const eggs = { name: 'eggs', amount: 2, unit: '' };
+    assert.equal(convertIngredient(eggs, 'imperial'), eggs);
+
+    const rice = { name: 'rice', amount: 1, unit: 'cup' };
+    assert.equal(convertIngredient(rice, 'original'), rice);
+});
+
+test('convertIngredient survives a metric to imperial to metric round trip', () => {
+    for (const ingredient of [
+        { name: 'flour', amount: 250, unit: 'g' },
+        { name: 'butter', amount: 100, unit: 'g' },
+        { name: 'milk', amount: 300, unit: 'ml' },
+        { name: 'potatoes', amount: 1.5, unit: 'kg' },
+    ]) {
+        const imperial = convertIngredient(ingredient, 'imperial');
+        const back = convertIngredient(imperial, 'metric');
+        assert.equal(back.unit, ingredient.unit, ingredient.name);
+        close(back.amount, ingredient.amount, ingredient.amount * 0.001);
+    }
+});
+
+test('densityOf matches whole words, not parts of them', () => {
+    assert.equal(densityOf('boiled potatoes'), undefined);
+    assert.equal(densityOf('licorice'), undefined);
+    assert.equal(densityOf('buttermilk'), undefined);
+    assert.equal(densityOf('olive oil'), 0.92);
+    assert.equal(densityOf('long-grain rice'), 0.85);
+    assert.equal(densityOf('brown sugar'), 0.93);
+    assert.equal(densityOf('rice flour'), 0.67);
+});
+
+test('convertIngredient weighs a dry ingredient whose name only contains a liquid', () => {
+    // "boiled" contains "oil", which once made these liquids
+    const oats = convertIngredient({ name: 'boiled oats', amount: 1, unit: 'cup' }, 'metric');
+    assert.equal(oats.unit, 'g');
+    close(oats.amount, 89.9);
+
+    const potatoes = convertIngredient({ name: 'boiled potatoes', amount: 2, unit: 'cup' }, 'metric');
+    assert.equal(potatoes.unit, 'ml');
+});
+
+test('convertAmount crosses volume and weight through density', () => {
+    close(convertAmount(1, 'kg', 'lb', 'rice'), 2.2);
+    close(convertAmount(1, 'cup', 'g', 'sugar'), 201.1);
+    assert.equal(convertAmount(2, 'cup', 'g', 'spinach'), undefined);
+    assert.equal(convertAmount(3, 'clove', 'g', 'garlic'), undefined);
+});
+
+test('convertTemperatures rounds to oven marks both ways', () => {
+    assert.equal(convertTemperatures('Bake at 200°C for 20 minutes.', 'imperial'), 'Bake at 400°F for 20 minutes.');
+    assert.equal(convertTemperatures('Heat the oven to 350 degrees F.', 'metric'), 'Heat the oven to 180°C.');
+    assert.equal(convertTemperatures('Roast at 220 C.', 'imperial'), 'Roast at 425°F.');
+    assert.equal(convertTemperatures('Bake at 200°C.', 'metric'), 'Bake at 200°C.');
+    assert.equal(convertTemperatures('Bake at 200°C.', 'original'), 'Bake at 200°C.');
+});
+
+// Fahrenheit rounds to the 25° marks on an oven dial, so only the usual
+// Celsius marks come back exactly
+test('convertTemperatures survives a round trip at the usual oven marks', () => {
+    for (const celsius of [150, 160, 180, 190, 200, 220, 230]) {
+        const line = `Bake at ${celsius}°C.`;
+        assert.equal(convertTemperatures(convertTemperatures(line, 'imperial'), 'metric'), line);
+    }
+});
+
+test('convertTemperatures leaves cups and other words alone', () => {
+    assert.equal(convertTemperatures('Stir in 12 c of stock.', 'imperial'), 'Stir in 12 c of stock.');
+    assert.equal(convertTemperatures('Add 20 Cups of water.', 'imperial'), 'Add 20 Cups of water.');
+    assert.equal(convertTemperatures('Simmer for 15 minutes.', 'metric'), 'Simmer for 15 minutes.');
+});
@@ -0,0 +1,55 @@
+import { useState, useCallback } from 'react';
+
+import { DEFAULT_ANSWERS } from './answers.js';
+import { toggleEquipment } from './preferences.js';
+import { toggleConstraint } from '../safety/diets.js';
+import { toggleIngredient, addIngredients } from '../pantry/usage.js';
+import { appendDictation } from '../voice/dictation.js';
+
+// The Create form's answers, with a handler for each way of filling them in:
+// typing, dictation, the pantry and photo pickers, and the toggles
+export const useAnswerForm = () => {
+    const [answers, setAnswers] = useState(DEFAULT_ANSWERS);
+
+    const handleChange = useCallback((e) => {
+        const { name, value } = e.target;
+        setAnswers(prev => ({ ...prev, [name]: value }));
+    }, []);
+
+    const handleDictation = useCallback((name, spoken) => {
+        setAnswers(prev => ({ ...prev, [name]: appendDictation(prev[name], spoken, { isList: name !== 'specialRequest' }) }));
+    }, []);
+
+    const handleCaloriesChange = useCallback((e) => {
+        const value = e.target.value === '' ? null : Math.round(Number(e.target.value));
+        setAnswers(prev => ({ ...prev, maxCalories: value }));
+    }, []);
+
+    // Number fields where blank means "no limit"
+    const handleLimitChange = useCallback((e) => {
+        const { name, value } = e.target;
+        setAnswers(prev => ({ ...prev, [name]: value === '' ? null : Math.round(Number(value)) }));
+    }, []);
+
+    const handleEquipmentToggle = useCallback((id) => {
+        setAnswers(prev => ({ ...prev, equipment: toggleEquipment(prev.equipment, id) }));
+    }, []);
+
+    const handlePantryToggle = useCallback((name) => {
+        setAnswers(prev => ({ ...prev, ingredients: toggleIngredient(prev.ingredients, name) }));
+    }, []);
+
+    const handlePhotoIngredients = useCallback((names) => {
+        setAnswers(prev => ({ ...prev, ingredients: addIngredients(prev.ingredients, names) }));
+    }, []);
+
+    const handleConstraintToggle = useCallback((id) => {
+        setAnswers(prev => ({ ...prev, constraints: toggleConstraint(prev.constraints, id) }));
+    }, []);
+
+    return {
+        answers, setAnswers,
+        handleChange, handleDictation, handleCaloriesChange, handleLimitChange,
+        handleEquipmentToggle, handlePantryToggle, handlePhotoIngredients, handleConstraintToggle,
+    };
+};
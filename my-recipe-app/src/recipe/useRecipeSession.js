@@ -0,0 +1,242 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+import { streamRecipe, streamRefinement } from '../api.js';
+import { ERROR_CODES } from './errors.js';
+import { parsePartialJson } from './partialJson.js';
+import { normalizeAnswers, answersKey } from './answers.js';
+import { getCachedRecipe, cacheRecipe } from '../cache/recipeCache.js';
+import { useGenerationQueue } from '../offline/useGenerationQueue.js';
+import { NOT_QUEUED } from '../i18n/describeError.js';
+
+// The recipe on the Create view and every version of it, and the stream
+// writing the next one. A new recipe for answers seen recently comes from
+// the cache; offline, it waits in `queue` (see useGenerationQueue). A queued
+// recipe that finishes is shown if `canShowQueued` and nothing else is on
+// screen or on the way, and handed to onQueuedElsewhere otherwise.
+// Editing the form abandons a generation started from its old answers
+// (`formAnswers`), and leaving the app stops whatever is in flight. `error`
+// is the failure to show, for the caller to word at render time so it
+// follows the language.
+export const useRecipeSession = (formAnswers, { canShowQueued, onQueuedElsewhere }) => {
+    // Every version of the recipe on screen, as { recipe, request } where
+    // request is the tweak that produced it ('' for the first one)
+    const [versions, setVersions] = useState([]);
+    const [versionIndex, setVersionIndex] = useState(0);
+    const recipe = versions[versionIndex]?.recipe ?? null;
+    // The refinement being streamed, kept so a cut-off one can be continued
+    const [pendingRefinement, setPendingRefinement] = useState(null);
+    // The answers that produced the recipe on screen (the form may have moved on)
+    const [recipeAnswers, setRecipeAnswers] = useState(null);
+    // Library id of the recipe on screen, once saved
+    const [savedId, setSavedId] = useState(null);
+    // What the importer had to assume about the recipe on screen, if imported
+    const [importNotes, setImportNotes] = useState([]);
+    // Whether the user chose to see a recipe hidden for a declared allergen
+    const [showBlocked, setShowBlocked] = useState(false);
+    // While streaming (or after a cut-off) we hold the raw text received so far
+    // and whatever could be parsed out of it
+    const [draft, setDraft] = useState(null);
+    const [isCutOff, setIsCutOff] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    // Whether the recipe on screen came out of the cache
+    const [isFromCache, setIsFromCache] = useState(false);
+    // The generation in flight, as { controller, key, formAnswers }. `key` is
+    // set for plain generations, which are cached and never run twice at
+    // once; `formAnswers` is the form state it was started from, if any.
+    const activeRequest = useRef(null);
+
+    // Puts a recipe made elsewhere (saved, shared, imported, queued or from
+    // the meal plan) on screen, with whatever the importer had to assume
+    const show = useCallback((shownRecipe, shownAnswers, id = null, notes = []) => {
+        setVersions([{ recipe: shownRecipe, request: '' }]);
+        setVersionIndex(0);
+        setRecipeAnswers(normalizeAnswers(shownAnswers));
+        setSavedId(id);
+        setShowBlocked(false);
+        setImportNotes(notes);
+        setDraft(null);
+        setError(null);
+    }, []);
+
+    const queue = useGenerationQueue((readyRecipe, readyAnswers) => {
+        if (canShowQueued && !activeRequest.current && versions.length === 0) {
+            show(readyRecipe, readyAnswers);
+        } else {
+            onQueuedElsewhere(readyRecipe);
+        }
+    });
+    const { enqueue } = queue;
+
+    // Streams a new recipe, or with `refinement` ({ history, message }) a new
+    // version of the one on screen, which stays put until the revision arrives.
+    // A new recipe comes from the cache unless `fresh` is set. Starting a
+    // stream cancels the one before it.
+    const runStream = useCallback(async (requestAnswers, { partialText = '', refinement, fresh = false, formAnswers } = {}) => {
+        const key = refinement || partialText ? null : answersKey(requestAnswers);
+        if (key && !fresh && activeRequest.current?.key === key) return;
+        activeRequest.current?.controller.abort();
+        const request = { controller: new AbortController(), key, formAnswers };
+        activeRequest.current = request;
+        const { signal } = request.controller;
+
+        setError(null);
+        setIsLoading(true);
+        setIsCutOff(false);
+        setShowBlocked(false);
+        setImportNotes([]);
+        setIsFromCache(false);
+        setPendingRefinement(refinement ?? null);
+        if (!refinement) {
+            setVersions([]);
+            setVersionIndex(0);
+            setSavedId(null);
+            setRecipeAnswers(requestAnswers);
+        }
+
+        const finish = () => {
+            if (activeRequest.current !== request) return;
+            activeRequest.current = null;
+            setIsLoading(false);
+        };
+
+        // Offline, a new recipe waits in the queue rather than failing
+        const queueForLater = async () => {
+            try {
+                await enqueue(requestAnswers);
+            } catch (err) {
+                console.error("Could not queue the recipe:", err);
+                setError({ code: NOT_QUEUED });
+            }
+        };
+
+        const cached = key && !fresh ? await getCachedRecipe(requestAnswers) : null;
+        if (signal.aborted) return;
+        if (cached) {
+            setVersions([{ recipe: cached, request: '' }]);
+            setIsFromCache(true);
+            finish();
+            return;
+        }
+        if (key && !navigator.onLine) {
+            await queueForLater();
+            finish();
+            return;
+        }
+
+        const events = refinement
+            ? streamRefinement(requestAnswers, { ...refinement, partialText, signal })
+            : streamRecipe(requestAnswers, { partialText, signal });
+        let text = partialText;
+        try {
+            for await (const event of events) {
+                if (event.type === 'delta') {
+                    text += event.text;
+                    setDraft({ text, recipe: parsePartialJson(text) });
+                } else if (event.type === 'retry') {
+                    // The model is re-writing the recipe from scratch
+                    console.warn("Recipe failed validation, retrying:", event.problems);
+                    text = '';
+                    setDraft(null);
+                } else if (event.type === 'truncated') {
+                    setIsCutOff(true);
+                    setError({ code: ERROR_CODES.TRUNCATED });
+                } else if (event.type === 'done') {
+                    const version = { recipe: event.recipe, request: refinement?.message ?? '' };
+                    const kept = refinement?.history ?? [];
+                    setVersions([...kept, version]);
+                    setVersionIndex(kept.length);
+                    setSavedId(null);
+                    setDraft(null);
+                    if (key) cacheRecipe(requestAnswers, event.recipe);
+                }
+            }
+        } catch (err) {
+            if (err.code === ERROR_CODES.CANCELLED) {
+                // Replaced by a newer request, or stopped by the user
+                if (activeRequest.current === request) setDraft(null);
+                return;
+            }
+            if (err.code === ERROR_CODES.NETWORK_ERROR && key && !text && !navigator.onLine) {
+                setDraft(null);
+                await queueForLater();
+                return;
+            }
+            console.error("Recipe generation failed:", err);
+            // Keep whatever already arrived if the stream broke part-way
+            if (err.code === ERROR_CODES.NETWORK_ERROR && text) {
+                setIsCutOff(true);
+            } else {
+                setDraft(null);
+            }
+            setError(err);
+        } finally {
+            finish();
+        }
+    }, [enqueue]);
+
+    const generate = useCallback((requestAnswers, options) => {
+        setDraft(null);
+        runStream(requestAnswers, options);
+    }, [runStream]);
+
+    const continueRecipe = useCallback(
+        () => runStream(recipeAnswers, { partialText: draft.text, refinement: pendingRefinement }),
+        [runStream, recipeAnswers, draft, pendingRefinement]
+    );
+
+    const startOver = useCallback(() => {
+        setDraft(null);
+        runStream(recipeAnswers, { refinement: pendingRefinement });
+    }, [runStream, recipeAnswers, pendingRefinement]);
+
+    // Versions after the one on screen are dropped once it gets refined
+    const refine = useCallback((message) => {
+        setDraft(null);
+        runStream(recipeAnswers, { refinement: { history: versions.slice(0, versionIndex + 1), message } });
+    }, [runStream, recipeAnswers, versions, versionIndex]);
+
+    // A swapped ingredient is a new version, like a refinement, so the
+    // change can be compared and undone
+    const substitute = useCallback((swapped, request) => {
+        const kept = versions.slice(0, versionIndex + 1);
+        setVersions([...kept, { recipe: swapped, request }]);
+        setVersionIndex(kept.length);
+        setSavedId(null);
+    }, [versions, versionIndex]);
+
+    const selectVersion = useCallback((index) => {
+        setVersionIndex(index);
+        setSavedId(null);
+        setShowBlocked(false);
+    }, []);
+
+    const markSaved = useCallback((id) => setSavedId(id), []);
+
+    const showAnyway = useCallback(() => setShowBlocked(true), []);
+
+    const cancel = useCallback(() => activeRequest.current?.controller.abort(), []);
+
+    // Empties the screen for something else, such as a comparison
+    const clear = useCallback(() => {
+        activeRequest.current?.controller.abort();
+        setVersions([]);
+        setDraft(null);
+        setError(null);
+        setIsCutOff(false);
+    }, []);
+
+    useEffect(() => {
+        const active = activeRequest.current;
+        if (active?.formAnswers && active.formAnswers !== formAnswers) active.controller.abort();
+    }, [formAnswers]);
+
+    useEffect(() => () => activeRequest.current?.controller.abort(), []);
+
+    return {
+        recipe, versions, versionIndex, recipeAnswers, savedId, importNotes, showBlocked,
+        draft, isCutOff, isLoading, error, isFromCache,
+        generate, continueRecipe, startOver, refine, substitute, selectVersion, show,
+        markSaved, showAnyway, cancel, clear, queue,
+    };
+};
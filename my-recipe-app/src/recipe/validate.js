@@ -0,0 +1,119 @@
+import { recipeSchema } from './prompt.js';
+import { parseIngredient, normalizeUnit } from './ingredients.js';
+
+// Validates a value against the Gemini-style schemas used in prompt.js
+// (OBJECT / ARRAY / STRING / INTEGER / NUMBER / BOOLEAN). Values that are
+// unambiguously fixable are coerced - "25 minutes" becomes 25, a lone string
+// where a list was expected becomes a one-item list - everything else is
+// reported as { path, message }. Unknown object properties are dropped.
+export const validateAgainstSchema = (value, schema, path = '') => {
+    const errors = [];
+    const fail = (message) => {
+        errors.push({ path: path || '(root)', message });
+        return { value: undefined, errors };
+    };
+
+    switch (schema.type) {
+        case 'OBJECT': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return fail("must be an object");
+            }
+            const result = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const propertyPath = path ? `${path}.${key}` : key;
+                if (value[key] === undefined || value[key] === null) {
+                    if (schema.required?.includes(key)) {
+                        errors.push({ path: propertyPath, message: "is required" });
+                    }
+                    continue;
+                }
+                const property = validateAgainstSchema(value[key], propertySchema, propertyPath);
+                errors.push(...property.errors);
+                if (property.value !== undefined) result[key] = property.value;
+            }
+            return { value: result, errors };
+        }
+
+        case 'ARRAY': {
+            let items = value;
+            if (typeof items === 'string') {
+                // A numbered or bulleted block of text instead of a list
+                items = items.split(/\n+/).map(line => line.replace(/^\s*(\d+[.)]|[-*•])\s*/, '')).filter(line => line.trim());
+            }
+            if (!Array.isArray(items)) {
+                return fail("must be a list");
+            }
+            const result = [];
+            items.forEach((item, index) => {
+                if (item === null || item === undefined) return;
+                const entry = validateAgainstSchema(item, schema.items, `${path}[${index}]`);
+                errors.push(...entry.errors);
+                if (entry.value !== undefined) result.push(entry.value);
+            });
+            if (schema.minItems && result.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            return { value: result, errors };
+        }
+
+        case 'STRING': {
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                value = String(value);
+            }
+            if (typeof value !== 'string') {
+                return fail("must be text");
+            }
+            const trimmed = value.trim();
+            if (!trimmed) {
+                return fail("must not be empty");
+            }
+            return { value: trimmed, errors };
+        }
+
+        case 'INTEGER':
+        case 'NUMBER': {
+            let number = value;
+            if (typeof number === 'string') {
+                const match = /^\s*(?:about|approx\.?|~)?\s*(-?\d+(?:\.\d+)?)/i.exec(number);
+                number = match ? Number(match[1]) : NaN;
+            }
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return fail(`must be a ${schema.type === 'INTEGER' ? 'whole number' : 'number'}`);
+            }
+            if (schema.type === 'INTEGER') number = Math.round(number);
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                return fail(`must be at least ${schema.minimum}`);
+            }
+            return { value: number, errors };
+        }
+
+        case 'BOOLEAN': {
+            if (value === 'true' || value === 'false') value = value === 'true';
+            if (typeof value !== 'boolean') {
+                return fail("must be true or false");
+            }
+            return { value, errors };
+        }
+
+        default:
+            return { value, errors };
+    }
+};
+
+// Older answers list ingredients as plain strings; parse those into the
+// structured shape before validating, and settle units on one spelling.
+export const validateRecipe = (value) => {
+    if (Array.isArray(value?.ingredients)) {
+        value = {
+            ...value,
+            ingredients: value.ingredients.map(item => (typeof item === 'string' ? parseIngredient(item) : item))
+        };
+    }
+    const result = validateAgainstSchema(value, recipeSchema);
+    result.value?.ingredients?.forEach(ingredient => {
+        if (ingredient.unit) ingredient.unit = normalizeUnit(ingredient.unit);
+    });
+    return result;
+};
+
+export const formatValidationErrors = (errors) => errors.map(({ path, message }) => `${path} ${message}`);
@@ -0,0 +1,35 @@
+import { generateRecipe } from './generate.js';
+
+export const DEFAULT_VARIATIONS = 3;
+export const MAX_VARIATIONS = 4;
+
+// Parallel requests can't see each other, so each one is steered towards a
+// different kind of dish to keep the candidates from coming back alike
+const VARIATION_STYLES = [
+    'the most classic, familiar way to use these ingredients',
+    'a quick, simple weeknight version with as few steps as possible',
+    'a dish from a different cuisine than the obvious choice',
+    'a lighter, vegetable-forward one-pot or traybake version',
+];
+
+// Generates `count` candidate recipes for the same answers in parallel and
+// yields them in the order they finish:
+//   { type: 'variation', index, recipe } or { type: 'variation', index, error }
+// then { type: 'done', count }. One failed candidate doesn't stop the others;
+// aborting `signal` stops them all.
+export async function* streamVariations(provider, answers, { count = DEFAULT_VARIATIONS, signal } = {}) {
+    const pending = new Map();
+    for (let index = 0; index < count; index++) {
+        const variation = generateRecipe(provider, { ...answers, variationStyle: VARIATION_STYLES[index] }, { signal })
+            .then(recipe => ({ type: 'variation', index, recipe }))
+            .catch(err => ({ type: 'variation', index, error: { code: err.code, message: err.message } }));
+        pending.set(index, variation);
+    }
+
+    while (pending.size > 0) {
+        const event = await Promise.race(pending.values());
+        pending.delete(event.index);
+        yield event;
+    }
+    yield { type: 'done', count };
+}
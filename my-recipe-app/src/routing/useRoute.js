@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const readLocation = () => ({
+    path: window.location.pathname,
+    hash: window.location.hash.slice(1),
+});
+
+// Just enough routing for a single-page app: the current path and fragment,
+// kept in step with back/forward, and `navigate(url)` to push a new entry.
+// The host has to serve index.html for every path (Vite does in dev).
+export const useRoute = () => {
+    const [location, setLocation] = useState(readLocation);
+
+    useEffect(() => {
+        const update = () => setLocation(readLocation());
+        window.addEventListener('popstate', update);
+        window.addEventListener('hashchange', update);
+        return () => {
+            window.removeEventListener('popstate', update);
+            window.removeEventListener('hashchange', update);
+        };
+    }, []);
+
+    const navigate = useCallback((url) => {
+        if (url !== window.location.pathname + window.location.hash) window.history.pushState(null, '', url);
+        setLocation(readLocation());
+    }, []);
+
+    return { ...location, navigate };
+};
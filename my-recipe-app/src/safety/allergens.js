@@ -0,0 +1,147 @@
+import { findHits } from './matching.js';
+
+// Major allergens and the ingredients they hide in. `names` are the words a
+// user might type in the allergies field; `terms` are what we look for in a
+// recipe; `except` are phrases that contain a term but aren't the allergen
+// (nutmeg isn't a nut, coconut milk isn't dairy). Both include the Hindi and
+// Marathi words, so allergies typed in those languages are recognised and
+// recipes written in them are checked.
+export const ALLERGENS = [
+    {
+        id: 'peanuts',
+        label: 'Peanuts',
+        names: ['peanut', 'peanuts', 'groundnut', 'groundnuts', 'मूंगफली', 'मूँगफली', 'शेंगदाणे', 'शेंगदाणा'],
+        terms: ['peanut', 'groundnut', 'monkey nut', 'arachis oil', 'satay', 'मूंगफली', 'मूँगफली', 'शेंगदाणे', 'शेंगदाणा'],
+        except: ['peanut-free', 'peanut free'],
+    },
+    {
+        id: 'tree-nuts',
+        label: 'Tree nuts',
+        names: ['nut', 'nuts', 'tree nut', 'tree nuts', 'मेवा', 'मेवे', 'सुकामेवा'],
+        terms: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'chestnut', 'praline', 'marzipan', 'frangipane', 'nutella', 'pesto', 'badam', 'kaju', 'akhrot', 'nut', 'बादाम', 'बदाम', 'काजू', 'अखरोट', 'अक्रोड', 'पिस्ता', 'मेवा', 'मेवे', 'सुकामेवा'],
+        except: ['nut-free', 'nut free', 'nutmeg', 'butternut', 'coconut', 'doughnut', 'donut', 'peanut', 'groundnut', 'monkey nut', 'water chestnut', 'nutritional yeast', 'nutrition'],
+    },
+    {
+        id: 'gluten',
+        label: 'Gluten',
+        names: ['gluten', 'wheat', 'coeliac', 'celiac', 'गेहूं', 'गेहूँ', 'गहू', 'ग्लूटेन'],
+        terms: ['wheat', 'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'macaroni', 'penne', 'fusilli', 'lasagne', 'lasagna', 'couscous', 'bulgur', 'semolina', 'barley', 'rye', 'spelt', 'seitan', 'soy sauce', 'maida', 'atta', 'sooji', 'rava', 'suji', 'roti', 'chapati', 'naan', 'paratha', 'tortilla', 'pita', 'cracker', 'biscuit', 'cake', 'pastry', 'malt', 'beer', 'farro', 'orzo', 'गेहूं', 'गेहूँ', 'गहू', 'मैदा', 'आटा', 'कणीक', 'सूजी', 'रवा', 'रोटी', 'चपाती', 'पोळी', 'पराठा', 'नान', 'ब्रेड'],
+        except: ['gluten-free', 'gluten free', 'rice flour', 'corn flour', 'cornflour', 'chickpea flour', 'gram flour', 'besan', 'almond flour', 'coconut flour', 'buckwheat', 'rice noodle', 'tamari', 'corn tortilla', 'ग्लूटेन-मुक्त', 'बेसन का आटा', 'चावल का आटा', 'तांदळाचे पीठ'],
+    },
+    {
+        id: 'dairy',
+        label: 'Dairy',
+        names: ['dairy', 'milk', 'lactose', 'casein', 'दूध', 'डेयरी', 'दुग्धजन्य'],
+        terms: ['milk', 'butter', 'cream', 'cheese', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'paneer', 'ghee', 'yogurt', 'yoghurt', 'curd', 'dahi', 'buttermilk', 'whey', 'casein', 'lactose', 'khoya', 'malai', 'custard', 'ice cream', 'kefir', 'दूध', 'मक्खन', 'लोणी', 'मलाई', 'क्रीम', 'पनीर', 'घी', 'तूप', 'दही', 'छाछ', 'ताक', 'खोया', 'खवा', 'चीज़', 'चीज'],
+        except: ['coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'soya milk', 'rice milk', 'cashew milk', 'peanut butter', 'almond butter', 'nut butter', 'apple butter', 'cocoa butter', 'shea butter', 'cream of tartar', 'dairy-free', 'dairy free', 'vegan butter', 'vegan cheese', 'bean curd', 'नारियल का दूध', 'नारळाचे दूध', 'मूंगफली का मक्खन'],
+    },
+    {
+        id: 'egg',
+        label: 'Egg',
+        names: ['egg', 'eggs', 'अंडा', 'अंडे', 'अंडी'],
+        terms: ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli', 'albumen', 'hollandaise', 'custard', 'अंडा', 'अंडे', 'अंडी', 'मेयोनीज़', 'मेयोनीज'],
+        except: ['eggplant', 'egg-free', 'egg free', 'flax egg', 'chia egg', 'egg replacer', 'vegan mayo', 'eggless'],
+    },
+    {
+        id: 'fish',
+        label: 'Fish',
+        names: ['fish', 'मछली', 'मासे', 'मासा'],
+        terms: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'mackerel', 'haddock', 'tilapia', 'trout', 'pomfret', 'hilsa', 'bass', 'worcestershire', 'bonito', 'dashi', 'मछली', 'मासे', 'मासा', 'सुरमई', 'बांगडा', 'पापलेट', 'रोहू'],
+        except: ['fish-free', 'vegan fish sauce'],
+    },
+    {
+        id: 'shellfish',
+        label: 'Shellfish',
+        names: ['shellfish', 'seafood', 'crustacean', 'crustaceans', 'mollusc', 'molluscs', 'झींगा', 'कोळंबी'],
+        terms: ['shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'langoustine', 'scallop', 'clam', 'mussel', 'oyster', 'squid', 'calamari', 'octopus', 'oyster sauce', 'shrimp paste', 'झींगा', 'झींगे', 'कोळंबी', 'केकड़ा', 'खेकडा'],
+        except: ['oyster mushroom'],
+    },
+    {
+        id: 'soy',
+        label: 'Soy',
+        names: ['soy', 'soya', 'soybean', 'soybeans', 'सोया'],
+        terms: ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari', 'natto', 'textured vegetable protein', 'सोया', 'टोफू'],
+        except: [],
+    },
+    {
+        id: 'sesame',
+        label: 'Sesame',
+        names: ['sesame', 'til', 'तिल', 'तीळ'],
+        terms: ['sesame', 'tahini', 'til', 'gingelly', 'gomasio', 'halva', 'hummus', 'तिल', 'तीळ', 'ताहिनी'],
+        except: [],
+    },
+    {
+        id: 'mustard',
+        label: 'Mustard',
+        names: ['mustard', 'सरसों', 'मोहरी', 'राई'],
+        terms: ['mustard', 'rai', 'sarson', 'kasundi', 'सरसों', 'मोहरी', 'राई'],
+        except: [],
+    },
+];
+
+// Works out which allergens the free-text allergies field declares. Words we
+// don't recognise are returned as `custom` and matched literally.
+export const parseAllergies = (text = '') => {
+    const parts = text.toLowerCase().split(/,|;|\/|\band\b|\sऔर\s|\sआणि\s|\n/)
+        .map(part => part
+            .replace(/\b(allergy|allergic|to|free|intolerance|intolerant|no)\b/g, '')
+            .replace(/(?:से|ची|ला)?\s*(?:एलर्जी|ॲलर्जी|अ‍ॅलर्जी)/gu, '')
+            .trim())
+        .filter(Boolean);
+    const allergens = [];
+    const custom = [];
+
+    for (const part of parts) {
+        const allergen = ALLERGENS.find(candidate => candidate.names.includes(part) || candidate.names.includes(part.replace(/s$/, '')));
+        if (allergen) {
+            if (!allergens.includes(allergen)) allergens.push(allergen);
+        } else if (part.length > 2) {
+            custom.push(part);
+        }
+    }
+
+    return { allergens, custom };
+};
+
+// Scans a recipe for the allergens declared in `allergiesText`. Returns one
+// finding per allergen that was hit, naming every offending line:
+//   [{ allergen: { id, label }, hits: [{ section, index, line, term }] }]
+export const auditAllergens = (recipe, allergiesText) => {
+    const { allergens, custom } = parseAllergies(allergiesText);
+    const checks = [
+        ...allergens,
+        ...custom.map(word => ({ id: `custom:${word}`, label: word, terms: [word], except: [] })),
+    ];
+
+    return checks
+        .map(allergen => ({
+            allergen: { id: allergen.id, label: allergen.label },
+            hits: findHits(recipe, allergen.terms, allergen.except),
+        }))
+        .filter(finding => finding.hits.length > 0);
+};
+
+// Whether a recipe the audit flagged is kept off screen: only with blocking
+// on, and until the user chooses to see it anyway
+export const blocksRecipe = (findings, { block, showAnyway = false }) => block && findings.length > 0 && !showAnyway;
+
+// Whether a recipe still being written is kept off screen. It can't be
+// audited until it's finished, so with blocking on and any allergy declared
+// it stays hidden until then.
+export const holdsDraft = (allergiesText, { block }) => {
+    const { allergens, custom } = parseAllergies(allergiesText);
+    return block && allergens.length + custom.length > 0;
+};
+
+// The terms written in English, which are what the prompt names; the
+// model knows the other languages' words for them
+const englishTerms = (allergen) => allergen.terms.filter(term => !/\p{Script=Devanagari}/u.test(term));
+
+// Spells out what a declared allergy rules out, for the prompt
+export const describeAllergies = (allergiesText) => {
+    const { allergens, custom } = parseAllergies(allergiesText);
+    return [
+        ...allergens.map(allergen => `${allergen.label} (including ${englishTerms(allergen).slice(0, 8).join(', ')})`),
+        ...custom,
+    ].join('; ');
+};
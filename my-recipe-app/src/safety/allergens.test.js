@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAllergies, auditAllergens, blocksRecipe, holdsDraft } from './allergens.js';
+
+const recipe = (ingredients, instructions = []) => ({ recipeName: 'Test', ingredients, instructions });
+const ids = (findings) => findings.map(finding => finding.allergen.id);
+
+test('parseAllergies recognises allergens in English, Hindi and Marathi', () => {
+    const english = parseAllergies('Peanut allergy, dairy and eggs');
+    assert.deepEqual(english.allergens.map(allergen => allergen.id), ['peanuts', 'dairy', 'egg']);
+
+    assert.deepEqual(parseAllergies('मूंगफली से एलर्जी').allergens.map(allergen => allergen.id), ['peanuts']);
+    assert.deepEqual(parseAllergies('शेंगदाणे आणि दूध').allergens.map(allergen => allergen.id), ['peanuts', 'dairy']);
+});
+
+test('parseAllergies keeps words it does not know as custom terms', () => {
+    assert.deepEqual(parseAllergies('kiwi, celery').custom, ['kiwi', 'celery']);
+});
+
+test('auditAllergens finds allergens written in Hindi and Marathi', () => {
+    assert.deepEqual(ids(auditAllergens(recipe(['2 tbsp मूंगफली'], []), 'peanuts')), ['peanuts']);
+    assert.deepEqual(ids(auditAllergens(recipe(['1 cup दही'], []), 'दूध')), ['dairy']);
+    assert.deepEqual(ids(auditAllergens(recipe(['2 अंडी'], []), 'egg')), ['egg']);
+});
+
+test('auditAllergens names every line an allergen is on', () => {
+    const [finding] = auditAllergens(recipe(['200 g paneer', '1 onion'], ['Fry the paneer in ghee.']), 'dairy');
+    assert.deepEqual(finding.hits.map(hit => [hit.section, hit.index]), [['ingredients', 0], ['instructions', 0]]);
+});
+
+test('auditAllergens skips the phrases that only look like an allergen', () => {
+    const safe = recipe(
+        ['1 cup coconut milk', '1 pinch nutmeg', '200 g eggplant', '2 tbsp peanut-free spread'],
+        ['Use a nut-free kitchen.', 'Add the butternut squash.']
+    );
+    assert.deepEqual(auditAllergens(safe, 'dairy, tree nuts, egg, peanuts'), []);
+});
+
+test('auditAllergens still flags the allergen next to a look-alike', () => {
+    const findings = auditAllergens(recipe(['1 cup coconut milk', '50 g butter']), 'dairy');
+    assert.deepEqual(findings[0].hits.map(hit => hit.term), ['butter']);
+});
+
+test('a flagged recipe is blocked only with blocking on and until shown anyway', () => {
+    const findings = auditAllergens(recipe(['2 tbsp peanut butter']), 'peanuts');
+    assert.equal(blocksRecipe(findings, { block: true }), true);
+    assert.equal(blocksRecipe(findings, { block: true, showAnyway: true }), false);
+    assert.equal(blocksRecipe(findings, { block: false }), false);
+    assert.equal(blocksRecipe([], { block: true }), false);
+});
+
+test('a recipe still being written is held back while blocking any allergy', () => {
+    assert.equal(holdsDraft('peanuts', { block: true }), true);
+    assert.equal(holdsDraft('kiwi', { block: true }), true);
+    assert.equal(holdsDraft('peanuts', { block: false }), false);
+    assert.equal(holdsDraft('', { block: true }), false);
+    assert.equal(holdsDraft(undefined, { block: true }), false);
+});
@@ -0,0 +1,186 @@
+import { ALLERGENS } from './allergens.js';
+import { findHits } from './matching.js';
+
+const allergen = (id) => ALLERGENS.find(candidate => candidate.id === id);
+
+// Ingredient groups the diet rules are built from. Like allergens, each has
+// the terms to look for and the phrases that merely look like them, with the
+// common Hindi and Marathi words for recipes written in those languages.
+// A group with `ingredientsOnly` is looked for in the ingredient list alone,
+// because its words turn up in ordinary steps ("mince the garlic").
+const GROUPS = {
+    meat: {
+        label: 'meat',
+        ingredientsOnly: true,
+        terms: ['chicken', 'beef', 'pork', 'lamb', 'mutton', 'goat', 'veal', 'venison', 'turkey', 'duck', 'bacon', 'ham', 'sausage', 'salami', 'pepperoni', 'prosciutto', 'pancetta', 'chorizo', 'minced meat', 'keema', 'meat', 'steak', 'ribs', 'liver', 'kidney', 'चिकन', 'मटन', 'मांस', 'कीमा', 'मुर्गा', 'मुर्गी', 'कोंबडी', 'बकरा', 'सूअर', 'डुकराचे'],
+        except: ['mock meat', 'plant-based meat', 'vegan sausage', 'meatless', 'soy chunks', 'kidney bean', 'coconut meat', 'jackfruit meat', 'goat cheese', "goat's cheese", 'goat milk', "goat's milk", 'cauliflower steak', 'mushroom steak', 'tofu steak'],
+    },
+    fish: { label: 'fish', terms: [...allergen('fish').terms, 'fish sauce'], except: allergen('fish').except },
+    shellfish: { label: 'shellfish', terms: allergen('shellfish').terms, except: allergen('shellfish').except },
+    animalByproducts: {
+        label: 'animal-derived ingredient',
+        terms: ['gelatin', 'gelatine', 'lard', 'suet', 'tallow', 'dripping', 'bone broth', 'chicken stock', 'beef stock', 'chicken broth', 'beef broth', 'fish stock', 'animal rennet', 'isinglass', 'carmine', 'cochineal'],
+        except: ['vegetable stock', 'vegetable broth', 'agar'],
+    },
+    egg: { label: 'egg', terms: allergen('egg').terms, except: allergen('egg').except },
+    dairy: { label: 'dairy', terms: allergen('dairy').terms, except: allergen('dairy').except },
+    honey: { label: 'honey', terms: ['honey', 'beeswax', 'royal jelly', 'शहद', 'मध'], except: [] },
+    rootVegetables: {
+        label: 'root vegetable',
+        terms: ['onion', 'garlic', 'potato', 'sweet potato', 'carrot', 'beetroot', 'beet', 'radish', 'turnip', 'yam', 'ginger', 'leek', 'shallot', 'spring onion', 'scallion', 'chive', 'arbi', 'mooli', 'प्याज', 'प्याज़', 'लहसुन', 'आलू', 'गाजर', 'अदरक', 'मूली', 'शकरकंद', 'कांदा', 'लसूण', 'बटाटा', 'रताळे', 'मुळा'],
+        except: ['dry ginger', 'dried ginger', 'ginger powder', 'sonth', 'onion-free', 'garlic-free'],
+    },
+    fungi: { label: 'mushroom', terms: ['mushroom', 'truffle', 'yeast', 'मशरूम', 'अळंबी'], except: [] },
+    highCarb: {
+        label: 'high-carb ingredient',
+        terms: ['sugar', 'jaggery', 'honey', 'maple syrup', 'syrup', 'rice', 'flour', 'bread', 'pasta', 'spaghetti', 'noodle', 'potato', 'sweet potato', 'corn', 'cornflour', 'cornstarch', 'cornmeal', 'oats', 'quinoa', 'couscous', 'lentils', 'dal', 'chickpeas', 'beans', 'banana', 'tortilla', 'roti', 'naan', 'poha', 'semolina'],
+        except: ['cauliflower rice', 'almond flour', 'coconut flour', 'sugar-free', 'sugar free', 'green beans', 'baby corn', 'peppercorn'],
+    },
+    pork: {
+        label: 'pork',
+        terms: ['pork', 'bacon', 'ham', 'lard', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'gelatin', 'gelatine'],
+        except: ['halal gelatin', 'beef bacon', 'turkey bacon', 'chicken ham'],
+    },
+    alcohol: {
+        label: 'alcohol',
+        terms: ['wine', 'beer', 'rum', 'brandy', 'sake', 'mirin', 'vodka', 'whisky', 'whiskey', 'liqueur', 'sherry', 'cognac', 'bourbon', 'gin', 'tequila', 'alcohol'],
+        except: ['wine vinegar', 'non-alcoholic', 'ginger', 'gingelly'],
+    },
+    gluten: { label: 'gluten', terms: allergen('gluten').terms, except: allergen('gluten').except },
+    solidFats: {
+        label: 'butter or ghee',
+        terms: ['butter', 'ghee', 'margarine', 'vanaspati', 'lard', 'shortening', 'मक्खन', 'घी', 'लोणी', 'तूप'],
+        except: ['peanut butter', 'almond butter', 'nut butter', 'cashew butter', 'apple butter', 'cocoa butter', 'butternut', 'buttermilk', 'butter beans', 'butter lettuce', 'मूंगफली का मक्खन'],
+    },
+    oils: {
+        label: 'oil',
+        terms: ['oil', 'तेल'],
+        except: ['essential oil', 'oil spray'],
+    },
+};
+
+// Dietary constraints the form offers. `groups` are what the constraint
+// forbids, `prompt` is how it's put to the model, and `conflicts` are
+// constraints that can't be picked together with it.
+export const DIET_CONSTRAINTS = [
+    {
+        id: 'vegetarian',
+        label: 'Vegetarian',
+        icon: '🌱',
+        prompt: 'Strictly vegetarian: no meat, poultry, fish, seafood or eggs, and no hidden animal products such as gelatin, lard or fish sauce',
+        groups: ['meat', 'fish', 'shellfish', 'animalByproducts', 'egg'],
+        conflicts: ['eggetarian'],
+    },
+    {
+        id: 'eggetarian',
+        label: 'Eggetarian',
+        icon: '🥚',
+        prompt: 'Eggetarian: vegetarian, but eggs are allowed; no meat, poultry, fish, seafood, gelatin or fish sauce',
+        groups: ['meat', 'fish', 'shellfish', 'animalByproducts'],
+        conflicts: ['vegetarian', 'vegan', 'jain'],
+    },
+    {
+        id: 'vegan',
+        label: 'Vegan',
+        icon: '🌿',
+        prompt: 'Strictly vegan: no animal products at all, including dairy, eggs, honey, ghee and gelatin',
+        groups: ['meat', 'fish', 'shellfish', 'animalByproducts', 'egg', 'dairy', 'honey'],
+        conflicts: ['eggetarian', 'butter-only'],
+    },
+    {
+        id: 'jain',
+        label: 'Jain',
+        icon: '🙏',
+        prompt: 'Jain: strictly vegetarian with no eggs, no root vegetables (onion, garlic, potato, carrot, ginger, beetroot, radish), no mushrooms and no honey',
+        groups: ['meat', 'fish', 'shellfish', 'animalByproducts', 'egg', 'rootVegetables', 'fungi', 'honey'],
+        conflicts: ['eggetarian'],
+    },
+    {
+        id: 'keto',
+        label: 'Keto',
+        icon: '🥑',
+        prompt: 'Keto: very low carb; no sugar, grains, rice, flour, bread, pasta, potatoes, legumes or sweet fruit',
+        groups: ['highCarb'],
+        conflicts: [],
+    },
+    {
+        id: 'halal',
+        label: 'Halal',
+        icon: '☪️',
+        prompt: 'Halal: no pork or pork products, no non-halal gelatin and no alcohol (including wine, beer and mirin)',
+        groups: ['pork', 'alcohol'],
+        conflicts: [],
+    },
+    {
+        id: 'gluten-free',
+        label: 'Gluten-free',
+        icon: '🌾',
+        prompt: 'Gluten-free: no wheat, barley, rye, regular soy sauce or anything made from them',
+        groups: ['gluten'],
+        conflicts: [],
+    },
+    {
+        id: 'oil-only',
+        label: 'Cook with oil',
+        icon: '🫒',
+        prompt: 'Use oil as the only cooking fat; no butter or ghee',
+        groups: ['solidFats'],
+        conflicts: ['butter-only'],
+        kind: 'fat',
+    },
+    {
+        id: 'butter-only',
+        label: 'Cook with butter',
+        icon: '🧈',
+        prompt: 'Use butter as the only cooking fat; no oil',
+        groups: ['oils'],
+        conflicts: ['oil-only', 'vegan'],
+        kind: 'fat',
+    },
+];
+
+export const CONSTRAINT_IDS = DIET_CONSTRAINTS.map(constraint => constraint.id);
+
+const constraintById = (id) => DIET_CONSTRAINTS.find(constraint => constraint.id === id);
+
+// Adds or removes a constraint, dropping anything it conflicts with
+export const toggleConstraint = (selected, id) => {
+    if (selected.includes(id)) return selected.filter(other => other !== id);
+    const { conflicts } = constraintById(id);
+    return [...selected.filter(other => !conflicts.includes(other)), id];
+};
+
+// One sentence per selected constraint, for the prompt
+export const describeConstraints = (ids = []) => {
+    const constraints = ids.map(constraintById).filter(Boolean);
+    const lines = constraints.map(constraint => constraint.prompt);
+    if (!constraints.some(constraint => !constraint.kind)) {
+        lines.unshift('No dietary restrictions; non-vegetarian dishes are fine');
+    }
+    if (!constraints.some(constraint => constraint.kind === 'fat')) {
+        lines.push('Any cooking fat');
+    }
+    return lines.join('. ');
+};
+
+// Checks a recipe against the selected constraints. Returns one violation
+// per broken constraint, in the same shape as allergen findings:
+//   [{ constraint: { id, label }, hits: [{ section, index, line, term, group, groupId }] }]
+export const checkDiet = (recipe, ids = []) => ids
+    .map(constraintById)
+    .filter(Boolean)
+    .map(constraint => ({
+        constraint: { id: constraint.id, label: constraint.label },
+        hits: constraint.groups.flatMap(groupId => {
+            const group = GROUPS[groupId];
+            return findHits(recipe, group.terms, group.except)
+                .filter(hit => !group.ingredientsOnly || hit.section === 'ingredients')
+                .map(hit => ({ ...hit, group: group.label, groupId }));
+        }),
+    }))
+    .filter(violation => violation.hits.length > 0);
+
+// Plain-language problems for the model to fix
+export const describeViolations = (violations) => violations.flatMap(({ constraint, hits }) => hits.map(hit => (
+    `"${hit.line}" contains ${hit.term} (${hit.group}), which breaks the ${constraint.label} requirement`
+)));
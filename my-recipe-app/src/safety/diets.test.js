@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkDiet, toggleConstraint } from './diets.js';
+
+const recipe = (ingredients, instructions = []) => ({ recipeName: 'Test', ingredients, instructions });
+const terms = (violations) => violations.flatMap(violation => violation.hits.map(hit => hit.term));
+
+test('checkDiet flags meat in the ingredients of a vegetarian recipe', () => {
+    const [violation] = checkDiet(recipe(['500 g chicken thighs', '1 onion']), ['vegetarian']);
+    assert.equal(violation.constraint.id, 'vegetarian');
+    assert.deepEqual(violation.hits.map(hit => [hit.term, hit.groupId]), [['chicken', 'meat']]);
+});
+
+test('checkDiet does not read "mince" in the steps as meat', () => {
+    const veg = recipe(['4 cloves garlic', '1 onion'], ['Mince the garlic.', 'Finely mince the onion.']);
+    assert.deepEqual(checkDiet(veg, ['vegetarian']), []);
+});
+
+test('checkDiet knows goat cheese and cauliflower steak are not meat', () => {
+    const veg = recipe(['100 g goat cheese', "50 g goat's cheese", '1 cauliflower steak', '2 mushroom steaks']);
+    assert.deepEqual(checkDiet(veg, ['vegetarian']), []);
+});
+
+test('checkDiet still flags goat and steak themselves', () => {
+    const meaty = recipe(['500 g goat', '2 sirloin steaks']);
+    assert.deepEqual(terms(checkDiet(meaty, ['vegetarian'])), ['goat', 'steak']);
+});
+
+test('checkDiet finds meat written in Hindi and Marathi', () => {
+    assert.deepEqual(terms(checkDiet(recipe(['500 g चिकन']), ['vegetarian'])), ['चिकन']);
+    assert.deepEqual(terms(checkDiet(recipe(['1 कोंबडी']), ['jain'])), ['कोंबडी']);
+});
+
+test('checkDiet catches cornflour and cornstarch on keto', () => {
+    const thickened = recipe(['1 tbsp cornflour', '2 tsp cornstarch', '1 cup baby corn', '1 tsp peppercorns']);
+    assert.deepEqual(terms(checkDiet(thickened, ['keto'])), ['cornflour', 'cornstarch']);
+});
+
+test('checkDiet reports each broken constraint separately', () => {
+    const violations = checkDiet(recipe(['2 tbsp butter', '1 cup rice']), ['keto', 'oil-only', 'vegan']);
+    assert.deepEqual(violations.map(violation => violation.constraint.id), ['keto', 'oil-only', 'vegan']);
+});
+
+test('toggleConstraint drops the constraints a new one conflicts with', () => {
+    assert.deepEqual(toggleConstraint(['vegetarian', 'oil-only'], 'butter-only'), ['vegetarian', 'butter-only']);
+    assert.deepEqual(toggleConstraint(['vegetarian'], 'vegetarian'), []);
+});
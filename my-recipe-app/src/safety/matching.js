@@ -0,0 +1,45 @@
+import { normalizeIngredient, formatIngredient, lookupName } from '../recipe/ingredients.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also accepts simple plurals ("almonds", "tomatoes").
+// Word edges are any letter, mark or digit rather than \b, which only knows
+// ASCII and would split Hindi and Marathi words at their vowel signs.
+export const termPattern = (term, flags = 'i') => new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(term)}(?:s|es)?(?![\\p{L}\\p{M}\\p{N}])`,
+    `${flags}u`
+);
+
+const stripExceptions = (text, except = []) => except.reduce(
+    (result, phrase) => result.replace(new RegExp(escapeRegExp(phrase), 'gi'), ' '),
+    text
+);
+
+// The first of `terms` that appears in `text` once the `except` phrases
+// (things that contain a term but aren't it, like "nutmeg") are removed
+export const findTerm = (text, terms, except) => {
+    const cleaned = stripExceptions(text, except);
+    return terms.find(term => termPattern(term).test(cleaned));
+};
+
+// An ingredient line with its English name added when the recipe is in
+// another language, so checks written in English still see it
+const ingredientLine = (ingredient) => {
+    const line = formatIngredient(ingredient);
+    return lookupName(ingredient) === ingredient.name ? line : `${line} (${lookupName(ingredient)})`;
+};
+
+// The lines of a recipe worth scanning, tagged with where they came from
+export const recipeLines = (recipe) => [
+    ...(recipe.ingredients || []).map((item, index) => ({
+        section: 'ingredients',
+        index,
+        line: ingredientLine(normalizeIngredient(item)),
+    })),
+    ...(recipe.instructions || []).map((line, index) => ({ section: 'instructions', index, line })),
+];
+
+// Every line of the recipe that mentions one of `terms`
+export const findHits = (recipe, terms, except) => recipeLines(recipe)
+    .map(entry => ({ ...entry, term: findTerm(entry.line, terms, except) }))
+    .filter(entry => entry.term);
@@ -0,0 +1,36 @@
+import { useState, useMemo } from 'react';
+
+import { auditAllergens, blocksRecipe, holdsDraft } from './allergens.js';
+import { checkDiet } from './diets.js';
+import { checkPreferences } from '../recipe/preferences.js';
+
+// Checks the recipe on screen against the allergies, diets and preferences
+// it was made for. `blockAllergens` is the user's choice to hide (rather
+// than just flag) a recipe that hits a declared allergen; `showBlocked`
+// says they asked to see this one anyway.
+export const useRecipeChecks = (recipe, recipeAnswers, showBlocked) => {
+    const [blockAllergens, setBlockAllergens] = useState(false);
+
+    const allergenFindings = useMemo(
+        () => (recipe && recipeAnswers ? auditAllergens(recipe, recipeAnswers.allergies) : []),
+        [recipe, recipeAnswers]
+    );
+    const dietViolations = useMemo(
+        () => (recipe && recipeAnswers ? checkDiet(recipe, recipeAnswers.constraints) : []),
+        [recipe, recipeAnswers]
+    );
+    const preferenceProblems = useMemo(
+        () => (recipe && recipeAnswers ? checkPreferences(recipe, recipeAnswers) : []),
+        [recipe, recipeAnswers]
+    );
+
+    return {
+        blockAllergens,
+        setBlockAllergens,
+        allergenFindings,
+        dietViolations,
+        preferenceProblems,
+        isBlocked: blocksRecipe(allergenFindings, { block: blockAllergens, showAnyway: showBlocked }),
+        isDraftHeld: holdsDraft(recipeAnswers?.allergies, { block: blockAllergens }),
+    };
+};
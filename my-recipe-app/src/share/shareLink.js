@@ -0,0 +1,76 @@
+import { validateRecipe } from '../recipe/validate.js';
+import { slugFor } from '../export/download.js';
+import { MessageError } from '../i18n/messageError.js';
+
+// Shared recipes live at /recipe/<slug>#<payload>. The fragment never
+// reaches a server, so opening a link needs no backend and no API call.
+export const SHARE_PATH = '/recipe/';
+
+// Longer links get cut off by chat apps and QR codes stop scanning well
+export const MAX_SHARE_URL_LENGTH = 4000;
+
+// The first character of a payload says how the rest is encoded
+const DEFLATED = 'z';
+const PLAIN = 'j';
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, transform) => (
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer())
+);
+
+// Deflated where the browser can, plain JSON where it can't
+export const encodeRecipe = async (recipe) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(recipe));
+    if (typeof CompressionStream === 'undefined') return PLAIN + toBase64Url(bytes);
+    return DEFLATED + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+// The recipe in a share payload. Throws a MessageError when the link is damaged
+// or isn't a recipe.
+export const decodeRecipe = async (payload) => {
+    let value;
+    try {
+        let bytes = fromBase64Url(payload.slice(1));
+        if (payload[0] === DEFLATED) bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        else if (payload[0] !== PLAIN) throw new Error('Unknown encoding');
+        value = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new MessageError('shared.damaged');
+    }
+    const { value: recipe, errors } = validateRecipe(value);
+    if (errors.length > 0) throw new MessageError('shared.incomplete');
+    return recipe;
+};
+
+export const shareUrl = (recipe, payload, origin = window.location.origin) => (
+    `${origin}${SHARE_PATH}${slugFor(recipe)}#${payload}`
+);
+
+// A link for the recipe: { url, isTrimmed } or { isTooLong: true }. When
+// the full recipe won't fit, the description and timers are left out before
+// giving up; the recipe still cooks without them. `origin` defaults to the
+// page's own.
+export const createShareLink = async (recipe, { origin } = {}) => {
+    const { description: _description, stepTimers: _stepTimers, ...essentials } = recipe;
+    for (const [candidate, isTrimmed] of [[recipe, false], [essentials, true]]) {
+        const url = shareUrl(recipe, await encodeRecipe(candidate), origin);
+        if (url.length <= MAX_SHARE_URL_LENGTH) return { url, isTrimmed };
+    }
+    return { isTooLong: true };
+};
+
+// The payload when `path` is a share link, otherwise null. A share path
+// whose fragment went missing gives '', which fails to decode as a damaged link.
+export const sharePayload = ({ path, hash }) => (path.startsWith(SHARE_PATH) ? hash : null);
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeRecipe, decodeRecipe, createShareLink, sharePayload, MAX_SHARE_URL_LENGTH, SHARE_PATH } from './shareLink.js';
+import { recipeFixtures } from '../providers/fixtures.js';
+import { MessageError } from '../i18n/messageError.js';
+
+const ORIGIN = 'https://chef.example';
+const { recipe } = recipeFixtures[0];
+
+// Text that deflate can't squeeze, so a recipe grows past a link's length
+const noise = (length, seed) => {
+    let state = seed;
+    let text = '';
+    while (text.length < length) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        text += String.fromCharCode(97 + (state % 26));
+    }
+    return text;
+};
+
+const payloadOf = (url) => sharePayload({ path: new URL(url).pathname, hash: new URL(url).hash.slice(1) });
+
+test('encodeRecipe and decodeRecipe round-trip a recipe', async () => {
+    assert.deepEqual(await decodeRecipe(await encodeRecipe(recipe)), recipe);
+});
+
+test('createShareLink makes a link that opens the same recipe', async () => {
+    const link = await createShareLink(recipe, { origin: ORIGIN });
+    assert.equal(link.isTrimmed, false);
+    assert.ok(link.url.startsWith(`${ORIGIN}${SHARE_PATH}`));
+    assert.ok(link.url.length <= MAX_SHARE_URL_LENGTH);
+    assert.deepEqual(await decodeRecipe(payloadOf(link.url)), recipe);
+});
+
+test('createShareLink leaves out the description and timers when the recipe is too long', async () => {
+    const long = { ...recipe, description: noise(6000, 1), stepTimers: [{ step: 1, minutes: 5 }] };
+    const link = await createShareLink(long, { origin: ORIGIN });
+    assert.equal(link.isTrimmed, true);
+    assert.ok(link.url.length <= MAX_SHARE_URL_LENGTH);
+
+    const opened = await decodeRecipe(payloadOf(link.url));
+    assert.equal(opened.description, undefined);
+    assert.equal(opened.stepTimers, undefined);
+    assert.deepEqual(opened.ingredients, recipe.ingredients);
+});
+
+test('createShareLink gives up when even the essentials are too long', async () => {
+    const huge = { ...recipe, instructions: [noise(5000, 2), noise(5000, 3)] };
+    assert.deepEqual(await createShareLink(huge, { origin: ORIGIN }), { isTooLong: true });
+});
+
+test('decodeRecipe rejects damaged links and payloads that are not recipes', async () => {
+    const payload = await encodeRecipe(recipe);
+    await assert.rejects(decodeRecipe(payload.slice(0, 40)), (err) => err instanceof MessageError && err.id === 'shared.damaged');
+    await assert.rejects(decodeRecipe(''), { id: 'shared.damaged' });
+    await assert.rejects(decodeRecipe(await encodeRecipe({ recipeName: 'Nothing else' })), { id: 'shared.incomplete' });
+});
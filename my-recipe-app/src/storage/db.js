@@ -0,0 +1,85 @@
+import { MessageError } from '../i18n/messageError.js';
+
+// Thin promise wrapper around the app's IndexedDB database.
+const DB_NAME = 'chef-app';
+
+// One entry per schema version. To add a store, append an upgrade; never edit
+// an old one, browsers that already ran it won't run it again.
+const UPGRADES = [
+    (db) => {
+        const recipes = db.createObjectStore('recipes', { keyPath: 'id' });
+        recipes.createIndex('createdAt', 'createdAt');
+    },
+    (db) => {
+        db.createObjectStore('pantry', { keyPath: 'id' });
+    },
+    (db) => {
+        db.createObjectStore('cache', { keyPath: 'key' });
+    },
+    (db) => {
+        db.createObjectStore('queue', { keyPath: 'key' });
+    },
+];
+
+let dbPromise;
+
+export const openDb = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new MessageError('storage.unsupported'));
+        }
+        const request = indexedDB.open(DB_NAME, UPGRADES.length);
+        request.onupgradeneeded = (event) => {
+            for (let version = event.oldVersion; version < UPGRADES.length; version++) {
+                UPGRADES[version](request.result, request.transaction);
+            }
+        };
+        dbPromise = new Promise((resolve, reject) => {
+            let isGivenUp = false;
+            // Another tab has the old version open and won't let go of it
+            request.onblocked = () => {
+                isGivenUp = true;
+                reject(new MessageError('storage.blocked'));
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (isGivenUp) {
+                    // Opened once the other tab went, but nobody is waiting;
+                    // the next call opens again
+                    db.close();
+                    return;
+                }
+                // A newer version of the app in another tab needs to upgrade:
+                // step aside, and open again next time
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = undefined;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        }).catch((err) => {
+            dbPromise = undefined;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `fn(store)` inside a transaction and resolves with its request's result
+// once the transaction has committed
+const withStore = async (storeName, mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const get = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+export const put = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+export const remove = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
@@ -0,0 +1,130 @@
+import { SUBSTITUTIONS } from './table.js';
+import { findTerm } from '../safety/matching.js';
+import { checkDiet } from '../safety/diets.js';
+import { auditAllergens } from '../safety/allergens.js';
+import { normalizeIngredient } from '../recipe/ingredients.js';
+import { convertAmount } from '../recipe/units.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+// A substitute, wherever it came from, is
+//   { name, ingredients, prep?, note?, source: 'table' | 'model' }
+// with `ingredients` the structured lines that replace the original.
+
+// The table entry for an ingredient name and the term that matched it. The
+// longest matching term wins, so "chicken stock" is stock, not chicken.
+export const findEntry = (name = '') => {
+    let best;
+    for (const entry of SUBSTITUTIONS) {
+        const term = findTerm(name, [...entry.terms].sort((a, b) => b.length - a.length), entry.except);
+        if (term && (!best || term.length > best.term.length)) best = { entry, term };
+    }
+    return best;
+};
+
+// How many `per` there are in the original, or undefined if the units don't
+// convert (a head of garlic can't be sized in cloves)
+const countPer = (original, per) => {
+    if (!per.unit) return original.unit ? undefined : original.amount / per.amount;
+    const amount = convertAmount(original.amount, original.unit ?? per.unit, per.unit, original.name);
+    return amount === undefined ? undefined : amount / per.amount;
+};
+
+// One line of a table option sized for the original ingredient, or null
+const sizeLine = (line, original) => {
+    if (typeof original.amount !== 'number') return { name: line.name };
+    if (line.ratio !== undefined) {
+        return { name: line.name, amount: original.amount * line.ratio, ...(original.unit && { unit: original.unit }) };
+    }
+    const count = countPer(original, line.per);
+    if (count === undefined) return null;
+    return { name: line.name, amount: line.amount * count, ...(line.unit && { unit: line.unit }) };
+};
+
+const resolveOption = (option, original) => {
+    const ingredients = option.ingredients.map(line => sizeLine(line, original));
+    if (ingredients.includes(null)) return null;
+    return { name: option.name, ingredients, prep: option.prep, note: option.note, source: 'table' };
+};
+
+// Whether a substitute keeps to the answers the recipe was made for: the
+// dietary constraints, the allergies and anything asked to be left out
+export const isAllowed = (substitute, answers) => {
+    const lines = { ingredients: substitute.ingredients, instructions: [substitute.prep].filter(Boolean) };
+    if (checkDiet(lines, answers.constraints).length > 0) return false;
+    if (auditAllergens(lines, answers.allergies).length > 0) return false;
+    const excluded = answers.excludeIngredients ?? [];
+    return !lines.ingredients.some(line => findTerm(line.name, excluded));
+};
+
+// The table's substitutes for one ingredient that keep to `answers`, sized
+// for its amount. An empty list means it's over to the model, which is
+// always the case for a recipe in another language: the table's names and
+// notes are English.
+export const findSubstitutes = (item, answers) => {
+    if ((answers.language ?? DEFAULT_LOCALE) !== DEFAULT_LOCALE) return [];
+    const original = normalizeIngredient(item);
+    const match = findEntry(original.name);
+    if (!match) return [];
+    return match.entry.options
+        .map(option => resolveOption(option, original))
+        .filter(option => option && isAllowed(option, answers))
+        .filter(option => option.ingredients.some(line => line.name.toLowerCase() !== original.name.toLowerCase()));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const matchCase = (word, replacement) => (
+    /^[A-Z]/.test(word) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement
+);
+
+// What the steps might call the original: its full name and, for table
+// swaps, the shorter term it was matched on ("unsalted butter", "butter").
+// One pass, longest first, skipping the phrases that only look like it
+// ("peanut butter" when swapping butter).
+const mentionPattern = (name) => {
+    const match = findEntry(name);
+    const full = name.toLowerCase();
+    // "eggs" is the plural of the term "egg", which the pattern covers
+    const isPlural = match && [`${match.term}s`, `${match.term}es`].includes(full);
+    const terms = [...new Set([isPlural ? null : full, match?.term].filter(Boolean))]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    const except = (match?.entry.except ?? []).map(escapeRegExp);
+    // Word edges as in termPattern, so Devanagari names are matched whole
+    const start = '(?<![\\p{L}\\p{M}\\p{N}])';
+    const skip = except.length ? `${start}(?:${except.join('|')})[\\p{L}\\p{M}\\p{N}]*|` : '';
+    return new RegExp(`${skip}${start}(${terms.join('|')})(s|es)?(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+};
+
+// Replaces mentions of the original in a step, keeping plurals and a capital
+// at the start of a sentence. Returns the same string when nothing matched.
+const rewriteStep = (step, pattern, replacement) => step.replace(pattern, (match, word, plural = '') => (
+    word === undefined ? match : matchCase(word, replacement) + (replacement.endsWith('s') ? '' : plural)
+));
+
+// The recipe with ingredient `index` swapped for `substitute`: its lines
+// take the original's place, every step that mentions it is rewritten, and
+// any prep step goes in before the first of those.
+export const applySubstitution = (recipe, index, substitute) => {
+    const original = normalizeIngredient(recipe.ingredients[index]);
+    const pattern = mentionPattern(original.name);
+    const ingredients = [
+        ...recipe.ingredients.slice(0, index),
+        ...substitute.ingredients.map(line => ({ ...line, ...(original.optional && { optional: true }) })),
+        ...recipe.ingredients.slice(index + 1),
+    ];
+
+    const instructions = recipe.instructions.map(step => rewriteStep(step, pattern, substitute.name));
+
+    if (substitute.prep) {
+        const firstUse = instructions.findIndex((step, stepIndex) => step !== recipe.instructions[stepIndex]);
+        instructions.splice(Math.max(0, firstUse), 0, substitute.prep);
+    }
+
+    return { ...recipe, ingredients, instructions };
+};
+
+// How a swap is described in the version history
+export const describeSubstitution = (item, substitute) => (
+    `Swap ${normalizeIngredient(item).name} for ${substitute.name}`
+);
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findEntry, findSubstitutes, applySubstitution } from './engine.js';
+
+const names = (substitutes) => substitutes.map(substitute => substitute.name);
+
+test('findEntry picks the longest term and skips look-alikes', () => {
+    assert.equal(findEntry('unsalted butter').term, 'butter');
+    assert.equal(findEntry('sour cream').term, 'sour cream');
+    assert.equal(findEntry('peanut butter').term, 'peanut butter');
+    assert.equal(findEntry('eggplant'), undefined);
+});
+
+test('findSubstitutes sizes each option for the original amount', () => {
+    const [flax] = findSubstitutes({ name: 'eggs', amount: 2 }, {});
+    assert.equal(flax.name, 'flax egg');
+    assert.deepEqual(flax.ingredients, [
+        { name: 'ground flaxseed', amount: 2, unit: 'tbsp' },
+        { name: 'water', amount: 6, unit: 'tbsp' },
+    ]);
+
+    const [oil] = findSubstitutes({ name: 'butter', amount: 40, unit: 'g' }, {});
+    assert.deepEqual(oil.ingredients, [{ name: 'olive oil', amount: 30, unit: 'g' }]);
+});
+
+test('findSubstitutes leaves out options that break the diet, allergies or exclusions', () => {
+    const butter = { name: 'butter', amount: 2, unit: 'tbsp' };
+    assert.deepEqual(names(findSubstitutes(butter, {})), ['olive oil', 'ghee', 'vegan butter', 'coconut oil']);
+    assert.deepEqual(names(findSubstitutes(butter, { constraints: ['vegan'] })), ['olive oil', 'vegan butter', 'coconut oil']);
+    assert.deepEqual(names(findSubstitutes(butter, { excludeIngredients: ['coconut', 'olive oil'] })), ['ghee', 'vegan butter']);
+    assert.ok(!names(findSubstitutes({ name: 'cream', amount: 100, unit: 'ml' }, { allergies: 'tree nuts' })).includes('cashew cream'));
+});
+
+test('findSubstitutes never offers the ingredient itself', () => {
+    assert.ok(!names(findSubstitutes({ name: 'olive oil', amount: 2, unit: 'tbsp' }, {})).includes('olive oil'));
+});
+
+test('findSubstitutes leaves recipes in other languages to the model', () => {
+    assert.deepEqual(findSubstitutes({ name: 'butter', amount: 2, unit: 'tbsp' }, { language: 'hi' }), []);
+    assert.deepEqual(findSubstitutes({ name: 'saffron', amount: 1, unit: 'pinch' }, {}), []);
+});
+
+test('applySubstitution swaps the line, rewrites the steps and adds the prep step first', () => {
+    const recipe = {
+        recipeName: 'Omelette',
+        ingredients: [{ name: 'eggs', amount: 2 }, { name: 'eggplant', amount: 1, optional: true }],
+        instructions: ['Dice the eggplant.', 'Beat the eggs.', 'Eggs go in last.'],
+    };
+    const [flax] = findSubstitutes(recipe.ingredients[0], {});
+    const swapped = applySubstitution(recipe, 0, flax);
+
+    assert.deepEqual(swapped.ingredients, [...flax.ingredients, recipe.ingredients[1]]);
+    assert.deepEqual(swapped.instructions, [
+        'Dice the eggplant.',
+        flax.prep,
+        'Beat the flax eggs.',
+        'Flax eggs go in last.',
+    ]);
+    // The original recipe is left alone
+    assert.equal(recipe.instructions[1], 'Beat the eggs.');
+});
+
+test('applySubstitution keeps an optional line optional and skips phrases that only look like it', () => {
+    const recipe = {
+        recipeName: 'Toast',
+        ingredients: [{ name: 'bread', amount: 2, unit: 'slices' }, { name: 'butter', amount: 1, unit: 'tbsp', optional: true }],
+        instructions: ['Spread the peanut butter on the bread.', 'Add a little butter.'],
+    };
+    const swapped = applySubstitution(recipe, 1, { name: 'ghee', ingredients: [{ name: 'ghee', amount: 1, unit: 'tbsp' }] });
+    assert.deepEqual(swapped.ingredients[1], { name: 'ghee', amount: 1, unit: 'tbsp', optional: true });
+    assert.deepEqual(swapped.instructions, ['Spread the peanut butter on the bread.', 'Add a little ghee.']);
+});
@@ -0,0 +1,371 @@
+// Kitchen swaps that are safe to suggest without asking a model. Each entry
+// lists the `terms` that identify the ingredient (and `except`, phrases that
+// contain a term but aren't it), and the `options` to replace it with:
+//   name         what the steps call it once swapped in
+//   ingredients  the lines that replace the original, either
+//                { name, ratio } - the original amount and unit times ratio -
+//                or { name, amount, unit, per: { amount, unit } } - so much
+//                for every `per` of the original (no `per` unit counts items)
+//   prep         an extra step, put before the first step that uses it
+//   note         when the swap works and when it doesn't
+// Options aren't tagged by diet or allergen: every suggestion is checked
+// against the recipe's constraints and allergies like a generated recipe is.
+export const SUBSTITUTIONS = [
+    {
+        terms: ['buttermilk'],
+        options: [
+            {
+                name: 'soured milk',
+                ingredients: [
+                    { name: 'milk', ratio: 1 },
+                    { name: 'lemon juice', amount: 1, unit: 'tbsp', per: { amount: 1, unit: 'cup' } },
+                ],
+                prep: 'Stir the lemon juice into the milk and leave it for 5 minutes to thicken slightly.',
+            },
+            {
+                name: 'thinned yogurt',
+                ingredients: [
+                    { name: 'plain yogurt', ratio: 0.75 },
+                    { name: 'water', ratio: 0.25 },
+                ],
+                prep: 'Whisk the yogurt with the water until smooth.',
+            },
+            {
+                name: 'soured soy milk',
+                ingredients: [
+                    { name: 'soy milk', ratio: 1 },
+                    { name: 'lemon juice', amount: 1, unit: 'tbsp', per: { amount: 1, unit: 'cup' } },
+                ],
+                prep: 'Stir the lemon juice into the soy milk and leave it for 5 minutes to curdle slightly.',
+            },
+        ],
+    },
+    {
+        terms: ['egg'],
+        except: ['eggplant', 'egg noodle', 'flax egg', 'chia egg'],
+        options: [
+            {
+                name: 'flax egg',
+                ingredients: [
+                    { name: 'ground flaxseed', amount: 1, unit: 'tbsp', per: { amount: 1 } },
+                    { name: 'water', amount: 3, unit: 'tbsp', per: { amount: 1 } },
+                ],
+                prep: 'Mix the ground flaxseed with the water and leave it for 10 minutes to turn gel-like.',
+                note: 'Binds batters, patties and bakes; it won\'t scramble or whip.',
+            },
+            {
+                name: 'chia egg',
+                ingredients: [
+                    { name: 'chia seeds', amount: 1, unit: 'tbsp', per: { amount: 1 } },
+                    { name: 'water', amount: 3, unit: 'tbsp', per: { amount: 1 } },
+                ],
+                prep: 'Mix the chia seeds with the water and leave it for 10 minutes to thicken.',
+                note: 'Binds batters, patties and bakes; it won\'t scramble or whip.',
+            },
+            {
+                name: 'aquafaba',
+                ingredients: [{ name: 'aquafaba (chickpea can liquid)', amount: 3, unit: 'tbsp', per: { amount: 1 } }],
+                note: 'Whips like egg white for meringues and mousses.',
+            },
+        ],
+    },
+    {
+        terms: ['butter'],
+        except: ['peanut butter', 'almond butter', 'nut butter', 'cashew butter', 'apple butter', 'cocoa butter', 'buttermilk', 'butternut', 'butter beans', 'butter lettuce', 'vegan butter'],
+        options: [
+            { name: 'olive oil', ingredients: [{ name: 'olive oil', ratio: 0.75 }], note: 'Best for cooking; bakes come out denser.' },
+            { name: 'ghee', ingredients: [{ name: 'ghee', ratio: 1 }] },
+            { name: 'vegan butter', ingredients: [{ name: 'vegan butter', ratio: 1 }] },
+            { name: 'coconut oil', ingredients: [{ name: 'coconut oil', ratio: 1 }], note: 'Works in baking; adds a light coconut taste.' },
+        ],
+    },
+    {
+        terms: ['ghee'],
+        options: [
+            { name: 'butter', ingredients: [{ name: 'butter', ratio: 1 }], note: 'Burns sooner; keep the heat moderate.' },
+            { name: 'vegetable oil', ingredients: [{ name: 'vegetable oil', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['vegetable oil', 'sunflower oil', 'canola oil', 'rapeseed oil', 'olive oil', 'oil'],
+        except: ['sesame oil', 'chilli oil', 'chili oil', 'truffle oil', 'essential oil', 'oil spray'],
+        options: [
+            { name: 'olive oil', ingredients: [{ name: 'olive oil', ratio: 1 }] },
+            { name: 'vegetable oil', ingredients: [{ name: 'vegetable oil', ratio: 1 }] },
+            { name: 'ghee', ingredients: [{ name: 'ghee', ratio: 1 }] },
+            { name: 'butter', ingredients: [{ name: 'butter', ratio: 1.25 }], note: 'Burns sooner; keep the heat moderate.' },
+        ],
+    },
+    {
+        terms: ['milk'],
+        except: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'soya milk', 'rice milk', 'buttermilk', 'condensed milk', 'evaporated milk'],
+        options: [
+            { name: 'oat milk', ingredients: [{ name: 'oat milk', ratio: 1 }] },
+            { name: 'soy milk', ingredients: [{ name: 'soy milk', ratio: 1 }] },
+            { name: 'almond milk', ingredients: [{ name: 'almond milk', ratio: 1 }], note: 'Thinner; sauces may need a little longer to thicken.' },
+        ],
+    },
+    {
+        terms: ['heavy cream', 'double cream', 'single cream', 'cream'],
+        except: ['sour cream', 'ice cream', 'cream cheese', 'coconut cream', 'cream of tartar', 'creamed'],
+        options: [
+            { name: 'coconut cream', ingredients: [{ name: 'coconut cream', ratio: 1 }] },
+            {
+                name: 'milk and butter',
+                ingredients: [
+                    { name: 'milk', ratio: 0.75 },
+                    { name: 'butter', ratio: 0.25 },
+                ],
+                prep: 'Melt the butter and whisk it into the milk.',
+                note: 'For sauces and soups; it won\'t whip.',
+            },
+            { name: 'cashew cream', ingredients: [{ name: 'cashew cream', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['sour cream'],
+        options: [
+            { name: 'Greek yogurt', ingredients: [{ name: 'Greek yogurt', ratio: 1 }] },
+            { name: 'coconut yogurt', ingredients: [{ name: 'coconut yogurt', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['yogurt', 'yoghurt', 'curd', 'dahi'],
+        except: ['coconut yogurt', 'soy yogurt', 'bean curd'],
+        options: [
+            { name: 'coconut yogurt', ingredients: [{ name: 'coconut yogurt', ratio: 1 }] },
+            { name: 'soy yogurt', ingredients: [{ name: 'soy yogurt', ratio: 1 }] },
+            { name: 'sour cream', ingredients: [{ name: 'sour cream', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['paneer'],
+        options: [
+            { name: 'tofu', ingredients: [{ name: 'extra-firm tofu', ratio: 1 }], prep: 'Press the tofu for 15 minutes to drain it, then cube it.' },
+            { name: 'halloumi', ingredients: [{ name: 'halloumi', ratio: 1 }], note: 'Saltier; go easy on the salt.' },
+        ],
+    },
+    {
+        terms: ['parmesan', 'pecorino'],
+        options: [
+            { name: 'nutritional yeast', ingredients: [{ name: 'nutritional yeast', ratio: 0.5 }], note: 'Savoury and cheesy, without the salt.' },
+            { name: 'grana padano', ingredients: [{ name: 'grana padano', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['honey'],
+        options: [
+            { name: 'maple syrup', ingredients: [{ name: 'maple syrup', ratio: 1 }] },
+            { name: 'agave syrup', ingredients: [{ name: 'agave syrup', ratio: 1 }] },
+            { name: 'jaggery', ingredients: [{ name: 'grated jaggery', ratio: 1.25 }] },
+        ],
+    },
+    {
+        terms: ['brown sugar', 'sugar'],
+        except: ['sugar snap', 'icing sugar', 'powdered sugar'],
+        options: [
+            { name: 'jaggery', ingredients: [{ name: 'grated jaggery', ratio: 1 }] },
+            { name: 'honey', ingredients: [{ name: 'honey', ratio: 0.75 }], note: 'In baking, use a little less liquid elsewhere.' },
+            { name: 'maple syrup', ingredients: [{ name: 'maple syrup', ratio: 0.75 }] },
+        ],
+    },
+    {
+        terms: ['soy sauce'],
+        options: [
+            { name: 'tamari', ingredients: [{ name: 'tamari', ratio: 1 }], note: 'Usually gluten-free; check the label.' },
+            { name: 'coconut aminos', ingredients: [{ name: 'coconut aminos', ratio: 1.25 }], note: 'Sweeter and less salty.' },
+        ],
+    },
+    {
+        terms: ['fish sauce'],
+        options: [
+            {
+                name: 'soy sauce and lime',
+                ingredients: [
+                    { name: 'soy sauce', ratio: 1 },
+                    { name: 'lime juice', ratio: 0.25 },
+                ],
+            },
+            { name: 'vegan fish sauce', ingredients: [{ name: 'vegan fish sauce', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['lemon juice', 'lemon'],
+        except: ['lemongrass', 'lemon zest'],
+        options: [
+            { name: 'lime juice', ingredients: [{ name: 'lime juice', ratio: 1 }] },
+            { name: 'vinegar', ingredients: [{ name: 'white wine vinegar', ratio: 0.5 }] },
+        ],
+    },
+    {
+        terms: ['white wine', 'red wine', 'wine'],
+        except: ['wine vinegar'],
+        options: [
+            {
+                name: 'stock',
+                ingredients: [
+                    { name: 'vegetable stock', ratio: 1 },
+                    { name: 'wine vinegar', amount: 1, unit: 'tsp', per: { amount: 0.5, unit: 'cup' } },
+                ],
+            },
+            { name: 'grape juice', ingredients: [{ name: 'grape juice', ratio: 1 }], note: 'Sweeter; add a squeeze of lemon.' },
+        ],
+    },
+    {
+        terms: ['chicken stock', 'beef stock', 'chicken broth', 'beef broth', 'fish stock', 'bone broth'],
+        options: [
+            { name: 'vegetable stock', ingredients: [{ name: 'vegetable stock', ratio: 1 }] },
+            { name: 'mushroom stock', ingredients: [{ name: 'mushroom stock', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['all-purpose flour', 'plain flour', 'maida', 'flour'],
+        except: ['rice flour', 'corn flour', 'cornflour', 'chickpea flour', 'gram flour', 'almond flour', 'coconut flour', 'gluten-free flour'],
+        options: [
+            { name: 'gluten-free flour', ingredients: [{ name: 'gluten-free flour blend', ratio: 1 }] },
+            { name: 'wholemeal flour', ingredients: [{ name: 'wholemeal flour', ratio: 1 }], note: 'Heavier; add a splash more liquid.' },
+        ],
+    },
+    {
+        terms: ['breadcrumb'],
+        options: [
+            { name: 'rolled oats', ingredients: [{ name: 'rolled oats', ratio: 1 }], note: 'Pulse them briefly for a finer crumb.' },
+            { name: 'crushed cornflakes', ingredients: [{ name: 'crushed cornflakes', ratio: 1 }] },
+            { name: 'almond flour', ingredients: [{ name: 'almond flour', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['cornstarch', 'cornflour', 'corn flour'],
+        options: [
+            { name: 'arrowroot', ingredients: [{ name: 'arrowroot', ratio: 1 }] },
+            { name: 'flour', ingredients: [{ name: 'plain flour', ratio: 2 }], note: 'Cook it a couple of minutes longer to lose the raw taste.' },
+        ],
+    },
+    {
+        terms: ['baking powder'],
+        options: [
+            {
+                name: 'baking soda and cream of tartar',
+                ingredients: [
+                    { name: 'baking soda', ratio: 0.25 },
+                    { name: 'cream of tartar', ratio: 0.5 },
+                ],
+            },
+        ],
+    },
+    {
+        terms: ['spaghetti', 'linguine', 'penne', 'fusilli', 'pasta'],
+        options: [
+            { name: 'gluten-free pasta', ingredients: [{ name: 'gluten-free pasta', ratio: 1 }] },
+            { name: 'courgette noodles', ingredients: [{ name: 'courgette, spiralised', ratio: 2 }], note: 'Cook for 2 minutes only, or serve raw.' },
+            { name: 'rice noodles', ingredients: [{ name: 'rice noodles', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['rice'],
+        except: ['rice noodle', 'rice flour', 'rice vinegar', 'rice milk', 'cauliflower rice'],
+        options: [
+            { name: 'quinoa', ingredients: [{ name: 'quinoa', ratio: 1 }] },
+            { name: 'cauliflower rice', ingredients: [{ name: 'cauliflower rice', ratio: 1.5 }], note: 'Cooks in 5 minutes.' },
+        ],
+    },
+    {
+        terms: ['chicken'],
+        except: ['chicken stock', 'chicken broth'],
+        options: [
+            { name: 'tofu', ingredients: [{ name: 'extra-firm tofu', ratio: 1 }], prep: 'Press the tofu for 15 minutes to drain it, then cut it into pieces.' },
+            { name: 'chickpeas', ingredients: [{ name: 'cooked chickpeas', ratio: 1 }], note: 'Add them late; they only need warming through.' },
+            { name: 'paneer', ingredients: [{ name: 'paneer', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['beef mince', 'minced beef', 'ground beef', 'mince', 'keema'],
+        options: [
+            { name: 'lentils', ingredients: [{ name: 'cooked brown lentils', ratio: 1 }] },
+            { name: 'soy mince', ingredients: [{ name: 'soy mince', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['onion', 'shallot'],
+        except: ['spring onion', 'onion powder'],
+        options: [
+            { name: 'leek', ingredients: [{ name: 'leek', ratio: 1 }] },
+            {
+                name: 'asafoetida and cabbage',
+                ingredients: [
+                    { name: 'asafoetida (hing)', amount: 0.125, unit: 'tsp', per: { amount: 1 } },
+                    { name: 'finely shredded cabbage', amount: 0.5, unit: 'cup', per: { amount: 1 } },
+                ],
+                note: 'The usual Jain swap for onion.',
+            },
+        ],
+    },
+    {
+        terms: ['garlic'],
+        except: ['garlic powder'],
+        options: [
+            { name: 'garlic powder', ingredients: [{ name: 'garlic powder', amount: 0.125, unit: 'tsp', per: { amount: 1, unit: 'clove' } }] },
+            { name: 'asafoetida', ingredients: [{ name: 'asafoetida (hing)', amount: 1, unit: 'pinch', per: { amount: 2, unit: 'clove' } }], note: 'The usual Jain swap for garlic.' },
+        ],
+    },
+    {
+        terms: ['ginger'],
+        except: ['ginger powder', 'ground ginger', 'dry ginger'],
+        options: [
+            { name: 'ground ginger', ingredients: [{ name: 'ground ginger', amount: 0.25, unit: 'tsp', per: { amount: 1, unit: 'tbsp' } }] },
+        ],
+    },
+    {
+        terms: ['mayonnaise', 'mayo'],
+        except: ['vegan mayo'],
+        options: [
+            { name: 'Greek yogurt', ingredients: [{ name: 'Greek yogurt', ratio: 1 }] },
+            { name: 'vegan mayo', ingredients: [{ name: 'vegan mayo', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['peanut butter', 'almond butter'],
+        options: [
+            { name: 'sunflower seed butter', ingredients: [{ name: 'sunflower seed butter', ratio: 1 }] },
+            { name: 'tahini', ingredients: [{ name: 'tahini', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['almond', 'cashew', 'walnut', 'pecan', 'peanut'],
+        except: ['almond milk', 'almond flour', 'almond butter', 'peanut butter', 'cashew cream'],
+        options: [
+            { name: 'sunflower seeds', ingredients: [{ name: 'sunflower seeds', ratio: 1 }] },
+            { name: 'pumpkin seeds', ingredients: [{ name: 'pumpkin seeds', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['potato'],
+        except: ['sweet potato'],
+        options: [
+            { name: 'sweet potato', ingredients: [{ name: 'sweet potato', ratio: 1 }] },
+            { name: 'cauliflower', ingredients: [{ name: 'cauliflower', ratio: 1 }], note: 'Cooks faster; add it later.' },
+        ],
+    },
+    {
+        terms: ['mushroom'],
+        options: [
+            { name: 'aubergine', ingredients: [{ name: 'aubergine', ratio: 1 }] },
+            { name: 'courgette', ingredients: [{ name: 'courgette', ratio: 1 }] },
+        ],
+    },
+    {
+        terms: ['fresh tomato', 'tomato'],
+        except: ['tomato paste', 'tomato puree', 'tomato purée', 'tomato ketchup', 'sun-dried tomato', 'canned tomato'],
+        options: [
+            { name: 'canned tomatoes', ingredients: [{ name: 'canned chopped tomatoes', amount: 100, unit: 'g', per: { amount: 1 } }] },
+        ],
+    },
+    {
+        terms: ['coriander leaves', 'cilantro', 'coriander'],
+        except: ['coriander seed', 'ground coriander', 'coriander powder'],
+        options: [
+            { name: 'parsley', ingredients: [{ name: 'parsley', ratio: 1 }] },
+            { name: 'mint', ingredients: [{ name: 'mint', ratio: 0.5 }] },
+        ],
+    },
+];
@@ -0,0 +1,42 @@
+// Hands-free commands for cook mode. A command has to be the whole of what
+// was heard, give or take a "please", so a step being read aloud that
+// happens to contain "next" or "timer" doesn't trigger anything. Phrases in
+// English, Hindi and Marathi are all listened for, whatever the app's
+// language, since cooks switch between them freely.
+const COMMANDS = [
+    {
+        command: 'next',
+        phrases: ['next', 'next step', 'next one', 'go on', 'continue', 'forward', 'अगला', 'अगला चरण', 'आगे', 'आगे बढ़ो', 'पुढे', 'पुढची पायरी', 'पुढील'],
+    },
+    {
+        command: 'back',
+        phrases: ['back', 'go back', 'previous', 'previous step', 'last step', 'पीछे', 'पिछला', 'पिछला चरण', 'वापस', 'मागे', 'मागची पायरी', 'मागील'],
+    },
+    {
+        command: 'repeat',
+        phrases: ['repeat', 'repeat that', 'again', 'say again', 'say that again', 'what was that', 'फिर से', 'दोबारा', 'फिर से बोलो', 'पुन्हा', 'पुन्हा सांग', 'परत सांग'],
+    },
+    {
+        command: 'start-timer',
+        phrases: ['timer', 'start timer', 'start the timer', 'start a timer', 'set timer', 'set a timer', 'set the timer', 'टाइमर', 'टाइमर शुरू करो', 'टाइमर लगाओ', 'टायमर', 'टायमर सुरू कर', 'टायमर लाव'],
+    },
+    {
+        command: 'stop',
+        phrases: ['stop', 'stop reading', 'quiet', 'be quiet', 'shush', 'silence', 'रुको', 'बस', 'चुप', 'बंद करो', 'थांब', 'थांबा', 'बंद कर'],
+    },
+];
+
+// Whole words only; \b doesn't know where a Devanagari word ends
+const FILLER = /(?<![\p{L}\p{M}\p{N}])(?:please|okay|ok|hey|chef|now|and|कृपया|प्लीज़|प्लीज|अब|आता|ज़रा|जरा|शेफ)(?![\p{L}\p{M}\p{N}])/gu;
+
+// 'next', 'back', 'repeat', 'start-timer', 'stop', or null for anything else
+export const parseVoiceCommand = (transcript = '') => {
+    const words = transcript
+        .toLowerCase()
+        // Keep marks too: Devanagari vowel signs are marks, not letters
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+        .replace(FILLER, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return COMMANDS.find(({ phrases }) => phrases.includes(words))?.command ?? null;
+};
@@ -0,0 +1,11 @@
+// Adds dictated text to what's already in a form field. The list questions
+// (ingredients, allergies) are comma-separated, and people say lists with
+// "and": "rice, broccoli and garlic" becomes "rice, broccoli, garlic".
+export const appendDictation = (current = '', spoken, { isList = false } = {}) => {
+    let text = spoken.trim();
+    if (isList) text = text.replace(/\s*,?\s+and\s+/gi, ', ').replace(/\s*,\s*/g, ', ');
+    if (!text) return current;
+    const existing = current.trim();
+    if (!existing) return text;
+    return isList ? `${existing.replace(/,$/, '')}, ${text}` : `${existing} ${text}`;
+};
@@ -0,0 +1,19 @@
+// What gets read aloud, as a list of short lines. Speech engines stumble over
+// long utterances (Chrome cuts them off after about fifteen seconds), so
+// each ingredient and step is its own line. `i18n` is the app's language
+// (see src/i18n/translate.js), which the lines are spoken in.
+
+export const ingredientsSpeech = (ingredients, { t, formatIngredient }) => [
+    t('speech.gather'),
+    ...ingredients.map(ingredient => t('speech.ingredient', { ingredient: formatIngredient(ingredient) })),
+];
+
+export const stepSpeech = (step, index, count, { t }) => [t('speech.step', { step: index + 1, count }), step];
+
+// The whole recipe: name, servings, ingredients, then every step.
+// `ingredients` and `instructions` as shown, already scaled and converted.
+export const recipeSpeech = (recipe, servings, ingredients, instructions, i18n) => [
+    i18n.t('speech.intro', { name: recipe.recipeName, servings }),
+    ...ingredientsSpeech(ingredients, i18n),
+    ...instructions.flatMap((step, index) => stepSpeech(step, index, instructions.length, i18n)),
+];
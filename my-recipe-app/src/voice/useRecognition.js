@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+import { parseVoiceCommand } from './commands.js';
+import { useI18n } from '../i18n/context.js';
+
+const Recognition = typeof window !== 'undefined'
+    ? window.SpeechRecognition || window.webkitSpeechRecognition
+    : undefined;
+
+// Speech-to-text through the Web Speech API. Chrome, Edge and Safari have it
+// (Chrome sends the audio to Google); Firefox doesn't.
+export const canRecognizeSpeech = Boolean(Recognition);
+
+// Errors after which listening again won't help without the user doing something
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'network', 'language-not-supported'];
+
+const describeError = (t, code) => {
+    if (code === 'not-allowed' || code === 'service-not-allowed') return t('voice.blocked');
+    if (code === 'audio-capture') return t('voice.noMicrophone');
+    if (code === 'network') return t('voice.offline');
+    if (code === 'no-speech') return t('voice.noSpeech');
+    if (code === 'language-not-supported') return t('voice.unsupported');
+    if (code === 'aborted') return null;
+    return t('voice.stopped', { code });
+};
+
+const createRecognition = ({ continuous }) => {
+    const recognition = new Recognition();
+    recognition.lang = document.documentElement.lang || navigator.language;
+    recognition.continuous = continuous;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 1;
+    return recognition;
+};
+
+// One phrase of dictation into a form field: start() listens until the
+// speaker pauses, then calls onText with what was heard.
+export const useDictation = (onText) => {
+    const { t } = useI18n();
+    const [isListening, setIsListening] = useState(false);
+    // { code } from the browser, worded when rendered, or { message }
+    const [error, setError] = useState(null);
+    const recognition = useRef(null);
+    const onTextRef = useRef(onText);
+
+    useEffect(() => {
+        onTextRef.current = onText;
+    });
+
+    useEffect(() => () => recognition.current?.abort(), []);
+
+    const stop = useCallback(() => recognition.current?.stop(), []);
+
+    const start = useCallback(() => {
+        if (!Recognition || recognition.current) return;
+        const current = createRecognition({ continuous: false });
+        current.onresult = (e) => {
+            const text = Array.from(e.results, result => result[0].transcript).join(' ').trim();
+            if (text) onTextRef.current(text);
+        };
+        current.onerror = (e) => setError({ code: e.error });
+        current.onend = () => {
+            recognition.current = null;
+            setIsListening(false);
+        };
+
+        recognition.current = current;
+        setError(null);
+        setIsListening(true);
+        try {
+            current.start();
+        } catch (err) {
+            recognition.current = null;
+            setIsListening(false);
+            setError({ message: err.message });
+        }
+    }, []);
+
+    return {
+        isSupported: canRecognizeSpeech,
+        isListening,
+        error: error && (error.message ?? describeError(t, error.code)),
+        start,
+        stop,
+    };
+};
+
+// Listens for cook-mode commands (see commands.js) while `enabled`, calling
+// onCommand with each one heard. Browsers end a session after a stretch of
+// silence, so it starts listening again until disabled; onError gets a
+// message, in the app's language, when it has to give up.
+export const useVoiceCommands = (enabled, { onCommand, onError }) => {
+    const { t } = useI18n();
+    const handlers = useRef({ onCommand, onError, t });
+
+    useEffect(() => {
+        handlers.current = { onCommand, onError, t };
+    });
+
+    useEffect(() => {
+        if (!enabled || !Recognition) return undefined;
+
+        let isStopped = false;
+        const recognition = createRecognition({ continuous: true });
+        recognition.onresult = (e) => {
+            for (let i = e.resultIndex; i < e.results.length; i++) {
+                if (!e.results[i].isFinal) continue;
+                const command = parseVoiceCommand(e.results[i][0].transcript);
+                if (command) handlers.current.onCommand(command);
+            }
+        };
+        recognition.onerror = (e) => {
+            if (!FATAL_ERRORS.includes(e.error)) return;
+            isStopped = true;
+            handlers.current.onError(describeError(handlers.current.t, e.error));
+        };
+        recognition.onend = () => {
+            if (!isStopped) recognition.start();
+        };
+        recognition.start();
+
+        return () => {
+            isStopped = true;
+            recognition.abort();
+        };
+    }, [enabled]);
+
+    return { isSupported: canRecognizeSpeech };
+};
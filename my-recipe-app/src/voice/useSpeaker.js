@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined;
+
+// Text-to-speech through the Web Speech API, where the browser has it
+export const canSpeak = Boolean(synth && typeof SpeechSynthesisUtterance !== 'undefined');
+
+// Reads lines of text aloud, one utterance each. `speaking` is the id given
+// to speak() for whatever is being read (so the right button can offer to
+// stop), or null. Starting something new cuts off whatever was playing.
+export const useSpeaker = () => {
+    const [speaking, setSpeaking] = useState(null);
+    // Cancelling fires the old utterances' end events later; only the
+    // latest call to speak() may clear `speaking`
+    const latest = useRef(0);
+
+    useEffect(() => () => synth?.cancel(), []);
+
+    const stop = useCallback(() => {
+        latest.current++;
+        synth?.cancel();
+        setSpeaking(null);
+    }, []);
+
+    const speak = useCallback((lines, id = 'default') => {
+        if (!canSpeak) return;
+        synth.cancel();
+        const token = ++latest.current;
+        const texts = lines.filter(Boolean);
+        if (texts.length === 0) {
+            setSpeaking(null);
+            return;
+        }
+
+        const finish = () => {
+            if (latest.current === token) setSpeaking(null);
+        };
+        texts.forEach((text, index) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = document.documentElement.lang || navigator.language;
+            if (index === texts.length - 1) utterance.onend = finish;
+            utterance.onerror = finish;
+            synth.speak(utterance);
+        });
+        setSpeaking(id);
+    }, []);
+
+    return { isSupported: canSpeak, speaking, speak, stop };
+};
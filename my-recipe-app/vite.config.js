@@ -1,7 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { join } from 'node:path'
+
+// Writes sw.js for production builds from src/pwa/serviceWorker.js, filling
+// in every file to precache (what Vite built plus public/) and a cache
+// version that changes whenever any of their contents do
+const serviceWorker = () => {
+  let config
+  return {
+    name: 'recipe-service-worker',
+    apply: 'build',
+    // After Vite's own plugins, so index.html is in the bundle
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const files = new Map(Object.values(bundle)
+        .filter(output => !output.fileName.endsWith('.map'))
+        .map(output => [output.fileName, output.type === 'chunk' ? output.code : output.source]))
+      for (const name of readdirSync(config.publicDir)) files.set(name, readFileSync(join(config.publicDir, name)))
+
+      const names = [...files.keys()].sort()
+      const hash = createHash('sha256')
+      for (const name of names) hash.update(name).update(files.get(name))
+
+      const source = readFileSync(join(config.root, 'src/pwa/serviceWorker.js'), 'utf8')
+        .replace('__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_FILES__', JSON.stringify(names))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  server: {
+    // The recipe API (npm run server) owns the LLM key; proxy to it in dev
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })